@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/InviteAirdropV2.sol";
+
+interface IInviteAirdropV1 {
+    function inviteUses(address inviter) external view returns (uint256);
+    function rewarded(address inviter) external view returns (bool);
+}
+
+// Deploys InviteAirdropV2 and carries over inviteUses (and the one-shot reward flag) from v1.
+// INVITERS_FILE is a JSON file `{ "inviters": ["0x..."] }`, written by `npm run export-inviters`
+// in backend/. Leave INVITE_AIRDROP_V1_ADDRESS unset to deploy without migrating.
+contract DeployInviteAirdropV2 is Script {
+    uint256 constant MIGRATION_BATCH_SIZE = 100;
+
+    function run() external {
+        // Load private key from environment
+        uint256 deployerPrivateKey = vm.envUint("PRIVATE_KEY");
+
+        // Load constructor args from environment
+        address enbToken = vm.envAddress("ENB_TOKEN_ADDRESS");
+        address relayer = vm.envAddress("RELAYER_ADDRESS");
+        (uint256[] memory thresholds, uint256[] memory amounts) = loadTiers();
+
+        address v1 = vm.envOr("INVITE_AIRDROP_V1_ADDRESS", address(0));
+
+        vm.startBroadcast(deployerPrivateKey);
+
+        InviteAirdropV2 inviteAirdrop = new InviteAirdropV2(enbToken, relayer, thresholds, amounts);
+        console.log("InviteAirdropV2 deployed at:", address(inviteAirdrop));
+
+        if (v1 != address(0)) {
+            migrate(inviteAirdrop, IInviteAirdropV1(v1), vm.envString("INVITERS_FILE"));
+
+            if (vm.envOr("FINALIZE_MIGRATION", true)) {
+                inviteAirdrop.finalizeMigration();
+                console.log("Migration finalized");
+            }
+        }
+
+        vm.stopBroadcast();
+    }
+
+    // Tier thresholds in invites and amounts in whole ENB, e.g. INVITE_TIER_AMOUNTS=25,100,500
+    function loadTiers() internal view returns (uint256[] memory thresholds, uint256[] memory amounts) {
+        uint256[] memory defaultThresholds = new uint256[](3);
+        defaultThresholds[0] = 5;
+        defaultThresholds[1] = 15;
+        defaultThresholds[2] = 50;
+        uint256[] memory defaultAmounts = new uint256[](3);
+        defaultAmounts[0] = 25;
+        defaultAmounts[1] = 100;
+        defaultAmounts[2] = 500;
+
+        thresholds = vm.envOr("INVITE_TIER_THRESHOLDS", ",", defaultThresholds);
+        amounts = vm.envOr("INVITE_TIER_AMOUNTS", ",", defaultAmounts);
+
+        for (uint256 i = 0; i < amounts.length; i++) {
+            amounts[i] = amounts[i] * 1e18;
+        }
+    }
+
+    function migrate(InviteAirdropV2 inviteAirdrop, IInviteAirdropV1 v1, string memory invitersFile) internal {
+        address[] memory inviters = vm.parseJsonAddressArray(vm.readFile(invitersFile), ".inviters");
+        uint256 migrated = 0;
+
+        for (uint256 start = 0; start < inviters.length; start += MIGRATION_BATCH_SIZE) {
+            uint256 size =
+                inviters.length - start < MIGRATION_BATCH_SIZE ? inviters.length - start : MIGRATION_BATCH_SIZE;
+            address[] memory batch = new address[](size);
+            uint256[] memory uses = new uint256[](size);
+            bool[] memory legacyRewarded = new bool[](size);
+
+            for (uint256 i = 0; i < size; i++) {
+                batch[i] = inviters[start + i];
+                uses[i] = v1.inviteUses(batch[i]);
+                legacyRewarded[i] = v1.rewarded(batch[i]);
+            }
+
+            inviteAirdrop.migrateInviteUses(batch, uses, legacyRewarded);
+            migrated += size;
+        }
+
+        console.log("Migrated inviters:", migrated);
+    }
+}
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract InviteAirdropV2 {
+    struct Tier {
+        uint256 threshold; // Successful invites needed to reach the tier
+        uint256 amount; // ENB paid once when the tier is reached
+    }
+
+    uint256 public constant MAX_TIERS = 10;
+    uint256 public constant LEGACY_THRESHOLD = 5; // Invites at which InviteAirdrop (v1) paid its single reward
+
+    IERC20 public immutable enbToken;
+    address public owner;
+    address public relayer; // Only this address can record invite uses
+    bool public migrationFinalized;
+
+    Tier[] private tiers; // Sorted by ascending threshold
+
+    mapping(address => uint256) public inviteUses;
+    // Keyed by threshold so changing tier amounts never pays a tier twice
+    mapping(address => mapping(uint256 => bool)) public tierRewarded;
+
+    event InviteUsed(address indexed inviter, uint256 totalUses);
+    event RewardSent(address indexed inviter, uint256 amount);
+    event TierRewarded(address indexed inviter, uint256 indexed threshold, uint256 amount);
+    event TiersUpdated(uint256[] thresholds, uint256[] amounts);
+    event InviteUsesMigrated(address indexed inviter, uint256 totalUses, bool legacyRewarded);
+    event MigrationFinalized();
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    modifier onlyRelayer() {
+        require(msg.sender == relayer, "Not relayer");
+        _;
+    }
+
+    constructor(address _enbToken, address _relayer, uint256[] memory thresholds, uint256[] memory amounts) {
+        enbToken = IERC20(_enbToken);
+        owner = msg.sender;
+        relayer = _relayer;
+        _setTiers(thresholds, amounts);
+    }
+
+    function setRelayer(address _relayer) external onlyOwner {
+        relayer = _relayer;
+    }
+
+    function setTiers(uint256[] calldata thresholds, uint256[] calldata amounts) external onlyOwner {
+        _setTiers(thresholds, amounts);
+    }
+
+    function getTiers() external view returns (uint256[] memory thresholds, uint256[] memory amounts) {
+        thresholds = new uint256[](tiers.length);
+        amounts = new uint256[](tiers.length);
+
+        for (uint256 i = 0; i < tiers.length; i++) {
+            thresholds[i] = tiers[i].threshold;
+            amounts[i] = tiers[i].amount;
+        }
+    }
+
+    function recordInviteUse(address inviter) external onlyRelayer {
+        require(inviter != address(0), "Invalid inviter");
+
+        inviteUses[inviter] += 1;
+        emit InviteUsed(inviter, inviteUses[inviter]);
+
+        _payReachedTiers(inviter);
+    }
+
+    // Pays tiers an inviter already reached, e.g. through migrated uses or a newly added lower tier
+    function payReachedTiers(address inviter) external onlyRelayer {
+        require(inviter != address(0), "Invalid inviter");
+        _payReachedTiers(inviter);
+    }
+
+    // Carries over v1 state before the relayer switches to this contract. Nothing is paid here;
+    // tiers above the legacy reward are paid on the inviter's next invite or via payReachedTiers.
+    function migrateInviteUses(address[] calldata inviters, uint256[] calldata uses, bool[] calldata legacyRewarded)
+        external
+        onlyOwner
+    {
+        require(!migrationFinalized, "Migration finalized");
+        require(inviters.length == uses.length && inviters.length == legacyRewarded.length, "Length mismatch");
+
+        for (uint256 i = 0; i < inviters.length; i++) {
+            require(inviters[i] != address(0), "Invalid inviter");
+
+            inviteUses[inviters[i]] = uses[i];
+            if (legacyRewarded[i]) {
+                tierRewarded[inviters[i]][LEGACY_THRESHOLD] = true;
+            }
+            emit InviteUsesMigrated(inviters[i], uses[i], legacyRewarded[i]);
+        }
+    }
+
+    function finalizeMigration() external onlyOwner {
+        require(!migrationFinalized, "Migration finalized");
+        migrationFinalized = true;
+        emit MigrationFinalized();
+    }
+
+    function _setTiers(uint256[] memory thresholds, uint256[] memory amounts) private {
+        require(thresholds.length == amounts.length, "Length mismatch");
+        require(thresholds.length > 0 && thresholds.length <= MAX_TIERS, "Invalid tier count");
+
+        delete tiers;
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            require(thresholds[i] > 0 && (i == 0 || thresholds[i] > thresholds[i - 1]), "Thresholds not ascending");
+            require(amounts[i] > 0, "Invalid amount");
+            tiers.push(Tier(thresholds[i], amounts[i]));
+        }
+
+        emit TiersUpdated(thresholds, amounts);
+    }
+
+    function _payReachedTiers(address inviter) private {
+        uint256 uses = inviteUses[inviter];
+
+        for (uint256 i = 0; i < tiers.length && uses >= tiers[i].threshold; i++) {
+            Tier memory tier = tiers[i];
+            if (tierRewarded[inviter][tier.threshold]) continue;
+
+            tierRewarded[inviter][tier.threshold] = true;
+            require(enbToken.transfer(inviter, tier.amount), "Token transfer failed");
+            emit RewardSent(inviter, tier.amount);
+            emit TierRewarded(inviter, tier.threshold, tier.amount);
+        }
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/InviteAirdropV2.sol";
+
+contract MockENB is IERC20 {
+    mapping(address => uint256) public balanceOf;
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        require(balanceOf[msg.sender] >= amount, "Insufficient balance");
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount;
+        return true;
+    }
+}
+
+contract InviteAirdropV2Test is Test {
+    InviteAirdropV2 public inviteAirdrop;
+    MockENB public enbToken;
+
+    address owner = address(0xA1);
+    address relayer = address(0xB1);
+    address inviter = address(0xC1);
+    address legacyInviter = address(0xC2);
+
+    function setUp() public {
+        vm.startPrank(owner);
+        enbToken = new MockENB();
+
+        uint256[] memory thresholds = new uint256[](3);
+        thresholds[0] = 5;
+        thresholds[1] = 15;
+        thresholds[2] = 50;
+        uint256[] memory amounts = new uint256[](3);
+        amounts[0] = 25 ether;
+        amounts[1] = 100 ether;
+        amounts[2] = 500 ether;
+
+        inviteAirdrop = new InviteAirdropV2(address(enbToken), relayer, thresholds, amounts);
+
+        // Fund the InviteAirdropV2 contract with ENB tokens
+        enbToken.mint(address(inviteAirdrop), 10_000 ether);
+        vm.stopPrank();
+    }
+
+    function recordInvites(address who, uint256 count) internal {
+        vm.startPrank(relayer);
+        for (uint256 i = 0; i < count; i++) {
+            inviteAirdrop.recordInviteUse(who);
+        }
+        vm.stopPrank();
+    }
+
+    function testPaysEachTierOnce() public {
+        recordInvites(inviter, 4);
+        assertEq(enbToken.balanceOf(inviter), 0);
+
+        recordInvites(inviter, 1);
+        assertEq(enbToken.balanceOf(inviter), 25 ether);
+        assertTrue(inviteAirdrop.tierRewarded(inviter, 5));
+
+        recordInvites(inviter, 10);
+        assertEq(enbToken.balanceOf(inviter), 125 ether);
+
+        recordInvites(inviter, 35);
+        assertEq(enbToken.balanceOf(inviter), 625 ether);
+
+        recordInvites(inviter, 10);
+        assertEq(enbToken.balanceOf(inviter), 625 ether, "Should not increase after the last tier");
+        assertEq(inviteAirdrop.inviteUses(inviter), 60);
+    }
+
+    function testChangingAmountsDoesNotRepayTiers() public {
+        recordInvites(inviter, 5);
+
+        uint256[] memory thresholds = new uint256[](3);
+        thresholds[0] = 5;
+        thresholds[1] = 10;
+        thresholds[2] = 50;
+        uint256[] memory amounts = new uint256[](3);
+        amounts[0] = 40 ether;
+        amounts[1] = 60 ether;
+        amounts[2] = 500 ether;
+
+        vm.prank(owner);
+        inviteAirdrop.setTiers(thresholds, amounts);
+
+        recordInvites(inviter, 5);
+        assertEq(enbToken.balanceOf(inviter), 85 ether, "Only the new 10-invite tier should be paid");
+    }
+
+    function testMigrationCarriesUsesAndLegacyReward() public {
+        address[] memory inviters = new address[](2);
+        inviters[0] = legacyInviter;
+        inviters[1] = inviter;
+        uint256[] memory uses = new uint256[](2);
+        uses[0] = 16;
+        uses[1] = 3;
+        bool[] memory legacyRewarded = new bool[](2);
+        legacyRewarded[0] = true;
+
+        vm.prank(owner);
+        inviteAirdrop.migrateInviteUses(inviters, uses, legacyRewarded);
+
+        assertEq(inviteAirdrop.inviteUses(legacyInviter), 16);
+        assertEq(inviteAirdrop.inviteUses(inviter), 3);
+        assertEq(enbToken.balanceOf(legacyInviter), 0, "Migration should not pay");
+
+        // The 15-invite tier is paid, the v1-rewarded 5-invite tier is not
+        vm.prank(relayer);
+        inviteAirdrop.payReachedTiers(legacyInviter);
+        assertEq(enbToken.balanceOf(legacyInviter), 100 ether);
+
+        recordInvites(inviter, 2);
+        assertEq(enbToken.balanceOf(inviter), 25 ether);
+    }
+
+    function testMigrationClosesWhenFinalized() public {
+        vm.startPrank(owner);
+        inviteAirdrop.finalizeMigration();
+
+        vm.expectRevert("Migration finalized");
+        inviteAirdrop.migrateInviteUses(new address[](0), new uint256[](0), new bool[](0));
+        vm.stopPrank();
+    }
+
+    function testOnlyRelayerRecordsInvites() public {
+        vm.expectRevert("Not relayer");
+        inviteAirdrop.recordInviteUse(inviter);
+    }
+
+    function testOnlyOwnerConfiguresTiers() public {
+        vm.expectRevert("Not owner");
+        inviteAirdrop.setTiers(new uint256[](1), new uint256[](1));
+    }
+
+    function testRejectsUnsortedTiers() public {
+        uint256[] memory thresholds = new uint256[](2);
+        thresholds[0] = 15;
+        thresholds[1] = 5;
+        uint256[] memory amounts = new uint256[](2);
+        amounts[0] = 25 ether;
+        amounts[1] = 100 ether;
+
+        vm.prank(owner);
+        vm.expectRevert("Thresholds not ascending");
+        inviteAirdrop.setTiers(thresholds, amounts);
+    }
+}
@@ -0,0 +1,60 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+dotenv.config();
+
+// Validate required environment variables
+const requiredEnvVars = [
+  'RPC_URL',
+  'PRIVATE_KEY',
+  'CONTRACT_ADDRESS',
+  'AIRDROP_CONTRACT_ADDRESS'
+];
+
+const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingEnvVars.length > 0) {
+  throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+}
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const loadAbi = (fileName) => {
+  const abiPath = join(__dirname, '..', 'abis', fileName);
+  return JSON.parse(readFileSync(abiPath, 'utf8')).abi;
+};
+
+const enbMiniAppAbi = loadAbi('EnbMiniApp.json');
+const inviteAirdropAbi = loadAbi('InviteAirdropV2.json');
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const relayerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+
+// EnbMiniAppUpgradeable proxy, signed by the trusted relayer
+const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, enbMiniAppAbi, relayerWallet);
+
+// InviteAirdropV2 (tiered invite rewards), signed by the trusted relayer
+const airdropContract = new ethers.Contract(
+  process.env.AIRDROP_CONTRACT_ADDRESS,
+  inviteAirdropAbi,
+  relayerWallet
+);
+
+// ENB token, for referral campaign bonuses the relayer pays from its own balance.
+// Its address is read from InviteAirdropV2 (enbToken) on first use.
+const erc20Abi = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+let enbTokenContract = null;
+
+const getEnbTokenContract = async () => {
+  if (!enbTokenContract) {
+    enbTokenContract = new ethers.Contract(await airdropContract.enbToken(), erc20Abi, relayerWallet);
+  }
+  return enbTokenContract;
+};
+
+export { provider, relayerWallet, contract, airdropContract, enbMiniAppAbi, inviteAirdropAbi, getEnbTokenContract };
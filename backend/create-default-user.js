@@ -4,6 +4,12 @@ import fetch from 'node-fetch';
 const API_BASE_URL = 'https://enb-api.vercel.app'; // Update this to your API URL
 
 const createDefaultUser = async () => {
+  // Superadmin token from `npm run admin-token -- <subject> superadmin`
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('❌ ADMIN_TOKEN is required to call /api/create-default-user');
+    return;
+  }
+
   const defaultUserData = {
     walletAddress: '0x1234567890abcdef1234567890abcdef12345678', // Default wallet address
     invitationCode: 'ENB2025', // Your specific invitation code
@@ -20,6 +26,7 @@ const createDefaultUser = async () => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
       },
       body: JSON.stringify(defaultUserData),
     });
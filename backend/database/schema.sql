@@ -7,16 +7,24 @@ CREATE TABLE IF NOT EXISTS accounts (
     wallet_address VARCHAR(42) UNIQUE NOT NULL,
     transaction_hash VARCHAR(66),
     membership_level VARCHAR(20) DEFAULT 'Based',
-    invitation_code VARCHAR(8) UNIQUE,
+    invitation_code VARCHAR(32) UNIQUE,
     max_invitation_uses INTEGER DEFAULT 5,
+    -- No longer written; invite counts come from invitation_ledger
     current_invitation_uses INTEGER DEFAULT 0,
     enb_balance DECIMAL(20, 8) DEFAULT 0,
     total_earned DECIMAL(20, 8) DEFAULT 0,
     consecutive_days INTEGER DEFAULT 0,
+    longest_streak INTEGER DEFAULT 0,
+    streak_expires_at TIMESTAMP WITH TIME ZONE,
+    broken_streak INTEGER DEFAULT 0,
+    streak_broken_at TIMESTAMP WITH TIME ZONE,
     is_activated BOOLEAN DEFAULT FALSE,
     activated_at TIMESTAMP WITH TIME ZONE,
-    activated_by VARCHAR(8),
+    activated_by VARCHAR(32),
     inviter_wallet VARCHAR(42),
+    fid BIGINT,
+    funded_by VARCHAR(42),
+    funding_checked_at TIMESTAMP WITH TIME ZONE,
     last_daily_claim_time TIMESTAMP WITH TIME ZONE,
     last_transaction_hash VARCHAR(66),
     last_upgrade_at TIMESTAMP WITH TIME ZONE,
@@ -28,13 +36,29 @@ CREATE TABLE IF NOT EXISTS accounts (
 -- Create invitation_usage table
 CREATE TABLE IF NOT EXISTS invitation_usage (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    invitation_code VARCHAR(8) NOT NULL,
+    invitation_code VARCHAR(32) NOT NULL,
     used_by VARCHAR(42) NOT NULL,
     used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     inviter_wallet VARCHAR(42) NOT NULL,
     UNIQUE(invitation_code, used_by)
 );
 
+-- Create invitation_codes table (every invitation code; accounts.invitation_code is the owner's current personal code)
+CREATE TABLE IF NOT EXISTS invitation_codes (
+    code VARCHAR(32) PRIMARY KEY,
+    owner_wallet VARCHAR(42) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'generated' CHECK (kind IN ('generated', 'vanity', 'campaign')),
+    campaign VARCHAR(100),
+    -- Campaign codes only; personal codes share the owner's max_invitation_uses
+    max_uses INTEGER,
+    uses INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by VARCHAR(100),
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create transactions table
 CREATE TABLE IF NOT EXISTS transactions (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -67,6 +91,258 @@ CREATE TABLE IF NOT EXISTS upgrades (
     tx_hash VARCHAR(66)
 );
 
+-- Create relay_nonces table (consumed wallet-signature nonces for relayed requests)
+CREATE TABLE IF NOT EXISTS relay_nonces (
+    nonce VARCHAR(66) PRIMARY KEY,
+    wallet_address VARCHAR(42) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create admin_audit_log table (operator endpoint access, including every denied call)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('allowed', 'denied')),
+    status_code INTEGER,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    ip_address VARCHAR(64),
+    subject VARCHAR(100),
+    role VARCHAR(20),
+    required_roles TEXT[],
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create relay_jobs table (durable queue of relayer transactions)
+CREATE TABLE IF NOT EXISTS relay_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    payload JSONB DEFAULT '{}'::jsonb,
+    status VARCHAR(10) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'mined', 'failed')),
+    nonce INTEGER,
+    tx_hash VARCHAR(66),
+    tx_hashes TEXT[] DEFAULT '{}',
+    max_fee_per_gas VARCHAR(78),
+    max_priority_fee_per_gas VARCHAR(78),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    error_code VARCHAR(50),
+    block_number BIGINT,
+    gas_used VARCHAR(78),
+    result JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    mined_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create chain_events table (indexed EnbMiniAppUpgradeable and InviteAirdrop events)
+CREATE TABLE IF NOT EXISTS chain_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contract_name VARCHAR(50) NOT NULL,
+    event_name VARCHAR(50) NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    amount DECIMAL(38, 18),
+    args JSONB NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(tx_hash, log_index)
+);
+
+-- Create indexer_checkpoints table (last fully indexed block per contract)
+CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+    name VARCHAR(50) PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create drift_reports table (database-versus-chain disagreements found by the reconciliation job)
+CREATE TABLE IF NOT EXISTS drift_reports (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    wallet_address VARCHAR(42) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    db_value TEXT,
+    chain_value TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'fixed', 'dismissed', 'cleared')),
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolved_by VARCHAR(100)
+);
+
+-- Create streak_inventory table (streak freezes held per wallet)
+CREATE TABLE IF NOT EXISTS streak_inventory (
+    wallet_address VARCHAR(42) PRIMARY KEY,
+    freezes INTEGER NOT NULL DEFAULT 0 CHECK (freezes >= 0),
+    freezes_earned INTEGER DEFAULT 0,
+    freezes_purchased INTEGER DEFAULT 0,
+    freezes_used INTEGER DEFAULT 0,
+    repairs_used INTEGER DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create streak_item_events table (history of earned, bought and used streak items)
+CREATE TABLE IF NOT EXISTS streak_item_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    wallet_address VARCHAR(42) NOT NULL,
+    item_type VARCHAR(10) NOT NULL CHECK (item_type IN ('freeze', 'repair')),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('earned', 'purchased', 'used', 'repaired')),
+    quantity INTEGER NOT NULL DEFAULT 1,
+    enb_cost DECIMAL(20, 8) DEFAULT 0,
+    streak_value INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create rate_limit_counters table (fixed-window request counters shared by all API instances)
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    key VARCHAR(200) PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create airdrops table (invite tier rewards paid by InviteAirdropV2, one row per tier)
+CREATE TABLE IF NOT EXISTS airdrops (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    wallet_address VARCHAR(42) NOT NULL,
+    amount DECIMAL(38, 18) NOT NULL,
+    tier_threshold INTEGER,
+    invitation_uses_at_trigger INTEGER,
+    tx_hash VARCHAR(66) NOT NULL,
+    triggered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(tx_hash, tier_threshold)
+);
+
+-- Create sybil_scores table (latest invite farming score per inviter, see services/sybil-scoring.js)
+CREATE TABLE IF NOT EXISTS sybil_scores (
+    wallet_address VARCHAR(42) PRIMARY KEY,
+    score INTEGER NOT NULL DEFAULT 0,
+    flagged BOOLEAN NOT NULL DEFAULT FALSE,
+    signals JSONB NOT NULL DEFAULT '[]',
+    invitees INTEGER NOT NULL DEFAULT 0,
+    scored_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create invitation_ledger table (append-only invite history; an inviter's invite count is the sum of its deltas)
+CREATE TABLE IF NOT EXISTS invitation_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    inviter_wallet VARCHAR(42) NOT NULL,
+    invitee_wallet VARCHAR(42),
+    invitation_code VARCHAR(32),
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('invite', 'reversal', 'adjustment')),
+    delta INTEGER NOT NULL CHECK (delta <> 0),
+    reason TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create referral_campaigns table (time-boxed bonuses for inviters, attributed at activation)
+CREATE TABLE IF NOT EXISTS referral_campaigns (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    -- Inviter membership levels that qualify; empty means every level
+    eligible_levels TEXT[] NOT NULL DEFAULT '{}',
+    bonus_type VARCHAR(20) NOT NULL CHECK (bonus_type IN ('per_invite', 'airdrop_multiplier')),
+    -- ENB per qualified invite (per_invite)
+    bonus_amount DECIMAL(20, 8),
+    -- Tier rewards are worth this many times their amount; the contract pays 1x, the bonus the rest
+    airdrop_multiplier DECIMAL(6, 2),
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by VARCHAR(100),
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at),
+    CHECK (
+      (bonus_type = 'per_invite' AND bonus_amount > 0) OR
+      (bonus_type = 'airdrop_multiplier' AND airdrop_multiplier > 1)
+    )
+);
+
+-- Create referral_campaign_attributions table (the campaign an activation counted for, at most one)
+CREATE TABLE IF NOT EXISTS referral_campaign_attributions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    campaign_id UUID NOT NULL REFERENCES referral_campaigns(id),
+    inviter_wallet VARCHAR(42) NOT NULL,
+    invitee_wallet VARCHAR(42) UNIQUE NOT NULL,
+    invitation_code VARCHAR(32) NOT NULL,
+    inviter_level VARCHAR(20),
+    attributed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create invite_payouts table (outbox of invite reward transactions, sent by the payout worker through relay_jobs)
+CREATE TABLE IF NOT EXISTS invite_payouts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('record_invite', 'settle_tiers', 'campaign_bonus')),
+    inviter_wallet VARCHAR(42) NOT NULL,
+    invitee_wallet VARCHAR(42),
+    -- campaign_bonus only: the campaign and the ENB amount transferred by the relayer
+    campaign_id UUID REFERENCES referral_campaigns(id),
+    amount DECIMAL(20, 8),
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'held', 'sending', 'paid', 'failed', 'cancelled')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    relay_job_id UUID REFERENCES relay_jobs(id),
+    tx_hash VARCHAR(66),
+    tx_hashes TEXT[] DEFAULT '{}',
+    result JSONB,
+    last_error TEXT,
+    error_code VARCHAR(50),
+    requested_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    paid_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create invite_reward_reviews table (invite rewards of flagged inviters, held until an admin decides)
+CREATE TABLE IF NOT EXISTS invite_reward_reviews (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    inviter_wallet VARCHAR(42) NOT NULL,
+    invitee_wallet VARCHAR(42) UNIQUE NOT NULL,
+    invitation_code VARCHAR(32) NOT NULL,
+    score INTEGER NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    payout_id UUID REFERENCES invite_payouts(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by VARCHAR(100)
+);
+
+-- Create leaderboard_ranks table (precomputed leaderboard positions, see services/leaderboard-ranks.js)
+CREATE TABLE IF NOT EXISTS leaderboard_ranks (
+    board VARCHAR(20) NOT NULL,
+    time_window VARCHAR(20) NOT NULL,
+    -- 1-based and unique per board; ties are broken by wallet address
+    position INTEGER NOT NULL,
+    -- Shared by equal scores
+    rank INTEGER NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    score DECIMAL NOT NULL,
+    -- Account fields shown with the entry, in the board's shape
+    entry JSONB NOT NULL DEFAULT '{}',
+    PRIMARY KEY (board, time_window, position)
+);
+
+-- Create leaderboard_refreshes table (when each board was last ranked, and for which window)
+CREATE TABLE IF NOT EXISTS leaderboard_refreshes (
+    board VARCHAR(20) NOT NULL,
+    time_window VARCHAR(20) NOT NULL,
+    window_starts_at TIMESTAMP WITH TIME ZONE,
+    entries INTEGER NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (board, time_window)
+);
+
 -- Create game_status table
 CREATE TABLE IF NOT EXISTS game_status (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -121,6 +397,44 @@ CREATE TABLE IF NOT EXISTS game_rules (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Columns added to existing tables after the initial release
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS longest_streak INTEGER DEFAULT 0;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS streak_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS broken_streak INTEGER DEFAULT 0;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS streak_broken_at TIMESTAMP WITH TIME ZONE;
+-- Rows logged by InviteAirdrop (v1) have no tier and stay NULL
+ALTER TABLE airdrops ADD COLUMN IF NOT EXISTS tier_threshold INTEGER;
+-- Tables created before the column lack the table's UNIQUE(tx_hash, tier_threshold), which logTierRewards upserts on
+CREATE UNIQUE INDEX IF NOT EXISTS idx_airdrops_tx_hash_tier ON airdrops(tx_hash, tier_threshold);
+-- Sybil scoring inputs: fid reported by the mini app and the wallet's first ETH funder
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS fid BIGINT;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS funded_by VARCHAR(42);
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS funding_checked_at TIMESTAMP WITH TIME ZONE;
+-- Vanity and campaign codes are longer than the generated 8-character codes
+ALTER TABLE accounts ALTER COLUMN invitation_code TYPE VARCHAR(32);
+ALTER TABLE accounts ALTER COLUMN activated_by TYPE VARCHAR(32);
+ALTER TABLE invitation_usage ALTER COLUMN invitation_code TYPE VARCHAR(32);
+-- Existing personal codes move into invitation_codes
+INSERT INTO invitation_codes (code, owner_wallet, kind, uses, created_by, created_at)
+SELECT a.invitation_code, a.wallet_address, 'generated', COUNT(u.id), a.wallet_address, a.created_at
+FROM accounts a
+LEFT JOIN invitation_usage u ON u.invitation_code = a.invitation_code
+WHERE a.invitation_code IS NOT NULL
+GROUP BY a.invitation_code, a.wallet_address, a.created_at
+ON CONFLICT (code) DO NOTHING;
+-- Campaign bonuses share the invite payout outbox, so an invitee can have one payout of each kind
+ALTER TABLE invite_payouts ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES referral_campaigns(id);
+ALTER TABLE invite_payouts ADD COLUMN IF NOT EXISTS amount DECIMAL(20, 8);
+-- record_invite only: set once the inviter was rescored with the invitee's funder (see services/invite-reviews.js)
+ALTER TABLE invite_payouts ADD COLUMN IF NOT EXISTS screened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invite_payouts DROP CONSTRAINT IF EXISTS invite_payouts_invitee_wallet_key;
+ALTER TABLE invite_payouts DROP CONSTRAINT IF EXISTS invite_payouts_kind_check;
+ALTER TABLE invite_payouts ADD CONSTRAINT invite_payouts_kind_check CHECK (kind IN ('record_invite', 'settle_tiers', 'campaign_bonus'));
+-- Existing streaks get the default (midnight UTC, no grace) deadline until their next claim
+UPDATE accounts
+SET streak_expires_at = date_trunc('day', last_daily_claim_time AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' + INTERVAL '2 days'
+WHERE streak_expires_at IS NULL AND last_daily_claim_time IS NOT NULL;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_accounts_wallet_address ON accounts(wallet_address);
 CREATE INDEX IF NOT EXISTS idx_accounts_invitation_code ON accounts(invitation_code);
@@ -128,9 +442,20 @@ CREATE INDEX IF NOT EXISTS idx_accounts_is_activated ON accounts(is_activated);
 CREATE INDEX IF NOT EXISTS idx_accounts_enb_balance ON accounts(enb_balance);
 CREATE INDEX IF NOT EXISTS idx_accounts_total_earned ON accounts(total_earned);
 CREATE INDEX IF NOT EXISTS idx_accounts_consecutive_days ON accounts(consecutive_days);
+CREATE INDEX IF NOT EXISTS idx_accounts_last_daily_claim_time ON accounts(last_daily_claim_time);
+CREATE INDEX IF NOT EXISTS idx_accounts_streak_expires_at ON accounts(streak_expires_at);
+CREATE INDEX IF NOT EXISTS idx_accounts_inviter_wallet ON accounts(inviter_wallet);
+CREATE INDEX IF NOT EXISTS idx_accounts_fid ON accounts(fid);
+CREATE INDEX IF NOT EXISTS idx_accounts_created_at ON accounts(created_at);
+CREATE INDEX IF NOT EXISTS idx_accounts_activated_at ON accounts(activated_at);
 
 CREATE INDEX IF NOT EXISTS idx_invitation_usage_code ON invitation_usage(invitation_code);
 CREATE INDEX IF NOT EXISTS idx_invitation_usage_used_by ON invitation_usage(used_by);
+CREATE INDEX IF NOT EXISTS idx_invitation_usage_inviter_used_at ON invitation_usage(inviter_wallet, used_at);
+CREATE INDEX IF NOT EXISTS idx_invitation_usage_used_at ON invitation_usage(used_at);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_codes_owner_wallet ON invitation_codes(owner_wallet);
+CREATE INDEX IF NOT EXISTS idx_invitation_codes_kind_created ON invitation_codes(kind, created_at);
 
 CREATE INDEX IF NOT EXISTS idx_transactions_wallet_address ON transactions(wallet_address);
 CREATE INDEX IF NOT EXISTS idx_transactions_timestamp ON transactions(timestamp);
@@ -141,8 +466,92 @@ CREATE INDEX IF NOT EXISTS idx_claims_claimed_at ON claims(claimed_at);
 CREATE INDEX IF NOT EXISTS idx_upgrades_wallet_address ON upgrades(wallet_address);
 CREATE INDEX IF NOT EXISTS idx_upgrades_upgraded_at ON upgrades(upgraded_at);
 
+CREATE INDEX IF NOT EXISTS idx_relay_nonces_wallet_address ON relay_nonces(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_relay_nonces_expires_at ON relay_nonces(expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_outcome ON admin_audit_log(outcome);
+
+CREATE INDEX IF NOT EXISTS idx_relay_jobs_status_created_at ON relay_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_relay_jobs_wallet_address ON relay_jobs(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_relay_jobs_payout_id ON relay_jobs((payload->>'payoutId'));
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_wallet_event ON chain_events(wallet_address, event_name, block_number);
+CREATE INDEX IF NOT EXISTS idx_chain_events_event_name ON chain_events(event_name);
+CREATE INDEX IF NOT EXISTS idx_chain_events_event_timestamp ON chain_events(event_name, block_timestamp);
+
+CREATE INDEX IF NOT EXISTS idx_drift_reports_status_field ON drift_reports(status, field);
+CREATE INDEX IF NOT EXISTS idx_drift_reports_wallet_address ON drift_reports(wallet_address);
+-- At most one open report per wallet and field
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drift_reports_open ON drift_reports(wallet_address, field) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_streak_item_events_wallet_created ON streak_item_events(wallet_address, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters(reset_at);
+
+CREATE INDEX IF NOT EXISTS idx_airdrops_wallet_triggered ON airdrops(wallet_address, triggered_at);
+CREATE INDEX IF NOT EXISTS idx_airdrops_triggered_at ON airdrops(triggered_at);
+
+CREATE INDEX IF NOT EXISTS idx_sybil_scores_flagged_score ON sybil_scores(flagged, score DESC);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_ledger_inviter_created ON invitation_ledger(inviter_wallet, created_at);
+-- An activation is counted once, and reversed at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitation_ledger_invite ON invitation_ledger(invitee_wallet) WHERE entry_type = 'invite';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitation_ledger_reversal ON invitation_ledger(invitee_wallet) WHERE entry_type = 'reversal';
+CREATE INDEX IF NOT EXISTS idx_invitation_ledger_invite_created ON invitation_ledger(created_at) WHERE entry_type = 'invite';
+
+CREATE INDEX IF NOT EXISTS idx_invite_payouts_status_next_attempt ON invite_payouts(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_invite_payouts_inviter_wallet ON invite_payouts(inviter_wallet);
+-- At most one open settlement per inviter
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invite_payouts_open_settle ON invite_payouts(inviter_wallet) WHERE kind = 'settle_tiers' AND status IN ('pending', 'sending');
+-- One activation payout and at most one campaign bonus per invitee
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invite_payouts_kind_invitee ON invite_payouts(kind, invitee_wallet);
+CREATE INDEX IF NOT EXISTS idx_invite_payouts_campaign_id ON invite_payouts(campaign_id);
+
+CREATE INDEX IF NOT EXISTS idx_referral_campaigns_window ON referral_campaigns(starts_at, ends_at);
+CREATE INDEX IF NOT EXISTS idx_referral_campaign_attributions_campaign ON referral_campaign_attributions(campaign_id, inviter_wallet);
+
+CREATE INDEX IF NOT EXISTS idx_invite_reward_reviews_status_created ON invite_reward_reviews(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_invite_reward_reviews_inviter_wallet ON invite_reward_reviews(inviter_wallet);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_ranks_wallet ON leaderboard_ranks(board, time_window, wallet_address);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_ranks_score ON leaderboard_ranks(board, time_window, score DESC, wallet_address);
+
 CREATE INDEX IF NOT EXISTS idx_leaderboard_score ON leaderboard(score DESC);
 
+-- Per-wallet aggregates of indexed chain events
+CREATE OR REPLACE VIEW chain_account_stats AS
+SELECT
+    e.wallet_address,
+    MIN(e.block_timestamp) FILTER (WHERE e.event_name = 'AccountCreated') AS account_created_at,
+    COUNT(*) FILTER (WHERE e.event_name = 'DailyClaimCompleted') AS total_daily_claims,
+    MAX(e.block_timestamp) FILTER (WHERE e.event_name = 'DailyClaimCompleted') AS last_daily_claim_time,
+    COALESCE(SUM(e.amount) FILTER (WHERE e.event_name = 'YieldDistributed'), 0) AS total_yield_claimed,
+    COALESCE(MAX((e.args->>'to')::INTEGER) FILTER (WHERE e.event_name = 'MembershipUpgraded'), 0) AS membership_level,
+    COALESCE(MAX((e.args->>'totalUses')::INTEGER) FILTER (WHERE e.event_name = 'InviteUsed'), 0) AS invite_uses,
+    COALESCE(SUM(e.amount) FILTER (WHERE e.event_name = 'RewardSent'), 0) AS invite_rewards,
+    COALESCE(a.is_activated, FALSE) AS is_activated,
+    a.consecutive_days,
+    a.streak_expires_at
+FROM chain_events e
+LEFT JOIN accounts a ON LOWER(a.wallet_address) = LOWER(e.wallet_address)
+GROUP BY e.wallet_address, a.is_activated, a.consecutive_days, a.streak_expires_at;
+
+-- Invite counts per inviter, summed from invitation_ledger
+-- personal_uses leaves out invites through the wallet's campaign codes, which have their own limit
+CREATE OR REPLACE VIEW invitation_totals AS
+SELECT
+    l.inviter_wallet,
+    SUM(l.delta)::INTEGER AS total_uses,
+    COUNT(*) FILTER (WHERE l.entry_type = 'invite') AS invites,
+    COUNT(*) FILTER (WHERE l.entry_type = 'reversal') AS reversals,
+    COALESCE(SUM(l.delta) FILTER (WHERE l.entry_type = 'adjustment'), 0) AS adjustments,
+    MAX(l.created_at) AS last_entry_at,
+    COALESCE(SUM(l.delta) FILTER (WHERE c.kind IS DISTINCT FROM 'campaign'), 0)::INTEGER AS personal_uses
+FROM invitation_ledger l
+LEFT JOIN invitation_codes c ON c.code = l.invitation_code
+GROUP BY l.inviter_wallet;
+
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -161,14 +570,30 @@ CREATE TRIGGER update_voting_updated_at BEFORE UPDATE ON voting FOR EACH ROW EXE
 CREATE TRIGGER update_rewards_updated_at BEFORE UPDATE ON rewards FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_game_rules_updated_at BEFORE UPDATE ON game_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Create stored procedure for account activation with usage tracking
+-- invitation_ledger is append-only: corrections are new adjustment entries, never edits
+CREATE OR REPLACE FUNCTION reject_invitation_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'invitation_ledger is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER invitation_ledger_append_only BEFORE UPDATE OR DELETE ON invitation_ledger FOR EACH ROW EXECUTE FUNCTION reject_invitation_ledger_changes();
+
+-- Create stored procedure for account activation with usage tracking. Returns the referral
+-- campaign the invite was attributed to, or NULL.
+-- (earlier versions took the inviter's counter value as p_current_uses, then returned nothing)
+DROP FUNCTION IF EXISTS activate_account_with_usage(VARCHAR, VARCHAR, VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS activate_account_with_usage(VARCHAR, VARCHAR, VARCHAR);
 CREATE OR REPLACE FUNCTION activate_account_with_usage(
   p_wallet_address VARCHAR(42),
-  p_invitation_code VARCHAR(8),
-  p_inviter_wallet VARCHAR(42),
-  p_current_uses INTEGER
+  p_invitation_code VARCHAR(32),
+  p_inviter_wallet VARCHAR(42)
 )
-RETURNS VOID AS $$
+RETURNS UUID AS $$
+DECLARE
+  v_inviter_level VARCHAR(20);
+  v_campaign_id UUID;
 BEGIN
   -- Update the account to be activated
   UPDATE accounts 
@@ -179,10 +604,13 @@ BEGIN
     inviter_wallet = p_inviter_wallet
   WHERE wallet_address = p_wallet_address;
 
-  -- Update inviter's usage count
-  UPDATE accounts 
-  SET current_invitation_uses = p_current_uses + 1
-  WHERE wallet_address = p_inviter_wallet;
+  -- Count the invite for the inviter
+  INSERT INTO invitation_ledger (inviter_wallet, invitee_wallet, invitation_code, entry_type, delta, created_by)
+  VALUES (p_inviter_wallet, p_wallet_address, p_invitation_code, 'invite', 1, p_wallet_address);
+
+  UPDATE invitation_codes
+  SET uses = uses + 1
+  WHERE code = p_invitation_code;
 
   -- Add usage log
   INSERT INTO invitation_usage (
@@ -196,6 +624,38 @@ BEGIN
     NOW(),
     p_inviter_wallet
   );
+
+  -- Outbox row for the invite reward, written in the same transaction. The route releases it
+  -- once the sybil check passes (or holds it for review); unreleased rows go out after a minute.
+  INSERT INTO invite_payouts (kind, inviter_wallet, invitee_wallet, next_attempt_at)
+  VALUES ('record_invite', p_inviter_wallet, p_wallet_address, NOW() + INTERVAL '1 minute');
+
+  -- Attribute the invite to the running campaign the inviter is eligible for, the one that
+  -- started last. In the same transaction, so an activation never loses its campaign bonus.
+  SELECT COALESCE(membership_level, 'Based') INTO v_inviter_level
+  FROM accounts
+  WHERE wallet_address = p_inviter_wallet;
+
+  SELECT id INTO v_campaign_id
+  FROM referral_campaigns
+  WHERE cancelled_at IS NULL
+    AND starts_at <= NOW()
+    AND ends_at > NOW()
+    AND (eligible_levels = '{}' OR v_inviter_level = ANY(eligible_levels))
+  ORDER BY starts_at DESC
+  LIMIT 1;
+
+  IF v_campaign_id IS NOT NULL THEN
+    INSERT INTO referral_campaign_attributions (campaign_id, inviter_wallet, invitee_wallet, invitation_code, inviter_level)
+    VALUES (v_campaign_id, p_inviter_wallet, p_wallet_address, p_invitation_code, v_inviter_level)
+    ON CONFLICT (invitee_wallet) DO NOTHING;
+
+    IF NOT FOUND THEN
+      v_campaign_id := NULL;
+    END IF;
+  END IF;
+
+  RETURN v_campaign_id;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -240,4 +700,894 @@ BEGIN
     NOW()
   );
 END;
-$$ LANGUAGE plpgsql; 
\ No newline at end of file
+$$ LANGUAGE plpgsql; 
+
+-- Pays for a streak item from the off-chain ENB balance and applies its effect in one transaction.
+-- NULL streak arguments leave the column unchanged. Raises InsufficientBalance or MaxFreezesReached.
+CREATE OR REPLACE FUNCTION spend_enb_on_streak_item(
+  p_wallet_address VARCHAR(42),
+  p_item_type VARCHAR(10),
+  p_quantity INTEGER,
+  p_cost DECIMAL(20, 8),
+  p_freezes_delta INTEGER,
+  p_max_freezes INTEGER,
+  p_consecutive_days INTEGER,
+  p_longest_streak INTEGER,
+  p_streak_expires_at TIMESTAMP WITH TIME ZONE,
+  p_clear_broken_streak BOOLEAN
+)
+RETURNS DECIMAL(20, 8) AS $$
+DECLARE
+  v_new_balance DECIMAL(20, 8);
+  v_freezes INTEGER;
+BEGIN
+  UPDATE accounts
+  SET enb_balance = enb_balance - p_cost
+  WHERE wallet_address = p_wallet_address AND enb_balance >= p_cost
+  RETURNING enb_balance INTO v_new_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'InsufficientBalance';
+  END IF;
+
+  UPDATE accounts
+  SET
+    consecutive_days = COALESCE(p_consecutive_days, consecutive_days),
+    longest_streak = COALESCE(p_longest_streak, longest_streak),
+    streak_expires_at = COALESCE(p_streak_expires_at, streak_expires_at),
+    broken_streak = CASE WHEN p_clear_broken_streak THEN 0 ELSE broken_streak END,
+    streak_broken_at = CASE WHEN p_clear_broken_streak THEN NULL ELSE streak_broken_at END
+  WHERE wallet_address = p_wallet_address;
+
+  INSERT INTO streak_inventory (wallet_address, freezes, freezes_purchased, repairs_used)
+  VALUES (
+    p_wallet_address,
+    p_freezes_delta,
+    CASE WHEN p_item_type = 'freeze' THEN p_quantity ELSE 0 END,
+    CASE WHEN p_item_type = 'repair' THEN 1 ELSE 0 END
+  )
+  ON CONFLICT (wallet_address) DO UPDATE SET
+    freezes = streak_inventory.freezes + EXCLUDED.freezes,
+    freezes_purchased = streak_inventory.freezes_purchased + EXCLUDED.freezes_purchased,
+    repairs_used = streak_inventory.repairs_used + EXCLUDED.repairs_used,
+    updated_at = NOW()
+  RETURNING freezes INTO v_freezes;
+
+  IF p_max_freezes IS NOT NULL AND v_freezes > p_max_freezes THEN
+    RAISE EXCEPTION 'MaxFreezesReached';
+  END IF;
+
+  INSERT INTO transactions (
+    wallet_address,
+    amount,
+    type,
+    description,
+    balance_before,
+    balance_after,
+    timestamp
+  ) VALUES (
+    p_wallet_address,
+    p_cost,
+    'debit',
+    CASE WHEN p_item_type = 'freeze' THEN 'Streak freeze x' || p_quantity ELSE 'Streak repair' END,
+    v_new_balance + p_cost,
+    v_new_balance,
+    NOW()
+  );
+
+  INSERT INTO streak_item_events (wallet_address, item_type, action, quantity, enb_cost, streak_value)
+  VALUES (
+    p_wallet_address,
+    p_item_type,
+    CASE WHEN p_item_type = 'freeze' THEN 'purchased' ELSE 'repaired' END,
+    p_quantity,
+    p_cost,
+    p_consecutive_days
+  );
+
+  RETURN v_new_balance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Credits an off-chain ENB reward as an increment of the stored balance, so a debit made
+-- since the account was read (streak items, admin adjustments) is kept. Returns the new balance.
+CREATE OR REPLACE FUNCTION credit_enb_reward(
+  p_wallet_address VARCHAR(42),
+  p_amount DECIMAL(20, 8),
+  p_description TEXT
+)
+RETURNS DECIMAL(20, 8) AS $$
+DECLARE
+  v_new_balance DECIMAL(20, 8);
+BEGIN
+  UPDATE accounts
+  SET
+    enb_balance = COALESCE(enb_balance, 0) + p_amount,
+    total_earned = COALESCE(total_earned, 0) + p_amount
+  WHERE wallet_address = p_wallet_address
+  RETURNING enb_balance INTO v_new_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'AccountNotFound';
+  END IF;
+
+  INSERT INTO transactions (
+    wallet_address,
+    amount,
+    type,
+    description,
+    balance_before,
+    balance_after,
+    timestamp
+  ) VALUES (
+    p_wallet_address,
+    p_amount,
+    'credit',
+    p_description,
+    v_new_balance - p_amount,
+    v_new_balance,
+    NOW()
+  );
+
+  RETURN v_new_balance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Counts one request against a rate limit key and returns the hits in the current window.
+-- Expired windows restart at 1. Occasionally sweeps counters that expired over an hour ago.
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  p_key VARCHAR(200),
+  p_window_ms INTEGER
+)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMP WITH TIME ZONE) AS $$
+#variable_conflict use_column
+BEGIN
+  IF random() < 0.01 THEN
+    DELETE FROM rate_limit_counters c WHERE c.reset_at < NOW() - INTERVAL '1 hour';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO rate_limit_counters AS c (key, hits, reset_at)
+  VALUES (p_key, 1, NOW() + p_window_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (key) DO UPDATE SET
+    hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+    reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+  RETURNING c.hits, c.reset_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Accounts activated through a wallet's invitations, down to p_max_depth levels
+-- (depth 1 = direct invitees), with each account's claim count
+CREATE OR REPLACE FUNCTION get_referral_downline(
+  p_wallet_address VARCHAR(42),
+  p_max_depth INTEGER
+)
+RETURNS TABLE (
+  wallet_address VARCHAR(42),
+  inviter_wallet VARCHAR(42),
+  depth INTEGER,
+  membership_level VARCHAR(20),
+  activated_at TIMESTAMP WITH TIME ZONE,
+  consecutive_days INTEGER,
+  longest_streak INTEGER,
+  last_daily_claim_time TIMESTAMP WITH TIME ZONE,
+  streak_expires_at TIMESTAMP WITH TIME ZONE,
+  total_claims BIGINT
+) AS $$
+  WITH RECURSIVE downline AS (
+    SELECT a.wallet_address, a.inviter_wallet, 1 AS depth, ARRAY[p_wallet_address, a.wallet_address]::VARCHAR(42)[] AS path
+    FROM accounts a
+    WHERE a.inviter_wallet = p_wallet_address
+
+    UNION ALL
+
+    SELECT a.wallet_address, a.inviter_wallet, d.depth + 1, d.path || a.wallet_address
+    FROM accounts a
+    JOIN downline d ON a.inviter_wallet = d.wallet_address
+    WHERE d.depth < p_max_depth
+      -- Guards against invitation cycles in hand-edited data
+      AND NOT a.wallet_address = ANY(d.path)
+  )
+  SELECT
+    d.wallet_address,
+    d.inviter_wallet,
+    d.depth,
+    a.membership_level,
+    a.activated_at,
+    a.consecutive_days,
+    a.longest_streak,
+    a.last_daily_claim_time,
+    a.streak_expires_at,
+    c.total_claims
+  FROM downline d
+  JOIN accounts a ON a.wallet_address = d.wallet_address
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total_claims FROM claims cl WHERE cl.wallet_address = d.wallet_address
+  ) c
+  -- Wallet breaks ties so callers can page through the rows
+  ORDER BY d.depth, a.activated_at, d.wallet_address;
+$$ LANGUAGE sql STABLE;
+
+-- Makes p_code the wallet's personal invitation code and revokes its previous personal codes
+CREATE OR REPLACE FUNCTION replace_invitation_code(
+  p_wallet_address VARCHAR(42),
+  p_code VARCHAR(32),
+  p_kind VARCHAR(10)
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO invitation_codes (code, owner_wallet, kind, created_by)
+  VALUES (p_code, p_wallet_address, p_kind, p_wallet_address);
+
+  UPDATE invitation_codes
+  SET revoked_at = NOW(), revoked_by = p_wallet_address
+  WHERE owner_wallet = p_wallet_address
+    AND kind <> 'campaign'
+    AND code <> p_code
+    AND revoked_at IS NULL;
+
+  UPDATE accounts
+  SET invitation_code = p_code
+  WHERE wallet_address = p_wallet_address;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Revokes an invitation code; a revoked personal code is also cleared from its owner's account
+CREATE OR REPLACE FUNCTION revoke_invitation_code(
+  p_code VARCHAR(32),
+  p_revoked_by VARCHAR(100)
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE invitation_codes
+  SET revoked_at = NOW(), revoked_by = p_revoked_by
+  WHERE code = p_code AND revoked_at IS NULL;
+
+  UPDATE accounts
+  SET invitation_code = NULL
+  WHERE invitation_code = p_code;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Marks an invite payout paid. A paid record_invite whose activation was attributed to a referral
+-- campaign also queues the campaign_bonus payout, in the same transaction, so a recorded invite
+-- never ends up without its bonus. The bonus is a fixed amount per invite, or (multiplier - 1)
+-- times the tier rewards in p_result. Returns the id of the bonus payout if one was queued.
+CREATE OR REPLACE FUNCTION complete_invite_payout(
+  p_id UUID,
+  p_tx_hash VARCHAR(66),
+  p_tx_hashes TEXT[],
+  p_result JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+  v_payout invite_payouts%ROWTYPE;
+  v_attribution referral_campaign_attributions%ROWTYPE;
+  v_campaign referral_campaigns%ROWTYPE;
+  v_amount DECIMAL(20, 8);
+  v_bonus_id UUID;
+BEGIN
+  UPDATE invite_payouts
+  SET
+    status = 'paid',
+    tx_hash = p_tx_hash,
+    tx_hashes = p_tx_hashes,
+    result = p_result,
+    paid_at = NOW(),
+    updated_at = NOW()
+  WHERE id = p_id
+  RETURNING * INTO v_payout;
+
+  IF NOT FOUND OR v_payout.kind <> 'record_invite' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_attribution
+  FROM referral_campaign_attributions
+  WHERE invitee_wallet = v_payout.invitee_wallet;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_campaign FROM referral_campaigns WHERE id = v_attribution.campaign_id;
+
+  IF v_campaign.bonus_type = 'per_invite' THEN
+    v_amount := v_campaign.bonus_amount;
+  ELSE
+    SELECT COALESCE(SUM((r->>'amount')::DECIMAL), 0) * (v_campaign.airdrop_multiplier - 1)
+    INTO v_amount
+    FROM jsonb_array_elements(COALESCE(p_result->'rewards', '[]'::JSONB)) r;
+  END IF;
+
+  IF v_amount IS NULL OR v_amount <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO invite_payouts (kind, inviter_wallet, invitee_wallet, campaign_id, amount)
+  VALUES ('campaign_bonus', v_attribution.inviter_wallet, v_attribution.invitee_wallet, v_campaign.id, v_amount)
+  ON CONFLICT (kind, invitee_wallet) DO NOTHING
+  RETURNING id INTO v_bonus_id;
+
+  RETURN v_bonus_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rejects a held invite reward, cancels its payout and reverses the invite in the ledger, so the
+-- inviter's count matches inviteUses on the airdrop contract again. FALSE if the review is not pending.
+CREATE OR REPLACE FUNCTION reject_invite_reward_review(
+  p_id UUID,
+  p_reviewed_by VARCHAR(100)
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_inviter_wallet VARCHAR(42);
+  v_invitee_wallet VARCHAR(42);
+  v_invitation_code VARCHAR(32);
+  v_payout_id UUID;
+BEGIN
+  UPDATE invite_reward_reviews
+  SET status = 'rejected', reviewed_at = NOW(), reviewed_by = p_reviewed_by
+  WHERE id = p_id AND status = 'pending'
+  RETURNING inviter_wallet, invitee_wallet, invitation_code, payout_id
+  INTO v_inviter_wallet, v_invitee_wallet, v_invitation_code, v_payout_id;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE invite_payouts
+  SET status = 'cancelled', updated_at = NOW()
+  WHERE id = v_payout_id AND status = 'held';
+
+  INSERT INTO invitation_ledger (inviter_wallet, invitee_wallet, invitation_code, entry_type, delta, reason, created_by)
+  VALUES (v_inviter_wallet, v_invitee_wallet, v_invitation_code, 'reversal', -1, 'Invite reward rejected in sybil review', p_reviewed_by);
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Invite conversion funnel built from invitation_usage, accounts and claims. One row per
+-- inviter when p_per_inviter, otherwise a single totals row with a NULL inviter_wallet.
+-- invitation_usage is only written at activation, so the funnel starts at activated invitees.
+-- An invitee is retained at day N if they claimed N or more days after activating; the
+-- eligible_day_N columns count invitees who activated at least N days ago.
+DROP FUNCTION IF EXISTS get_invite_funnel(VARCHAR, TIMESTAMP WITH TIME ZONE, BOOLEAN);
+CREATE OR REPLACE FUNCTION get_invite_funnel(
+  p_inviter_wallet VARCHAR(42) DEFAULT NULL,
+  p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_per_inviter BOOLEAN DEFAULT TRUE
+)
+RETURNS TABLE (
+  inviter_wallet VARCHAR(42),
+  activated BIGINT,
+  first_claim BIGINT,
+  eligible_day_7 BIGINT,
+  retained_day_7 BIGINT,
+  eligible_day_30 BIGINT,
+  retained_day_30 BIGINT
+) AS $$
+  WITH invitees AS (
+    SELECT DISTINCT ON (u.used_by)
+      u.inviter_wallet,
+      u.used_by,
+      COALESCE(a.activated_at, u.used_at) AS activated_at
+    FROM invitation_usage u
+    LEFT JOIN accounts a ON a.wallet_address = u.used_by
+    WHERE (p_inviter_wallet IS NULL OR u.inviter_wallet = p_inviter_wallet)
+      AND (p_since IS NULL OR u.used_at >= p_since)
+    ORDER BY u.used_by, u.used_at
+  ),
+  claim_stats AS (
+    SELECT
+      i.used_by,
+      BOOL_OR(c.claimed_at >= i.activated_at) AS first_claim,
+      BOOL_OR(c.claimed_at >= i.activated_at + INTERVAL '7 days') AS retained_day_7,
+      BOOL_OR(c.claimed_at >= i.activated_at + INTERVAL '30 days') AS retained_day_30
+    FROM invitees i
+    JOIN claims c ON c.wallet_address = i.used_by
+    GROUP BY i.used_by
+  )
+  SELECT
+    CASE WHEN p_per_inviter THEN i.inviter_wallet END::VARCHAR(42),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE cs.first_claim),
+    COUNT(*) FILTER (WHERE i.activated_at <= NOW() - INTERVAL '7 days'),
+    COUNT(*) FILTER (WHERE cs.retained_day_7),
+    COUNT(*) FILTER (WHERE i.activated_at <= NOW() - INTERVAL '30 days'),
+    COUNT(*) FILTER (WHERE cs.retained_day_30)
+  FROM invitees i
+  LEFT JOIN claim_stats cs ON cs.used_by = i.used_by
+  GROUP BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Inviters ranked by qualified invitees: invite entries since p_since whose invitee is still
+-- activated and was not reversed, and with p_require_claim made a daily claim after activating.
+-- Ties share a rank.
+CREATE OR REPLACE FUNCTION get_invite_leaderboard(
+  p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_require_claim BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+  rank BIGINT,
+  inviter_wallet VARCHAR(42),
+  qualified_invitees BIGINT,
+  last_invite_at TIMESTAMP WITH TIME ZONE
+) AS $$
+  SELECT
+    RANK() OVER (ORDER BY COUNT(*) DESC),
+    l.inviter_wallet,
+    COUNT(*),
+    MAX(l.created_at)
+  FROM invitation_ledger l
+  JOIN accounts a ON a.wallet_address = l.invitee_wallet AND a.is_activated
+  WHERE l.entry_type = 'invite'
+    AND (p_since IS NULL OR l.created_at >= p_since)
+    AND NOT EXISTS (
+      SELECT 1 FROM invitation_ledger r
+      WHERE r.entry_type = 'reversal' AND r.invitee_wallet = l.invitee_wallet
+    )
+    AND (NOT p_require_claim OR EXISTS (
+      SELECT 1 FROM claims c
+      WHERE c.wallet_address = l.invitee_wallet AND c.claimed_at >= l.created_at
+    ))
+  GROUP BY l.inviter_wallet;
+$$ LANGUAGE sql STABLE;
+
+-- Windowed leaderboards (see services/leaderboard-ranks.js). Each ranks activated accounts by
+-- what they did since p_since, highest first, and carries the account fields the entries show.
+
+-- ENB credited by daily claims
+CREATE OR REPLACE FUNCTION get_mined_leaderboard(p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  wallet_address VARCHAR(42),
+  enb_mined DECIMAL,
+  claims BIGINT,
+  enb_balance DECIMAL,
+  membership_level VARCHAR(20),
+  consecutive_days INTEGER,
+  last_daily_claim_time TIMESTAMP WITH TIME ZONE,
+  streak_expires_at TIMESTAMP WITH TIME ZONE
+) AS $$
+  SELECT a.wallet_address, SUM(c.reward), COUNT(*), a.enb_balance, a.membership_level,
+    a.consecutive_days, a.last_daily_claim_time, a.streak_expires_at
+  FROM claims c
+  JOIN accounts a ON a.wallet_address = c.wallet_address AND a.is_activated
+  WHERE c.claimed_at >= p_since
+  GROUP BY a.id
+$$ LANGUAGE sql STABLE;
+
+-- ENB yield claimed on-chain (indexed YieldDistributed events) and on-chain daily claims
+CREATE OR REPLACE FUNCTION get_yield_leaderboard(p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  wallet_address VARCHAR(42),
+  total_yield_claimed DECIMAL,
+  total_daily_claims BIGINT,
+  membership_level VARCHAR(20),
+  consecutive_days INTEGER,
+  last_daily_claim_time TIMESTAMP WITH TIME ZONE,
+  streak_expires_at TIMESTAMP WITH TIME ZONE
+) AS $$
+  SELECT a.wallet_address,
+    COALESCE(SUM(e.amount) FILTER (WHERE e.event_name = 'YieldDistributed'), 0),
+    COUNT(*) FILTER (WHERE e.event_name = 'DailyClaimCompleted'),
+    a.membership_level, a.consecutive_days, a.last_daily_claim_time, a.streak_expires_at
+  FROM chain_events e
+  JOIN accounts a ON LOWER(a.wallet_address) = LOWER(e.wallet_address) AND a.is_activated
+  WHERE e.event_name IN ('YieldDistributed', 'DailyClaimCompleted')
+    AND e.block_timestamp >= p_since
+  GROUP BY a.id
+$$ LANGUAGE sql STABLE;
+
+-- Longest run of consecutive UTC days with a claim inside the window
+CREATE OR REPLACE FUNCTION get_streak_window_leaderboard(p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  wallet_address VARCHAR(42),
+  best_run INTEGER,
+  claim_days INTEGER,
+  longest_streak INTEGER,
+  membership_level VARCHAR(20),
+  enb_balance DECIMAL
+) AS $$
+  WITH claimed_days AS (
+    SELECT DISTINCT c.wallet_address, (c.claimed_at AT TIME ZONE 'UTC')::DATE AS day
+    FROM claims c
+    WHERE c.claimed_at >= p_since
+  ),
+  runs AS (
+    -- Consecutive days share day - row_number
+    SELECT wallet_address, COUNT(*) AS run_length
+    FROM (
+      SELECT wallet_address, day, day - (ROW_NUMBER() OVER (PARTITION BY wallet_address ORDER BY day))::INTEGER AS run_start
+      FROM claimed_days
+    ) d
+    GROUP BY wallet_address, run_start
+  )
+  SELECT a.wallet_address, MAX(r.run_length)::INTEGER, SUM(r.run_length)::INTEGER,
+    a.longest_streak, a.membership_level, a.enb_balance
+  FROM runs r
+  JOIN accounts a ON a.wallet_address = r.wallet_address AND a.is_activated
+  GROUP BY a.id
+$$ LANGUAGE sql STABLE;
+
+-- Scores of one leaderboard (see services/leaderboard-ranks.js) with the entry fields it shows;
+-- p_since NULL is all-time. The entry keys are the same in every window.
+CREATE OR REPLACE FUNCTION get_leaderboard_scores(p_board VARCHAR, p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (wallet_address VARCHAR(42), score DECIMAL, entry JSONB) AS $$
+BEGIN
+  IF p_board = 'balance' AND p_since IS NULL THEN
+    RETURN QUERY
+    SELECT a.wallet_address, COALESCE(a.enb_balance, 0)::DECIMAL, jsonb_build_object(
+      'enb_balance', a.enb_balance, 'enb_mined', NULL, 'membership_level', a.membership_level,
+      'consecutive_days', a.consecutive_days, 'last_daily_claim_time', a.last_daily_claim_time,
+      'streak_expires_at', a.streak_expires_at)
+    FROM accounts a
+    WHERE a.is_activated;
+
+  ELSIF p_board = 'balance' THEN
+    RETURN QUERY
+    SELECT m.wallet_address, m.enb_mined, jsonb_build_object(
+      'enb_balance', m.enb_balance, 'enb_mined', m.enb_mined, 'membership_level', m.membership_level,
+      'consecutive_days', m.consecutive_days, 'last_daily_claim_time', m.last_daily_claim_time,
+      'streak_expires_at', m.streak_expires_at)
+    FROM get_mined_leaderboard(p_since) m;
+
+  ELSIF p_board = 'earnings' AND p_since IS NULL THEN
+    RETURN QUERY
+    SELECT a.wallet_address, s.total_yield_claimed::DECIMAL, jsonb_build_object(
+      'total_yield_claimed', s.total_yield_claimed, 'total_daily_claims', s.total_daily_claims,
+      'membership_level', a.membership_level, 'consecutive_days', a.consecutive_days,
+      'last_daily_claim_time', a.last_daily_claim_time, 'streak_expires_at', a.streak_expires_at)
+    FROM chain_account_stats s
+    JOIN accounts a ON LOWER(a.wallet_address) = LOWER(s.wallet_address) AND a.is_activated;
+
+  ELSIF p_board = 'earnings' THEN
+    RETURN QUERY
+    SELECT y.wallet_address, y.total_yield_claimed, jsonb_build_object(
+      'total_yield_claimed', y.total_yield_claimed, 'total_daily_claims', y.total_daily_claims,
+      'membership_level', y.membership_level, 'consecutive_days', y.consecutive_days,
+      'last_daily_claim_time', y.last_daily_claim_time, 'streak_expires_at', y.streak_expires_at)
+    FROM get_yield_leaderboard(p_since) y;
+
+  ELSIF p_board = 'streaks' AND p_since IS NULL THEN
+    -- Streaks whose deadline has passed are broken even before the next claim resets them
+    RETURN QUERY
+    SELECT a.wallet_address, COALESCE(a.consecutive_days, 0)::DECIMAL, jsonb_build_object(
+      'consecutive_days', a.consecutive_days, 'claim_days', NULL, 'longest_streak', a.longest_streak,
+      'membership_level', a.membership_level, 'enb_balance', a.enb_balance)
+    FROM accounts a
+    WHERE a.is_activated AND a.streak_expires_at > NOW();
+
+  ELSIF p_board = 'streaks' THEN
+    RETURN QUERY
+    SELECT w.wallet_address, w.best_run::DECIMAL, jsonb_build_object(
+      'consecutive_days', w.best_run, 'claim_days', w.claim_days, 'longest_streak', w.longest_streak,
+      'membership_level', w.membership_level, 'enb_balance', w.enb_balance)
+    FROM get_streak_window_leaderboard(p_since) w;
+
+  ELSIF p_board IN ('invites', 'invites-claimed') THEN
+    RETURN QUERY
+    SELECT i.inviter_wallet, i.qualified_invitees::DECIMAL, jsonb_build_object(
+      'qualified_invitees', i.qualified_invitees, 'last_invite_at', i.last_invite_at)
+    FROM get_invite_leaderboard(p_since, p_board = 'invites-claimed') i;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown leaderboard: %', p_board;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Replaces the ranks of one leaderboard window in a single transaction, so readers see either
+-- the previous ranking or the new one. Returns the number of ranked wallets.
+-- With p_fresh_after, a ranking of the same window computed after that time is kept as it is:
+-- reads that found the board stale and queued up behind the lock don't each re-rank it again.
+-- (the previous version had no p_fresh_after)
+DROP FUNCTION IF EXISTS refresh_leaderboard_ranks(VARCHAR, VARCHAR, TIMESTAMP WITH TIME ZONE);
+CREATE OR REPLACE FUNCTION refresh_leaderboard_ranks(
+  p_board VARCHAR,
+  p_window VARCHAR,
+  p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_fresh_after TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_entries INTEGER;
+BEGIN
+  -- Two refreshes of the same board would insert the same positions
+  PERFORM pg_advisory_xact_lock(hashtext('leaderboard_ranks:' || p_board || ':' || p_window));
+
+  IF p_fresh_after IS NOT NULL THEN
+    SELECT entries INTO v_entries
+    FROM leaderboard_refreshes
+    WHERE board = p_board
+      AND time_window = p_window
+      AND window_starts_at IS NOT DISTINCT FROM p_since
+      AND computed_at > p_fresh_after;
+
+    IF FOUND THEN
+      RETURN v_entries;
+    END IF;
+  END IF;
+
+  DELETE FROM leaderboard_ranks WHERE board = p_board AND time_window = p_window;
+
+  INSERT INTO leaderboard_ranks (board, time_window, position, rank, wallet_address, score, entry)
+  SELECT p_board, p_window,
+    ROW_NUMBER() OVER (ORDER BY s.score DESC, s.wallet_address),
+    RANK() OVER (ORDER BY s.score DESC),
+    s.wallet_address, s.score, s.entry
+  FROM get_leaderboard_scores(p_board, p_since) s;
+  GET DIAGNOSTICS v_entries = ROW_COUNT;
+
+  INSERT INTO leaderboard_refreshes (board, time_window, window_starts_at, entries, computed_at)
+  VALUES (p_board, p_window, p_since, v_entries, NOW())
+  ON CONFLICT (board, time_window) DO UPDATE
+  SET window_starts_at = EXCLUDED.window_starts_at, entries = EXCLUDED.entries, computed_at = EXCLUDED.computed_at;
+
+  RETURN v_entries;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Outcome of a referral campaign per inviter (or in total): attributed activations, how many were
+-- recorded on-chain (qualified) or rejected in sybil review, and the ENB of their bonuses by status
+CREATE OR REPLACE FUNCTION get_referral_campaign_report(
+  p_campaign_id UUID,
+  p_per_inviter BOOLEAN DEFAULT TRUE
+)
+RETURNS TABLE (
+  inviter_wallet VARCHAR(42),
+  attributed BIGINT,
+  qualified BIGINT,
+  rejected BIGINT,
+  bonus_paid DECIMAL,
+  bonus_pending DECIMAL,
+  bonus_failed DECIMAL
+) AS $$
+  SELECT
+    CASE WHEN p_per_inviter THEN ca.inviter_wallet END::VARCHAR(42),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE rp.status = 'paid'),
+    COUNT(*) FILTER (WHERE rp.status = 'cancelled'),
+    COALESCE(SUM(bp.amount) FILTER (WHERE bp.status = 'paid'), 0),
+    COALESCE(SUM(bp.amount) FILTER (WHERE bp.status IN ('pending', 'held', 'sending')), 0),
+    COALESCE(SUM(bp.amount) FILTER (WHERE bp.status = 'failed'), 0)
+  FROM referral_campaign_attributions ca
+  LEFT JOIN invite_payouts rp ON rp.kind = 'record_invite' AND rp.invitee_wallet = ca.invitee_wallet
+  LEFT JOIN invite_payouts bp ON bp.kind = 'campaign_bonus' AND bp.invitee_wallet = ca.invitee_wallet
+  WHERE ca.campaign_id = p_campaign_id
+  GROUP BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Admin analytics (see services/analytics.js). Days are UTC; p_from and p_to are inclusive and
+-- every day of the range is returned, with zeros on days without activity.
+
+-- Wallets that claimed each day, and in the 7 days ending that day
+CREATE OR REPLACE FUNCTION get_active_claimers(p_from DATE, p_to DATE)
+RETURNS TABLE (day DATE, daily_claimers BIGINT, weekly_claimers BIGINT) AS $$
+  WITH days AS (
+    SELECT p_from + n AS day FROM generate_series(0, p_to - p_from) n
+  ),
+  claimed_days AS (
+    SELECT DISTINCT c.wallet_address, (c.claimed_at AT TIME ZONE 'UTC')::DATE AS day
+    FROM claims c
+    WHERE c.claimed_at >= (p_from - 6)::TIMESTAMP AT TIME ZONE 'UTC'
+      AND c.claimed_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+  )
+  SELECT d.day,
+    COUNT(DISTINCT cd.wallet_address) FILTER (WHERE cd.day = d.day),
+    COUNT(DISTINCT cd.wallet_address)
+  FROM days d
+  LEFT JOIN claimed_days cd ON cd.day BETWEEN d.day - 6 AND d.day
+  GROUP BY d.day
+  ORDER BY d.day;
+$$ LANGUAGE sql STABLE;
+
+-- Accounts created, accounts activated and activations with an invitation code, per day
+CREATE OR REPLACE FUNCTION get_account_growth(p_from DATE, p_to DATE)
+RETURNS TABLE (day DATE, new_accounts BIGINT, activations BIGINT, invited_activations BIGINT) AS $$
+  WITH days AS (
+    SELECT p_from + n AS day FROM generate_series(0, p_to - p_from) n
+  ),
+  created AS (
+    SELECT (created_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(*) AS total
+    FROM accounts
+    WHERE created_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND created_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  ),
+  activated AS (
+    SELECT (activated_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(*) AS total
+    FROM accounts
+    WHERE is_activated
+      AND activated_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND activated_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  ),
+  invited AS (
+    SELECT (used_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(DISTINCT used_by) AS total
+    FROM invitation_usage
+    WHERE used_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND used_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  )
+  SELECT d.day, COALESCE(c.total, 0), COALESCE(a.total, 0), COALESCE(i.total, 0)
+  FROM days d
+  LEFT JOIN created c ON c.day = d.day
+  LEFT JOIN activated a ON a.day = d.day
+  LEFT JOIN invited i ON i.day = d.day
+  ORDER BY d.day;
+$$ LANGUAGE sql STABLE;
+
+-- Accounts activated each day, and how many of them claimed on the 1st, 7th and 30th day after
+-- activating. A cohort whose day N has not ended yet reports NULL for it.
+CREATE OR REPLACE FUNCTION get_retention_cohorts(p_from DATE, p_to DATE)
+RETURNS TABLE (
+  cohort_day DATE,
+  activated BIGINT,
+  retained_day_1 BIGINT,
+  retained_day_7 BIGINT,
+  retained_day_30 BIGINT
+) AS $$
+  WITH cohort AS (
+    SELECT wallet_address, (activated_at AT TIME ZONE 'UTC')::DATE AS cohort_day
+    FROM accounts
+    WHERE is_activated
+      AND activated_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND activated_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+  ),
+  returned AS (
+    SELECT c.wallet_address,
+      BOOL_OR((cl.claimed_at AT TIME ZONE 'UTC')::DATE = c.cohort_day + 1) AS day_1,
+      BOOL_OR((cl.claimed_at AT TIME ZONE 'UTC')::DATE = c.cohort_day + 7) AS day_7,
+      BOOL_OR((cl.claimed_at AT TIME ZONE 'UTC')::DATE = c.cohort_day + 30) AS day_30
+    FROM cohort c
+    JOIN claims cl ON cl.wallet_address = c.wallet_address
+      AND cl.claimed_at >= (c.cohort_day + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+      AND cl.claimed_at < (c.cohort_day + 31)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY c.wallet_address
+  )
+  SELECT c.cohort_day, COUNT(*),
+    CASE WHEN c.cohort_day + 1 < (NOW() AT TIME ZONE 'UTC')::DATE THEN COUNT(*) FILTER (WHERE r.day_1) END,
+    CASE WHEN c.cohort_day + 7 < (NOW() AT TIME ZONE 'UTC')::DATE THEN COUNT(*) FILTER (WHERE r.day_7) END,
+    CASE WHEN c.cohort_day + 30 < (NOW() AT TIME ZONE 'UTC')::DATE THEN COUNT(*) FILTER (WHERE r.day_30) END
+  FROM cohort c
+  LEFT JOIN returned r ON r.wallet_address = c.wallet_address
+  GROUP BY c.cohort_day
+  ORDER BY c.cohort_day;
+$$ LANGUAGE sql STABLE;
+
+-- Membership levels of the accounts activated in the range (every activated account when both are NULL)
+CREATE OR REPLACE FUNCTION get_membership_distribution(p_from DATE DEFAULT NULL, p_to DATE DEFAULT NULL)
+RETURNS TABLE (membership_level VARCHAR(20), accounts BIGINT) AS $$
+  SELECT COALESCE(a.membership_level, 'Based')::VARCHAR(20), COUNT(*)
+  FROM accounts a
+  WHERE a.is_activated
+    AND (p_from IS NULL OR a.activated_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC')
+    AND (p_to IS NULL OR a.activated_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC')
+  GROUP BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Of the accounts activated in the range, how many have upgraded since, the highest level they
+-- reached (1 Super Based, 2 Legendary) and the median days from activation to the first upgrade
+CREATE OR REPLACE FUNCTION get_upgrade_conversion(p_from DATE, p_to DATE)
+RETURNS TABLE (
+  activated BIGINT,
+  upgraded BIGINT,
+  reached_super_based BIGINT,
+  reached_legendary BIGINT,
+  median_days_to_upgrade DOUBLE PRECISION
+) AS $$
+  WITH cohort AS (
+    SELECT wallet_address, activated_at
+    FROM accounts
+    WHERE is_activated
+      AND activated_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND activated_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+  ),
+  upgraded AS (
+    SELECT u.wallet_address, MIN(u.upgraded_at) AS first_upgrade_at, MAX(u.level) AS top_level
+    FROM upgrades u
+    JOIN cohort c ON c.wallet_address = u.wallet_address
+    GROUP BY u.wallet_address
+  )
+  SELECT COUNT(*), COUNT(u.wallet_address),
+    COUNT(*) FILTER (WHERE u.top_level >= 1),
+    COUNT(*) FILTER (WHERE u.top_level >= 2),
+    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM u.first_upgrade_at - c.activated_at) / 86400)
+  FROM cohort c
+  LEFT JOIN upgraded u ON u.wallet_address = c.wallet_address;
+$$ LANGUAGE sql STABLE;
+
+-- ENB emitted per day: rewards credited by daily claims, invite tier airdrops paid on-chain and
+-- referral campaign bonuses the relayer transferred (by the day they were paid)
+DROP FUNCTION IF EXISTS get_enb_emissions(DATE, DATE);
+CREATE OR REPLACE FUNCTION get_enb_emissions(p_from DATE, p_to DATE)
+RETURNS TABLE (
+  day DATE,
+  claims BIGINT,
+  claim_rewards DECIMAL,
+  airdrops BIGINT,
+  airdrop_rewards DECIMAL,
+  campaign_bonuses BIGINT,
+  campaign_bonus_rewards DECIMAL
+) AS $$
+  WITH days AS (
+    SELECT p_from + n AS day FROM generate_series(0, p_to - p_from) n
+  ),
+  claimed AS (
+    SELECT (claimed_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(*) AS total, SUM(reward) AS amount
+    FROM claims
+    WHERE claimed_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND claimed_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  ),
+  airdropped AS (
+    SELECT (triggered_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(*) AS total, SUM(amount) AS amount
+    FROM airdrops
+    WHERE triggered_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND triggered_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  ),
+  bonuses AS (
+    SELECT (paid_at AT TIME ZONE 'UTC')::DATE AS day, COUNT(*) AS total, SUM(amount) AS amount
+    FROM invite_payouts
+    WHERE kind = 'campaign_bonus' AND status = 'paid'
+      AND paid_at >= p_from::TIMESTAMP AT TIME ZONE 'UTC' AND paid_at < (p_to + 1)::TIMESTAMP AT TIME ZONE 'UTC'
+    GROUP BY 1
+  )
+  SELECT
+    d.day,
+    COALESCE(c.total, 0), COALESCE(c.amount, 0),
+    COALESCE(a.total, 0), COALESCE(a.amount, 0),
+    COALESCE(b.total, 0), COALESCE(b.amount, 0)
+  FROM days d
+  LEFT JOIN claimed c ON c.day = d.day
+  LEFT JOIN airdropped a ON a.day = d.day
+  LEFT JOIN bonuses b ON b.day = d.day
+  ORDER BY d.day;
+$$ LANGUAGE sql STABLE;
+
+-- Adds the invitation_ledger entries that are missing: an invite per activation in
+-- invitation_usage, a reversal per rejected invite review, and an adjustment for inviters
+-- whose on-chain count (latest indexed InviteUsed totalUses) is above what the ledger explains,
+-- e.g. invites from before the database existed. Invites still waiting for their payout are not
+-- on-chain yet and are left out of that comparison. Safe to run again.
+CREATE OR REPLACE FUNCTION rebuild_invitation_ledger()
+RETURNS TABLE (invites_added INTEGER, reversals_added INTEGER, adjustments_added INTEGER) AS $$
+BEGIN
+  INSERT INTO invitation_ledger (inviter_wallet, invitee_wallet, invitation_code, entry_type, delta, reason, created_by, created_at)
+  SELECT DISTINCT ON (u.used_by)
+    u.inviter_wallet, u.used_by, u.invitation_code, 'invite', 1, 'Rebuilt from invitation_usage', 'rebuild', u.used_at
+  FROM invitation_usage u
+  WHERE u.inviter_wallet IS NOT NULL
+  ORDER BY u.used_by, u.used_at
+  ON CONFLICT (invitee_wallet) WHERE entry_type = 'invite' DO NOTHING;
+  GET DIAGNOSTICS invites_added = ROW_COUNT;
+
+  INSERT INTO invitation_ledger (inviter_wallet, invitee_wallet, invitation_code, entry_type, delta, reason, created_by, created_at)
+  SELECT r.inviter_wallet, r.invitee_wallet, r.invitation_code, 'reversal', -1, 'Invite reward rejected in sybil review', r.reviewed_by, r.reviewed_at
+  FROM invite_reward_reviews r
+  WHERE r.status = 'rejected'
+  ON CONFLICT (invitee_wallet) WHERE entry_type = 'reversal' DO NOTHING;
+  GET DIAGNOSTICS reversals_added = ROW_COUNT;
+
+  INSERT INTO invitation_ledger (inviter_wallet, entry_type, delta, reason, created_by)
+  SELECT a.wallet_address, 'adjustment', c.chain_uses - (COALESCE(l.total_uses, 0) - COALESCE(p.unrecorded, 0)),
+    'Invites recorded on-chain (InviteUsed) without an activation in the database', 'rebuild'
+  FROM (
+    SELECT wallet_address, MAX((args->>'totalUses')::INTEGER) AS chain_uses
+    FROM chain_events
+    WHERE event_name = 'InviteUsed'
+    GROUP BY wallet_address
+  ) c
+  JOIN accounts a ON LOWER(a.wallet_address) = LOWER(c.wallet_address)
+  LEFT JOIN invitation_totals l ON l.inviter_wallet = a.wallet_address
+  LEFT JOIN (
+    SELECT inviter_wallet, COUNT(*) AS unrecorded
+    FROM invite_payouts
+    WHERE kind = 'record_invite' AND status IN ('pending', 'held', 'sending', 'failed')
+    GROUP BY inviter_wallet
+  ) p ON p.inviter_wallet = a.wallet_address
+  WHERE c.chain_uses > COALESCE(l.total_uses, 0) - COALESCE(p.unrecorded, 0);
+  GET DIAGNOSTICS adjustments_added = ROW_COUNT;
+
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Fill the ledger from existing activations on install; run `npm run rebuild-ledger` again once
+-- the chain indexer has caught up to pick up on-chain invites
+SELECT * FROM rebuild_invitation_ledger();
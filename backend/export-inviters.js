@@ -0,0 +1,35 @@
+// Script to export every wallet with invite uses on the InviteAirdrop contract, for the
+// InviteAirdropV2 migration (airdrop/script/DeployInviteAirdropV2.s.sol reads INVITERS_FILE).
+// Usage: node export-inviters.js [outputFile]
+// Run the chain indexer up to the current block first; the list comes from indexed InviteUsed events.
+import { writeFileSync } from 'fs';
+import { supabase } from './config/supabase.js';
+
+const outputFile = process.argv[2] || 'inviters.json';
+const PAGE_SIZE = 1000;
+
+try {
+  const inviters = new Set();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('chain_events')
+      .select('wallet_address')
+      .eq('contract_name', 'InviteAirdrop')
+      .eq('event_name', 'InviteUsed')
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    data.forEach(event => inviters.add(event.wallet_address));
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  writeFileSync(outputFile, JSON.stringify({ inviters: [...inviters] }, null, 2));
+  console.log(`✅ Exported ${inviters.size} inviters to ${outputFile}`);
+} catch (error) {
+  console.error('❌ Failed to export inviters:', error.message);
+  process.exit(1);
+}
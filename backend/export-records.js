@@ -0,0 +1,48 @@
+// Script to export ENB records (claims, transactions, upgrades or airdrops) as CSV or NDJSON
+// Usage: node export-records.js <table> [--format csv|ndjson] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--wallet 0x...] [--out file]
+// Dates are UTC and inclusive; without --out the export is written to stdout.
+import { createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
+import { parseArgs } from 'util';
+import { EXPORT_TABLES, EXPORT_FORMATS, createExport, pipeExport } from './services/exports.js';
+
+const { values: options, positionals: [table] } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', default: 'csv' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    wallet: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+if (!EXPORT_TABLES[table]) {
+  console.error('Usage: node export-records.js <table> [--format csv|ndjson] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--wallet 0x...] [--out file]');
+  console.error(`Tables: ${Object.keys(EXPORT_TABLES).join(', ')}; formats: ${EXPORT_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  const { lines } = createExport({
+    table,
+    format: options.format,
+    from: options.from,
+    to: options.to,
+    walletAddress: options.wallet
+  });
+
+  const output = options.out ? createWriteStream(options.out) : process.stdout;
+  await pipeExport(lines, output);
+
+  if (options.out) {
+    output.end();
+    await finished(output);
+  }
+
+  // Status goes to stderr so it never ends up in an export written to stdout
+  console.error(`✅ Exported ${table}${options.out ? ` to ${options.out}` : ''}`);
+} catch (error) {
+  console.error(`❌ Failed to export ${table}:`, error.message);
+  process.exit(1);
+}
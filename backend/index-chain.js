@@ -0,0 +1,5 @@
+// Standalone chain indexer: ingests contract events into chain_events.
+// Run one instance (e.g. outside of Vercel); progress is checkpointed per contract.
+import { startChainIndexer } from './services/chain-indexer.js';
+
+startChainIndexer();
@@ -0,0 +1,23 @@
+// Script to issue a signed admin token for operator endpoints
+// Usage: node issue-admin-token.js <subject> <support|finance|superadmin> [expiresIn]
+import dotenv from 'dotenv';
+import { signAdminToken, ADMIN_ROLES } from './middleware/admin-auth.js';
+
+dotenv.config();
+
+const [subject, role, expiresIn = '12h'] = process.argv.slice(2);
+
+if (!subject || !ADMIN_ROLES.includes(role)) {
+  console.error('Usage: node issue-admin-token.js <subject> <role> [expiresIn]');
+  console.error(`Roles: ${ADMIN_ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  const token = signAdminToken(subject, role, expiresIn);
+  console.log(`✅ Admin token for ${subject} (${role}, expires in ${expiresIn}):`);
+  console.log(token);
+} catch (error) {
+  console.error('❌ Failed to issue admin token:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+import jwt from 'jsonwebtoken';
+import { supabase } from '../config/supabase.js';
+
+// Operator roles. superadmin is implicitly allowed on every admin route.
+const ADMIN_ROLES = ['support', 'finance', 'superadmin'];
+
+const ADMIN_TOKEN_ISSUER = 'enb-api';
+
+// Persist an entry in admin_audit_log. Never blocks or fails the request.
+const recordAdminAudit = (req, entry) => {
+  supabase
+    .from('admin_audit_log')
+    .insert({
+      method: req.method,
+      path: req.originalUrl,
+      ip_address: req.ip,
+      ...entry
+    })
+    .then(({ error }) => {
+      if (error) console.error('Warning: Failed to write admin audit log:', error);
+    });
+};
+
+const signAdminToken = (subject, role, expiresIn = '12h') => {
+  if (!process.env.ADMIN_JWT_SECRET) {
+    throw new Error('ADMIN_JWT_SECRET is not configured');
+  }
+
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Unknown admin role: ${role}`);
+  }
+
+  return jwt.sign({ role }, process.env.ADMIN_JWT_SECRET, {
+    subject,
+    issuer: ADMIN_TOKEN_ISSUER,
+    expiresIn
+  });
+};
+
+// Require a Bearer admin JWT whose role is one of `roles` (or superadmin).
+// Denied calls are answered with 401 (no/invalid token) or 403 (wrong role) and audited.
+const requireAdminRole = (...roles) => {
+  const unknownRoles = roles.filter(role => !ADMIN_ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw new Error(`Unknown admin role(s): ${unknownRoles.join(', ')}`);
+  }
+
+  const allowedRoles = [...new Set([...roles, 'superadmin'])];
+
+  return (req, res, next) => {
+    const deny = (status, error, reason, claims = {}) => {
+      console.warn(`⛔ Admin access denied (${status}):`, { method: req.method, path: req.originalUrl, reason, subject: claims.sub });
+      recordAdminAudit(req, {
+        outcome: 'denied',
+        status_code: status,
+        subject: claims.sub || null,
+        role: claims.role || null,
+        required_roles: allowedRoles,
+        reason
+      });
+      return res.status(status).json({ error, message: reason });
+    };
+
+    if (!process.env.ADMIN_JWT_SECRET) {
+      console.error('❌ ADMIN_JWT_SECRET is not configured; refusing admin request');
+      return deny(401, 'Unauthorized', 'Admin authentication is not configured');
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return deny(401, 'Unauthorized', 'Missing admin bearer token');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, process.env.ADMIN_JWT_SECRET, { issuer: ADMIN_TOKEN_ISSUER });
+    } catch (verifyError) {
+      return deny(401, 'Unauthorized', `Invalid admin token: ${verifyError.message}`);
+    }
+
+    if (!allowedRoles.includes(claims.role)) {
+      return deny(403, 'Forbidden', `Role '${claims.role}' may not access this endpoint`, claims);
+    }
+
+    recordAdminAudit(req, {
+      outcome: 'allowed',
+      status_code: null,
+      subject: claims.sub,
+      role: claims.role,
+      required_roles: allowedRoles,
+      reason: null
+    });
+
+    req.admin = { subject: claims.sub, role: claims.role };
+    return next();
+  };
+};
+
+export { ADMIN_ROLES, signAdminToken, requireAdminRole };
@@ -0,0 +1,105 @@
+import { rateLimit } from 'express-rate-limit';
+import { createSupabaseRateLimitStore } from '../services/rate-limit-store.js';
+
+// Rate limits per route group. A route's group follows from its entry in schemas/api-routes.js:
+//   publicRead  GET routes without admin auth
+//   relayWrite  other routes without admin auth (most spend relayer gas or off-chain ENB)
+//   admin       routes behind requireAdminRole
+// Every group counts requests per IP in a fixed window. Relay writes also count per signing wallet
+// and admin routes per operator; public reads only per IP, since the wallet in their path is
+// unauthenticated and keying on it would let anyone use up another wallet's quota.
+// Override with RATE_LIMIT_<GROUP>_WINDOW_SECONDS, RATE_LIMIT_<GROUP>_PER_IP and
+// RATE_LIMIT_<GROUP>_PER_WALLET, where GROUP is PUBLIC_READ, RELAY_WRITE or ADMIN.
+// Counters live in Supabase so limits hold across serverless instances; RATE_LIMIT_STORE=memory
+// keeps them in-process for local development, and RATE_LIMIT_ENABLED=false turns limiting off.
+
+const envNumber = (name, fallback) => Number(process.env[name] || fallback);
+
+const policy = (envPrefix, windowSeconds, perIp, perWallet = null) => ({
+  windowMs: envNumber(`${envPrefix}_WINDOW_SECONDS`, windowSeconds) * 1000,
+  perIp: envNumber(`${envPrefix}_PER_IP`, perIp),
+  perWallet: perWallet === null ? null : envNumber(`${envPrefix}_PER_WALLET`, perWallet)
+});
+
+const RATE_LIMIT_POLICIES = {
+  publicRead: policy('RATE_LIMIT_PUBLIC_READ', 60, 120),
+  relayWrite: policy('RATE_LIMIT_RELAY_WRITE', 60, 20, 5),
+  admin: policy('RATE_LIMIT_ADMIN', 60, 120, 60)
+};
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const USE_SHARED_STORE = process.env.RATE_LIMIT_STORE !== 'memory';
+
+// Who a request is counted against once auth has run: the operator on admin routes, the wallet
+// that signed it on relay writes. Unsigned writes have no verified wallet and only count per IP.
+const identityKeys = {
+  relayWrite: (req) => req.signedBy?.toLowerCase() || null,
+  admin: (req) => req.admin?.subject || null
+};
+
+const rejectRateLimited = (req, res) => {
+  const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+
+  return res.status(429).json({
+    error: 'RateLimited',
+    message: `Too many requests. Please try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+};
+
+const createLimiter = (name, windowMs, limit, keyGenerator) => rateLimit({
+  windowMs,
+  limit,
+  keyGenerator,
+  skip: (req) => !keyGenerator(req),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  // A store outage should not take the API down with it
+  passOnStoreError: true,
+  handler: rejectRateLimited,
+  ...(USE_SHARED_STORE ? { store: createSupabaseRateLimitStore(`${name}:`) } : {})
+});
+
+// Limiters are created once per group so all routes of a group share its counters
+const limiters = {};
+
+const getLimiters = (group) => {
+  if (!limiters[group]) {
+    const { windowMs, perIp, perWallet } = RATE_LIMIT_POLICIES[group];
+
+    limiters[group] = {
+      ip: [createLimiter(`${group}:ip`, windowMs, perIp, (req) => req.ip)],
+      identity: perWallet === null
+        ? []
+        : [createLimiter(`${group}:wallet`, windowMs, perWallet, identityKeys[group])]
+    };
+  }
+  return limiters[group];
+};
+
+const getRateLimitGroup = (route) => {
+  if (route.rateLimit === false) return null;
+  if (route.auth?.admin) return 'admin';
+  return route.method === 'get' ? 'publicRead' : 'relayWrite';
+};
+
+// Per-IP middleware for a route from schemas/api-routes.js. Mount it first, before the auth
+// middleware, so requests with a bad admin token or signature are limited too: every admin denial
+// writes an audit log row.
+const rateLimitIp = (route) => {
+  const group = getRateLimitGroup(route);
+
+  if (!RATE_LIMIT_ENABLED || !group) return [];
+  return getLimiters(group).ip;
+};
+
+// Per-wallet or per-operator middleware for a route. Mount it last, after the auth middleware,
+// so it only counts verified signers and operators.
+const rateLimitRoute = (route) => {
+  const group = getRateLimitGroup(route);
+
+  if (!RATE_LIMIT_ENABLED || !group) return [];
+  return getLimiters(group).identity;
+};
+
+export { RATE_LIMIT_POLICIES, getRateLimitGroup, rateLimitIp, rateLimitRoute };
@@ -0,0 +1,175 @@
+import { checkSchema, validationResult } from 'express-validator';
+
+// Turns the field schemas of a route in schemas/api-routes.js into express-validator
+// chains and rejects invalid requests with 400 { error: 'ValidationError', message, errors }.
+// Values are validated but not rewritten, so handlers still see the raw request.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const FORMATS = {
+  address: { pattern: /^0x[0-9a-fA-F]{40}$/, message: 'must be a 0x-prefixed 20-byte wallet address' },
+  bytes32: { pattern: /^0x[0-9a-fA-F]{64}$/, message: 'must be a 0x-prefixed 32-byte hex string' },
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a date (YYYY-MM-DD)' },
+  hex: { pattern: /^0x([0-9a-fA-F]{2})+$/, message: 'must be a 0x-prefixed hex string' },
+  uuid: { pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, message: 'must be a UUID' }
+};
+
+const describeRange = (field) => {
+  if (field.minimum !== undefined && field.maximum !== undefined) return ` between ${field.minimum} and ${field.maximum}`;
+  if (field.minimum !== undefined) return field.exclusiveMinimum ? ` greater than ${field.minimum}` : ` of at least ${field.minimum}`;
+  if (field.maximum !== undefined) return ` of at most ${field.maximum}`;
+  return '';
+};
+
+// JSON bodies carry real numbers and booleans; params and query values are always strings
+const typeCheck = (field, location) => {
+  const fromJson = location === 'body';
+
+  switch (field.type) {
+    case 'integer':
+      return {
+        custom: (value) => (fromJson ? Number.isInteger(value) : /^-?\d+$/.test(value)),
+        message: `must be an integer${describeRange(field)}`
+      };
+    case 'number':
+      return {
+        custom: (value) => (fromJson ? typeof value === 'number' && Number.isFinite(value) : value !== '' && Number.isFinite(Number(value))),
+        message: `must be a number${describeRange(field)}`
+      };
+    case 'boolean':
+      return {
+        custom: (value) => (fromJson ? typeof value === 'boolean' : ['true', 'false'].includes(value)),
+        message: 'must be true or false'
+      };
+    case 'array':
+      return {
+        custom: (value) => Array.isArray(value) && (!field.items?.enum || value.every(item => field.items.enum.includes(item))),
+        message: field.items?.enum ? `must be an array of: ${field.items.enum.join(', ')}` : 'must be an array'
+      };
+    case 'object':
+      return {
+        custom: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+        message: 'must be an object'
+      };
+    default:
+      return { custom: (value) => typeof value === 'string', message: 'must be a string' };
+  }
+};
+
+const inRange = (field, value) => {
+  const number = Number(value);
+  if (field.minimum !== undefined && (field.exclusiveMinimum ? number <= field.minimum : number < field.minimum)) return false;
+  if (field.maximum !== undefined && number > field.maximum) return false;
+  return true;
+};
+
+// Required properties of an object field are only checked when the object itself was sent
+const parentSent = (location, parentPath) => (value, { req }) => {
+  const parent = parentPath.split('.').reduce((current, key) => current?.[key], req[location]);
+  return parent !== undefined && parent !== null;
+};
+
+// express-validator schema entry for one field
+const toValidatorEntry = (path, field, location, parentPath) => {
+  const entry = { in: [location] };
+
+  if (field.required) {
+    entry.exists = { options: { values: 'null' }, errorMessage: 'is required', bail: true };
+    if (parentPath) entry.exists.if = parentSent(location, parentPath);
+  } else {
+    entry.optional = { options: { values: 'null' } };
+  }
+
+  const type = typeCheck(field, location);
+  entry.isType = { custom: type.custom, errorMessage: type.message, bail: true };
+
+  if (field.enum) {
+    // Enum values are compared as strings so numeric enums also work for query values
+    const allowed = field.enum.map(String);
+    entry.isAllowed = {
+      custom: (value) => allowed.includes(String(value)),
+      errorMessage: `must be one of: ${field.enum.join(', ')}`
+    };
+  }
+
+  if (field.format && FORMATS[field.format]) {
+    entry.matches = { options: FORMATS[field.format].pattern, errorMessage: FORMATS[field.format].message };
+  } else if (field.pattern) {
+    entry.matches = { options: new RegExp(field.pattern), errorMessage: `must match ${field.pattern}` };
+  }
+
+  if (field.minLength !== undefined || field.maxLength !== undefined) {
+    entry.isLength = {
+      options: { min: field.minLength, max: field.maxLength },
+      errorMessage: field.minLength !== undefined && field.maxLength !== undefined
+        ? `must be ${field.minLength} to ${field.maxLength} characters long`
+        : field.maxLength !== undefined
+          ? `must be at most ${field.maxLength} characters long`
+          : `must be at least ${field.minLength} characters long`
+    };
+  }
+
+  if ((field.type === 'integer' || field.type === 'number') && (field.minimum !== undefined || field.maximum !== undefined)) {
+    entry.isInRange = { custom: (value) => inRange(field, value), errorMessage: `must be${describeRange(field)}` };
+  }
+
+  return { [path]: entry };
+};
+
+// Flattens nested object properties into dotted paths (auth.nonce) for checkSchema
+const toValidatorSchema = (fields, location, parentPath) => {
+  return Object.entries(fields || {}).reduce((schema, [name, field]) => {
+    const path = parentPath ? `${parentPath}.${name}` : name;
+    Object.assign(schema, toValidatorEntry(path, field, location, parentPath));
+
+    if (field.type === 'object' && field.properties) {
+      Object.assign(schema, toValidatorSchema(field.properties, location, path));
+    }
+    return schema;
+  }, {});
+};
+
+const formatValidationErrors = (req) => {
+  return validationResult(req)
+    .array({ onlyFirstError: true })
+    .map(error => ({
+      field: error.path,
+      location: error.location,
+      message: `${error.path} ${error.msg}`
+    }));
+};
+
+const rejectInvalidRequest = (req, res, next) => {
+  const errors = formatValidationErrors(req);
+
+  if (errors.length === 0) return next();
+
+  return res.status(400).json({
+    error: 'ValidationError',
+    message: errors.map(error => error.message).join('; '),
+    errors
+  });
+};
+
+// Middleware for a route from schemas/api-routes.js
+const validateRequest = (route) => {
+  const schema = LOCATIONS.reduce(
+    (combined, location) => Object.assign(combined, toValidatorSchema(route[location], location)),
+    {}
+  );
+
+  return [...checkSchema(schema), rejectInvalidRequest];
+};
+
+// express.json() rejects malformed bodies before any route runs; answer in the same shape
+const handleJsonParseError = (err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+
+  return res.status(400).json({
+    error: 'ValidationError',
+    message: 'Request body is not valid JSON',
+    errors: [{ field: 'body', location: 'body', message: 'body is not valid JSON' }]
+  });
+};
+
+export { validateRequest, handleJsonParseError };
@@ -0,0 +1,171 @@
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+
+// EIP-712 domain shared with the miniapp (see miniapp/app/constants/relayAuth.ts)
+const RELAY_AUTH_DOMAIN = {
+  name: 'ENB Mini App',
+  version: '1',
+  chainId: Number(process.env.CHAIN_ID || 8453)
+};
+
+// One typed struct per relayed action so a signature can never be replayed
+// against a different route or with different arguments
+const RELAY_AUTH_TYPES = {
+  DailyClaim: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  UpgradeMembership: [
+    { name: 'user', type: 'address' },
+    { name: 'targetLevel', type: 'uint8' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  PurchaseStreakFreeze: [
+    { name: 'user', type: 'address' },
+    { name: 'quantity', type: 'uint8' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  RepairStreak: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  RegenerateInvitationCode: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  ClaimVanityCode: [
+    { name: 'user', type: 'address' },
+    { name: 'code', type: 'string' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  SetInvitationCodeExpiry: [
+    { name: 'user', type: 'address' },
+    { name: 'expiresAt', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ],
+  RevokeInvitationCode: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+// Action-specific fields taken from the request body
+const RELAY_AUTH_FIELDS = {
+  DailyClaim: () => ({}),
+  UpgradeMembership: (body) => ({ targetLevel: body.targetLevel }),
+  PurchaseStreakFreeze: (body) => ({ quantity: body.quantity }),
+  RepairStreak: () => ({}),
+  RegenerateInvitationCode: () => ({}),
+  ClaimVanityCode: (body) => ({ code: body.code }),
+  SetInvitationCodeExpiry: (body) => ({ expiresAt: body.expiresAt }),
+  RevokeInvitationCode: () => ({})
+};
+
+// Signed requests may not be valid for longer than this (seconds)
+const MAX_SIGNATURE_TTL = Number(process.env.RELAY_SIGNATURE_MAX_TTL || 600);
+
+const rejectSignature = (res, status, error, message) => {
+  return res.status(status).json({ error, message });
+};
+
+// Record the nonce; the unique constraint on relay_nonces.nonce rejects replays
+const consumeNonce = async (nonce, walletAddress, action, expiry) => {
+  const { error } = await supabase
+    .from('relay_nonces')
+    .insert({
+      nonce,
+      wallet_address: walletAddress,
+      action,
+      expires_at: new Date(expiry * 1000).toISOString()
+    });
+
+  if (error && error.code === '23505') return false;
+  if (error) throw error;
+  return true;
+};
+
+// Require an EIP-712 signature from the wallet the request acts on.
+// The target wallet is read from `user` (relay routes) or `walletAddress` (api routes),
+// and the signature is expected in `auth: { nonce, expiry, signature }`.
+const requireWalletSignature = (action) => {
+  if (!RELAY_AUTH_TYPES[action]) {
+    throw new Error(`Unknown relay auth action: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    const walletAddress = req.body.user || req.body.walletAddress;
+    const { nonce, expiry, signature } = req.body.auth || {};
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    if (!nonce || !expiry || !signature) {
+      return rejectSignature(res, 401, 'MissingSignature', 'This request must be signed by the target wallet.');
+    }
+
+    if (!ethers.isHexString(nonce, 32)) {
+      return rejectSignature(res, 401, 'InvalidNonce', 'Nonce must be a 32-byte hex string.');
+    }
+
+    const expiresAt = Number(expiry);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!Number.isInteger(expiresAt) || expiresAt <= now) {
+      return rejectSignature(res, 401, 'SignatureExpired', 'Signed request has expired. Please try again.');
+    }
+
+    if (expiresAt - now > MAX_SIGNATURE_TTL) {
+      return rejectSignature(res, 401, 'ExpiryTooFar', `Signed requests may be valid for at most ${MAX_SIGNATURE_TTL} seconds.`);
+    }
+
+    const message = {
+      user: walletAddress,
+      ...RELAY_AUTH_FIELDS[action](req.body),
+      nonce,
+      expiry: expiresAt
+    };
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(
+        RELAY_AUTH_DOMAIN,
+        { [action]: RELAY_AUTH_TYPES[action] },
+        message,
+        signature
+      );
+    } catch (verifyError) {
+      console.warn('⚠️ Malformed relay signature:', { action, walletAddress, reason: verifyError.message });
+      return rejectSignature(res, 401, 'InvalidSignature', 'Signature could not be verified.');
+    }
+
+    if (ethers.getAddress(signer) !== ethers.getAddress(walletAddress)) {
+      console.warn('⚠️ Relay signature signer mismatch:', { action, walletAddress, signer });
+      return rejectSignature(res, 401, 'InvalidSignature', 'Signature was not produced by the target wallet.');
+    }
+
+    try {
+      const fresh = await consumeNonce(nonce, walletAddress, action, expiresAt);
+      if (!fresh) {
+        console.warn('⚠️ Replayed relay signature:', { action, walletAddress, nonce });
+        return rejectSignature(res, 409, 'NonceAlreadyUsed', 'This signed request has already been used.');
+      }
+    } catch (nonceError) {
+      console.error('❌ Failed to record relay nonce:', nonceError);
+      return res.status(500).json({ error: 'Failed to verify request signature' });
+    }
+
+    req.signedBy = signer;
+    return next();
+  };
+};
+
+export { RELAY_AUTH_DOMAIN, RELAY_AUTH_TYPES, requireWalletSignature };
@@ -0,0 +1,6 @@
+// Adds missing invitation ledger entries from invitation_usage, rejected invite reviews and
+// indexed InviteUsed events, then exits. Run after the chain indexer has caught up.
+import { rebuildInvitationLedger } from './services/invitation-ledger.js';
+
+await rebuildInvitationLedger();
+process.exit(0);
@@ -0,0 +1,6 @@
+// Runs one database-versus-chain reconciliation pass and exits.
+// Use from an external scheduler when the server's cron (RECONCILIATION_ENABLED) is not running.
+import { runReconciliation } from './services/reconciliation.js';
+
+const summary = await runReconciliation();
+process.exit(summary.errors > 0 ? 1 : 0);
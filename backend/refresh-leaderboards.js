@@ -0,0 +1,6 @@
+// Re-ranks every leaderboard window once and exits.
+// Use from an external scheduler when the server's cron (LEADERBOARD_REFRESH_ENABLED) is not running.
+import { runLeaderboardRefresh } from './services/leaderboard-ranks.js';
+
+const summary = await runLeaderboardRefresh();
+process.exit(summary.errors > 0 ? 1 : 0);
@@ -0,0 +1,11 @@
+// Standalone relay worker: sends queued relayer transactions from relay_jobs, screens invite
+// payouts for invite farming and queues the screened ones from the invite_payouts outbox as relay jobs.
+// Run exactly one instance per relayer wallet (e.g. outside of Vercel).
+import { startRelayWorker } from './services/relay-queue.js';
+import { startInvitePayoutWorker } from './services/invite-payouts.js';
+import { startInviteScreening } from './services/invite-reviews.js';
+import './services/relay-jobs.js';
+
+startRelayWorker();
+startInvitePayoutWorker();
+startInviteScreening();
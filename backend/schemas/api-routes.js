@@ -0,0 +1,906 @@
+import { DRIFT_FIELDS, DRIFT_STATUSES } from '../services/reconciliation.js';
+import { REFERRAL_MAX_DEPTH, REFERRAL_DEFAULT_DEPTH } from '../services/referrals.js';
+import { CODE_KINDS, CODE_STATUSES } from '../services/invitation-codes.js';
+import { REVIEW_STATUSES } from '../services/invite-reviews.js';
+import { PAYOUT_KINDS, PAYOUT_STATUSES } from '../services/invite-payouts.js';
+import { FUNNEL_SORT_COLUMNS } from '../services/invite-funnel.js';
+import { LEADERBOARD_WINDOWS } from '../services/leaderboard-windows.js';
+import { BONUS_TYPES, CAMPAIGN_STATUSES } from '../services/referral-campaigns.js';
+import { MAX_RANGE_DAYS } from '../services/analytics.js';
+import { EXPORT_TABLES, EXPORT_FORMATS } from '../services/exports.js';
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  address,
+  txHash,
+  uuid,
+  integer,
+  dateTime,
+  date,
+  required,
+  invitationCode,
+  limit,
+  offset,
+  signedAuth,
+  MEMBERSHIP_LEVEL
+} from './components.js';
+
+// One entry per route, keyed by operationId. server.js passes the entry to
+// validateRequest() and services/openapi.js turns the whole map into /openapi.json.
+//
+//   params/query/body  field schemas; `required: true` fields must be present
+//   auth               { admin: [roles] } or { wallet: '<EIP-712 primary type>' }
+//   responses          status -> response schema, or a description for error responses
+//   rateLimit          false to exempt the route; otherwise middleware/rate-limit.js picks its group
+// Validation 400s, auth 401/403s, rate-limit 429s and 500s are added by the generator; a 400 listed
+// here documents the route's own business-rule rejections.
+
+const walletParam = { walletAddress: required(address()) };
+const funnelDays = () => integer(1, 365, { description: 'Only invitees activated in the last N days; all time when omitted' });
+// Self-reported by the mini app; only used as a sybil scoring signal
+const fid = () => integer(1, undefined, { description: 'Farcaster fid from the mini app context' });
+const dateRange = (fromDescription = 'First day (UTC) of the range; 30 days before `to` when omitted') => ({
+  from: date(fromDescription),
+  to: date('Last day (UTC) of the range, included; today when omitted')
+});
+const dateRangeErrors = { 400: `from after to, or a range longer than ${MAX_RANGE_DAYS} days` };
+const leaderboardWindow = (description) => ({ type: 'string', enum: LEADERBOARD_WINDOWS, default: 'all-time', description });
+const leaderboardQuery = (windowDescription) => ({
+  window: leaderboardWindow(windowDescription),
+  limit: limit(50, 100),
+  cursor: { type: 'string', maxLength: 200, description: 'pagination.nextCursor of the previous page' },
+  around: address('Instead of a page, this wallet\'s entry with `span` entries above and below it'),
+  span: integer(1, 25, { default: 5, description: 'Entries above and below `around`' })
+});
+const leaderboardPage = (entry) => object({
+  window: ref('LeaderboardWindow'),
+  computedAt: dateTime('When the ranks were last refreshed'),
+  leaderboard: arrayOf(ref(entry)),
+  pagination: ref('CursorPagination')
+});
+const leaderboardErrors = { 400: 'Cursor from another leaderboard or window', 404: 'The `around` wallet is not on the leaderboard' };
+const campaignFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 1000 },
+  startsAt: dateTime('When activations start counting'),
+  endsAt: dateTime('When activations stop counting'),
+  eligibleLevels: { type: 'array', items: MEMBERSHIP_LEVEL, description: 'Inviter membership levels that qualify; every level when empty' },
+  bonusType: { type: 'string', enum: BONUS_TYPES },
+  bonusAmount: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'ENB per qualified invite (per_invite)' },
+  airdropMultiplier: { type: 'number', minimum: 1, exclusiveMinimum: true, maximum: 100, description: 'Multiplier on the tier rewards of qualified invites (airdrop_multiplier)' }
+};
+
+const API_ROUTES = {
+  // === System ===
+  getRoot: {
+    method: 'get',
+    path: '/',
+    tags: ['System'],
+    summary: 'Liveness text',
+    rateLimit: false,
+    responses: { 200: { type: 'string', 'x-content-type': 'text/plain' } }
+  },
+  getHealth: {
+    method: 'get',
+    path: '/health',
+    tags: ['System'],
+    summary: 'Health check',
+    rateLimit: false,
+    responses: { 200: ref('Health') }
+  },
+  getOpenApi: {
+    method: 'get',
+    path: '/openapi.json',
+    tags: ['System'],
+    summary: 'This OpenAPI document',
+    responses: { 200: { type: 'object', additionalProperties: true } }
+  },
+  getDocs: {
+    method: 'get',
+    path: '/docs',
+    tags: ['System'],
+    summary: 'API reference page rendered from /openapi.json',
+    responses: { 200: { type: 'string', 'x-content-type': 'text/html' } }
+  },
+
+  // === Accounts ===
+  createAccount: {
+    method: 'post',
+    path: '/api/create-account',
+    tags: ['Accounts'],
+    summary: 'Register an account after the on-chain createAccount transaction',
+    body: {
+      walletAddress: required(address()),
+      transactionHash: required(txHash('Hash of the createAccount transaction')),
+      fid: fid()
+    },
+    responses: { 201: ref('Message') }
+  },
+  createDefaultUser: {
+    method: 'post',
+    path: '/api/create-default-user',
+    tags: ['Admin'],
+    summary: 'Create an activated account with a high-capacity invitation code',
+    auth: { admin: ['superadmin'] },
+    body: {
+      walletAddress: required(address()),
+      invitationCode: required(invitationCode()),
+      maxUses: integer(1, 100000, { default: 105, description: 'Invitation code capacity' })
+    },
+    responses: { 201: ref('DefaultUserCreated'), 400: 'Invitation code already exists' }
+  },
+  activateAccount: {
+    method: 'post',
+    path: '/api/activate-account',
+    tags: ['Accounts'],
+    summary: 'Activate an account with an invitation code',
+    body: {
+      walletAddress: required(address()),
+      invitationCode: required(invitationCode()),
+      fid: fid()
+    },
+    responses: {
+      200: ref('ActivationResult'),
+      400: 'Account already activated, or the invitation code is unknown, inactive, exhausted or already used by this wallet',
+      404: 'Account not found'
+    }
+  },
+  getProfile: {
+    method: 'get',
+    path: '/api/profile/:walletAddress',
+    tags: ['Accounts'],
+    summary: 'Account profile',
+    params: walletParam,
+    responses: { 200: ref('Profile'), 404: 'Account not found' }
+  },
+  getHasSeenTips: {
+    method: 'get',
+    path: '/api/has-seen-tips/:walletAddress',
+    tags: ['Accounts'],
+    summary: 'Whether the onboarding tips were shown',
+    params: walletParam,
+    responses: { 200: ref('TipsStatus'), 400: 'Account not activated', 404: 'Account not found' }
+  },
+  markTipsSeen: {
+    method: 'post',
+    path: '/api/mark-tips-seen/:walletAddress',
+    tags: ['Accounts'],
+    summary: 'Record that the onboarding tips were shown',
+    params: walletParam,
+    responses: { 200: ref('TipsMarked'), 404: 'Account not found or not activated' }
+  },
+  getTransactions: {
+    method: 'get',
+    path: '/api/transactions/:walletAddress',
+    tags: ['Accounts'],
+    summary: 'Off-chain balance transactions',
+    params: walletParam,
+    query: { limit: limit(50, 500) },
+    responses: { 200: object({ transactions: arrayOf(ref('Transaction')) }) }
+  },
+  getInvitationUsage: {
+    method: 'get',
+    path: '/api/invitation-usage/:invitationCode',
+    tags: ['Invitations'],
+    summary: 'Usage of an invitation code',
+    params: { invitationCode: required(invitationCode()) },
+    responses: { 200: ref('InvitationUsage'), 404: 'Invitation code not found' }
+  },
+  getWalletInvitationCodes: {
+    method: 'get',
+    path: '/api/invitation-code/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'Personal invitation code and campaign codes of a wallet',
+    params: walletParam,
+    responses: { 200: ref('WalletInvitationCodes'), 404: 'Account not found' }
+  },
+  regenerateInvitationCode: {
+    method: 'post',
+    path: '/api/invitation-code/regenerate',
+    tags: ['Invitations'],
+    summary: 'Replace the personal code with a new random code and revoke the old one',
+    auth: { wallet: 'RegenerateInvitationCode' },
+    body: {
+      walletAddress: required(address()),
+      auth: signedAuth('RegenerateInvitationCode')
+    },
+    responses: { 200: ref('InvitationCodeResult'), 404: 'Account not found' }
+  },
+  claimVanityCode: {
+    method: 'post',
+    path: '/api/invitation-code/vanity',
+    tags: ['Invitations'],
+    summary: 'Replace the personal code with a chosen code and revoke the old one',
+    auth: { wallet: 'ClaimVanityCode' },
+    body: {
+      walletAddress: required(address()),
+      code: required(invitationCode('4 to 16 letters or digits, matched case-insensitively')),
+      auth: signedAuth('ClaimVanityCode')
+    },
+    responses: {
+      200: ref('InvitationCodeResult'),
+      400: 'Code is malformed or not allowed',
+      404: 'Account not found',
+      409: 'Code is already taken'
+    }
+  },
+  setInvitationCodeExpiry: {
+    method: 'post',
+    path: '/api/invitation-code/expiry',
+    tags: ['Invitations'],
+    summary: 'Set or clear the expiry of the personal code',
+    auth: { wallet: 'SetInvitationCodeExpiry' },
+    body: {
+      walletAddress: required(address()),
+      expiresAt: required(integer(0, undefined, { description: 'Unix time (seconds) the code stops working, 0 for no expiry' })),
+      auth: signedAuth('SetInvitationCodeExpiry')
+    },
+    responses: {
+      200: ref('InvitationCodeResult'),
+      400: 'Expiry is in the past',
+      404: 'Account not found or it has no active personal code'
+    }
+  },
+  revokeInvitationCode: {
+    method: 'post',
+    path: '/api/invitation-code/revoke',
+    tags: ['Invitations'],
+    summary: 'Revoke the personal code, e.g. after it leaked',
+    auth: { wallet: 'RevokeInvitationCode' },
+    body: {
+      walletAddress: required(address()),
+      auth: signedAuth('RevokeInvitationCode')
+    },
+    responses: { 200: ref('InvitationCodeResult'), 404: 'Account not found or it has no active personal code' }
+  },
+
+  getInvitationLedger: {
+    method: 'get',
+    path: '/api/invitation-ledger/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'Invite count, quota and reward cycle of a wallet, with the ledger entries behind them',
+    params: walletParam,
+    query: { limit: limit(50, 500), offset: offset() },
+    responses: { 200: ref('InvitationLedger'), 404: 'Account not found' }
+  },
+  getReferrals: {
+    method: 'get',
+    path: '/api/referrals/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'Invitees and multi-level downline of a wallet, with per-level aggregates',
+    params: walletParam,
+    query: {
+      depth: integer(1, REFERRAL_MAX_DEPTH, { default: REFERRAL_DEFAULT_DEPTH, description: 'Downline levels to include' })
+    },
+    responses: { 200: ref('ReferralTree'), 404: 'Account not found' }
+  },
+  getInviteFunnel: {
+    method: 'get',
+    path: '/api/invites/funnel/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'How many invitees of a wallet activated, made a first claim and were retained',
+    params: walletParam,
+    query: { days: funnelDays() },
+    responses: {
+      200: { allOf: [object({ days: nullable({ type: 'integer' }) }), ref('InviterFunnel')] },
+      404: 'Account not found'
+    }
+  },
+
+  // === Daily claims and streaks ===
+  dailyClaim: {
+    method: 'post',
+    path: '/api/daily-claim',
+    tags: ['Claims'],
+    summary: 'Queue a daily claim and credit the off-chain reward once mined',
+    auth: { wallet: 'DailyClaim' },
+    body: {
+      walletAddress: required(address()),
+      auth: signedAuth('DailyClaim')
+    },
+    responses: { 202: ref('RelayJobAccepted'), 400: 'Account not activated or already claimed today', 404: 'Account not found' }
+  },
+  getDailyClaimStatus: {
+    method: 'get',
+    path: '/api/daily-claim-status/:walletAddress',
+    tags: ['Claims'],
+    summary: 'Daily claim eligibility and countdown',
+    params: walletParam,
+    responses: { 200: ref('ClaimStatus'), 400: 'Account not activated', 404: 'Account not found' }
+  },
+  getMiningActivity: {
+    method: 'get',
+    path: '/api/mining-activity/:walletAddress',
+    tags: ['Claims'],
+    summary: 'Streak, claim history and next milestone',
+    params: walletParam,
+    responses: { 200: ref('MiningActivity'), 400: 'Account not activated', 404: 'Account not found' }
+  },
+  getStreak: {
+    method: 'get',
+    path: '/api/streak/:walletAddress',
+    tags: ['Streaks'],
+    summary: 'Streak, freezes held and repair availability',
+    params: walletParam,
+    responses: { 200: ref('StreakStatus'), 404: 'Account not found' }
+  },
+  purchaseStreakFreeze: {
+    method: 'post',
+    path: '/api/streak/freezes/purchase',
+    tags: ['Streaks'],
+    summary: 'Buy streak freezes with off-chain ENB',
+    auth: { wallet: 'PurchaseStreakFreeze' },
+    body: {
+      walletAddress: required(address()),
+      quantity: required(integer(1, 10)),
+      auth: signedAuth('PurchaseStreakFreeze')
+    },
+    responses: { 200: ref('StreakFreezePurchase'), 400: 'Insufficient ENB balance', 409: 'Freeze limit reached' }
+  },
+  repairStreak: {
+    method: 'post',
+    path: '/api/streak/repair',
+    tags: ['Streaks'],
+    summary: 'Restore a recently broken streak with off-chain ENB',
+    auth: { wallet: 'RepairStreak' },
+    body: {
+      walletAddress: required(address()),
+      auth: signedAuth('RepairStreak')
+    },
+    responses: { 200: ref('StreakRepair'), 400: 'Insufficient ENB balance', 409: 'Nothing to repair' }
+  },
+
+  // === Leaderboards ===
+  getBalanceLeaderboard: {
+    method: 'get',
+    path: '/api/leaderboard/balance',
+    tags: ['Leaderboards'],
+    summary: 'Top off-chain ENB balances, or the most ENB mined by daily claims in a window',
+    query: leaderboardQuery('Calendar window in UTC; windows other than all-time rank ENB mined in the window'),
+    responses: { 200: leaderboardPage('BalanceLeaderboardEntry'), ...leaderboardErrors }
+  },
+  getEarningsLeaderboard: {
+    method: 'get',
+    path: '/api/leaderboard/earnings',
+    tags: ['Leaderboards'],
+    summary: 'Top ENB yield claimed on-chain, all-time or in a window',
+    query: leaderboardQuery('Calendar window in UTC; only yield and daily claims in the window count'),
+    responses: { 200: leaderboardPage('EarningsLeaderboardEntry'), ...leaderboardErrors }
+  },
+  getStreakLeaderboard: {
+    method: 'get',
+    path: '/api/leaderboard/streaks',
+    tags: ['Leaderboards'],
+    summary: 'Longest live streaks, or the longest run of claim days in a window',
+    query: leaderboardQuery('Calendar window in UTC; windows other than all-time rank the longest run of consecutive claim days in the window'),
+    responses: { 200: leaderboardPage('StreakLeaderboardEntry'), ...leaderboardErrors }
+  },
+  getInviteLeaderboard: {
+    method: 'get',
+    path: '/api/leaderboard/invites',
+    tags: ['Leaderboards'],
+    summary: 'Inviters with the most activated invitees, all-time or in a daily, weekly or monthly window',
+    query: {
+      ...leaderboardQuery('Calendar window in UTC; weeks start on Monday'),
+      requireClaim: { type: 'boolean', default: false, description: 'Only count invitees who made a daily claim after activating' }
+    },
+    responses: { 200: ref('InviteLeaderboard'), ...leaderboardErrors }
+  },
+  getUserRankings: {
+    method: 'get',
+    path: '/api/user-rankings/:walletAddress',
+    tags: ['Leaderboards'],
+    summary: 'Rank of one wallet on the balance, earnings and streak leaderboards',
+    params: walletParam,
+    query: { window: leaderboardWindow('Calendar window in UTC; the same windows as the leaderboards') },
+    responses: { 200: ref('UserRankings'), 400: 'Account not activated', 404: 'Account not found' }
+  },
+
+  // === Airdrops ===
+  getAirdropHistory: {
+    method: 'get',
+    path: '/api/airdrop-history/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'Invite tier rewards paid to a wallet (indexed RewardSent events)',
+    params: walletParam,
+    query: { limit: limit(50, 500), offset: offset() },
+    responses: { 200: object({ airdrops: arrayOf(ref('Airdrop')), pagination: ref('Pagination') }) }
+  },
+  getAirdropStatus: {
+    method: 'get',
+    path: '/relay/airdrop-status/:walletAddress',
+    tags: ['Invitations'],
+    summary: 'Invite reward tier progress from the InviteAirdropV2 contract',
+    params: walletParam,
+    responses: { 200: ref('AirdropStatus') }
+  },
+
+  // === Relayer ===
+  getRelayClaimStatus: {
+    method: 'get',
+    path: '/relay/daily-claim-status/:user',
+    tags: ['Relayer'],
+    summary: 'Daily claim eligibility read from the contract',
+    params: { user: required(address()) },
+    responses: { 200: ref('RelayClaimStatus') }
+  },
+  relayDailyClaim: {
+    method: 'post',
+    path: '/relay/daily-claim',
+    tags: ['Relayer'],
+    summary: 'Queue a relayed dailyClaim transaction',
+    auth: { wallet: 'DailyClaim' },
+    body: {
+      user: required(address()),
+      auth: signedAuth('DailyClaim')
+    },
+    responses: { 202: ref('RelayJobAccepted'), '4XX': ref('ContractError') }
+  },
+  relayUpgradeMembership: {
+    method: 'post',
+    path: '/relay/upgrade-membership',
+    tags: ['Relayer'],
+    summary: 'Queue a relayed upgradeMembership transaction',
+    auth: { wallet: 'UpgradeMembership' },
+    body: {
+      user: required(address()),
+      targetLevel: required(integer(1, 2, { enum: [1, 2], description: '1 = Super Based, 2 = Legendary' })),
+      auth: signedAuth('UpgradeMembership')
+    },
+    responses: { 202: ref('RelayJobAccepted'), '4XX': ref('ContractError') }
+  },
+  forceDailyClaim: {
+    method: 'post',
+    path: '/relay/force-daily-claim',
+    tags: ['Admin'],
+    summary: 'Queue a forced daily claim (emergency use)',
+    auth: { admin: ['support'] },
+    body: { user: required(address()) },
+    responses: { 202: ref('RelayJobAccepted') }
+  },
+  getRelayJob: {
+    method: 'get',
+    path: '/relay/jobs/:id',
+    tags: ['Relayer'],
+    summary: 'Status of a queued relayer transaction',
+    params: { id: required(uuid('Relay job id')) },
+    responses: { 200: ref('RelayJob'), 404: 'Job not found' }
+  },
+  getContractStats: {
+    method: 'get',
+    path: '/relay/contract-stats',
+    tags: ['Relayer'],
+    summary: 'EnbMiniApp contract statistics',
+    responses: { 200: ref('ContractStats') }
+  },
+
+  // === Admin ===
+  updateBalance: {
+    method: 'post',
+    path: '/api/update-balance',
+    tags: ['Admin'],
+    summary: 'Credit or debit an off-chain ENB balance',
+    auth: { admin: ['finance'] },
+    body: {
+      walletAddress: required(address()),
+      amount: required({ type: 'number', exclusiveMinimum: true, minimum: 0 }),
+      type: required({ type: 'string', enum: ['credit', 'debit'] }),
+      description: { type: 'string', maxLength: 500 }
+    },
+    responses: { 200: ref('BalanceUpdate'), 400: 'Insufficient balance', 404: 'Account not found' }
+  },
+  listUsers: {
+    method: 'get',
+    path: '/api/users',
+    tags: ['Admin'],
+    summary: 'List accounts',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      membershipLevel: MEMBERSHIP_LEVEL,
+      isActivated: { type: 'boolean' }
+    },
+    responses: { 200: object({ users: arrayOf(ref('User')), pagination: ref('Pagination') }) }
+  },
+  updateMembership: {
+    method: 'post',
+    path: '/api/update-membership',
+    tags: ['Admin'],
+    summary: 'Queue a membership upgrade for a wallet',
+    auth: { admin: ['support'] },
+    body: {
+      walletAddress: required(address()),
+      membershipLevel: required(MEMBERSHIP_LEVEL)
+    },
+    responses: { 202: ref('RelayJobAccepted'), 400: 'Account not activated', 404: 'Account not found' }
+  },
+  listAirdrops: {
+    method: 'get',
+    path: '/api/airdrops',
+    tags: ['Admin'],
+    summary: 'List logged invite airdrops',
+    auth: { admin: ['finance', 'support'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      walletAddress: address('Only airdrops to this wallet')
+    },
+    responses: { 200: object({ airdrops: arrayOf(ref('Airdrop')), pagination: ref('Pagination') }) }
+  },
+  settleInviteRewards: {
+    method: 'post',
+    path: '/api/admin/invite-rewards/:walletAddress/settle',
+    tags: ['Admin'],
+    summary: 'Queue a payout of invite tiers a wallet already reached but was not paid for',
+    auth: { admin: ['finance'] },
+    params: walletParam,
+    responses: { 202: ref('InvitePayoutAccepted'), 400: 'No reached tier is waiting to be paid' }
+  },
+  listInvitePayouts: {
+    method: 'get',
+    path: '/api/admin/invite-payouts',
+    tags: ['Admin'],
+    summary: 'List invite reward payouts from the outbox, newest first',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      status: {
+        type: 'string',
+        enum: ['all', 'stuck', ...PAYOUT_STATUSES],
+        default: 'all',
+        description: 'stuck = failed, or waiting to retry after a failed attempt'
+      },
+      kind: { type: 'string', enum: PAYOUT_KINDS },
+      inviterWallet: address('Only payouts for this inviter')
+    },
+    responses: { 200: object({ payouts: arrayOf(ref('InvitePayout')), pagination: ref('Pagination') }) }
+  },
+  retryInvitePayout: {
+    method: 'post',
+    path: '/api/admin/invite-payouts/:id/retry',
+    tags: ['Admin'],
+    summary: 'Send a failed invite payout again, or a payout waiting for its next retry right away',
+    auth: { admin: ['finance'] },
+    params: { id: required(uuid('Invite payout id')) },
+    responses: {
+      202: ref('InvitePayoutAccepted'),
+      404: 'Invite payout not found',
+      409: 'Invite payout is not failed or waiting to retry'
+    }
+  },
+  listInviteFunnels: {
+    method: 'get',
+    path: '/api/admin/invites/funnel',
+    tags: ['Admin'],
+    summary: 'Invite conversion funnel per inviter, with totals over all inviters',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      days: funnelDays(),
+      sort: { type: 'string', enum: Object.keys(FUNNEL_SORT_COLUMNS), default: 'activated', description: 'Funnel stage to order inviters by, highest first' }
+    },
+    responses: {
+      200: object({
+        days: nullable({ type: 'integer' }),
+        totals: ref('InviteFunnel'),
+        funnels: arrayOf(ref('InviterFunnel')),
+        pagination: ref('Pagination')
+      })
+    }
+  },
+  getActiveClaimers: {
+    method: 'get',
+    path: '/api/admin/analytics/active-claimers',
+    tags: ['Admin'],
+    summary: 'Daily and weekly active claimers per day',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange(),
+    responses: { 200: ref('ActiveClaimersReport'), ...dateRangeErrors }
+  },
+  getAccountGrowth: {
+    method: 'get',
+    path: '/api/admin/analytics/growth',
+    tags: ['Admin'],
+    summary: 'New accounts, activations and invited activations per day',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange(),
+    responses: { 200: ref('AccountGrowthReport'), ...dateRangeErrors }
+  },
+  getRetentionCohorts: {
+    method: 'get',
+    path: '/api/admin/analytics/retention',
+    tags: ['Admin'],
+    summary: 'Day-1, day-7 and day-30 retention of daily activation cohorts',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange('First activation day (UTC) of the cohorts; 30 days before `to` when omitted'),
+    responses: { 200: ref('RetentionReport'), ...dateRangeErrors }
+  },
+  getMembershipDistribution: {
+    method: 'get',
+    path: '/api/admin/analytics/memberships',
+    tags: ['Admin'],
+    summary: 'Membership levels of activated accounts',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange('Only accounts activated from this day (UTC); every activated account when from and to are omitted'),
+    responses: { 200: ref('MembershipDistribution'), ...dateRangeErrors }
+  },
+  getUpgradeConversion: {
+    method: 'get',
+    path: '/api/admin/analytics/upgrades',
+    tags: ['Admin'],
+    summary: 'Share of the accounts activated in a range that upgraded their membership',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange('First activation day (UTC); 30 days before `to` when omitted'),
+    responses: { 200: ref('UpgradeConversion'), ...dateRangeErrors }
+  },
+  getEnbEmissions: {
+    method: 'get',
+    path: '/api/admin/analytics/emissions',
+    tags: ['Admin'],
+    summary: 'ENB emitted per day by daily claims, invite airdrops and referral campaign bonuses',
+    auth: { admin: ['support', 'finance'] },
+    query: dateRange(),
+    responses: { 200: ref('EnbEmissionsReport'), ...dateRangeErrors }
+  },
+  exportRecords: {
+    method: 'get',
+    path: '/api/admin/exports/:table',
+    tags: ['Admin'],
+    summary: 'Stream claims, transactions, upgrades or airdrops as CSV or NDJSON, oldest first',
+    auth: { admin: ['finance'] },
+    params: { table: required({ type: 'string', enum: Object.keys(EXPORT_TABLES) }) },
+    query: {
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+      from: date('First day (UTC); from the first record when omitted'),
+      to: date('Last day (UTC), included; up to now when omitted'),
+      walletAddress: address('Only records of this wallet')
+    },
+    responses: {
+      200: {
+        type: 'string',
+        'x-content-type': 'text/csv',
+        description: 'CSV with a header row; with format=ndjson, one JSON object per line (application/x-ndjson)'
+      },
+      400: 'from is after to'
+    }
+  },
+  listReferralCampaigns: {
+    method: 'get',
+    path: '/api/admin/referral-campaigns',
+    tags: ['Admin'],
+    summary: 'List referral campaigns, latest start first',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      status: { type: 'string', enum: CAMPAIGN_STATUSES }
+    },
+    responses: { 200: object({ campaigns: arrayOf(ref('ReferralCampaign')), pagination: ref('Pagination') }) }
+  },
+  createReferralCampaign: {
+    method: 'post',
+    path: '/api/admin/referral-campaigns',
+    tags: ['Admin'],
+    summary: 'Define a time-boxed referral campaign with a per-invite bonus or an airdrop multiplier',
+    auth: { admin: ['finance'] },
+    body: {
+      ...campaignFields,
+      name: required(campaignFields.name),
+      startsAt: required(campaignFields.startsAt),
+      endsAt: required(campaignFields.endsAt),
+      bonusType: required(campaignFields.bonusType)
+    },
+    responses: { 201: ref('ReferralCampaignResult'), 400: 'The window is invalid or the bonus does not match the bonus type' }
+  },
+  updateReferralCampaign: {
+    method: 'patch',
+    path: '/api/admin/referral-campaigns/:id',
+    tags: ['Admin'],
+    summary: 'Change a campaign that has not ended; its start and bonus only before it starts',
+    auth: { admin: ['finance'] },
+    params: { id: required(uuid('Referral campaign id')) },
+    body: campaignFields,
+    responses: {
+      200: ref('ReferralCampaignResult'),
+      400: 'The window is invalid or the bonus does not match the bonus type',
+      404: 'Referral campaign not found',
+      409: 'Campaign has ended or was cancelled, or has started and the change touches its start or bonus'
+    }
+  },
+  cancelReferralCampaign: {
+    method: 'post',
+    path: '/api/admin/referral-campaigns/:id/cancel',
+    tags: ['Admin'],
+    summary: 'Stop attributing activations to a campaign; bonuses already earned are still paid',
+    auth: { admin: ['finance'] },
+    params: { id: required(uuid('Referral campaign id')) },
+    responses: {
+      200: ref('ReferralCampaignResult'),
+      404: 'Referral campaign not found',
+      409: 'Campaign has already ended or was cancelled'
+    }
+  },
+  getReferralCampaignReport: {
+    method: 'get',
+    path: '/api/admin/referral-campaigns/:id/report',
+    tags: ['Admin'],
+    summary: 'Attributed and qualified invites and bonus ENB of a campaign, in total and per inviter',
+    auth: { admin: ['support', 'finance'] },
+    params: { id: required(uuid('Referral campaign id')) },
+    query: { limit: limit(100, 1000), offset: offset() },
+    responses: { 200: ref('ReferralCampaignReport'), 404: 'Referral campaign not found' }
+  },
+  listInvitationCodes: {
+    method: 'get',
+    path: '/api/admin/invitation-codes',
+    tags: ['Admin'],
+    summary: 'List invitation codes',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      kind: { type: 'string', enum: CODE_KINDS },
+      status: { type: 'string', enum: CODE_STATUSES },
+      ownerWallet: address('Only codes owned by this wallet')
+    },
+    responses: { 200: object({ codes: arrayOf(ref('InvitationCode')), pagination: ref('Pagination') }) }
+  },
+  createCampaignCode: {
+    method: 'post',
+    path: '/api/admin/invitation-codes',
+    tags: ['Admin'],
+    summary: 'Mint a campaign code with its own use limit',
+    auth: { admin: ['support'] },
+    body: {
+      ownerWallet: required(address('Activated account credited with the invites')),
+      code: invitationCode('4 to 16 letters or digits; random when omitted'),
+      maxUses: required(integer(1, 100000, { description: 'Activations allowed with this code' })),
+      expiresAt: dateTime('When the code stops working; never when omitted'),
+      campaign: { type: 'string', maxLength: 100, description: 'Campaign label for reporting' }
+    },
+    responses: {
+      201: ref('InvitationCodeResult'),
+      400: 'Code is malformed or not allowed, the expiry is invalid or the owner is not activated',
+      404: 'Account not found',
+      409: 'Code is already taken'
+    }
+  },
+  adminRevokeInvitationCode: {
+    method: 'post',
+    path: '/api/admin/invitation-codes/:code/revoke',
+    tags: ['Admin'],
+    summary: 'Revoke any invitation code',
+    auth: { admin: ['support'] },
+    params: { code: required(invitationCode()) },
+    responses: {
+      200: ref('InvitationCodeResult'),
+      404: 'Invitation code not found',
+      409: 'Invitation code is already revoked'
+    }
+  },
+  listDriftReports: {
+    method: 'get',
+    path: '/api/admin/drift-reports',
+    tags: ['Admin'],
+    summary: 'List database-versus-chain drift reports',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      status: { type: 'string', enum: ['all', ...DRIFT_STATUSES], default: 'open' },
+      field: { type: 'string', enum: DRIFT_FIELDS },
+      walletAddress: address('Only reports for this wallet')
+    },
+    responses: {
+      200: object({
+        reports: arrayOf(ref('DriftReport')),
+        reconciliation: ref('ReconciliationStatus'),
+        pagination: ref('Pagination')
+      })
+    }
+  },
+  resolveDriftReport: {
+    method: 'post',
+    path: '/api/admin/drift-reports/:id/:action',
+    tags: ['Admin'],
+    summary: 'Apply the on-chain value (fix) or close a report unchanged (dismiss)',
+    auth: { admin: ['support'] },
+    params: {
+      id: required(uuid('Drift report id')),
+      action: required({ type: 'string', enum: ['fix', 'dismiss'] })
+    },
+    responses: {
+      200: object({ success: { type: 'boolean' }, report: ref('DriftReport') }),
+      404: 'Drift report not found',
+      409: 'Drift report is not open'
+    }
+  },
+  listInviteReviews: {
+    method: 'get',
+    path: '/api/admin/invite-reviews',
+    tags: ['Admin'],
+    summary: 'List invite rewards held because the inviter was flagged for invite farming',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      status: { type: 'string', enum: ['all', ...REVIEW_STATUSES], default: 'pending' },
+      inviterWallet: address('Only reviews for this inviter')
+    },
+    responses: { 200: object({ reviews: arrayOf(ref('InviteReview')), pagination: ref('Pagination') }) }
+  },
+  resolveInviteReview: {
+    method: 'post',
+    path: '/api/admin/invite-reviews/:id/:action',
+    tags: ['Admin'],
+    summary: 'Release a held invite payout (approve) or cancel it (reject)',
+    auth: { admin: ['finance'] },
+    params: {
+      id: required(uuid('Invite review id')),
+      action: required({ type: 'string', enum: ['approve', 'reject'] })
+    },
+    responses: {
+      200: object({ success: { type: 'boolean' }, review: ref('InviteReview'), payout: nullable(ref('InvitePayout')) }),
+      404: 'Invite review not found',
+      409: 'Invite review is not pending, or its payout is not held'
+    }
+  },
+  listSybilScores: {
+    method: 'get',
+    path: '/api/admin/sybil-scores',
+    tags: ['Admin'],
+    summary: 'List invite farming scores of inviters, highest first',
+    auth: { admin: ['support', 'finance'] },
+    query: {
+      limit: limit(100, 1000),
+      offset: offset(),
+      flagged: { type: 'boolean', description: 'Only flagged (true) or unflagged (false) inviters' },
+      walletAddress: address('Only the score of this inviter')
+    },
+    responses: {
+      200: object({
+        scores: arrayOf(ref('SybilScore')),
+        scoring: ref('SybilScoringStatus'),
+        pagination: ref('Pagination')
+      })
+    }
+  },
+  rescoreInviter: {
+    method: 'post',
+    path: '/api/admin/sybil-scores/:walletAddress/rescore',
+    tags: ['Admin'],
+    summary: 'Recompute the invite farming score of one inviter',
+    auth: { admin: ['support'] },
+    params: walletParam,
+    responses: { 200: ref('SybilScore') }
+  },
+  runSybilScoring: {
+    method: 'post',
+    path: '/api/admin/sybil-scoring/run',
+    tags: ['Admin'],
+    summary: 'Rescore recently active inviters outside the schedule',
+    auth: { admin: ['superadmin'] },
+    responses: {
+      202: object({ success: { type: 'boolean' }, message: { type: 'string' }, lastRun: { type: 'object', nullable: true } }),
+      409: 'Sybil scoring already running'
+    }
+  },
+  runReconciliation: {
+    method: 'post',
+    path: '/api/admin/reconciliation/run',
+    tags: ['Admin'],
+    summary: 'Start a reconciliation run outside the schedule',
+    auth: { admin: ['superadmin'] },
+    responses: {
+      202: object({ success: { type: 'boolean' }, message: { type: 'string' }, lastRun: { type: 'object', nullable: true } }),
+      409: 'Reconciliation already running'
+    }
+  }
+};
+
+export { API_ROUTES };
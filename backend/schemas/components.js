@@ -0,0 +1,840 @@
+// Reusable OpenAPI 3.0 schemas for request fields and response bodies.
+// Routes in api-routes.js reference the response models by name (see ref()).
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// OpenAPI 3.0 ignores siblings of $ref, so nullable references go through allOf
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+
+const arrayOf = (items) => ({ type: 'array', items });
+
+const object = (properties, required) => ({
+  type: 'object',
+  properties,
+  ...(required ? { required } : {})
+});
+
+// === Field schemas ===
+// `required: true` is read by the validator; it is moved to the parent object in the spec.
+
+const address = (description = 'Wallet address') => ({ type: 'string', format: 'address', example: '0x4200000000000000000000000000000000000006', description });
+const txHash = (description = 'Transaction hash') => ({ type: 'string', format: 'bytes32', description });
+const uuid = (description) => ({ type: 'string', format: 'uuid', description });
+const integer = (minimum, maximum, extra = {}) => ({ type: 'integer', minimum, maximum, ...extra });
+const dateTime = (description) => ({ type: 'string', format: 'date-time', description });
+const date = (description) => ({ type: 'string', format: 'date', description });
+const required = (schema) => ({ ...schema, required: true });
+
+const invitationCode = (description = 'Invitation code') => ({ type: 'string', minLength: 1, maxLength: 64, description });
+
+const limit = (defaultValue, maximum) => integer(1, maximum, { default: defaultValue, description: 'Maximum number of items to return' });
+const offset = () => integer(0, undefined, { default: 0, description: 'Number of items to skip' });
+
+// EIP-712 proof of wallet ownership, see middleware/wallet-signature.js
+const signedAuth = (primaryType) => required({
+  type: 'object',
+  description: `EIP-712 signature of a ${primaryType} message by the target wallet`,
+  'x-eip712-type': primaryType,
+  properties: {
+    nonce: required({ type: 'string', format: 'bytes32', description: 'Random 32-byte hex nonce, usable once' }),
+    expiry: required(integer(1, undefined, { description: 'Unix time (seconds) after which the signature is rejected' })),
+    signature: required({ type: 'string', format: 'hex', description: 'EIP-712 signature' })
+  }
+});
+
+// === Response models ===
+
+const MEMBERSHIP_LEVEL = { type: 'string', enum: ['Based', 'Super Based', 'Legendary'] };
+
+const timeParts = object({
+  hours: { type: 'integer' },
+  minutes: { type: 'integer' },
+  seconds: { type: 'integer' }
+});
+
+const schemas = {
+  Error: object({
+    error: { type: 'string', description: 'Stable error code or short description' },
+    message: { type: 'string', description: 'Human readable explanation' }
+  }, ['error']),
+
+  ValidationError: object({
+    error: { type: 'string', enum: ['ValidationError'] },
+    message: { type: 'string' },
+    errors: arrayOf(object({
+      field: { type: 'string', description: 'Field path, e.g. auth.nonce' },
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      message: { type: 'string' }
+    }, ['field', 'location', 'message']))
+  }, ['error', 'message', 'errors']),
+
+  ContractError: object({
+    error: { type: 'string', description: 'Stable error code, see services/contract-errors.js' },
+    message: { type: 'string' },
+    errorName: nullable({ type: 'string', description: 'Decoded custom error name' }),
+    errorCode: nullable({ type: 'string', description: 'Revert selector' })
+  }, ['error', 'message']),
+
+  Pagination: object({
+    total: { type: 'integer' },
+    limit: { type: 'integer' },
+    offset: { type: 'integer' },
+    hasMore: { type: 'boolean' }
+  }, ['total', 'limit', 'offset', 'hasMore']),
+
+  Message: object({
+    message: { type: 'string' }
+  }, ['message']),
+
+  Health: object({
+    status: { type: 'string', enum: ['ok'] },
+    timestamp: dateTime(),
+    environment: { type: 'string' }
+  }),
+
+  InvitationUsageSummary: object({
+    totalUses: { type: 'integer', description: 'Sum of the invitation ledger entries' },
+    personalUses: { type: 'integer', description: 'Invites through personal codes; maxUses limits these' },
+    maxUses: { type: 'integer' },
+    remainingUses: { type: 'integer' },
+    rewardCycle: nullable(ref('RewardCycle'))
+  }),
+
+  RewardCycle: object({
+    cycle: { type: 'integer', description: '1 until the first tier is reached, then one more per tier' },
+    startsAt: { type: 'integer', description: 'Threshold of the last tier reached (0 before the first)' },
+    endsAt: nullable({ type: 'integer', description: 'Threshold of the next tier; null once every tier is reached' }),
+    uses: { type: 'integer', description: 'Invites counted in this cycle' },
+    usesUntilReward: { type: 'integer' },
+    reward: nullable({ type: 'string', description: 'ENB paid at the end of the cycle' }),
+    completed: { type: 'boolean', description: 'Every tier is reached' }
+  }),
+
+  InvitationLedgerEntry: object({
+    id: { type: 'integer' },
+    inviterWallet: address(),
+    inviteeWallet: nullable(address()),
+    invitationCode: nullable({ type: 'string' }),
+    type: { type: 'string', enum: ['invite', 'reversal', 'adjustment'] },
+    delta: { type: 'integer', description: '+1 per invite, -1 per reversal, any amount for adjustments' },
+    reason: nullable({ type: 'string' }),
+    createdBy: nullable({ type: 'string' }),
+    createdAt: dateTime()
+  }),
+
+  InvitationLedger: {
+    allOf: [
+      object({ walletAddress: address() }),
+      ref('InvitationUsageSummary'),
+      object({ entries: arrayOf(ref('InvitationLedgerEntry')), pagination: ref('Pagination') })
+    ]
+  },
+
+  Profile: object({
+    walletAddress: address(),
+    membershipLevel: MEMBERSHIP_LEVEL,
+    invitationCode: nullable({ type: 'string' }),
+    invitationUsage: nullable(ref('InvitationUsageSummary')),
+    enbBalance: { type: 'number', description: 'Off-chain ENB balance' },
+    lastDailyClaimTime: nullable(dateTime()),
+    consecutiveDays: { type: 'integer', description: 'Current streak' },
+    longestStreak: { type: 'integer' },
+    totalEarned: { type: 'number' },
+    isActivated: { type: 'boolean' },
+    activatedAt: nullable(dateTime()),
+    joinDate: nullable(dateTime())
+  }),
+
+  ActivationResult: object({
+    message: { type: 'string' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    inviterWallet: nullable(address()),
+    remainingUses: { type: 'integer' },
+    payout: nullable(ref('InvitePayout')),
+    rewardHeld: { type: 'boolean', description: 'The inviter is flagged for invite farming; the reward waits for an admin review' },
+    referralCampaign: nullable(object({ id: uuid(), name: { type: 'string' } }))
+  }),
+
+  DefaultUserCreated: object({
+    message: { type: 'string' },
+    invitationCode: { type: 'string' },
+    maxUses: { type: 'integer' }
+  }),
+
+  ClaimStatus: object({
+    canClaim: { type: 'boolean' },
+    timeLeft: timeParts,
+    nextClaimTime: dateTime(),
+    lastClaimTime: nullable(dateTime()),
+    countdown: object({
+      timeUntilEligibility: { type: 'integer', description: 'Milliseconds' },
+      eligibilityTime: dateTime(),
+      countdownComponents: object({
+        totalSeconds: { type: 'integer' },
+        hours: { type: 'integer' },
+        minutes: { type: 'integer' },
+        seconds: { type: 'integer' }
+      }),
+      progress: { type: 'number', minimum: 0, maximum: 100 },
+      cooldownPeriod: { type: 'integer', description: 'Milliseconds' },
+      timeSinceLastClaim: { type: 'integer', description: 'Milliseconds' }
+    }),
+    metadata: object({
+      accountCreatedAt: dateTime(),
+      isFirstTimeUser: { type: 'boolean' },
+      totalDaysSinceCreation: { type: 'integer' },
+      cooldownHours: { type: 'integer' },
+      cooldownMinutes: { type: 'integer' },
+      cooldownSeconds: { type: 'integer' }
+    }),
+    debug: { type: 'object', additionalProperties: true }
+  }),
+
+  TipsStatus: object({
+    hasSeenTips: { type: 'boolean' }
+  }),
+
+  TipsMarked: object({
+    success: { type: 'boolean' },
+    hasSeenTips: { type: 'boolean' },
+    message: { type: 'string' }
+  }),
+
+  BalanceUpdate: object({
+    message: { type: 'string' },
+    previousBalance: { type: 'number' },
+    newBalance: { type: 'number' },
+    transactionId: nullable({ type: 'string' })
+  }),
+
+  Transaction: object({
+    id: { type: 'string' },
+    walletAddress: address(),
+    amount: { type: 'number' },
+    type: { type: 'string', enum: ['credit', 'debit'] },
+    description: nullable({ type: 'string' }),
+    balanceBefore: nullable({ type: 'number' }),
+    balanceAfter: nullable({ type: 'number' }),
+    timestamp: dateTime()
+  }),
+
+  BalanceLeaderboardEntry: object({
+    rank: { type: 'integer', description: 'Shared by equal values' },
+    walletAddress: address(),
+    enbBalance: { type: 'number' },
+    enbMined: { type: 'number', description: 'ENB credited by daily claims in the window; not set for all-time' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    consecutiveDays: { type: 'integer' }
+  }),
+
+  EarningsLeaderboardEntry: object({
+    rank: { type: 'integer', description: 'Shared by equal values' },
+    walletAddress: address(),
+    totalEarned: { type: 'number', description: 'ENB yield claimed on-chain (in the window)' },
+    totalDailyClaims: { type: 'integer', description: 'On-chain daily claims (in the window)' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    consecutiveDays: { type: 'integer' }
+  }),
+
+  StreakLeaderboardEntry: object({
+    rank: { type: 'integer', description: 'Shared by equal values' },
+    walletAddress: address(),
+    consecutiveDays: { type: 'integer', description: 'Live streak; for a window, the longest run of consecutive claim days in it' },
+    claimDays: { type: 'integer', description: 'Days with a claim in the window; not set for all-time' },
+    longestStreak: { type: 'integer' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    enbBalance: { type: 'number' }
+  }),
+
+  LeaderboardWindow: object({
+    name: { type: 'string' },
+    startsAt: nullable(dateTime()),
+    resetsAt: nullable(dateTime('When the next window starts; null for all-time'))
+  }),
+
+  CursorPagination: object({
+    total: { type: 'integer', description: 'Wallets on the leaderboard' },
+    limit: { type: 'integer' },
+    nextCursor: nullable({ type: 'string', description: 'Pass as cursor to get the entries below the last one' }),
+    hasMore: { type: 'boolean' }
+  }),
+
+  InviteLeaderboard: object({
+    window: ref('LeaderboardWindow'),
+    requireClaim: { type: 'boolean' },
+    computedAt: dateTime('When the ranks were last refreshed'),
+    leaderboard: arrayOf(object({
+      rank: { type: 'integer', description: 'Inviters with the same count share a rank' },
+      walletAddress: address(),
+      qualifiedInvitees: { type: 'integer' },
+      lastInviteAt: dateTime()
+    })),
+    pagination: ref('CursorPagination')
+  }),
+
+  Ranking: object({
+    rank: nullable({ type: 'integer', description: 'Shared by equal values; null when the wallet is not on the leaderboard' }),
+    value: { type: 'number' }
+  }),
+
+  UserRankings: object({
+    walletAddress: address(),
+    window: ref('LeaderboardWindow'),
+    rankings: object({
+      balance: ref('Ranking'),
+      earnings: ref('Ranking'),
+      streak: ref('Ranking')
+    })
+  }),
+
+  User: object({
+    id: { type: 'string' },
+    walletAddress: address(),
+    membershipLevel: MEMBERSHIP_LEVEL,
+    invitationCode: nullable({ type: 'string' }),
+    maxInvitationUses: { type: 'integer' },
+    currentInvitationUses: { type: 'integer' },
+    enbBalance: { type: 'number' },
+    totalEarned: { type: 'number' },
+    consecutiveDays: { type: 'integer' },
+    isActivated: { type: 'boolean' },
+    createdAt: nullable(dateTime()),
+    activatedAt: nullable(dateTime()),
+    lastDailyClaimTime: nullable(dateTime())
+  }),
+
+  InvitationUsage: object({
+    invitationCode: { type: 'string' },
+    kind: { type: 'string', enum: ['generated', 'vanity', 'campaign'] },
+    status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    expiresAt: nullable(dateTime()),
+    totalUses: { type: 'integer' },
+    maxUses: { type: 'integer' },
+    remainingUses: { type: 'integer' },
+    usageHistory: arrayOf(object({
+      id: { type: 'string' },
+      usedBy: address(),
+      usedAt: dateTime(),
+      inviterWallet: address()
+    })),
+    inviterWallet: address(),
+    inviterFid: nullable({ type: 'integer', description: 'Farcaster fid the mini app reported for the inviter' }),
+    isInviterActivated: { type: 'boolean' }
+  }),
+
+  InviteFunnel: object({
+    activated: { type: 'integer', description: 'Wallets activated with the invitation codes' },
+    firstClaim: { type: 'integer', description: 'Made a daily claim after activating' },
+    retainedDay7: { type: 'integer', description: 'Claimed 7 or more days after activating' },
+    retainedDay30: { type: 'integer', description: 'Claimed 30 or more days after activating' },
+    eligibleDay7: { type: 'integer', description: 'Activated at least 7 days ago' },
+    eligibleDay30: { type: 'integer', description: 'Activated at least 30 days ago' },
+    conversion: object({
+      firstClaim: { type: 'number', description: 'Share of activated' },
+      retainedDay7: { type: 'number', description: 'Share of eligibleDay7' },
+      retainedDay30: { type: 'number', description: 'Share of eligibleDay30' }
+    })
+  }),
+
+  InviterFunnel: {
+    allOf: [
+      object({ walletAddress: address('Inviter') }),
+      ref('InviteFunnel')
+    ]
+  },
+
+  DateRange: object({
+    from: date('First day (UTC)'),
+    to: date('Last day (UTC), included')
+  }),
+
+  RetentionDay: object({
+    retained: nullable({ type: 'integer', description: 'Claimed on that day after activating; null until the day has ended' }),
+    rate: nullable({ type: 'number', description: 'Share of the cohort' })
+  }),
+
+  RetentionTotal: object({
+    eligible: { type: 'integer', description: 'Accounts in cohorts whose day has ended' },
+    retained: { type: 'integer' },
+    rate: { type: 'number', description: 'Share of eligible' }
+  }),
+
+  ActiveClaimersReport: object({
+    range: ref('DateRange'),
+    averageDailyClaimers: { type: 'number' },
+    days: arrayOf(object({
+      date: date(),
+      dailyClaimers: { type: 'integer', description: 'Wallets that claimed that day' },
+      weeklyClaimers: { type: 'integer', description: 'Wallets that claimed in the 7 days ending that day' }
+    }))
+  }),
+
+  AccountGrowthReport: object({
+    range: ref('DateRange'),
+    totals: object({
+      newAccounts: { type: 'integer' },
+      activations: { type: 'integer' },
+      invitedActivations: { type: 'integer' }
+    }),
+    days: arrayOf(object({
+      date: date(),
+      newAccounts: { type: 'integer', description: 'Accounts created' },
+      activations: { type: 'integer', description: 'Accounts activated (and still activated)' },
+      invitedActivations: { type: 'integer', description: 'Wallets that used an invitation code' }
+    }))
+  }),
+
+  RetentionReport: object({
+    range: ref('DateRange'),
+    totals: object({
+      activated: { type: 'integer' },
+      day1: ref('RetentionTotal'),
+      day7: ref('RetentionTotal'),
+      day30: ref('RetentionTotal')
+    }),
+    cohorts: arrayOf(object({
+      cohortDate: date('Activation day (UTC)'),
+      activated: { type: 'integer' },
+      retention: object({
+        day1: ref('RetentionDay'),
+        day7: ref('RetentionDay'),
+        day30: ref('RetentionDay')
+      })
+    }))
+  }),
+
+  MembershipDistribution: object({
+    range: nullable(ref('DateRange')),
+    total: { type: 'integer', description: 'Activated accounts' },
+    levels: arrayOf(object({
+      level: MEMBERSHIP_LEVEL,
+      accounts: { type: 'integer' },
+      share: { type: 'number' }
+    }))
+  }),
+
+  UpgradeConversion: object({
+    range: ref('DateRange'),
+    activated: { type: 'integer', description: 'Accounts activated in the range' },
+    upgraded: { type: 'integer', description: 'Of those, upgraded at least once since' },
+    reachedSuperBased: { type: 'integer' },
+    reachedLegendary: { type: 'integer' },
+    conversion: object({
+      upgraded: { type: 'number', description: 'Share of activated' },
+      superBased: { type: 'number', description: 'Share of activated' },
+      legendary: { type: 'number', description: 'Share of activated' }
+    }),
+    medianDaysToUpgrade: nullable({ type: 'number', description: 'From activation to the first upgrade' })
+  }),
+
+  EnbEmissionsReport: object({
+    range: ref('DateRange'),
+    totals: object({
+      claims: { type: 'integer' },
+      claimRewards: { type: 'number' },
+      airdrops: { type: 'integer' },
+      airdropRewards: { type: 'number' },
+      campaignBonuses: { type: 'integer' },
+      campaignBonusRewards: { type: 'number' },
+      total: { type: 'number' }
+    }),
+    days: arrayOf(object({
+      date: date(),
+      claims: { type: 'integer' },
+      claimRewards: { type: 'number', description: 'ENB credited by daily claims' },
+      airdrops: { type: 'integer' },
+      airdropRewards: { type: 'number', description: 'ENB paid by invite tier airdrops' },
+      campaignBonuses: { type: 'integer' },
+      campaignBonusRewards: { type: 'number', description: 'ENB transferred as referral campaign bonuses' },
+      total: { type: 'number' }
+    }))
+  }),
+
+  InvitationCode: object({
+    code: { type: 'string' },
+    ownerWallet: address('Account credited with the invites'),
+    kind: { type: 'string', enum: ['generated', 'vanity', 'campaign'] },
+    campaign: nullable({ type: 'string' }),
+    uses: { type: 'integer', description: 'Activations with this code' },
+    maxUses: nullable({ type: 'integer', description: 'Campaign codes only; personal codes share the limit of the owner' }),
+    status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    expiresAt: nullable(dateTime()),
+    revokedAt: nullable(dateTime()),
+    revokedBy: nullable({ type: 'string' }),
+    createdBy: nullable({ type: 'string' }),
+    createdAt: dateTime()
+  }),
+
+  InvitationCodeResult: object({
+    success: { type: 'boolean' },
+    invitationCode: ref('InvitationCode')
+  }),
+
+  WalletInvitationCodes: object({
+    walletAddress: address(),
+    invitationCode: nullable(ref('InvitationCode')),
+    totalUses: { type: 'integer', description: 'Activations credited to the wallet, campaign codes included' },
+    personalUses: { type: 'integer', description: 'Activations through personal codes; maxUses limits these' },
+    maxUses: { type: 'integer' },
+    remainingUses: { type: 'integer' },
+    campaignCodes: arrayOf(ref('InvitationCode'))
+  }),
+
+  Referral: object({
+    walletAddress: address(),
+    inviterWallet: address(),
+    level: { type: 'integer', description: '1 for direct invitees, 2 for their invitees, ...' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    activatedAt: nullable(dateTime()),
+    consecutiveDays: { type: 'integer', description: 'Current streak' },
+    longestStreak: { type: 'integer' },
+    totalClaims: { type: 'integer' },
+    lastDailyClaimTime: nullable(dateTime()),
+    isActiveMiner: { type: 'boolean', description: 'Claimed within the last activeMinerDays days' }
+  }),
+
+  ReferralSummary: object({
+    invitees: { type: 'integer' },
+    activeMiners: { type: 'integer' },
+    withFirstClaim: { type: 'integer' },
+    totalClaims: { type: 'integer' },
+    averageStreak: { type: 'number' },
+    membershipLevels: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Invitees per membership level' }
+  }),
+
+  ReferralTree: object({
+    walletAddress: address(),
+    depth: { type: 'integer' },
+    activeMinerDays: { type: 'integer' },
+    invitees: arrayOf(ref('Referral')),
+    downline: arrayOf(ref('Referral')),
+    levels: arrayOf({ allOf: [object({ level: { type: 'integer' } }), ref('ReferralSummary')] }),
+    totals: ref('ReferralSummary')
+  }),
+
+  RelayJobAccepted: object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    jobId: uuid('Relay job id, poll GET /relay/jobs/{id}'),
+    status: { type: 'string', enum: ['queued', 'sent', 'mined', 'failed'] }
+  }, ['jobId', 'status']),
+
+  RelayJob: object({
+    id: uuid(),
+    type: { type: 'string' },
+    walletAddress: address(),
+    status: { type: 'string', enum: ['queued', 'sent', 'mined', 'failed'] },
+    txHash: nullable(txHash()),
+    nonce: nullable({ type: 'integer' }),
+    attempts: { type: 'integer' },
+    error: nullable({ type: 'string' }),
+    errorCode: nullable({ type: 'string' }),
+    result: nullable({ type: 'object', additionalProperties: true }),
+    createdAt: dateTime(),
+    sentAt: nullable(dateTime()),
+    minedAt: nullable(dateTime()),
+    updatedAt: dateTime()
+  }),
+
+  RelayClaimStatus: object({
+    canClaim: { type: 'boolean' },
+    reason: nullable({ type: 'string' }),
+    message: { type: 'string' },
+    userAccount: { type: 'object', additionalProperties: true },
+    cooldownInfo: object({
+      cooldownPeriod: { type: 'string' },
+      timeSinceLastClaim: { type: 'integer' },
+      timeRemaining: { type: 'integer' }
+    })
+  }),
+
+  ContractStats: object({
+    success: { type: 'boolean' },
+    stats: object({
+      totalUsers: { type: 'string' },
+      totalClaims: { type: 'string' },
+      totalYieldDistributed: { type: 'string' },
+      contractBalance: { type: 'string' },
+      reserveAmount: { type: 'string' },
+      totalResets: { type: 'string' }
+    })
+  }),
+
+  InviteTier: object({
+    threshold: { type: 'integer', description: 'Successful invites needed' },
+    amount: { type: 'string', description: 'ENB paid once when the tier is reached' },
+    reached: { type: 'boolean' },
+    rewarded: { type: 'boolean' }
+  }),
+
+  AirdropStatus: object({
+    walletAddress: address(),
+    contractUses: { type: 'string' },
+    databaseUses: { type: 'integer', description: 'Invite count from the invitation ledger' },
+    unrecordedUses: { type: 'integer', description: 'Ledger invites whose payout is queued, held or failed; databaseUses minus this should equal contractUses' },
+    maxUses: { type: 'integer' },
+    rewardCycle: ref('RewardCycle'),
+    tiers: arrayOf(ref('InviteTier')),
+    nextTier: nullable(ref('InviteTier')),
+    usesUntilNextTier: { type: 'integer' },
+    hasUnpaidTiers: { type: 'boolean', description: 'A reached tier has not been paid yet' }
+  }),
+
+  InviteRewardResult: object({
+    success: { type: 'boolean' },
+    airdropTriggered: { type: 'boolean', description: 'At least one tier was paid' },
+    rewards: arrayOf(object({ threshold: { type: 'integer' }, amount: { type: 'string' } })),
+    rewardAmount: { type: 'string', description: 'Total ENB paid in this transaction' },
+    txHash: txHash(),
+    currentUses: { type: 'string' },
+    nextTier: nullable(ref('InviteTier')),
+    usesUntilNextTier: { type: 'integer' }
+  }),
+
+  InvitePayout: object({
+    id: uuid(),
+    kind: { type: 'string', enum: ['record_invite', 'settle_tiers', 'campaign_bonus'] },
+    inviterWallet: address(),
+    inviteeWallet: nullable(address('Activated invitee (record_invite and campaign_bonus)')),
+    campaignId: nullable(uuid('Referral campaign (campaign_bonus only)')),
+    amount: nullable({ type: 'number', description: 'ENB transferred by the relayer (campaign_bonus only)' }),
+    status: { type: 'string', enum: ['pending', 'held', 'sending', 'paid', 'failed', 'cancelled'] },
+    attempts: { type: 'integer', description: 'Relay jobs queued for this payout' },
+    nextAttemptAt: nullable(dateTime('When a pending payout is sent next')),
+    screenedAt: nullable(dateTime('record_invite only: when the payout cleared invite farming screening; it is not sent before')),
+    relayJobId: nullable(uuid('Current relay job, poll GET /relay/jobs/{id}')),
+    txHash: nullable(txHash('Mined transaction; null for a settlement that found nothing left to pay')),
+    txHashes: arrayOf(txHash('Every transaction broadcast for this payout')),
+    result: nullable({ oneOf: [ref('InviteRewardResult'), ref('CampaignBonusResult')] }),
+    error: nullable({ type: 'string' }),
+    errorCode: nullable({ type: 'string' }),
+    requestedBy: nullable({ type: 'string' }),
+    createdAt: dateTime(),
+    paidAt: nullable(dateTime()),
+    updatedAt: dateTime()
+  }),
+
+  CampaignBonusResult: object({
+    amount: { type: 'string', description: 'ENB transferred' },
+    txHash: txHash()
+  }),
+
+  ReferralCampaign: object({
+    id: uuid(),
+    name: { type: 'string' },
+    description: nullable({ type: 'string' }),
+    startsAt: dateTime(),
+    endsAt: dateTime(),
+    eligibleLevels: arrayOf(MEMBERSHIP_LEVEL),
+    bonusType: { type: 'string', enum: ['per_invite', 'airdrop_multiplier'] },
+    bonusAmount: nullable({ type: 'number', description: 'ENB per qualified invite (per_invite)' }),
+    airdropMultiplier: nullable({ type: 'number', description: 'Tier rewards paid by a qualified invite are worth this many times their amount (airdrop_multiplier)' }),
+    status: { type: 'string', enum: ['scheduled', 'active', 'ended', 'cancelled'] },
+    cancelledAt: nullable(dateTime()),
+    cancelledBy: nullable({ type: 'string' }),
+    createdBy: nullable({ type: 'string' }),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+
+  ReferralCampaignResult: object({
+    success: { type: 'boolean' },
+    campaign: ref('ReferralCampaign')
+  }),
+
+  ReferralCampaignTotals: object({
+    attributedInvites: { type: 'integer', description: 'Activations attributed to the campaign' },
+    qualifiedInvites: { type: 'integer', description: 'Attributed invites recorded on-chain' },
+    rejectedInvites: { type: 'integer', description: 'Attributed invites rejected in sybil review' },
+    bonusPaid: { type: 'number' },
+    bonusPending: { type: 'number' },
+    bonusFailed: { type: 'number' }
+  }),
+
+  ReferralCampaignReport: object({
+    campaign: ref('ReferralCampaign'),
+    totals: { allOf: [object({ inviters: { type: 'integer' } }), ref('ReferralCampaignTotals')] },
+    inviters: arrayOf({ allOf: [object({ walletAddress: address() }), ref('ReferralCampaignTotals')] }),
+    pagination: ref('Pagination')
+  }),
+
+  InvitePayoutAccepted: object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    payout: ref('InvitePayout')
+  }),
+
+  Airdrop: object({
+    id: { type: 'string' },
+    walletAddress: address(),
+    amount: { type: 'string' },
+    triggeredAt: dateTime(),
+    txHash: txHash(),
+    blockNumber: { type: 'integer' },
+    tierThreshold: nullable({ type: 'integer', description: 'Invite tier paid (null for InviteAirdrop v1 rewards)' }),
+    invitationUsesAtTrigger: nullable({ type: 'string' }),
+    createdAt: dateTime()
+  }),
+
+  DriftReport: object({
+    id: uuid(),
+    walletAddress: address(),
+    field: { type: 'string' },
+    dbValue: nullable({ type: 'string' }),
+    chainValue: nullable({ type: 'string' }),
+    status: { type: 'string' },
+    fixable: { type: 'boolean' },
+    detectedAt: dateTime(),
+    lastSeenAt: dateTime(),
+    resolvedAt: nullable(dateTime()),
+    resolvedBy: nullable({ type: 'string' })
+  }),
+
+  SybilSignal: object({
+    signal: { type: 'string', enum: ['sameFunder', 'inviterFunded', 'activationBurst', 'noFirstClaim', 'sharedFid'] },
+    weight: { type: 'integer', description: 'Points the signal adds to the score' },
+    wallets: { type: 'integer', description: 'Invitees showing the signal' },
+    funder: address('Common funder (sameFunder)'),
+    code: { type: 'string', description: 'Code used in the burst (activationBurst)' },
+    activations: { type: 'integer', description: 'Activations within the window (activationBurst)' },
+    windowMinutes: { type: 'integer' },
+    eligible: { type: 'integer', description: 'Invitees past the first-claim grace period (noFirstClaim)' },
+    fids: { type: 'integer', description: 'Distinct shared fids (sharedFid)' }
+  }, ['signal', 'weight']),
+
+  SybilScore: object({
+    walletAddress: address('Inviter'),
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    flagged: { type: 'boolean' },
+    signals: arrayOf(ref('SybilSignal')),
+    invitees: { type: 'integer' },
+    scoredAt: dateTime()
+  }),
+
+  SybilScoringStatus: object({
+    running: { type: 'boolean' },
+    lastRun: nullable(object({
+      startedAt: dateTime(),
+      finishedAt: nullable(dateTime()),
+      invitersScored: { type: 'integer' },
+      flagged: { type: 'integer' },
+      errors: { type: 'integer' }
+    }))
+  }),
+
+  InviteReview: object({
+    id: uuid(),
+    inviterWallet: address(),
+    inviteeWallet: address(),
+    invitationCode: { type: 'string' },
+    score: { type: 'integer', description: 'Inviter score when the reward was held' },
+    signals: arrayOf(ref('SybilSignal')),
+    status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+    payoutId: nullable(uuid('Invite payout held by the review')),
+    createdAt: dateTime(),
+    reviewedAt: nullable(dateTime()),
+    reviewedBy: nullable({ type: 'string' })
+  }),
+
+  ReconciliationStatus: object({
+    running: { type: 'boolean' },
+    lastRun: nullable(object({
+      startedAt: dateTime(),
+      finishedAt: nullable(dateTime()),
+      accountsChecked: { type: 'integer' },
+      accountsWithDrift: { type: 'integer' },
+      drifts: { type: 'integer' },
+      errors: { type: 'integer' }
+    }))
+  }),
+
+  MiningActivity: object({
+    walletAddress: address(),
+    consecutiveDays: { type: 'integer' },
+    currentStreak: { type: 'integer' },
+    longestStreak: { type: 'integer' },
+    streakRules: object({
+      dayBoundary: { type: 'string', enum: ['midnight', 'rolling'] },
+      timezone: { type: 'string' },
+      graceHours: { type: 'number' }
+    }),
+    totalClaims: { type: 'integer' },
+    lastClaimDate: nullable(dateTime()),
+    canClaimToday: { type: 'boolean' },
+    nextClaimTime: nullable(dateTime()),
+    timeLeft: timeParts,
+    timeUntilNextClaim: { type: 'integer', description: 'Milliseconds' },
+    nextMilestone: nullable(object({
+      level: { type: 'string' },
+      required: { type: 'integer' },
+      current: { type: 'integer' },
+      remaining: { type: 'integer' }
+    })),
+    progressToMilestone: { type: 'number' },
+    membershipLevel: MEMBERSHIP_LEVEL,
+    accountCreatedAt: nullable(dateTime()),
+    isActivated: { type: 'boolean' },
+    recentClaims: arrayOf(object({
+      claimedAt: dateTime(),
+      txHash: txHash()
+    }))
+  }),
+
+  StreakStatus: object({
+    walletAddress: address(),
+    currentStreak: { type: 'integer' },
+    longestStreak: { type: 'integer' },
+    streakActive: { type: 'boolean' },
+    streakExpiresAt: nullable(dateTime()),
+    freezes: object({
+      available: { type: 'integer' },
+      max: { type: 'integer' },
+      price: { type: 'number' },
+      earnEveryDays: { type: 'integer' },
+      earned: { type: 'integer' },
+      purchased: { type: 'integer' },
+      used: { type: 'integer' }
+    }),
+    repair: object({
+      available: { type: 'boolean' },
+      price: { type: 'number' },
+      restoresTo: { type: 'integer' },
+      brokeAt: nullable(dateTime()),
+      availableUntil: nullable(dateTime()),
+      windowHours: { type: 'number' }
+    }),
+    enbBalance: { type: 'number' }
+  }),
+
+  StreakFreezePurchase: object({
+    success: { type: 'boolean' },
+    freezes: { type: 'integer' },
+    newBalance: { type: 'number' }
+  }),
+
+  StreakRepair: object({
+    success: { type: 'boolean' },
+    currentStreak: { type: 'integer' },
+    newBalance: { type: 'number' }
+  })
+};
+
+export {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  address,
+  txHash,
+  uuid,
+  integer,
+  dateTime,
+  date,
+  required,
+  invitationCode,
+  limit,
+  offset,
+  signedAuth,
+  MEMBERSHIP_LEVEL,
+  schemas
+};
@@ -0,0 +1,6 @@
+// Rescores recently active inviters for invite farming once and exits.
+// Use from an external scheduler when the server's cron (SYBIL_SCORING_ENABLED) is not running.
+import { runSybilScoring } from './services/sybil-scoring.js';
+
+const summary = await runSybilScoring();
+process.exit(summary.errors > 0 ? 1 : 0);
@@ -2,62 +2,107 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import { supabase } from './config/supabase.js';
+import { provider, relayerWallet, contract } from './config/blockchain.js';
+import { requireWalletSignature } from './middleware/wallet-signature.js';
+import { requireAdminRole } from './middleware/admin-auth.js';
+import { enqueueRelayJob, getRelayJob, formatRelayJob, startRelayWorker } from './services/relay-queue.js';
+// Registers the relay job types the routes enqueue
+import './services/relay-jobs.js';
+import { startChainIndexer, getChainEvents } from './services/chain-indexer.js';
+import { sendContractError } from './services/contract-errors.js';
+import { compareClaims, getStreakSummary, getStreakConfig } from './services/streak-engine.js';
+import { getStreakStatus, purchaseStreakFreezes, repairStreak } from './services/streak-items.js';
+import { getInviteRewardStatus } from './services/invite-rewards.js';
+import {
+  getInvitationTotal,
+  getPersonalInvitationTotal,
+  getInvitationTotals,
+  getInvitationSummary,
+  getRewardCycle,
+  listLedgerEntries
+} from './services/invitation-ledger.js';
+import {
+  getRecordInvitePayout,
+  queueSettlePayout,
+  countUnrecordedInvites,
+  retryInvitePayout,
+  listInvitePayouts,
+  startInvitePayoutWorker
+} from './services/invite-payouts.js';
+import { getReferralTree, REFERRAL_DEFAULT_DEPTH } from './services/referrals.js';
+import { getInviterFunnel, listInviteFunnels } from './services/invite-funnel.js';
+import {
+  getActiveClaimers,
+  getAccountGrowth,
+  getRetentionCohorts,
+  getMembershipDistribution,
+  getUpgradeConversion,
+  getEnbEmissions
+} from './services/analytics.js';
+import { createExport, pipeExport } from './services/exports.js';
+import { getLeaderboard, getWalletRankings, startLeaderboardRefreshSchedule } from './services/leaderboard-ranks.js';
+import { formatWindow } from './services/leaderboard-windows.js';
+import {
+  createReferralCampaign,
+  updateReferralCampaign,
+  cancelReferralCampaign,
+  listReferralCampaigns,
+  getReferralCampaign,
+  getReferralCampaignReport
+} from './services/referral-campaigns.js';
+import {
+  scoreInviter,
+  formatSybilScore,
+  runSybilScoring,
+  getLastSybilScoringRun,
+  startSybilScoringSchedule
+} from './services/sybil-scoring.js';
+import {
+  formatInviteReview,
+  holdRewardIfFlagged,
+  startInviteScreening,
+  approveInviteReview,
+  rejectInviteReview
+} from './services/invite-reviews.js';
+import {
+  normalizeInvitationCode,
+  generateUniqueInvitationCode,
+  getInvitationCode,
+  formatInvitationCode,
+  issueInvitationCode,
+  getWalletInvitationCodes,
+  regenerateInvitationCode,
+  claimVanityCode,
+  setInvitationCodeExpiry,
+  revokeInvitationCode,
+  revokePersonalCode,
+  createCampaignCode,
+  listInvitationCodes,
+  resolveInvitationCode
+} from './services/invitation-codes.js';
+import {
+  runReconciliation,
+  getLastReconciliationRun,
+  fixDriftReport,
+  formatDriftReport,
+  startReconciliationSchedule
+} from './services/reconciliation.js';
+import { validateRequest, handleJsonParseError } from './middleware/validate.js';
+import { rateLimitIp, rateLimitRoute } from './middleware/rate-limit.js';
+import { API_ROUTES } from './schemas/api-routes.js';
+import { buildOpenApiDocument, findUndocumentedRoutes, renderDocsPage } from './services/openapi.js';
 import { ethers } from 'ethers';
-import crypto from 'crypto';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// Get current file directory for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load JSON file for ES modules
-const enbMiniAppPath = join(__dirname, 'abis', 'EnbMiniApp.json');
-const enbMiniApp = JSON.parse(readFileSync(enbMiniAppPath, 'utf8'));
-const enbMiniAppAbi = enbMiniApp.abi;
-
-// Load InviteAirdrop ABI
-const inviteAirdropPath = join(__dirname, 'abis', 'InviteAirdrop.json');
-const inviteAirdrop = JSON.parse(readFileSync(inviteAirdropPath, 'utf8'));
-const inviteAirdropAbi = inviteAirdrop.abi;
 
 // Load environment variables from .env
 dotenv.config();
 
-// === Supabase Initialization ===
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-  console.error('❌ SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not found. Exiting.');
-  process.exit(1);
-}
-
-// === Blockchain Setup ===
-if (!process.env.RPC_URL || !process.env.PRIVATE_KEY || !process.env.CONTRACT_ADDRESS) {
-  console.error('❌ Missing RPC_URL, PRIVATE_KEY, or CONTRACT_ADDRESS in .env');
-  process.exit(1);
-}
-
-// Check for airdrop contract configuration
-if (!process.env.AIRDROP_CONTRACT_ADDRESS) {
-  console.error('❌ Missing AIRDROP_CONTRACT_ADDRESS in .env');
-  process.exit(1);
-}
-
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const relayerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, enbMiniAppAbi, relayerWallet);
-
-// Initialize airdrop contract with proper ABI
-const airdropContract = new ethers.Contract(
-  process.env.AIRDROP_CONTRACT_ADDRESS,
-  inviteAirdropAbi,
-  relayerWallet
-);
-
 // === Express Setup ===
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind the Vercel proxy; needed for accurate req.ip in admin audit logs and per-IP rate limits
+app.set('trust proxy', 1);
+
 app.use(express.json());
 
 app.use(cors({
@@ -67,166 +112,21 @@ app.use(cors({
     'https://test-flight-six.vercel.app',
     'https://enb-crushers.vercel.app'
   ],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'RateLimit', 'RateLimit-Policy', 'Retry-After'],
   credentials: false,
   maxAge: 86400
 }));
 
-// === Helper Functions ===
-const generateInvitationCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
-
-// Helper function to decode custom errors from EnbMiniAppUpgradeable contract
-const decodeCustomError = (errorData) => {
-  const errorMap = {
-    '0x786e0a99': 'DailyClaimOnCooldown',
-    '0x9dca362f': 'AccountDoesNotExist',
-    '0x5c975abb': 'EnforcedPause',
-    '0x0905f560': 'EmergencyModeActive',
-    '0x15db5d7c': 'InvalidMembershipLevel',
-    '0x8f83ab13': 'OnlyRelayerAllowed',
-    '0x4e487b71': 'AccountAlreadyExists',
-    '0x8f83ab13': 'AlreadyAtMaxLevel',
-    '0x8f83ab13': 'CannotSkipLevels'
-  };
-  
-  return errorMap[errorData] || 'UnknownCustomError';
-};
-
-const isInvitationCodeUnique = async (code) => {
-  const { data, error } = await supabase
-    .from('accounts')
-    .select('id')
-    .eq('invitation_code', code)
-    .limit(1);
-  
-  if (error) throw error;
-  return !data || data.length === 0;
-};
-
-const generateUniqueInvitationCode = async () => {
-  let code;
-  let attempts = 0;
-  const maxAttempts = 10;
-
-  do {
-    code = generateInvitationCode();
-    attempts++;
-    if (attempts > maxAttempts) {
-      throw new Error('Failed to generate unique invitation code after 10 attempts');
-    }
-  } while (!(await isInvitationCodeUnique(code)));
-
-  return code;
-};
-
-// Helper function to handle airdrop when invitation usage reaches threshold
-const handleInviteAirdrop = async (inviterWalletAddress) => {
-  try {
-    console.log('🎁 Processing airdrop for inviter:', inviterWalletAddress);
-    
-    // Check current usage BEFORE calling recordInviteUse
-    const currentUses = await airdropContract.inviteUses(inviterWalletAddress);
-    const threshold = await airdropContract.THRESHOLD();
-    const isRewarded = await airdropContract.rewarded(inviterWalletAddress);
-    
-    console.log('📊 Pre-check airdrop status:', {
-      currentUses: currentUses.toString(),
-      threshold: threshold.toString(),
-      isRewarded: isRewarded
-    });
-    
-    // Only proceed if threshold is reached and user hasn't been rewarded yet
-    if (Number(currentUses) >= Number(threshold) && !isRewarded) {
-      console.log('🎯 Threshold reached! Triggering airdrop...');
-      
-      // Record the invite use on the airdrop contract
-      const tx = await airdropContract.recordInviteUse(inviterWalletAddress);
-      console.log('📝 Airdrop transaction sent:', tx.hash);
-      
-      // Wait for transaction confirmation
-      const receipt = await tx.wait();
-      console.log('✅ Airdrop transaction confirmed in block:', receipt.blockNumber);
-      
-      // Verify the airdrop was successful
-      const newUses = await airdropContract.inviteUses(inviterWalletAddress);
-      const newIsRewarded = await airdropContract.rewarded(inviterWalletAddress);
-      const rewardAmount = await airdropContract.REWARD_AMOUNT();
-      
-      console.log('📊 Post-airdrop status:', {
-        newUses: newUses.toString(),
-        threshold: threshold.toString(),
-        newIsRewarded: newIsRewarded,
-        rewardAmount: ethers.formatEther(rewardAmount)
-      });
-      
-      if (newIsRewarded) {
-        console.log('🎉 Airdrop triggered successfully! 25 ENB sent to:', inviterWalletAddress);
-        
-        // Log the airdrop in the database
-        const { error: airdropLogError } = await supabase
-          .from('airdrops')
-          .insert({
-            wallet_address: inviterWalletAddress,
-            amount: ethers.formatEther(rewardAmount),
-            triggered_at: new Date().toISOString(),
-            tx_hash: tx.hash,
-            invitation_uses_at_trigger: newUses.toString()
-          });
-        
-        if (airdropLogError) {
-          console.error('Warning: Failed to log airdrop:', airdropLogError);
-        }
-        
-        return {
-          success: true,
-          airdropTriggered: true,
-          rewardAmount: ethers.formatEther(rewardAmount),
-          txHash: tx.hash,
-          currentUses: newUses.toString(),
-          threshold: threshold.toString()
-        };
-      } else {
-        console.log('⚠️ Airdrop transaction succeeded but user not marked as rewarded');
-        return {
-          success: false,
-          airdropTriggered: false,
-          error: 'Airdrop transaction succeeded but reward not processed',
-          currentUses: newUses.toString(),
-          threshold: threshold.toString()
-        };
-      }
-    } else {
-      console.log('⏳ Threshold not reached yet or already rewarded:', {
-        currentUses: currentUses.toString(),
-        threshold: threshold.toString(),
-        isRewarded: isRewarded
-      });
-      
-      return {
-        success: true,
-        airdropTriggered: false,
-        currentUses: currentUses.toString(),
-        threshold: threshold.toString(),
-        reason: isRewarded ? 'Already rewarded' : 'Threshold not reached'
-      };
-    }
-    
-  } catch (error) {
-    console.error('❌ Airdrop error:', error);
-    throw error;
-  }
-};
-
 // === Routes ===
 // Basic route
-app.get('/', (req, res) => {
+app.get('/', rateLimitIp(API_ROUTES.getRoot), validateRequest(API_ROUTES.getRoot), rateLimitRoute(API_ROUTES.getRoot), (req, res) => {
   res.send('ENB API is running.');
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', rateLimitIp(API_ROUTES.getHealth), validateRequest(API_ROUTES.getHealth), rateLimitRoute(API_ROUTES.getHealth), (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
@@ -234,17 +134,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// OpenAPI document generated from schemas/api-routes.js
+app.get('/openapi.json', rateLimitIp(API_ROUTES.getOpenApi), validateRequest(API_ROUTES.getOpenApi), rateLimitRoute(API_ROUTES.getOpenApi), (req, res) => {
+  res.json(buildOpenApiDocument(`${req.protocol}://${req.get('host')}`));
+});
+
+// API reference page
+app.get('/docs', rateLimitIp(API_ROUTES.getDocs), validateRequest(API_ROUTES.getDocs), rateLimitRoute(API_ROUTES.getDocs), (req, res) => {
+  res.type('html').send(renderDocsPage());
+});
+
 // Create user account
-app.post('/api/create-account', async (req, res) => {
+app.post('/api/create-account', rateLimitIp(API_ROUTES.createAccount), validateRequest(API_ROUTES.createAccount), rateLimitRoute(API_ROUTES.createAccount), async (req, res) => {
   console.log('📥 Incoming /api/create-account call');
   console.log('Request body:', req.body);
 
-  const { walletAddress, transactionHash } = req.body;
-
-  if (!walletAddress || !transactionHash) {
-    console.warn('⚠️ Missing fields', { walletAddress, transactionHash });
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+  const { walletAddress, transactionHash, fid } = req.body;
 
   try {
     console.log('Generating invitation code for:', walletAddress);
@@ -258,6 +163,7 @@ app.post('/api/create-account', async (req, res) => {
         transaction_hash: transactionHash,
         membership_level: 'Based',
         invitation_code: invitationCode,
+        fid: fid || null,
         created_at: new Date(),
         last_daily_claim_time: null,
         consecutive_days: 0,
@@ -269,6 +175,8 @@ app.post('/api/create-account', async (req, res) => {
 
     if (error) throw error;
 
+    await issueInvitationCode(walletAddress, invitationCode);
+
     console.log('✅ Account created', { walletAddress, invitationCode });
     return res.status(201).json({ message: 'Account created successfully' });
   } catch (error) {
@@ -278,24 +186,13 @@ app.post('/api/create-account', async (req, res) => {
 });
 
 // Create default user with limited invitation code
-app.post('/api/create-default-user', async (req, res) => {
-  const { walletAddress, invitationCode, maxUses } = req.body;
-
-  if (!walletAddress || !invitationCode) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+app.post('/api/create-default-user', rateLimitIp(API_ROUTES.createDefaultUser), requireAdminRole('superadmin'), validateRequest(API_ROUTES.createDefaultUser), rateLimitRoute(API_ROUTES.createDefaultUser), async (req, res) => {
+  const { walletAddress, maxUses } = req.body;
+  const invitationCode = normalizeInvitationCode(req.body.invitationCode);
 
   try {
     // Check if invitation code already exists
-    const { data: existingCode, error: checkError } = await supabase
-      .from('accounts')
-      .select('id')
-      .eq('invitation_code', invitationCode)
-      .limit(1);
-
-    if (checkError) throw checkError;
-
-    if (existingCode && existingCode.length > 0) {
+    if (await getInvitationCode(invitationCode)) {
       return res.status(400).json({ error: 'Invitation code already exists' });
     }
 
@@ -307,7 +204,6 @@ app.post('/api/create-default-user', async (req, res) => {
         membership_level: 'Based',
         invitation_code: invitationCode,
         max_invitation_uses: maxUses || 105, // Default to 105 uses
-        current_invitation_uses: 0,
         created_at: new Date(),
         last_daily_claim_time: null,
         consecutive_days: 0,
@@ -320,6 +216,8 @@ app.post('/api/create-default-user', async (req, res) => {
 
     if (error) throw error;
 
+    await issueInvitationCode(walletAddress, invitationCode, 'vanity', req.admin.subject);
+
     return res.status(201).json({ 
       message: 'Default user created successfully',
       invitationCode,
@@ -332,12 +230,8 @@ app.post('/api/create-default-user', async (req, res) => {
 });
 
 // Activate user account
-app.post('/api/activate-account', async (req, res) => {
-  const { walletAddress, invitationCode } = req.body;
-
-  if (!walletAddress || !invitationCode) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+app.post('/api/activate-account', rateLimitIp(API_ROUTES.activateAccount), validateRequest(API_ROUTES.activateAccount), rateLimitRoute(API_ROUTES.activateAccount), async (req, res) => {
+  const { walletAddress, invitationCode, fid } = req.body;
 
   try {
     // Fetch user account
@@ -355,11 +249,25 @@ app.post('/api/activate-account', async (req, res) => {
       return res.status(400).json({ error: 'Account is already activated' });
     }
 
-    // Find the user with the invitation code
+    // Find the invitation code and the account it belongs to
+    let codeData;
+    try {
+      codeData = await resolveInvitationCode(invitationCode);
+    } catch (codeError) {
+      if (codeError.isInvitationCodeError) {
+        return res.status(codeError.status).json({ error: codeError.code, message: codeError.message });
+      }
+      throw codeError;
+    }
+
+    if (!codeData) {
+      return res.status(400).json({ error: 'Invalid invitation code' });
+    }
+
     const { data: inviterData, error: inviterError } = await supabase
       .from('accounts')
       .select('*')
-      .eq('invitation_code', invitationCode)
+      .eq('wallet_address', codeData.owner_wallet)
       .single();
 
     if (inviterError || !inviterData) {
@@ -371,11 +279,12 @@ app.post('/api/activate-account', async (req, res) => {
       return res.status(400).json({ error: 'Invitation code is from an inactive account' });
     }
 
-    // Check if invitation code has reached its usage limit
-    const maxUses = inviterData.max_invitation_uses || 5; // Default to 5 for regular users
-    const currentUses = inviterData.current_invitation_uses || 0;
+    // Campaign codes have their own limit; personal codes share the inviter's limit
+    const isCampaignCode = codeData.kind === 'campaign';
+    const maxUses = isCampaignCode ? codeData.max_uses : (inviterData.max_invitation_uses || 5); // Default to 5 for regular users
+    const codeUses = isCampaignCode ? codeData.uses || 0 : await getPersonalInvitationTotal(inviterData.wallet_address);
 
-    if (currentUses >= maxUses) {
+    if (codeUses >= maxUses) {
       return res.status(400).json({ error: 'Invitation code usage limit exceeded' });
     }
 
@@ -383,7 +292,7 @@ app.post('/api/activate-account', async (req, res) => {
     const { data: existingUsage, error: usageError } = await supabase
       .from('invitation_usage')
       .select('id')
-      .eq('invitation_code', invitationCode)
+      .eq('invitation_code', codeData.code)
       .eq('used_by', walletAddress)
       .limit(1);
 
@@ -393,45 +302,66 @@ app.post('/api/activate-account', async (req, res) => {
       return res.status(400).json({ error: 'You have already used this invitation code' });
     }
 
-    // Use Supabase transactions for atomic operations
-    const { error: transactionError } = await supabase.rpc('activate_account_with_usage', {
+    // Use Supabase transactions for atomic operations; the RPC also attributes the invite to the
+    // running referral campaign and returns its id
+    const { data: campaignId, error: transactionError } = await supabase.rpc('activate_account_with_usage', {
       p_wallet_address: walletAddress,
-      p_invitation_code: invitationCode,
-      p_inviter_wallet: inviterData.wallet_address,
-      p_current_uses: currentUses
+      p_invitation_code: codeData.code,
+      p_inviter_wallet: inviterData.wallet_address
     });
 
     if (transactionError) throw transactionError;
 
-    // Process airdrop for the inviter
-    let airdropResult = null;
-    try {
-      airdropResult = await handleInviteAirdrop(inviterData.wallet_address);
-      
-      // If airdrop was triggered, reset the invitation usage counter
-      if (airdropResult.airdropTriggered) {
-        const { error: resetError } = await supabase
-          .from('accounts')
-          .update({ current_invitation_uses: 0 })
-          .eq('wallet_address', inviterData.wallet_address);
-        
-        if (resetError) {
-          console.error('Warning: Failed to reset invitation usage counter:', resetError);
-        } else {
-          console.log('🔄 Reset invitation usage counter for:', inviterData.wallet_address);
-        }
+    if (fid && !accountData.fid) {
+      const { error: fidError } = await supabase
+        .from('accounts')
+        .update({ fid })
+        .eq('wallet_address', walletAddress);
+
+      if (fidError) console.error('Warning: Failed to store fid:', fidError);
+    }
+
+    // Only for the response; the bonus is queued from the attribution once the payout is paid
+    let referralCampaign = null;
+    if (campaignId) {
+      try {
+        referralCampaign = await getReferralCampaign(campaignId);
+        console.log(`📣 Activation of ${walletAddress} attributed to referral campaign "${referralCampaign.name}" (inviter ${inviterData.wallet_address})`);
+      } catch (campaignError) {
+        console.error('Warning: Failed to fetch referral campaign:', campaignError);
       }
-    } catch (airdropError) {
-      console.error('Warning: Airdrop processing failed:', airdropError);
-      // Continue with account activation even if airdrop fails
+    }
+
+    // Rewards of inviters flagged for invite farming wait for an admin review. The activation
+    // queued the on-chain invite record (InviteAirdropV2 pays any reward tier it completes); it is
+    // only sent once screening has rescored the inviter with this wallet's funder, so a payout
+    // that could not be scored here is never released early.
+    let heldReview = null;
+    try {
+      heldReview = await holdRewardIfFlagged({
+        inviterWallet: inviterData.wallet_address,
+        inviteeWallet: walletAddress,
+        invitationCode: codeData.code
+      });
+    } catch (scoringError) {
+      console.error('Warning: Sybil scoring failed; the invite payout waits for screening:', scoringError);
+    }
+
+    let payout = null;
+    try {
+      payout = await getRecordInvitePayout(walletAddress);
+    } catch (payoutError) {
+      console.error('Warning: Failed to fetch invite payout:', payoutError);
     }
 
     return res.status(200).json({
       message: 'Account activated successfully',
       membershipLevel: accountData.membershipLevel || 'Based',
       inviterWallet: inviterData.walletAddress,
-      remainingUses: maxUses - (currentUses + 1),
-      airdrop: airdropResult
+      remainingUses: maxUses - (codeUses + 1),
+      payout,
+      rewardHeld: Boolean(heldReview),
+      referralCampaign: referralCampaign ? { id: referralCampaign.id, name: referralCampaign.name } : null
     });
 
   } catch (error) {
@@ -440,7 +370,7 @@ app.post('/api/activate-account', async (req, res) => {
   }
 });
 
-app.get('/api/profile/:walletAddress', async (req, res) => {
+app.get('/api/profile/:walletAddress', rateLimitIp(API_ROUTES.getProfile), validateRequest(API_ROUTES.getProfile), rateLimitRoute(API_ROUTES.getProfile), async (req, res) => {
   const walletAddress = req.params.walletAddress;
   
   console.log('📥 Incoming /api/profile call for wallet:', walletAddress);
@@ -460,16 +390,11 @@ app.get('/api/profile/:walletAddress', async (req, res) => {
     // Get invitation usage data if user has an invitation code
     let invitationUsage = null;
     if (accountData.invitation_code) {
-      const maxUses = accountData.max_invitation_uses || 5;
-      const currentUses = accountData.current_invitation_uses || 0;
-      
-      invitationUsage = {
-        totalUses: currentUses,
-        maxUses: maxUses,
-        remainingUses: maxUses - currentUses
-      };
+      invitationUsage = await getInvitationSummary(accountData);
     }
     
+    const streak = getStreakSummary(accountData);
+
     const profileData = {
       walletAddress: accountData.wallet_address,
       membershipLevel: accountData.membership_level || 'Based',
@@ -477,7 +402,8 @@ app.get('/api/profile/:walletAddress', async (req, res) => {
       invitationUsage: invitationUsage,
       enbBalance: accountData.enb_balance || 0,
       lastDailyClaimTime: accountData.last_daily_claim_time ? new Date(accountData.last_daily_claim_time).toISOString() : null,
-      consecutiveDays: accountData.consecutive_days || 0,
+      consecutiveDays: streak.currentStreak,
+      longestStreak: streak.longestStreak,
       totalEarned: accountData.total_earned || 0,
       isActivated: accountData.is_activated || false,
       activatedAt: accountData.activated_at ? new Date(accountData.activated_at).toISOString() : null,
@@ -494,13 +420,9 @@ app.get('/api/profile/:walletAddress', async (req, res) => {
 
 
 // Updated: Daily claim with smart contract interaction via trusted relayer
-app.post('/api/daily-claim', async (req, res) => {
+app.post('/api/daily-claim', rateLimitIp(API_ROUTES.dailyClaim), validateRequest(API_ROUTES.dailyClaim), requireWalletSignature('DailyClaim'), rateLimitRoute(API_ROUTES.dailyClaim), async (req, res) => {
   const { walletAddress } = req.body;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Missing or invalid wallet address' });
-  }
-
   try {
     const { data: accountData, error: accountError } = await supabase
       .from('accounts')
@@ -516,81 +438,19 @@ app.post('/api/daily-claim', async (req, res) => {
       return res.status(400).json({ error: 'Account is not activated' });
     }
 
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-    // Check if user already claimed today
-    if (accountData.last_daily_claim_time) {
-      const lastClaim = new Date(accountData.last_daily_claim_time);
-      const lastClaimDate = new Date(lastClaim.getFullYear(), lastClaim.getMonth(), lastClaim.getDate());
-
-      if (lastClaimDate.getTime() === today.getTime()) {
-        return res.status(400).json({ error: 'Already claimed today' });
-      }
-    }
-
-    // Calculate streak & base reward
-    let consecutiveDays = 1;
-    let enbReward = 10;
-
-    if (accountData.last_daily_claim_time) {
-      const lastClaim = new Date(accountData.last_daily_claim_time);
-      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-      const lastClaimDate = new Date(lastClaim.getFullYear(), lastClaim.getMonth(), lastClaim.getDate());
-
-      if (lastClaimDate.getTime() === yesterday.getTime()) {
-        consecutiveDays = (accountData.consecutive_days || 0) + 1;
-        const multiplier = Math.min(consecutiveDays, 5);
-        enbReward = 10 * multiplier;
-      }
+    // Check if user already claimed in the current streak day
+    if (accountData.last_daily_claim_time && compareClaims(accountData.last_daily_claim_time, new Date()) === 'same') {
+      return res.status(400).json({ error: 'Already claimed today' });
     }
 
-    // Apply membership multiplier
-    const membershipMultiplier = {
-      'Based': 1,
-      'Super Based': 1.5,
-      'Legendary': 2
-    };
-
-    const finalReward = Math.floor(enbReward * (membershipMultiplier[accountData.membership_level] || 1));
-
-    // === Trusted Relayer executes smart contract call ===
-    const tx = await contract.dailyClaim(walletAddress);
-    await tx.wait();
-
-    // Update Supabase
-    const { error: updateError } = await supabase
-      .from('accounts')
-      .update({
-        last_daily_claim_time: now.toISOString(),
-        consecutive_days: consecutiveDays,
-        enb_balance: (accountData.enb_balance || 0) + finalReward,
-        total_earned: (accountData.total_earned || 0) + finalReward,
-        last_transaction_hash: tx.hash
-      })
-      .eq('wallet_address', walletAddress);
-
-    if (updateError) throw updateError;
-
-    // Optional: Log claim
-    const { error: claimError } = await supabase
-      .from('claims')
-      .upsert({
-        wallet_address: walletAddress,
-        claimed_at: now.toISOString(),
-        reward: finalReward,
-        consecutive_days: consecutiveDays,
-        tx_hash: tx.hash
-      });
-
-    if (claimError) console.error('Warning: Failed to log claim:', claimError);
+    // === Trusted Relayer executes smart contract call via the queue ===
+    // Streak and reward are calculated and credited once the transaction is mined
+    const job = await enqueueRelayJob('daily_claim', walletAddress, { creditReward: true });
 
-    return res.status(200).json({
-      message: 'Daily claim successful via relayer',
-      reward: finalReward,
-      txHash: tx.hash,
-      newBalance: (accountData.enb_balance || 0) + finalReward,
-      consecutiveDays
+    return res.status(202).json({
+      message: 'Daily claim queued for relayer',
+      jobId: job.id,
+      status: job.status
     });
 
   } catch (error) {
@@ -602,13 +462,9 @@ app.post('/api/daily-claim', async (req, res) => {
 // Get daily claim status
 
 // Daily claim status endpoint
-app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
+app.get('/api/daily-claim-status/:walletAddress', rateLimitIp(API_ROUTES.getDailyClaimStatus), validateRequest(API_ROUTES.getDailyClaimStatus), rateLimitRoute(API_ROUTES.getDailyClaimStatus), async (req, res) => {
   const { walletAddress } = req.params;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
     // Get account data from database
     const { data: accountData, error: accountError } = await supabase
@@ -650,30 +506,9 @@ app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
         claims: claimsData
       });
       
-      // Check for data inconsistency: if there are claims but last_daily_claim_time is null
+      // Drift between claims and accounts is reported by the reconciliation job, not fixed here
       if (claimsData.length > 0 && !accountData.last_daily_claim_time) {
         console.warn('⚠️ Data inconsistency detected: claims exist but last_daily_claim_time is null');
-        console.warn('This suggests the relayer endpoint failed to update the accounts table');
-        
-        // Use the most recent claim time as the last claim time
-        const mostRecentClaim = new Date(claimsData[0].claimed_at);
-        console.log('🔄 Using most recent claim time as last claim time:', mostRecentClaim.toISOString());
-        
-        // Update the accounts table to fix the inconsistency
-        const { error: updateError } = await supabase
-          .from('accounts')
-          .update({
-            last_daily_claim_time: mostRecentClaim.toISOString()
-          })
-          .eq('wallet_address', walletAddress);
-        
-        if (updateError) {
-          console.error('❌ Failed to fix data inconsistency:', updateError);
-        } else {
-          console.log('✅ Fixed data inconsistency in accounts table');
-          // Update our local variable
-          accountData.last_daily_claim_time = mostRecentClaim.toISOString();
-        }
       }
     }
 
@@ -713,27 +548,6 @@ app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
           cooldownPeriod,
           smartContractCanClaim
         });
-        
-        // If smart contract shows user can't claim, but database shows they can, update database
-        if (!smartContractCanClaim && smartContractLastClaimTime > 0) {
-          const smartContractLastClaimDate = new Date(Number(smartContractLastClaimTime) * 1000);
-          console.log('🔄 Smart contract shows user cannot claim. Updating database with smart contract data...');
-          
-          const { error: updateError } = await supabase
-            .from('accounts')
-            .update({
-              last_daily_claim_time: smartContractLastClaimDate.toISOString()
-            })
-            .eq('wallet_address', walletAddress);
-          
-          if (updateError) {
-            console.error('❌ Failed to update database with smart contract data:', updateError);
-          } else {
-            console.log('✅ Updated database with smart contract data');
-            // Update our local variable
-            accountData.last_daily_claim_time = smartContractLastClaimDate.toISOString();
-          }
-        }
       } else {
         console.log('⚠️ User account does not exist in smart contract');
       }
@@ -749,7 +563,15 @@ app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
     }
     
     const now = new Date();
-    const lastClaimTime = accountData.last_daily_claim_time ? new Date(accountData.last_daily_claim_time) : null;
+    // The contract is authoritative: if it saw a later claim than the database, count from that one.
+    // The database itself is left untouched; the reconciliation job reports the drift.
+    let lastClaimTime = accountData.last_daily_claim_time ? new Date(accountData.last_daily_claim_time) : null;
+    if (smartContractLastClaimTime && smartContractLastClaimTime > 0n) {
+      const smartContractLastClaimDate = new Date(Number(smartContractLastClaimTime) * 1000);
+      if (!lastClaimTime || smartContractLastClaimDate > lastClaimTime) {
+        lastClaimTime = smartContractLastClaimDate;
+      }
+    }
     const accountCreatedAt = accountData.created_at ? new Date(accountData.created_at) : now;
     
     // Debug logging
@@ -931,7 +753,7 @@ app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
         timeUntilEligibilityMs: timeUntilEligibility,
         claimsCount: claimsData?.length || 0,
         mostRecentClaim: claimsData?.[0]?.claimed_at || null,
-        dataInconsistencyFixed: claimsData?.length > 0 && !accountData.last_daily_claim_time,
+        dataInconsistencyDetected: claimsData?.length > 0 && !accountData.last_daily_claim_time,
         smartContractValidation: {
           checked: smartContractCanClaim !== null,
           canClaim: smartContractCanClaim,
@@ -948,13 +770,9 @@ app.get('/api/daily-claim-status/:walletAddress', async (req, res) => {
 });
 
 // Has seen tips endpoint
-app.get('/api/has-seen-tips/:walletAddress', async (req, res) => {
+app.get('/api/has-seen-tips/:walletAddress', rateLimitIp(API_ROUTES.getHasSeenTips), validateRequest(API_ROUTES.getHasSeenTips), rateLimitRoute(API_ROUTES.getHasSeenTips), async (req, res) => {
   const { walletAddress } = req.params;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
     // Get account data from database
     const { data: accountData, error: accountError } = await supabase
@@ -982,13 +800,9 @@ app.get('/api/has-seen-tips/:walletAddress', async (req, res) => {
 });
 
 // Mark tips as seen endpoint
-app.post('/api/mark-tips-seen/:walletAddress', async (req, res) => {
+app.post('/api/mark-tips-seen/:walletAddress', rateLimitIp(API_ROUTES.markTipsSeen), validateRequest(API_ROUTES.markTipsSeen), rateLimitRoute(API_ROUTES.markTipsSeen), async (req, res) => {
   const { walletAddress } = req.params;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
     // Update account to mark tips as seen
     const { data: updatedAccount, error: updateError } = await supabase
@@ -1020,17 +834,9 @@ app.post('/api/mark-tips-seen/:walletAddress', async (req, res) => {
 
 // Update ENB balance (for transactions)
 
-app.post('/api/update-balance', async (req, res) => {
+app.post('/api/update-balance', rateLimitIp(API_ROUTES.updateBalance), requireAdminRole('finance'), validateRequest(API_ROUTES.updateBalance), rateLimitRoute(API_ROUTES.updateBalance), async (req, res) => {
   const { walletAddress, amount, type, description } = req.body;
 
-  if (!walletAddress || amount === undefined || !type) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  if (!['credit', 'debit'].includes(type)) {
-    return res.status(400).json({ error: 'Invalid transaction type' });
-  }
-
   try {
     const { data: accountData, error: accountError } = await supabase
       .from('accounts')
@@ -1081,7 +887,7 @@ app.post('/api/update-balance', async (req, res) => {
 });
 
 // Get transaction history
-app.get('/api/transactions/:walletAddress', async (req, res) => {
+app.get('/api/transactions/:walletAddress', rateLimitIp(API_ROUTES.getTransactions), validateRequest(API_ROUTES.getTransactions), rateLimitRoute(API_ROUTES.getTransactions), async (req, res) => {
   const walletAddress = req.params.walletAddress;
   const limit = parseInt(req.query.limit) || 50;
 
@@ -1114,104 +920,76 @@ app.get('/api/transactions/:walletAddress', async (req, res) => {
   }
 });
 
-// Leaderboard - Top ENB Balance
-app.get('/api/leaderboard/balance', async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-
-  try {
-    const { data: leaderboard, error } = await supabase
-      .from('accounts')
-      .select('wallet_address, enb_balance, membership_level, consecutive_days')
-      .eq('is_activated', true)
-      .order('enb_balance', { ascending: false })
-      .limit(limit);
+// Leaderboards are read from precomputed ranks (services/leaderboard-ranks.js): a page after
+// `cursor`, or with `around` the entries above and below that wallet
+const leaderboardOptions = (query) => ({
+  limit: parseInt(query.limit) || 50,
+  cursor: query.cursor,
+  around: query.around,
+  span: parseInt(query.span) || 5
+});
 
-    if (error) throw error;
+const sendLeaderboardError = (res, error, board) => {
+  if (error.isLeaderboardError) {
+    return res.status(error.status).json({ error: error.code, message: error.message });
+  }
 
-    const formattedLeaderboard = leaderboard.map((entry, index) => ({
-      rank: index + 1,
-      walletAddress: entry.wallet_address,
-      enbBalance: entry.enb_balance || 0,
-      membershipLevel: entry.membership_level || 'Based',
-      consecutiveDays: entry.consecutive_days || 0
-    }));
+  console.error(`Error fetching ${board} leaderboard:`, error);
+  return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+};
 
-    return res.status(200).json({ leaderboard: formattedLeaderboard });
+// Leaderboard - Top ENB Balance, or the most ENB mined by daily claims in a window
+app.get('/api/leaderboard/balance', rateLimitIp(API_ROUTES.getBalanceLeaderboard), validateRequest(API_ROUTES.getBalanceLeaderboard), rateLimitRoute(API_ROUTES.getBalanceLeaderboard), async (req, res) => {
+  try {
+    return res.status(200).json(await getLeaderboard('balance', req.query.window || 'all-time', leaderboardOptions(req.query)));
 
   } catch (error) {
-    console.error('Error fetching balance leaderboard:', error);
-    return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    return sendLeaderboardError(res, error, 'balance');
   }
 });
 
-// Leaderboard - Top Total Earned
-app.get('/api/leaderboard/earnings', async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-
+// Leaderboard - Top Total Earned (ENB yield claimed on-chain, from indexed events), all-time or in a window
+app.get('/api/leaderboard/earnings', rateLimitIp(API_ROUTES.getEarningsLeaderboard), validateRequest(API_ROUTES.getEarningsLeaderboard), rateLimitRoute(API_ROUTES.getEarningsLeaderboard), async (req, res) => {
   try {
-    const { data: leaderboard, error } = await supabase
-      .from('accounts')
-      .select('wallet_address, total_earned, membership_level, consecutive_days')
-      .eq('is_activated', true)
-      .order('total_earned', { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-
-    const formattedLeaderboard = leaderboard.map((entry, index) => ({
-      rank: index + 1,
-      walletAddress: entry.wallet_address,
-      totalEarned: entry.total_earned || 0,
-      membershipLevel: entry.membership_level || 'Based',
-      consecutiveDays: entry.consecutive_days || 0
-    }));
-
-    return res.status(200).json({ leaderboard: formattedLeaderboard });
+    return res.status(200).json(await getLeaderboard('earnings', req.query.window || 'all-time', leaderboardOptions(req.query)));
 
   } catch (error) {
-    console.error('Error fetching earnings leaderboard:', error);
-    return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    return sendLeaderboardError(res, error, 'earnings');
   }
 });
 
-// Leaderboard - Top Consecutive Days
-app.get('/api/leaderboard/streaks', async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-
+// Leaderboard - Top Consecutive Days, or the longest run of claim days in a window
+app.get('/api/leaderboard/streaks', rateLimitIp(API_ROUTES.getStreakLeaderboard), validateRequest(API_ROUTES.getStreakLeaderboard), rateLimitRoute(API_ROUTES.getStreakLeaderboard), async (req, res) => {
   try {
-    const { data: leaderboard, error } = await supabase
-      .from('accounts')
-      .select('wallet_address, consecutive_days, membership_level, enb_balance')
-      .eq('is_activated', true)
-      .order('consecutive_days', { ascending: false })
-      .limit(limit);
+    return res.status(200).json(await getLeaderboard('streaks', req.query.window || 'all-time', leaderboardOptions(req.query)));
 
-    if (error) throw error;
+  } catch (error) {
+    return sendLeaderboardError(res, error, 'streaks');
+  }
+});
 
-    const formattedLeaderboard = leaderboard.map((entry, index) => ({
-      rank: index + 1,
-      walletAddress: entry.wallet_address,
-      consecutiveDays: entry.consecutive_days || 0,
-      membershipLevel: entry.membership_level || 'Based',
-      enbBalance: entry.enb_balance || 0
-    }));
+// Leaderboard - Most qualified invitees in a calendar window
+app.get('/api/leaderboard/invites', rateLimitIp(API_ROUTES.getInviteLeaderboard), validateRequest(API_ROUTES.getInviteLeaderboard), rateLimitRoute(API_ROUTES.getInviteLeaderboard), async (req, res) => {
+  const requireClaim = req.query.requireClaim === 'true';
 
-    return res.status(200).json({ leaderboard: formattedLeaderboard });
+  try {
+    const leaderboard = await getLeaderboard(requireClaim ? 'invites-claimed' : 'invites', req.query.window || 'all-time', leaderboardOptions(req.query));
+    return res.status(200).json({ ...leaderboard, requireClaim });
 
   } catch (error) {
-    console.error('Error fetching streaks leaderboard:', error);
-    return res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    return sendLeaderboardError(res, error, 'invites');
   }
 });
 
-// Get user ranking across all leaderboards
-app.get('/api/user-rankings/:walletAddress', async (req, res) => {
+// Get user ranking across the balance, earnings and streak leaderboards
+app.get('/api/user-rankings/:walletAddress', rateLimitIp(API_ROUTES.getUserRankings), validateRequest(API_ROUTES.getUserRankings), rateLimitRoute(API_ROUTES.getUserRankings), async (req, res) => {
   const walletAddress = req.params.walletAddress;
+  const window = req.query.window || 'all-time';
 
   try {
     const { data: accountData, error: accountError } = await supabase
       .from('accounts')
-      .select('*')
+      .select('is_activated')
       .eq('wallet_address', walletAddress)
       .single();
 
@@ -1223,46 +1001,10 @@ app.get('/api/user-rankings/:walletAddress', async (req, res) => {
       return res.status(400).json({ error: 'Account is not activated' });
     }
 
-    // Get balance ranking
-    const { count: balanceCount } = await supabase
-      .from('accounts')
-      .select('*', { count: 'exact', head: true })
-      .eq('is_activated', true)
-      .gt('enb_balance', accountData.enb_balance || 0);
-    const balanceRank = (balanceCount || 0) + 1;
-
-    // Get earnings ranking
-    const { count: earningsCount } = await supabase
-      .from('accounts')
-      .select('*', { count: 'exact', head: true })
-      .eq('is_activated', true)
-      .gt('total_earned', accountData.total_earned || 0);
-    const earningsRank = (earningsCount || 0) + 1;
-
-    // Get streak ranking
-    const { count: streakCount } = await supabase
-      .from('accounts')
-      .select('*', { count: 'exact', head: true })
-      .eq('is_activated', true)
-      .gt('consecutive_days', accountData.consecutive_days || 0);
-    const streakRank = (streakCount || 0) + 1;
-
     return res.status(200).json({
       walletAddress,
-      rankings: {
-        balance: {
-          rank: balanceRank,
-          value: accountData.enbBalance || 0
-        },
-        earnings: {
-          rank: earningsRank,
-          value: accountData.totalEarned || 0
-        },
-        streak: {
-          rank: streakRank,
-          value: accountData.consecutiveDays || 0
-        }
-      }
+      window: formatWindow(window),
+      rankings: await getWalletRankings(walletAddress, window)
     });
 
   } catch (error) {
@@ -1272,7 +1014,7 @@ app.get('/api/user-rankings/:walletAddress', async (req, res) => {
 });
 
 // Get all users
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', rateLimitIp(API_ROUTES.listUsers), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listUsers), rateLimitRoute(API_ROUTES.listUsers), async (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   const offset = parseInt(req.query.offset) || 0;
   const membershipLevel = req.query.membershipLevel;
@@ -1300,13 +1042,15 @@ app.get('/api/users', async (req, res) => {
 
     if (error) throw error;
 
+    const invitationTotals = await getInvitationTotals(users.map(user => user.wallet_address));
+
     const formattedUsers = users.map(user => ({
       id: user.id,
       walletAddress: user.wallet_address,
       membershipLevel: user.membership_level || 'Based',
       invitationCode: user.invitation_code || null,
       maxInvitationUses: user.max_invitation_uses || 5,
-      currentInvitationUses: user.current_invitation_uses || 0,
+      currentInvitationUses: invitationTotals.get(user.wallet_address) || 0,
       enbBalance: user.enb_balance || 0,
       totalEarned: user.total_earned || 0,
       consecutiveDays: user.consecutive_days || 0,
@@ -1333,24 +1077,15 @@ app.get('/api/users', async (req, res) => {
 });
 
 // Updated: Membership upgrade via smart contract relayer
-app.post('/api/update-membership', async (req, res) => {
+app.post('/api/update-membership', rateLimitIp(API_ROUTES.updateMembership), requireAdminRole('support'), validateRequest(API_ROUTES.updateMembership), rateLimitRoute(API_ROUTES.updateMembership), async (req, res) => {
   const { walletAddress, membershipLevel } = req.body;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress) || !membershipLevel) {
-    return res.status(400).json({ error: 'Missing or invalid input fields' });
-  }
-
-  // Validate membership level
   const levelMapping = {
     'Based': 0,
     'Super Based': 1,
     'Legendary': 2
   };
 
-  if (!(membershipLevel in levelMapping)) {
-    return res.status(400).json({ error: 'Invalid membership level' });
-  }
-
   const targetLevel = levelMapping[membershipLevel];
 
   try {
@@ -1368,38 +1103,14 @@ app.post('/api/update-membership', async (req, res) => {
       return res.status(400).json({ error: 'Account is not activated' });
     }
 
-    // Call upgradeMembership onchain using relayer
-    const tx = await contract.upgradeMembership(walletAddress, targetLevel);
-    await tx.wait();
-
-    // Update Supabase
-    const { error: updateError } = await supabase
-      .from('accounts')
-      .update({
-        membership_level: membershipLevel,
-        last_upgrade_at: new Date().toISOString(),
-        upgrade_transaction_hash: tx.hash
-      })
-      .eq('wallet_address', walletAddress);
-
-    if (updateError) throw updateError;
+    // Call upgradeMembership onchain using relayer (accounts table synced once mined)
+    const job = await enqueueRelayJob('upgrade_membership', walletAddress, { targetLevel, syncAccount: true });
 
-    // Optional log
-    const { error: logError } = await supabase
-      .from('upgrades')
-      .upsert({
-        wallet_address: walletAddress,
-        upgraded_at: new Date().toISOString(),
-        level: targetLevel,
-        tx_hash: tx.hash
-      });
-
-    if (logError) console.error('Warning: Failed to log upgrade:', logError);
-
-    return res.status(200).json({
-      message: 'Membership level upgraded via relayer',
+    return res.status(202).json({
+      message: 'Membership upgrade queued for relayer',
       newLevel: membershipLevel,
-      txHash: tx.hash
+      jobId: job.id,
+      status: job.status
     });
 
   } catch (error) {
@@ -1410,27 +1121,32 @@ app.post('/api/update-membership', async (req, res) => {
 
 
 // Get invitation code usage count
-app.get('/api/invitation-usage/:invitationCode', async (req, res) => {
-  const invitationCode = req.params.invitationCode;
-
-  if (!invitationCode) {
-    return res.status(400).json({ error: 'Invitation code is required' });
-  }
+app.get('/api/invitation-usage/:invitationCode', rateLimitIp(API_ROUTES.getInvitationUsage), validateRequest(API_ROUTES.getInvitationUsage), rateLimitRoute(API_ROUTES.getInvitationUsage), async (req, res) => {
+  const invitationCode = normalizeInvitationCode(req.params.invitationCode);
 
   try {
+    const codeData = await getInvitationCode(invitationCode);
+
+    if (!codeData) {
+      return res.status(404).json({ error: 'Invitation code not found' });
+    }
+
     // Get the inviter's account to check max uses
     const { data: inviterData, error: inviterError } = await supabase
       .from('accounts')
       .select('*')
-      .eq('invitation_code', invitationCode)
+      .eq('wallet_address', codeData.owner_wallet)
       .single();
 
     if (inviterError || !inviterData) {
       return res.status(404).json({ error: 'Invitation code not found' });
     }
 
-    const maxUses = inviterData.max_invitation_uses || 5;
-    const currentUses = inviterData.current_invitation_uses || 0;
+    // Campaign codes have their own limit; personal codes share the inviter's limit
+    const isCampaignCode = codeData.kind === 'campaign';
+    const maxUses = isCampaignCode ? codeData.max_uses : (inviterData.max_invitation_uses || 5);
+    const currentUses = isCampaignCode ? codeData.uses || 0 : await getPersonalInvitationTotal(inviterData.wallet_address);
+    const code = formatInvitationCode(codeData);
 
     // Get detailed usage history
     const { data: usageHistory, error: usageError } = await supabase
@@ -1450,11 +1166,15 @@ app.get('/api/invitation-usage/:invitationCode', async (req, res) => {
 
           return res.status(200).json({
         invitationCode,
+        kind: code.kind,
+        status: code.status,
+        expiresAt: code.expiresAt,
         totalUses: currentUses,
         maxUses: maxUses,
-        remainingUses: maxUses - currentUses,
+        remainingUses: Math.max(0, maxUses - currentUses),
         usageHistory: formattedUsageHistory,
         inviterWallet: inviterData.wallet_address,
+        inviterFid: inviterData.fid || null,
         isInviterActivated: inviterData.is_activated || false
       });
 
@@ -1464,37 +1184,206 @@ app.get('/api/invitation-usage/:invitationCode', async (req, res) => {
   }
 });
 
+// Invite count, quota and reward cycle of a wallet, with the ledger entries they are summed from
+app.get('/api/invitation-ledger/:walletAddress', rateLimitIp(API_ROUTES.getInvitationLedger), validateRequest(API_ROUTES.getInvitationLedger), rateLimitRoute(API_ROUTES.getInvitationLedger), async (req, res) => {
+  const { walletAddress } = req.params;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
 
-// === Trusted Relayer Routes ===
+  try {
+    const { data: accountData, error } = await supabase
+      .from('accounts')
+      .select('wallet_address, max_invitation_uses')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
 
-// Check daily claim eligibility using EnbMiniAppUpgradeable contract
-app.get('/relay/daily-claim-status/:user', async (req, res) => {
-  const { user } = req.params;
+    if (error) throw error;
+
+    if (!accountData) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const summary = await getInvitationSummary(accountData);
+    const { entries, count } = await listLedgerEntries(accountData.wallet_address, { limit, offset });
+
+    res.json({
+      walletAddress: accountData.wallet_address,
+      ...summary,
+      entries,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: entries.length === limit
+      }
+    });
 
-  if (!user || !ethers.isAddress(user)) {
-    return res.status(400).json({ error: 'Invalid user address' });
+  } catch (err) {
+    console.error(`Error fetching invitation ledger for ${walletAddress}:`, err);
+    res.status(500).json({ error: 'Failed to fetch invitation ledger' });
   }
+});
+
+// Referral tree: direct invitees and downline of a wallet
+app.get('/api/referrals/:walletAddress', rateLimitIp(API_ROUTES.getReferrals), validateRequest(API_ROUTES.getReferrals), rateLimitRoute(API_ROUTES.getReferrals), async (req, res) => {
+  const { walletAddress } = req.params;
+  const depth = parseInt(req.query.depth) || REFERRAL_DEFAULT_DEPTH;
 
   try {
-    console.log('🔍 Checking daily claim status for user:', user);
-    
-    // Get user account info from the smart contract
-    const userAccount = await contract.userAccounts(user);
-    
-    if (!userAccount.exists) {
-      return res.json({ 
-        canClaim: false,
-        reason: 'AccountDoesNotExist',
-        message: 'Account does not exist. Please create an account first.'
-      });
+    const { data: accountData, error } = await supabase
+      .from('accounts')
+      .select('wallet_address')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!accountData) {
+      return res.status(404).json({ error: 'Account not found' });
     }
-    
-    // Check if contract is paused
-    const isPaused = await contract.paused();
-    if (isPaused) {
-      return res.json({ 
-        canClaim: false,
-        reason: 'ContractPaused',
+
+    const referralTree = await getReferralTree(accountData.wallet_address, depth);
+    res.json(referralTree);
+
+  } catch (err) {
+    console.error(`Error fetching referrals for ${walletAddress}:`, err);
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
+app.get('/api/invites/funnel/:walletAddress', rateLimitIp(API_ROUTES.getInviteFunnel), validateRequest(API_ROUTES.getInviteFunnel), rateLimitRoute(API_ROUTES.getInviteFunnel), async (req, res) => {
+  const { walletAddress } = req.params;
+  const days = parseInt(req.query.days) || null;
+
+  try {
+    const { data: accountData, error } = await supabase
+      .from('accounts')
+      .select('wallet_address')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!accountData) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const funnel = await getInviterFunnel(accountData.wallet_address, days);
+    res.json(funnel);
+
+  } catch (err) {
+    console.error(`Error fetching invite funnel for ${walletAddress}:`, err);
+    res.status(500).json({ error: 'Failed to fetch invite funnel' });
+  }
+});
+
+
+// The wallet's personal invitation code and the campaign codes credited to it
+app.get('/api/invitation-code/:walletAddress', rateLimitIp(API_ROUTES.getWalletInvitationCodes), validateRequest(API_ROUTES.getWalletInvitationCodes), rateLimitRoute(API_ROUTES.getWalletInvitationCodes), async (req, res) => {
+  const { walletAddress } = req.params;
+
+  try {
+    const codes = await getWalletInvitationCodes(walletAddress);
+    return res.status(200).json(codes);
+  } catch (error) {
+    if (error.isInvitationCodeError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Error fetching invitation codes:', error);
+    return res.status(500).json({ error: 'Failed to fetch invitation codes' });
+  }
+});
+
+// Replace the personal code with a new random one; the old code is revoked
+app.post('/api/invitation-code/regenerate', rateLimitIp(API_ROUTES.regenerateInvitationCode), validateRequest(API_ROUTES.regenerateInvitationCode), requireWalletSignature('RegenerateInvitationCode'), rateLimitRoute(API_ROUTES.regenerateInvitationCode), async (req, res) => {
+  const { walletAddress } = req.body;
+
+  try {
+    const invitationCode = await regenerateInvitationCode(walletAddress);
+    return res.status(200).json({ success: true, invitationCode });
+  } catch (error) {
+    if (error.isInvitationCodeError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Invitation code regeneration error:', error);
+    return res.status(500).json({ error: 'Failed to regenerate invitation code' });
+  }
+});
+
+// Replace the personal code with a code of the wallet's choosing; the old code is revoked
+app.post('/api/invitation-code/vanity', rateLimitIp(API_ROUTES.claimVanityCode), validateRequest(API_ROUTES.claimVanityCode), requireWalletSignature('ClaimVanityCode'), rateLimitRoute(API_ROUTES.claimVanityCode), async (req, res) => {
+  const { walletAddress, code } = req.body;
+
+  try {
+    const invitationCode = await claimVanityCode(walletAddress, code);
+    return res.status(200).json({ success: true, invitationCode });
+  } catch (error) {
+    if (error.isInvitationCodeError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Vanity code claim error:', error);
+    return res.status(500).json({ error: 'Failed to claim vanity code' });
+  }
+});
+
+// Set (unix seconds) or clear (0) the expiry of the personal code
+app.post('/api/invitation-code/expiry', rateLimitIp(API_ROUTES.setInvitationCodeExpiry), validateRequest(API_ROUTES.setInvitationCodeExpiry), requireWalletSignature('SetInvitationCodeExpiry'), rateLimitRoute(API_ROUTES.setInvitationCodeExpiry), async (req, res) => {
+  const { walletAddress, expiresAt } = req.body;
+
+  try {
+    const invitationCode = await setInvitationCodeExpiry(walletAddress, expiresAt > 0 ? new Date(expiresAt * 1000) : null);
+    return res.status(200).json({ success: true, invitationCode });
+  } catch (error) {
+    if (error.isInvitationCodeError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Invitation code expiry error:', error);
+    return res.status(500).json({ error: 'Failed to set invitation code expiry' });
+  }
+});
+
+// Revoke a leaked personal code; the wallet can regenerate or claim a vanity code afterwards
+app.post('/api/invitation-code/revoke', rateLimitIp(API_ROUTES.revokeInvitationCode), validateRequest(API_ROUTES.revokeInvitationCode), requireWalletSignature('RevokeInvitationCode'), rateLimitRoute(API_ROUTES.revokeInvitationCode), async (req, res) => {
+  const { walletAddress } = req.body;
+
+  try {
+    const invitationCode = await revokePersonalCode(walletAddress);
+    return res.status(200).json({ success: true, invitationCode });
+  } catch (error) {
+    if (error.isInvitationCodeError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Invitation code revocation error:', error);
+    return res.status(500).json({ error: 'Failed to revoke invitation code' });
+  }
+});
+
+// === Trusted Relayer Routes ===
+
+// Check daily claim eligibility using EnbMiniAppUpgradeable contract
+app.get('/relay/daily-claim-status/:user', rateLimitIp(API_ROUTES.getRelayClaimStatus), validateRequest(API_ROUTES.getRelayClaimStatus), rateLimitRoute(API_ROUTES.getRelayClaimStatus), async (req, res) => {
+  const { user } = req.params;
+
+  try {
+    console.log('🔍 Checking daily claim status for user:', user);
+    
+    // Get user account info from the smart contract
+    const userAccount = await contract.userAccounts(user);
+    
+    if (!userAccount.exists) {
+      return res.json({ 
+        canClaim: false,
+        reason: 'AccountDoesNotExist',
+        message: 'Account does not exist. Please create an account first.'
+      });
+    }
+    
+    // Check if contract is paused
+    const isPaused = await contract.paused();
+    if (isPaused) {
+      return res.json({ 
+        canClaim: false,
+        reason: 'ContractPaused',
         message: 'Contract is currently paused. Please try again later.'
       });
     }
@@ -1547,13 +1436,9 @@ app.get('/relay/daily-claim-status/:user', async (req, res) => {
 });
 
 // Relayed daily claim via EnbMiniAppUpgradeable smart contract
-app.post('/relay/daily-claim', async (req, res) => {
+app.post('/relay/daily-claim', rateLimitIp(API_ROUTES.relayDailyClaim), validateRequest(API_ROUTES.relayDailyClaim), requireWalletSignature('DailyClaim'), rateLimitRoute(API_ROUTES.relayDailyClaim), async (req, res) => {
   const { user } = req.body;
 
-  if (!user || !ethers.isAddress(user)) {
-    return res.status(400).json({ error: 'Invalid user address' });
-  }
-
   try {
     console.log('🔄 Attempting daily claim for user:', user);
     
@@ -1601,179 +1486,22 @@ app.post('/relay/daily-claim', async (req, res) => {
           shortMessage: gasError.shortMessage
         });
         
-        // If gas estimation fails, return the error instead of proceeding
-        if (gasError.data === '0x786e0a99') {
-          return res.status(400).json({ 
-            error: 'DailyClaimOnCooldown',
-            message: 'You can only claim daily rewards once every 24 hours. Please wait until your next claim is available.',
-            errorCode: '0x786e0a99'
-          });
-        }
-        
-        // Check for other known error codes
-        if (gasError.data === '0xf1cd8460') {
-          return res.status(400).json({ 
-            error: 'DailyClaimOnCooldown',
-            message: 'You can only claim daily rewards once every 24 hours. Please wait until your next claim is available.',
-            errorCode: '0xf1cd8460',
-            details: 'Smart contract validation failed - user is still on cooldown'
-          });
-        }
-        
-        return res.status(400).json({ 
-          error: 'GasEstimationError',
-          message: 'Failed to estimate gas for transaction. This indicates a contract state issue.',
-          details: gasError.message,
-          errorCode: gasError.data
-        });
+        // If gas estimation fails, return the decoded revert instead of queueing a doomed transaction
+        return sendContractError(res, gasError);
       }
     } catch (checkError) {
       console.warn('⚠️ Pre-flight check failed, proceeding with transaction:', checkError.message);
     }
     
-    console.log('🚀 Executing dailyClaim transaction for user:', user);
-    const tx = await contract.dailyClaim(user);
-    console.log('✅ Daily claim transaction sent:', tx.hash);
-    
-    console.log('⏳ Waiting for transaction confirmation...');
-    const receipt = await tx.wait();
-    console.log('✅ Daily claim transaction confirmed in block:', receipt.blockNumber);
-    console.log('📊 Gas used:', receipt.gasUsed.toString());
-
-    // Get current account data to calculate consecutive days
-    const { data: accountData, error: accountError } = await supabase
-      .from('accounts')
-      .select('consecutive_days, last_daily_claim_time')
-      .eq('wallet_address', user)
-      .single();
-
-    if (accountError) {
-      console.error('❌ Failed to fetch account data:', accountError);
-      // Continue with default values if we can't fetch account data
-    } else {
-      console.log('📊 Current account data:', {
-        wallet_address: user,
-        current_consecutive_days: accountData?.consecutive_days || 0,
-        last_daily_claim_time: accountData?.last_daily_claim_time
-      });
-    }
-
-    // Calculate consecutive days logic
-    let newConsecutiveDays = 1; // Default to 1 for first claim
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-    if (accountData && accountData.last_daily_claim_time) {
-      const lastClaim = new Date(accountData.last_daily_claim_time);
-      const lastClaimDate = new Date(lastClaim.getFullYear(), lastClaim.getMonth(), lastClaim.getDate());
-      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-
-      console.log('📅 Date calculations:', {
-        today: today.toISOString(),
-        yesterday: yesterday.toISOString(),
-        lastClaimDate: lastClaimDate.toISOString(),
-        lastClaimTimestamp: lastClaim.getTime(),
-        yesterdayTimestamp: yesterday.getTime(),
-        todayTimestamp: today.getTime()
-      });
-
-      // Check if last claim was yesterday (allowing for small time differences)
-      if (lastClaimDate.getTime() === yesterday.getTime()) {
-        // Streak continues - increment consecutive days
-        newConsecutiveDays = (accountData.consecutive_days || 0) + 1;
-        console.log(`🔥 Streak continues! New consecutive days: ${newConsecutiveDays}`);
-      } else if (lastClaimDate.getTime() === today.getTime()) {
-        // User already claimed today (shouldn't happen with smart contract, but safety check)
-        console.log('⚠️ User already claimed today, resetting consecutive days');
-        newConsecutiveDays = 1;
-      } else {
-        // Streak broken - reset to 1
-        console.log('💔 Streak broken, resetting consecutive days to 1');
-        newConsecutiveDays = 1;
-      }
-    } else {
-      // First time claiming
-      console.log('🎉 First daily claim! Starting streak at 1');
-      newConsecutiveDays = 1;
-    }
-
-    console.log(`🎯 Final consecutive days calculation: ${newConsecutiveDays}`);
-
-    // Log the claim in database with consecutive days
-    const { error: claimError } = await supabase
-      .from('claims')
-      .upsert({
-        wallet_address: user,
-        claimed_at: now.toISOString(),
-        reward: 0, // Add default reward value since it's required by schema
-        consecutive_days: newConsecutiveDays,
-        tx_hash: tx.hash
-      });
-
-    if (claimError) {
-      console.error('❌ Failed to log claim:', claimError);
-      console.error('Claim insert details:', {
-        wallet_address: user,
-        claimed_at: now.toISOString(),
-        reward: 0,
-        consecutive_days: newConsecutiveDays,
-        tx_hash: tx.hash
-      });
-    } else {
-      console.log(`✅ Claim logged with consecutive days: ${newConsecutiveDays}`);
-    }
-
-    // Update the accounts table with new consecutive days and last claim time
-    const updateData = {
-      last_daily_claim_time: now.toISOString(),
-      consecutive_days: newConsecutiveDays
-    };
-    
-    console.log('🔄 Updating accounts table with data:', {
-      wallet_address: user,
-      update_data: updateData
-    });
-    
-    const { error: updateError } = await supabase
-      .from('accounts')
-      .update(updateData)
-      .eq('wallet_address', user);
-
-    if (updateError) {
-      console.error('❌ Failed to update accounts table:', updateError);
-      console.error('Update details:', {
-        table: 'accounts',
-        wallet_address: user,
-        update_data: updateData,
-        error: updateError
-      });
-      // Don't fail the request, but log the error
-    } else {
-      console.log(`✅ Successfully updated accounts table for user: ${user}, new consecutive days: ${newConsecutiveDays}`);
-      
-      // Verify the update by fetching the updated data
-      const { data: verifyData, error: verifyError } = await supabase
-        .from('accounts')
-        .select('consecutive_days, last_daily_claim_time')
-        .eq('wallet_address', user)
-        .single();
-        
-      if (verifyError) {
-        console.error('❌ Failed to verify account update:', verifyError);
-      } else {
-        console.log('✅ Verification - Updated account data:', {
-          wallet_address: user,
-          consecutive_days: verifyData.consecutive_days,
-          last_daily_claim_time: verifyData.last_daily_claim_time
-        });
-      }
-    }
+    console.log('📥 Queueing dailyClaim transaction for user:', user);
+    const job = await enqueueRelayJob('daily_claim', user);
 
-    res.json({ 
-      success: true, 
-      txHash: tx.hash,
-      consecutiveDays: newConsecutiveDays,
-      message: newConsecutiveDays === 1 ? 'Daily claim successful! Starting your streak.' : `Daily claim successful! Your streak is now ${newConsecutiveDays} days!`
+    // Streak and claim log are written by the relay worker once the transaction is mined
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      message: 'Daily claim queued. Poll /relay/jobs/:id for the transaction status.'
     });
   } catch (err) {
     console.error("❌ Relay daily claim error:", err);
@@ -1788,215 +1516,67 @@ app.post('/relay/daily-claim', async (req, res) => {
       info: err.info
     });
     
-    // Handle specific custom errors from EnbMiniAppUpgradeable contract
-    if (err.data === '0x786e0a99' || err.info?.error?.data === '0x786e0a99') {
-      console.log("✅ Detected DailyClaimOnCooldown error");
-      return res.status(400).json({ 
-        error: 'DailyClaimOnCooldown',
-        message: 'You can only claim daily rewards once every 24 hours. Please wait until your next claim is available.',
-        errorCode: '0x786e0a99'
-      });
-    }
-    
-    // Handle other common errors
-    if (err.code === 'CALL_EXCEPTION') {
-      // Check for specific custom error data
-      const errorData = err.data || err.info?.error?.data;
-      
-      if (errorData === '0x786e0a99') {
-        console.log("✅ Detected DailyClaimOnCooldown error via CALL_EXCEPTION");
-        return res.status(400).json({ 
-          error: 'DailyClaimOnCooldown',
-          message: 'You can only claim daily rewards once every 24 hours. Please wait until your next claim is available.',
-          errorCode: '0x786e0a99'
-        });
-      }
-      
-      // Check for other known custom errors from EnbMiniAppUpgradeable
-      if (errorData === '0x9dca362f') { // AccountDoesNotExist
-        console.log("✅ Detected AccountDoesNotExist error");
-        return res.status(400).json({ 
-          error: 'AccountDoesNotExist',
-          message: 'Account does not exist. Please create an account first.',
-          errorCode: '0x9dca362f'
-        });
-      }
-      
-      if (errorData === '0x5c975abb') { // EnforcedPause
-        console.log("✅ Detected EnforcedPause error");
-        return res.status(400).json({ 
-          error: 'ContractPaused',
-          message: 'Contract is currently paused. Please try again later.',
-          errorCode: '0x5c975abb'
-        });
-      }
-      
-      if (errorData === '0x0905f560') { // EmergencyModeActive
-        console.log("✅ Detected EmergencyModeActive error");
-        return res.status(400).json({ 
-          error: 'EmergencyModeActive',
-          message: 'Contract is in emergency mode. Please try again later.',
-          errorCode: '0x0905f560'
-        });
-      }
-      
-      // Handle gas estimation errors specifically
-      if (err.action === 'estimateGas') {
-        console.log("✅ Detected gas estimation error");
-        return res.status(400).json({ 
-          error: 'GasEstimationError',
-          message: 'Failed to estimate gas for transaction. This usually indicates a contract state issue.',
-          errorCode: err.code,
-          errorData: errorData,
-          action: err.action
-        });
-      }
-      
-      return res.status(400).json({ 
-        error: 'ContractError',
-        message: 'Transaction failed. This could be due to insufficient funds, account not existing, or other contract restrictions.',
-        details: errorData ? `Error code: ${errorData}` : 'Unknown error',
-        errorCode: err.code,
-        errorData: errorData
-      });
-    }
-    
-    // Handle other specific error types
-    if (err.code === 'INSUFFICIENT_FUNDS') {
-      console.log("✅ Detected INSUFFICIENT_FUNDS error");
-      return res.status(400).json({ 
-        error: 'InsufficientFunds',
-        message: 'Relayer wallet has insufficient funds to process this transaction.',
-        errorCode: err.code
-      });
-    }
-    
-    if (err.code === 'NONCE_EXPIRED') {
-      console.log("✅ Detected NONCE_EXPIRED error");
-      return res.status(400).json({ 
-        error: 'NonceExpired',
-        message: 'Transaction nonce is too low. Please try again.',
-        errorCode: err.code
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'RelayError',
-      message: err.message || 'Failed to process daily claim',
-      errorCode: err.code,
-      errorData: err.data
-    });
+    return sendContractError(res, err);
   }
 });
 
 // Relayed membership upgrade via EnbMiniAppUpgradeable smart contract
-app.post('/relay/upgrade-membership', async (req, res) => {
+app.post('/relay/upgrade-membership', rateLimitIp(API_ROUTES.relayUpgradeMembership), validateRequest(API_ROUTES.relayUpgradeMembership), requireWalletSignature('UpgradeMembership'), rateLimitRoute(API_ROUTES.relayUpgradeMembership), async (req, res) => {
   const { user, targetLevel } = req.body;
 
-  if (!user || !ethers.isAddress(user)) {
-    return res.status(400).json({ error: 'Invalid user address' });
-  }
-
-  if (![1, 2].includes(targetLevel)) {
-    return res.status(400).json({ error: 'Invalid membership level (must be 1 or 2)' });
-  }
-
   try {
     console.log('🔄 Upgrading membership for user:', user, 'to level:', targetLevel);
     
-    // Execute the upgrade on the smart contract
-    const tx = await contract.upgradeMembership(user, targetLevel);
-    console.log('✅ Membership upgrade transaction sent:', tx.hash);
-    
-    await tx.wait();
-    console.log('✅ Membership upgrade transaction confirmed');
-
-    // Log the upgrade in database
-    const { error: upgradeError } = await supabase
-      .from('upgrades')
-      .upsert({
-        wallet_address: user,
-        upgraded_at: new Date().toISOString(),
-        level: targetLevel,
-        tx_hash: tx.hash
-      });
-
-    if (upgradeError) console.error('Warning: Failed to log upgrade:', upgradeError);
+    // Queue the upgrade; the relay worker logs it once mined
+    const job = await enqueueRelayJob('upgrade_membership', user, { targetLevel });
+    console.log('📥 Membership upgrade queued:', job.id);
 
-    res.json({ success: true, txHash: tx.hash });
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
   } catch (err) {
     console.error("❌ Relay upgrade error:", err);
     
-    // Handle specific custom errors from EnbMiniAppUpgradeable
-    if (err.data === '0x15db5d7c') { // InvalidMembershipLevel
-      return res.status(400).json({ 
-        error: 'InvalidMembershipLevel',
-        message: 'Invalid membership level specified.',
-        errorCode: '0x15db5d7c'
-      });
-    }
-    
-    if (err.data === '0x8f83ab13') { // AlreadyAtMaxLevel
-      return res.status(400).json({ 
-        error: 'AlreadyAtMaxLevel',
-        message: 'User is already at the maximum membership level.',
-        errorCode: '0x8f83ab13'
-      });
-    }
-    
-    if (err.data === '0x8f83ab13') { // CannotSkipLevels
-      return res.status(400).json({ 
-        error: 'CannotSkipLevels',
-        message: 'Cannot skip membership levels. Must upgrade sequentially.',
-        errorCode: '0x8f83ab13'
-      });
-    }
-    
-    res.status(500).json({ error: err.message });
+    return sendContractError(res, err);
   }
 });
 
 // Force daily claim endpoint (admin/emergency use)
-app.post('/relay/force-daily-claim', async (req, res) => {
+app.post('/relay/force-daily-claim', rateLimitIp(API_ROUTES.forceDailyClaim), requireAdminRole('support'), validateRequest(API_ROUTES.forceDailyClaim), rateLimitRoute(API_ROUTES.forceDailyClaim), async (req, res) => {
   const { user } = req.body;
 
-  if (!user || !ethers.isAddress(user)) {
-    return res.status(400).json({ error: 'Invalid user address' });
-  }
-
   try {
     console.log('🚨 Force daily claim for user:', user);
     
-    // Execute force daily claim on the smart contract
-    const tx = await contract.forceDailyClaim(user);
-    console.log('✅ Force daily claim transaction sent:', tx.hash);
-    
-    await tx.wait();
-    console.log('✅ Force daily claim transaction confirmed');
-
-    // Log the forced claim
-    const { error: claimError } = await supabase
-      .from('claims')
-      .upsert({
-        wallet_address: user,
-        claimed_at: new Date().toISOString(),
-        reward: 0, // Add default reward value since it's required by schema
-        consecutive_days: 1, // Force claims start a new streak
-        tx_hash: tx.hash,
-        is_forced: true
-      });
+    // Queue the forced claim; the relay worker logs it once mined
+    const job = await enqueueRelayJob('force_daily_claim', user);
+    console.log('📥 Force daily claim queued:', job.id);
 
-    if (claimError) console.error('Warning: Failed to log forced claim:', claimError);
-
-    res.json({ success: true, txHash: tx.hash, message: 'Force daily claim successful' });
+    res.status(202).json({ success: true, jobId: job.id, status: job.status, message: 'Force daily claim queued' });
   } catch (err) {
     console.error("❌ Force daily claim error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Get the status of a queued relayer transaction
+app.get('/relay/jobs/:id', rateLimitIp(API_ROUTES.getRelayJob), validateRequest(API_ROUTES.getRelayJob), rateLimitRoute(API_ROUTES.getRelayJob), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const job = await getRelayJob(id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatRelayJob(job));
+  } catch (err) {
+    console.error('❌ Error fetching relay job:', err);
+    res.status(500).json({ error: 'Failed to fetch relay job' });
+  }
+});
+
 // Get contract statistics from EnbMiniAppUpgradeable
-app.get('/relay/contract-stats', async (req, res) => {
+app.get('/relay/contract-stats', rateLimitIp(API_ROUTES.getContractStats), validateRequest(API_ROUTES.getContractStats), rateLimitRoute(API_ROUTES.getContractStats), async (req, res) => {
   try {
     console.log('📊 Fetching contract statistics...');
     
@@ -2021,39 +1601,34 @@ app.get('/relay/contract-stats', async (req, res) => {
 });
 
 // Get airdrop status for a wallet
-app.get('/relay/airdrop-status/:walletAddress', async (req, res) => {
+app.get('/relay/airdrop-status/:walletAddress', rateLimitIp(API_ROUTES.getAirdropStatus), validateRequest(API_ROUTES.getAirdropStatus), rateLimitRoute(API_ROUTES.getAirdropStatus), async (req, res) => {
   const { walletAddress } = req.params;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
-    const currentUses = await airdropContract.inviteUses(walletAddress);
-    const isRewarded = await airdropContract.rewarded(walletAddress);
-    const threshold = await airdropContract.THRESHOLD();
-    const rewardAmount = await airdropContract.REWARD_AMOUNT();
+    const rewardStatus = await getInviteRewardStatus(walletAddress);
     
     // Get database info
     const { data: accountData, error: accountError } = await supabase
       .from('accounts')
-      .select('current_invitation_uses, max_invitation_uses')
+      .select('max_invitation_uses')
       .eq('wallet_address', walletAddress)
       .single();
     
-    const dbUses = accountData?.current_invitation_uses || 0;
+    const dbUses = await getInvitationTotal(walletAddress);
     const maxUses = accountData?.max_invitation_uses || 5;
     
     res.json({
       walletAddress,
-      contractUses: currentUses.toString(),
+      contractUses: rewardStatus.inviteUses.toString(),
       databaseUses: dbUses,
+      // Counted in the ledger but not recorded on-chain yet (queued, held or failed payouts)
+      unrecordedUses: await countUnrecordedInvites(walletAddress),
       maxUses: maxUses,
-      threshold: threshold.toString(),
-      rewardAmount: ethers.formatEther(rewardAmount),
-      isRewarded,
-      canTriggerAirdrop: Number(currentUses) >= Number(threshold) && !isRewarded,
-      usesUntilAirdrop: Math.max(0, Number(threshold) - Number(currentUses))
+      rewardCycle: getRewardCycle(dbUses, rewardStatus.tiers),
+      tiers: rewardStatus.tiers,
+      nextTier: rewardStatus.nextTier,
+      usesUntilNextTier: rewardStatus.usesUntilNextTier,
+      hasUnpaidTiers: rewardStatus.hasUnpaidTiers
     });
     
   } catch (err) {
@@ -2063,33 +1638,42 @@ app.get('/relay/airdrop-status/:walletAddress', async (req, res) => {
 });
 
 // Get airdrop history for a wallet
-app.get('/api/airdrop-history/:walletAddress', async (req, res) => {
+app.get('/api/airdrop-history/:walletAddress', rateLimitIp(API_ROUTES.getAirdropHistory), validateRequest(API_ROUTES.getAirdropHistory), rateLimitRoute(API_ROUTES.getAirdropHistory), async (req, res) => {
   const { walletAddress } = req.params;
   const limit = parseInt(req.query.limit) || 50;
   const offset = parseInt(req.query.offset) || 0;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
-    const { data: airdrops, error, count } = await supabase
-      .from('airdrops')
-      .select('*', { count: 'exact' })
-      .eq('wallet_address', walletAddress)
-      .order('triggered_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    // Airdrops are the indexed RewardSent events of the InviteAirdrop contract
+    const { events: rewards, count } = await getChainEvents(walletAddress, 'RewardSent', { limit, offset });
+
+    // The InviteUsed event in the same transaction carries the use count that triggered the reward,
+    // and the TierRewarded event logged right after a RewardSent names its tier (InviteAirdropV2 only)
+    const { data: relatedEvents, error } = await supabase
+      .from('chain_events')
+      .select('tx_hash, log_index, event_name, args')
+      .in('event_name', ['InviteUsed', 'TierRewarded'])
+      .in('tx_hash', rewards.map(reward => reward.tx_hash));
 
     if (error) throw error;
 
-    const formattedAirdrops = airdrops.map(airdrop => ({
-      id: airdrop.id,
-      walletAddress: airdrop.wallet_address,
-      amount: airdrop.amount,
-      triggeredAt: airdrop.triggered_at,
-      txHash: airdrop.tx_hash,
-      invitationUsesAtTrigger: airdrop.invitation_uses_at_trigger,
-      createdAt: airdrop.created_at
+    const usesByTx = new Map(relatedEvents
+      .filter(event => event.event_name === 'InviteUsed')
+      .map(event => [event.tx_hash, event.args.totalUses]));
+    const tierByLog = new Map(relatedEvents
+      .filter(event => event.event_name === 'TierRewarded')
+      .map(event => [`${event.tx_hash}:${event.log_index}`, Number(event.args.threshold)]));
+
+    const formattedAirdrops = rewards.map(reward => ({
+      id: reward.id,
+      walletAddress: reward.wallet_address,
+      amount: reward.amount,
+      triggeredAt: reward.block_timestamp,
+      txHash: reward.tx_hash,
+      blockNumber: reward.block_number,
+      tierThreshold: tierByLog.get(`${reward.tx_hash}:${reward.log_index + 1}`) || null,
+      invitationUsesAtTrigger: usesByTx.get(reward.tx_hash) || null,
+      createdAt: reward.created_at
     }));
 
     res.json({
@@ -2109,7 +1693,7 @@ app.get('/api/airdrop-history/:walletAddress', async (req, res) => {
 });
 
 // Get all airdrops (admin endpoint)
-app.get('/api/airdrops', async (req, res) => {
+app.get('/api/airdrops', rateLimitIp(API_ROUTES.listAirdrops), requireAdminRole('finance', 'support'), validateRequest(API_ROUTES.listAirdrops), rateLimitRoute(API_ROUTES.listAirdrops), async (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   const offset = parseInt(req.query.offset) || 0;
   const walletAddress = req.query.walletAddress;
@@ -2119,7 +1703,7 @@ app.get('/api/airdrops', async (req, res) => {
       .from('airdrops')
       .select('*', { count: 'exact' });
 
-    if (walletAddress && ethers.isAddress(walletAddress)) {
+    if (walletAddress) {
       query = query.eq('wallet_address', walletAddress);
     }
 
@@ -2136,7 +1720,8 @@ app.get('/api/airdrops', async (req, res) => {
       amount: airdrop.amount,
       triggeredAt: airdrop.triggered_at,
       txHash: airdrop.tx_hash,
-      invitationUsesAtTrigger: airdrop.invitation_uses_at_trigger,
+      tierThreshold: airdrop.tier_threshold,
+      invitationUsesAtTrigger: airdrop.invitation_uses_at_trigger?.toString() ?? null,
       createdAt: airdrop.created_at
     }));
 
@@ -2156,133 +1741,632 @@ app.get('/api/airdrops', async (req, res) => {
   }
 });
 
-// Get mining activity and consecutive days for a wallet
-app.get('/api/mining-activity/:walletAddress', async (req, res) => {
+// Pay invite tiers a wallet already reached (migrated v1 uses, or a tier added below its count)
+app.post('/api/admin/invite-rewards/:walletAddress/settle', rateLimitIp(API_ROUTES.settleInviteRewards), requireAdminRole('finance'), validateRequest(API_ROUTES.settleInviteRewards), rateLimitRoute(API_ROUTES.settleInviteRewards), async (req, res) => {
   const { walletAddress } = req.params;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-
   try {
-    console.log('📊 Fetching mining activity for wallet:', walletAddress);
-    
-    // Get account data from database
-    const { data: accountData, error: accountError } = await supabase
-      .from('accounts')
-      .select('*')
-      .eq('wallet_address', walletAddress)
-      .single();
+    const rewardStatus = await getInviteRewardStatus(walletAddress);
 
-    if (accountError || !accountData) {
-      console.log('❌ Account not found for wallet:', walletAddress);
-      return res.status(404).json({ error: 'Account not found' });
+    if (!rewardStatus.hasUnpaidTiers) {
+      return res.status(400).json({ error: 'NothingToSettle', message: 'No reached invite tiers are waiting to be paid.' });
     }
 
-    if (!accountData.is_activated) {
-      return res.status(400).json({ error: 'Account not activated' });
-    }
+    const payout = await queueSettlePayout(walletAddress, req.admin.subject);
+    console.log(`🎁 ${req.admin.subject} queued invite tier settlement for ${walletAddress}`);
+    res.status(202).json({ success: true, message: 'Invite tier settlement queued', payout });
 
-    // Get all claims for this wallet to calculate consecutive days
-    const { data: claimsData, error: claimsError } = await supabase
-      .from('claims')
-      .select('claimed_at, tx_hash')
-      .eq('wallet_address', walletAddress)
-      .order('claimed_at', { ascending: true });
+  } catch (err) {
+    console.error(`Error settling invite rewards for ${walletAddress}:`, err);
+    return sendContractError(res, err);
+  }
+});
 
-    if (claimsError) {
-      console.error('❌ Error querying claims table:', claimsError);
-      return res.status(500).json({ error: 'Failed to fetch claims data' });
-    }
+app.get('/api/admin/invite-payouts', rateLimitIp(API_ROUTES.listInvitePayouts), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listInvitePayouts), rateLimitRoute(API_ROUTES.listInvitePayouts), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const { status, kind, inviterWallet } = req.query;
 
-    // Calculate consecutive days based on actual claim history
-    let consecutiveDays = 0;
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let lastClaimDate = null;
-    let canClaimToday = false;
-    let nextClaimTime = null;
-    let timeUntilNextClaim = null;
+  try {
+    const { payouts, count } = await listInvitePayouts({ status, kind, inviterWallet, limit, offset });
 
-    if (claimsData && claimsData.length > 0) {
-      // Sort claims by date
-      const sortedClaims = claimsData.sort((a, b) => 
-        new Date(a.claimed_at).getTime() - new Date(b.claimed_at).getTime()
-      );
+    res.json({
+      payouts,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: payouts.length === limit
+      }
+    });
 
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      
-      // Find the most recent claim
-      const mostRecentClaim = sortedClaims[sortedClaims.length - 1];
-      lastClaimDate = new Date(mostRecentClaim.claimed_at);
-      const lastClaimDay = new Date(lastClaimDate.getFullYear(), lastClaimDate.getMonth(), lastClaimDate.getDate());
-
-      // Check if user can claim today
-      const timeSinceLastClaim = today.getTime() - lastClaimDay.getTime();
-      const cooldownPeriod = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-      
-      canClaimToday = timeSinceLastClaim >= cooldownPeriod;
-      
-      if (canClaimToday) {
-        nextClaimTime = now;
-        timeUntilNextClaim = 0;
-      } else {
-        nextClaimTime = new Date(lastClaimDay.getTime() + cooldownPeriod);
-        timeUntilNextClaim = nextClaimTime.getTime() - now.getTime();
+  } catch (err) {
+    console.error('Error fetching invite payouts:', err);
+    res.status(500).json({ error: 'Failed to fetch invite payouts' });
+  }
+});
+
+app.post('/api/admin/invite-payouts/:id/retry', rateLimitIp(API_ROUTES.retryInvitePayout), requireAdminRole('finance'), validateRequest(API_ROUTES.retryInvitePayout), rateLimitRoute(API_ROUTES.retryInvitePayout), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const payout = await retryInvitePayout(id, req.admin.subject);
+    res.status(202).json({ success: true, message: 'Invite payout queued for retry', payout });
+
+  } catch (err) {
+    if (err.isInvitePayoutError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error retrying invite payout ${id}:`, err);
+    res.status(500).json({ error: 'Failed to retry invite payout' });
+  }
+});
+
+// Streams claims, transactions, upgrades or airdrops as CSV or NDJSON, a page at a time
+app.get('/api/admin/exports/:table', rateLimitIp(API_ROUTES.exportRecords), requireAdminRole('finance'), validateRequest(API_ROUTES.exportRecords), rateLimitRoute(API_ROUTES.exportRecords), async (req, res) => {
+  const { table } = req.params;
+  const { format, from, to, walletAddress } = req.query;
+
+  try {
+    const { contentType, fileName, lines } = createExport({ table, format, from, to, walletAddress });
+
+    // Headers only go out with the first line, so a failing first page still gets a JSON 500
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await pipeExport(lines, res);
+    res.end();
+
+  } catch (err) {
+    if (res.headersSent) {
+      console.error(`Error exporting ${table}:`, err);
+      // Cut the download short so a partial file is not mistaken for a complete one
+      return res.destroy(err);
+    }
+
+    // The error goes out as JSON, not as the file the headers announced
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+
+    if (err.isExportError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+
+    console.error(`Error exporting ${table}:`, err);
+    res.status(500).json({ error: `Failed to export ${table}` });
+  }
+});
+
+app.get('/api/admin/invites/funnel', rateLimitIp(API_ROUTES.listInviteFunnels), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listInviteFunnels), rateLimitRoute(API_ROUTES.listInviteFunnels), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const days = parseInt(req.query.days) || null;
+  const sort = req.query.sort || 'activated';
+
+  try {
+    const { funnels, totals, count } = await listInviteFunnels({ days, sort, limit, offset });
+
+    res.json({
+      days,
+      totals,
+      funnels,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: funnels.length === limit
       }
+    });
 
-      // Calculate consecutive days by checking for consecutive dates
-      let currentDate = new Date(sortedClaims[0].claimed_at);
-      let streakStart = new Date(currentDate);
-      let tempStreak = 1;
+  } catch (err) {
+    console.error('Error fetching invite funnels:', err);
+    res.status(500).json({ error: 'Failed to fetch invite funnels' });
+  }
+});
 
-      for (let i = 1; i < sortedClaims.length; i++) {
-        const claimDate = new Date(sortedClaims[i].claimed_at);
-        const expectedDate = new Date(currentDate.getTime() + 24 * 60 * 60 * 1000);
-        
-        // Check if this claim is on the next day (allowing for small time differences)
-        const dayDiff = Math.abs(claimDate.getTime() - expectedDate.getTime());
-        const isConsecutive = dayDiff <= 2 * 24 * 60 * 60 * 1000; // Allow 2 days tolerance
-        
-        if (isConsecutive) {
-          tempStreak++;
-          currentDate = claimDate;
-        } else {
-          // Streak broken, update longest streak if needed
-          if (tempStreak > longestStreak) {
-            longestStreak = tempStreak;
-          }
-          
-          // Start new streak
-          tempStreak = 1;
-          currentDate = claimDate;
-          streakStart = claimDate;
-        }
+// Growth and retention reports (services/analytics.js); from/to are inclusive UTC dates
+const sendAnalyticsReport = (report, name) => async (req, res) => {
+  try {
+    res.json(await report(req.query));
+
+  } catch (err) {
+    if (err.isAnalyticsError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error fetching ${name} analytics:`, err);
+    res.status(500).json({ error: `Failed to fetch ${name} analytics` });
+  }
+};
+
+app.get('/api/admin/analytics/active-claimers', rateLimitIp(API_ROUTES.getActiveClaimers), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getActiveClaimers), rateLimitRoute(API_ROUTES.getActiveClaimers), sendAnalyticsReport(getActiveClaimers, 'active claimer'));
+
+app.get('/api/admin/analytics/growth', rateLimitIp(API_ROUTES.getAccountGrowth), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getAccountGrowth), rateLimitRoute(API_ROUTES.getAccountGrowth), sendAnalyticsReport(getAccountGrowth, 'growth'));
+
+app.get('/api/admin/analytics/retention', rateLimitIp(API_ROUTES.getRetentionCohorts), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getRetentionCohorts), rateLimitRoute(API_ROUTES.getRetentionCohorts), sendAnalyticsReport(getRetentionCohorts, 'retention'));
+
+app.get('/api/admin/analytics/memberships', rateLimitIp(API_ROUTES.getMembershipDistribution), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getMembershipDistribution), rateLimitRoute(API_ROUTES.getMembershipDistribution), sendAnalyticsReport(getMembershipDistribution, 'membership'));
+
+app.get('/api/admin/analytics/upgrades', rateLimitIp(API_ROUTES.getUpgradeConversion), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getUpgradeConversion), rateLimitRoute(API_ROUTES.getUpgradeConversion), sendAnalyticsReport(getUpgradeConversion, 'upgrade'));
+
+app.get('/api/admin/analytics/emissions', rateLimitIp(API_ROUTES.getEnbEmissions), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getEnbEmissions), rateLimitRoute(API_ROUTES.getEnbEmissions), sendAnalyticsReport(getEnbEmissions, 'emission'));
+
+app.get('/api/admin/invitation-codes', rateLimitIp(API_ROUTES.listInvitationCodes), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listInvitationCodes), rateLimitRoute(API_ROUTES.listInvitationCodes), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const { kind, ownerWallet, status } = req.query;
+
+  try {
+    const { codes, count } = await listInvitationCodes({ kind, ownerWallet, status, limit, offset });
+
+    res.json({
+      codes,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: codes.length === limit
       }
+    });
+
+  } catch (err) {
+    console.error('Error fetching invitation codes:', err);
+    res.status(500).json({ error: 'Failed to fetch invitation codes' });
+  }
+});
+
+// Mint a campaign code with its own use limit, credited to an activated account
+app.post('/api/admin/invitation-codes', rateLimitIp(API_ROUTES.createCampaignCode), requireAdminRole('support'), validateRequest(API_ROUTES.createCampaignCode), rateLimitRoute(API_ROUTES.createCampaignCode), async (req, res) => {
+  const { ownerWallet, code, maxUses, campaign } = req.body;
+  const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    return res.status(400).json({ error: 'InvalidExpiry', message: 'expiresAt must be an ISO 8601 date.' });
+  }
+
+  try {
+    const invitationCode = await createCampaignCode({
+      ownerWallet,
+      code,
+      maxUses,
+      expiresAt,
+      campaign,
+      createdBy: req.admin.subject
+    });
+
+    console.log(`🎟️ ${req.admin.subject} created campaign code ${invitationCode.code} for ${invitationCode.ownerWallet}`);
+    res.status(201).json({ success: true, invitationCode });
+
+  } catch (err) {
+    if (err.isInvitationCodeError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error('Error creating campaign code:', err);
+    res.status(500).json({ error: 'Failed to create campaign code' });
+  }
+});
 
-      // Update longest streak with current streak if it's longer
-      if (tempStreak > longestStreak) {
-        longestStreak = tempStreak;
+app.post('/api/admin/invitation-codes/:code/revoke', rateLimitIp(API_ROUTES.adminRevokeInvitationCode), requireAdminRole('support'), validateRequest(API_ROUTES.adminRevokeInvitationCode), rateLimitRoute(API_ROUTES.adminRevokeInvitationCode), async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const invitationCode = await revokeInvitationCode(code, req.admin.subject);
+    console.log(`🚫 ${req.admin.subject} revoked invitation code ${invitationCode.code}`);
+    res.json({ success: true, invitationCode });
+
+  } catch (err) {
+    if (err.isInvitationCodeError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error revoking invitation code ${code}:`, err);
+    res.status(500).json({ error: 'Failed to revoke invitation code' });
+  }
+});
+
+app.get('/api/admin/referral-campaigns', rateLimitIp(API_ROUTES.listReferralCampaigns), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listReferralCampaigns), rateLimitRoute(API_ROUTES.listReferralCampaigns), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const { campaigns, count } = await listReferralCampaigns({ status: req.query.status, limit, offset });
+
+    res.json({
+      campaigns,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: campaigns.length === limit
       }
+    });
 
-      // Current consecutive days is the length of the current streak
-      consecutiveDays = tempStreak;
-      currentStreak = tempStreak;
-    } else {
-      // No claims yet - check if account is old enough to claim
-      const accountCreatedAt = new Date(accountData.created_at);
-      const now = new Date();
-      const cooldownPeriod = 24 * 60 * 60 * 1000; // 24 hours
-      
-      if (now.getTime() - accountCreatedAt.getTime() >= cooldownPeriod) {
-        canClaimToday = true;
-        nextClaimTime = now;
-        timeUntilNextClaim = 0;
-      } else {
-        nextClaimTime = new Date(accountCreatedAt.getTime() + cooldownPeriod);
-        timeUntilNextClaim = nextClaimTime.getTime() - now.getTime();
+  } catch (err) {
+    console.error('Error fetching referral campaigns:', err);
+    res.status(500).json({ error: 'Failed to fetch referral campaigns' });
+  }
+});
+
+// Define a time-boxed referral campaign; activations are attributed to it while it runs
+app.post('/api/admin/referral-campaigns', rateLimitIp(API_ROUTES.createReferralCampaign), requireAdminRole('finance'), validateRequest(API_ROUTES.createReferralCampaign), rateLimitRoute(API_ROUTES.createReferralCampaign), async (req, res) => {
+  try {
+    const campaign = await createReferralCampaign(req.body, req.admin.subject);
+    res.status(201).json({ success: true, campaign });
+
+  } catch (err) {
+    if (err.isReferralCampaignError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error('Error creating referral campaign:', err);
+    res.status(500).json({ error: 'Failed to create referral campaign' });
+  }
+});
+
+app.patch('/api/admin/referral-campaigns/:id', rateLimitIp(API_ROUTES.updateReferralCampaign), requireAdminRole('finance'), validateRequest(API_ROUTES.updateReferralCampaign), rateLimitRoute(API_ROUTES.updateReferralCampaign), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const campaign = await updateReferralCampaign(id, req.body, req.admin.subject);
+    res.json({ success: true, campaign });
+
+  } catch (err) {
+    if (err.isReferralCampaignError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error updating referral campaign ${id}:`, err);
+    res.status(500).json({ error: 'Failed to update referral campaign' });
+  }
+});
+
+app.post('/api/admin/referral-campaigns/:id/cancel', rateLimitIp(API_ROUTES.cancelReferralCampaign), requireAdminRole('finance'), validateRequest(API_ROUTES.cancelReferralCampaign), rateLimitRoute(API_ROUTES.cancelReferralCampaign), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const campaign = await cancelReferralCampaign(id, req.admin.subject);
+    res.json({ success: true, campaign });
+
+  } catch (err) {
+    if (err.isReferralCampaignError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error cancelling referral campaign ${id}:`, err);
+    res.status(500).json({ error: 'Failed to cancel referral campaign' });
+  }
+});
+
+app.get('/api/admin/referral-campaigns/:id/report', rateLimitIp(API_ROUTES.getReferralCampaignReport), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.getReferralCampaignReport), rateLimitRoute(API_ROUTES.getReferralCampaignReport), async (req, res) => {
+  const { id } = req.params;
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const { campaign, totals, inviters, count } = await getReferralCampaignReport(id, { limit, offset });
+
+    res.json({
+      campaign,
+      totals,
+      inviters,
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        hasMore: inviters.length === limit
       }
+    });
+
+  } catch (err) {
+    if (err.isReferralCampaignError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error fetching referral campaign report ${id}:`, err);
+    res.status(500).json({ error: 'Failed to fetch referral campaign report' });
+  }
+});
+
+// List database-versus-chain drift reports
+app.get('/api/admin/drift-reports', rateLimitIp(API_ROUTES.listDriftReports), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listDriftReports), rateLimitRoute(API_ROUTES.listDriftReports), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const status = req.query.status || 'open';
+  const { field, walletAddress } = req.query;
+
+  try {
+    let query = supabase
+      .from('drift_reports')
+      .select('*', { count: 'exact' });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (field) {
+      query = query.eq('field', field);
+    }
+
+    if (walletAddress) {
+      query = query.eq('wallet_address', walletAddress);
+    }
+
+    query = query.order('detected_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data: reports, error, count } = await query;
+
+    if (error) throw error;
+
+    const formattedReports = reports.map(formatDriftReport);
+
+    res.json({
+      reports: formattedReports,
+      reconciliation: getLastReconciliationRun(),
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: formattedReports.length === limit
+      }
+    });
+
+  } catch (err) {
+    console.error("Error fetching drift reports:", err);
+    res.status(500).json({ error: 'Failed to fetch drift reports' });
+  }
+});
+
+// Apply the on-chain value to the database (fix) or close a report without changes (dismiss)
+app.post('/api/admin/drift-reports/:id/:action', rateLimitIp(API_ROUTES.resolveDriftReport), requireAdminRole('support'), validateRequest(API_ROUTES.resolveDriftReport), rateLimitRoute(API_ROUTES.resolveDriftReport), async (req, res) => {
+  const { id, action } = req.params;
+
+  try {
+    const { data: report, error } = await supabase
+      .from('drift_reports')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!report) {
+      return res.status(404).json({ error: 'Drift report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Drift report is not open', status: report.status });
+    }
+
+    if (action === 'dismiss') {
+      const { data: dismissed, error: dismissError } = await supabase
+        .from('drift_reports')
+        .update({ status: 'dismissed', resolved_at: new Date().toISOString(), resolved_by: req.admin.subject })
+        .eq('id', id)
+        .select('*')
+        .single();
+
+      if (dismissError) throw dismissError;
+      return res.json({ success: true, report: formatDriftReport(dismissed) });
+    }
+
+    const fixed = await fixDriftReport(report, req.admin.subject);
+    res.json({ success: true, report: formatDriftReport(fixed) });
+
+  } catch (err) {
+    if (err.code === 'NotFixable') {
+      return res.status(400).json({ error: 'NotFixable', message: err.message });
+    }
+    console.error(`Error applying ${action} to drift report ${id}:`, err);
+    res.status(500).json({ error: 'Failed to update drift report', message: err.message });
+  }
+});
+
+// Trigger a reconciliation run outside the schedule; returns immediately
+app.post('/api/admin/reconciliation/run', rateLimitIp(API_ROUTES.runReconciliation), requireAdminRole('superadmin'), validateRequest(API_ROUTES.runReconciliation), rateLimitRoute(API_ROUTES.runReconciliation), async (req, res) => {
+  const status = getLastReconciliationRun();
+
+  if (status.running) {
+    return res.status(409).json({ error: 'Reconciliation already running', ...status });
+  }
+
+  runReconciliation();
+  res.status(202).json({ success: true, message: 'Reconciliation started', lastRun: status.lastRun });
+});
+
+app.get('/api/admin/invite-reviews', rateLimitIp(API_ROUTES.listInviteReviews), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listInviteReviews), rateLimitRoute(API_ROUTES.listInviteReviews), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const status = req.query.status || 'pending';
+  const { inviterWallet } = req.query;
+
+  try {
+    let query = supabase
+      .from('invite_reward_reviews')
+      .select('*', { count: 'exact' });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (inviterWallet) {
+      query = query.eq('inviter_wallet', inviterWallet);
+    }
+
+    query = query.order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    const { data: reviews, error, count } = await query;
+
+    if (error) throw error;
+
+    const formattedReviews = reviews.map(formatInviteReview);
+
+    res.json({
+      reviews: formattedReviews,
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: formattedReviews.length === limit
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching invite reviews:', err);
+    res.status(500).json({ error: 'Failed to fetch invite reviews' });
+  }
+});
+
+// Approve records the held invite on-chain (paying any tier it completes); reject drops it
+app.post('/api/admin/invite-reviews/:id/:action', rateLimitIp(API_ROUTES.resolveInviteReview), requireAdminRole('finance'), validateRequest(API_ROUTES.resolveInviteReview), rateLimitRoute(API_ROUTES.resolveInviteReview), async (req, res) => {
+  const { id, action } = req.params;
+
+  try {
+    const result = action === 'approve'
+      ? await approveInviteReview(id, req.admin.subject)
+      : await rejectInviteReview(id, req.admin.subject);
+
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    if (err.isInviteReviewError || err.isInvitePayoutError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`Error applying ${action} to invite review ${id}:`, err);
+    res.status(500).json({ error: 'Failed to apply invite review decision' });
+  }
+});
+
+app.get('/api/admin/sybil-scores', rateLimitIp(API_ROUTES.listSybilScores), requireAdminRole('support', 'finance'), validateRequest(API_ROUTES.listSybilScores), rateLimitRoute(API_ROUTES.listSybilScores), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const { flagged, walletAddress } = req.query;
+
+  try {
+    let query = supabase
+      .from('sybil_scores')
+      .select('*', { count: 'exact' });
+
+    if (flagged !== undefined) {
+      query = query.eq('flagged', flagged === 'true');
+    }
+
+    if (walletAddress) {
+      query = query.eq('wallet_address', walletAddress);
+    }
+
+    query = query.order('score', { ascending: false })
+      .order('scored_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data: scores, error, count } = await query;
+
+    if (error) throw error;
+
+    const formattedScores = scores.map(formatSybilScore);
+
+    res.json({
+      scores: formattedScores,
+      scoring: getLastSybilScoringRun(),
+      pagination: {
+        total: count || 0,
+        limit,
+        offset,
+        hasMore: formattedScores.length === limit
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching sybil scores:', err);
+    res.status(500).json({ error: 'Failed to fetch sybil scores' });
+  }
+});
+
+app.post('/api/admin/sybil-scores/:walletAddress/rescore', rateLimitIp(API_ROUTES.rescoreInviter), requireAdminRole('support'), validateRequest(API_ROUTES.rescoreInviter), rateLimitRoute(API_ROUTES.rescoreInviter), async (req, res) => {
+  const { walletAddress } = req.params;
+
+  try {
+    const score = await scoreInviter(walletAddress);
+    res.json(score);
+
+  } catch (err) {
+    console.error(`Error scoring inviter ${walletAddress}:`, err);
+    res.status(500).json({ error: 'Failed to score inviter', message: err.message });
+  }
+});
+
+app.post('/api/admin/sybil-scoring/run', rateLimitIp(API_ROUTES.runSybilScoring), requireAdminRole('superadmin'), validateRequest(API_ROUTES.runSybilScoring), rateLimitRoute(API_ROUTES.runSybilScoring), async (req, res) => {
+  const status = getLastSybilScoringRun();
+
+  if (status.running) {
+    return res.status(409).json({ error: 'Sybil scoring already running', ...status });
+  }
+
+  runSybilScoring();
+  res.status(202).json({ success: true, message: 'Sybil scoring started', lastRun: status.lastRun });
+});
+
+// Get mining activity and consecutive days for a wallet
+app.get('/api/mining-activity/:walletAddress', rateLimitIp(API_ROUTES.getMiningActivity), validateRequest(API_ROUTES.getMiningActivity), rateLimitRoute(API_ROUTES.getMiningActivity), async (req, res) => {
+  const { walletAddress } = req.params;
+
+  try {
+    console.log('📊 Fetching mining activity for wallet:', walletAddress);
+    
+    // Get account data from database
+    const { data: accountData, error: accountError } = await supabase
+      .from('accounts')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .single();
+
+    if (accountError || !accountData) {
+      console.log('❌ Account not found for wallet:', walletAddress);
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!accountData.is_activated) {
+      return res.status(400).json({ error: 'Account not activated' });
+    }
+
+    // Latest on-chain claims (indexed DailyClaimCompleted events) and how many there are in all
+    let recentClaims;
+    let totalClaims;
+    try {
+      const { events, count } = await getChainEvents(walletAddress, 'DailyClaimCompleted', { limit: 5 });
+      // Newest first from the index; the card lists them oldest first
+      recentClaims = events.reverse().map(event => ({
+        claimed_at: event.block_timestamp,
+        tx_hash: event.tx_hash
+      }));
+      totalClaims = count;
+    } catch (claimsError) {
+      console.error('❌ Error querying indexed claim events:', claimsError);
+      return res.status(500).json({ error: 'Failed to fetch claims data' });
+    }
+
+    // Streaks come from the streak engine so every card shows the same numbers
+    const { currentStreak, longestStreak } = getStreakSummary(accountData);
+    const consecutiveDays = currentStreak;
+
+    let lastClaimDate = null;
+    let canClaimToday = false;
+    let nextClaimTime = null;
+    let timeUntilNextClaim = null;
+
+    const now = new Date();
+    const cooldownPeriod = 24 * 60 * 60 * 1000; // 24 hours, matches DAILY_CLAIM_COOLDOWN
+
+    if (recentClaims.length > 0) {
+      // The contract cooldown runs from the most recent claim
+      lastClaimDate = new Date(recentClaims[recentClaims.length - 1].claimed_at);
+      nextClaimTime = new Date(lastClaimDate.getTime() + cooldownPeriod);
+    } else {
+      // No claims yet - the first claim opens 24 hours after account creation
+      nextClaimTime = new Date(new Date(accountData.created_at).getTime() + cooldownPeriod);
+    }
+
+    canClaimToday = nextClaimTime.getTime() <= now.getTime();
+    if (canClaimToday) {
+      nextClaimTime = now;
+      timeUntilNextClaim = 0;
+    } else {
+      timeUntilNextClaim = nextClaimTime.getTime() - now.getTime();
     }
 
     // Format time components for countdown
@@ -2334,7 +2418,8 @@ app.get('/api/mining-activity/:walletAddress', async (req, res) => {
       consecutiveDays,
       currentStreak,
       longestStreak,
-      totalClaims: claimsData ? claimsData.length : 0,
+      streakRules: getStreakConfig(),
+      totalClaims,
       lastClaimDate: lastClaimDate ? lastClaimDate.toISOString() : null,
       canClaimToday,
       nextClaimTime: nextClaimTime ? nextClaimTime.toISOString() : null,
@@ -2346,10 +2431,10 @@ app.get('/api/mining-activity/:walletAddress', async (req, res) => {
       accountCreatedAt: accountData.created_at ? new Date(accountData.created_at).toISOString() : null,
       isActivated: accountData.is_activated || false,
       // Include recent claims for detailed tracking
-      recentClaims: claimsData ? claimsData.slice(-5).map(claim => ({
+      recentClaims: recentClaims.map(claim => ({
         claimedAt: claim.claimed_at,
         txHash: claim.tx_hash
-      })) : []
+      }))
     };
 
     console.log('✅ Mining activity retrieved for wallet:', walletAddress, {
@@ -2366,7 +2451,86 @@ app.get('/api/mining-activity/:walletAddress', async (req, res) => {
   }
 });
 
+// Streak status: current/longest streak, freezes held and repair availability
+app.get('/api/streak/:walletAddress', rateLimitIp(API_ROUTES.getStreak), validateRequest(API_ROUTES.getStreak), rateLimitRoute(API_ROUTES.getStreak), async (req, res) => {
+  const { walletAddress } = req.params;
+
+  try {
+    const status = await getStreakStatus(walletAddress);
+    return res.status(200).json(status);
+  } catch (error) {
+    if (error.isStreakItemError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Error fetching streak status:', error);
+    return res.status(500).json({ error: 'Failed to fetch streak status' });
+  }
+});
+
+// Buy streak freezes with off-chain ENB balance
+app.post('/api/streak/freezes/purchase', rateLimitIp(API_ROUTES.purchaseStreakFreeze), validateRequest(API_ROUTES.purchaseStreakFreeze), requireWalletSignature('PurchaseStreakFreeze'), rateLimitRoute(API_ROUTES.purchaseStreakFreeze), async (req, res) => {
+  const { walletAddress, quantity } = req.body;
+
+  try {
+    const result = await purchaseStreakFreezes(walletAddress, quantity);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error.isStreakItemError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Streak freeze purchase error:', error);
+    return res.status(500).json({ error: 'Failed to purchase streak freeze' });
+  }
+});
+
+// Restore a streak that broke within the repair window, paid with off-chain ENB balance
+app.post('/api/streak/repair', rateLimitIp(API_ROUTES.repairStreak), validateRequest(API_ROUTES.repairStreak), requireWalletSignature('RepairStreak'), rateLimitRoute(API_ROUTES.repairStreak), async (req, res) => {
+  const { walletAddress } = req.body;
+
+  try {
+    const result = await repairStreak(walletAddress);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error.isStreakItemError) {
+      return res.status(error.status).json({ error: error.code, message: error.message });
+    }
+    console.error('❌ Streak repair error:', error);
+    return res.status(500).json({ error: 'Failed to repair streak' });
+  }
+});
+
+// Malformed JSON bodies get the same 400 shape as validation errors
+app.use(handleJsonParseError);
+
 // === Start Server ===
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
+
+  const undocumentedRoutes = findUndocumentedRoutes(app);
+  if (undocumentedRoutes.length > 0) {
+    console.warn('⚠️ Routes missing from schemas/api-routes.js (no validation or docs):', undocumentedRoutes);
+  }
+
+  // The relay worker must run in exactly one process per relayer wallet
+  if (process.env.RELAY_WORKER_ENABLED === 'true') {
+    startRelayWorker();
+    startInvitePayoutWorker();
+    startInviteScreening();
+  }
+
+  if (process.env.INDEXER_ENABLED === 'true') {
+    startChainIndexer();
+  }
+
+  if (process.env.RECONCILIATION_ENABLED === 'true') {
+    startReconciliationSchedule();
+  }
+
+  if (process.env.SYBIL_SCORING_ENABLED === 'true') {
+    startSybilScoringSchedule();
+  }
+
+  if (process.env.LEADERBOARD_REFRESH_ENABLED === 'true') {
+    startLeaderboardRefreshSchedule();
+  }
 });
@@ -0,0 +1,200 @@
+import { supabase } from '../config/supabase.js';
+import { MEMBERSHIP_LEVELS } from './relay-jobs.js';
+import { DAY_MS, toDateString, parseDates, rate } from './reporting.js';
+
+// Growth and retention reports for operators, computed by SQL functions over accounts, claims,
+// upgrades, airdrops and invitation_usage. Ranges are inclusive UTC dates (YYYY-MM-DD); daily
+// series have one entry per day of the range, zeros included.
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const RETENTION_DAYS = [1, 7, 30];
+
+const analyticsError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isAnalyticsError: true });
+};
+
+const invalidRange = (message) => analyticsError('InvalidDateRange', message);
+
+// Inclusive date range from the from/to query values; the last 30 days up to today by default
+const parseDateRange = (query) => {
+  const dates = parseDates(query, invalidRange);
+  const end = dates.end || new Date(`${toDateString(new Date())}T00:00:00Z`);
+  const start = dates.start || new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (start > end) {
+    throw invalidRange('from must not be after to');
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw invalidRange(`Date ranges are limited to ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: toDateString(start), to: toDateString(end) };
+};
+
+const callAnalytics = async (fn, range) => {
+  const { data, error } = await supabase.rpc(fn, { p_from: range.from, p_to: range.to });
+  if (error) throw error;
+  return data || [];
+};
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+// Distinct claimers per day, and over the 7 days ending that day
+const getActiveClaimers = async (query) => {
+  const range = parseDateRange(query);
+  const days = (await callAnalytics('get_active_claimers', range)).map(row => ({
+    date: row.day,
+    dailyClaimers: Number(row.daily_claimers) || 0,
+    weeklyClaimers: Number(row.weekly_claimers) || 0
+  }));
+
+  return {
+    range,
+    averageDailyClaimers: days.length > 0 ? Math.round((sum(days, 'dailyClaimers') / days.length) * 100) / 100 : 0,
+    days
+  };
+};
+
+// New accounts, activations and activations with an invitation code per day
+const getAccountGrowth = async (query) => {
+  const range = parseDateRange(query);
+  const days = (await callAnalytics('get_account_growth', range)).map(row => ({
+    date: row.day,
+    newAccounts: Number(row.new_accounts) || 0,
+    activations: Number(row.activations) || 0,
+    invitedActivations: Number(row.invited_activations) || 0
+  }));
+
+  return {
+    range,
+    totals: {
+      newAccounts: sum(days, 'newAccounts'),
+      activations: sum(days, 'activations'),
+      invitedActivations: sum(days, 'invitedActivations')
+    },
+    days
+  };
+};
+
+// Day-N retention of each daily activation cohort: accounts that claimed on the Nth day after
+// activating. Only days with activations have a cohort; cohorts whose day N has not ended are
+// left out of that day's totals.
+const getRetentionCohorts = async (query) => {
+  const range = parseDateRange(query);
+  const rows = await callAnalytics('get_retention_cohorts', range);
+
+  const cohorts = rows.map(row => {
+    const activated = Number(row.activated) || 0;
+    const retention = {};
+    RETENTION_DAYS.forEach(day => {
+      const retained = row[`retained_day_${day}`];
+      retention[`day${day}`] = retained === null
+        ? { retained: null, rate: null }
+        : { retained: Number(retained), rate: rate(Number(retained), activated) };
+    });
+    return { cohortDate: row.cohort_day, activated, retention };
+  });
+
+  const totals = { activated: sum(cohorts, 'activated') };
+  RETENTION_DAYS.forEach(day => {
+    const eligible = cohorts.filter(cohort => cohort.retention[`day${day}`].retained !== null);
+    const retained = eligible.reduce((total, cohort) => total + cohort.retention[`day${day}`].retained, 0);
+    const eligibleAccounts = sum(eligible, 'activated');
+    totals[`day${day}`] = { eligible: eligibleAccounts, retained, rate: rate(retained, eligibleAccounts) };
+  });
+
+  return { range, totals, cohorts };
+};
+
+// Membership levels of every activated account, or with from/to of the accounts activated then
+const getMembershipDistribution = async (query) => {
+  const range = query.from || query.to ? parseDateRange(query) : null;
+
+  const { data, error } = await supabase.rpc('get_membership_distribution', {
+    p_from: range ? range.from : null,
+    p_to: range ? range.to : null
+  });
+
+  if (error) throw error;
+
+  const total = (data || []).reduce((count, row) => count + Number(row.accounts), 0);
+  const levels = MEMBERSHIP_LEVELS.map(level => {
+    const accounts = Number((data || []).find(row => row.membership_level === level)?.accounts) || 0;
+    return { level, accounts, share: rate(accounts, total) };
+  });
+
+  return { range, total, levels };
+};
+
+// How many of the accounts activated in the range have upgraded since
+const getUpgradeConversion = async (query) => {
+  const range = parseDateRange(query);
+  const [row = {}] = await callAnalytics('get_upgrade_conversion', range);
+
+  const activated = Number(row.activated) || 0;
+  const upgraded = Number(row.upgraded) || 0;
+  const reachedSuperBased = Number(row.reached_super_based) || 0;
+  const reachedLegendary = Number(row.reached_legendary) || 0;
+
+  return {
+    range,
+    activated,
+    upgraded,
+    reachedSuperBased,
+    reachedLegendary,
+    conversion: {
+      upgraded: rate(upgraded, activated),
+      superBased: rate(reachedSuperBased, activated),
+      legendary: rate(reachedLegendary, activated)
+    },
+    medianDaysToUpgrade: row.median_days_to_upgrade === null || row.median_days_to_upgrade === undefined
+      ? null
+      : Math.round(row.median_days_to_upgrade * 100) / 100
+  };
+};
+
+// ENB credited by daily claims, paid by invite tier airdrops and transferred as referral
+// campaign bonuses per day
+const getEnbEmissions = async (query) => {
+  const range = parseDateRange(query);
+  const days = (await callAnalytics('get_enb_emissions', range)).map(row => {
+    const claimRewards = Number(row.claim_rewards) || 0;
+    const airdropRewards = Number(row.airdrop_rewards) || 0;
+    const campaignBonusRewards = Number(row.campaign_bonus_rewards) || 0;
+    return {
+      date: row.day,
+      claims: Number(row.claims) || 0,
+      claimRewards,
+      airdrops: Number(row.airdrops) || 0,
+      airdropRewards,
+      campaignBonuses: Number(row.campaign_bonuses) || 0,
+      campaignBonusRewards,
+      total: claimRewards + airdropRewards + campaignBonusRewards
+    };
+  });
+
+  return {
+    range,
+    totals: {
+      claims: sum(days, 'claims'),
+      claimRewards: sum(days, 'claimRewards'),
+      airdrops: sum(days, 'airdrops'),
+      airdropRewards: sum(days, 'airdropRewards'),
+      campaignBonuses: sum(days, 'campaignBonuses'),
+      campaignBonusRewards: sum(days, 'campaignBonusRewards'),
+      total: sum(days, 'total')
+    },
+    days
+  };
+};
+
+export {
+  MAX_RANGE_DAYS,
+  getActiveClaimers,
+  getAccountGrowth,
+  getRetentionCohorts,
+  getMembershipDistribution,
+  getUpgradeConversion,
+  getEnbEmissions
+};
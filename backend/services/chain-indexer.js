@@ -0,0 +1,228 @@
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+import { provider } from '../config/blockchain.js';
+
+// Ingests EnbMiniAppUpgradeable and InviteAirdrop events into chain_events.
+// Progress is stored per contract in indexer_checkpoints so the indexer
+// resumes where it stopped after a restart.
+
+// Event fragments are declared here rather than read from abis/ so the indexer
+// does not depend on the ABI snapshot matching the deployed implementation
+const EVENT_SOURCES = [
+  {
+    name: 'EnbMiniApp',
+    address: process.env.CONTRACT_ADDRESS,
+    iface: new ethers.Interface([
+      'event AccountCreated(address indexed user, uint256 timestamp)',
+      'event DailyClaimCompleted(address indexed user, uint256 amount, uint256 timestamp)',
+      'event MembershipUpgraded(address indexed user, uint8 from, uint8 to, uint256 amount)',
+      'event CooldownReset(address indexed user, uint256 oldTimestamp, uint256 newTimestamp, address by)',
+      'event YieldDistributed(address indexed user, uint256 amount, string reason)'
+    ])
+  },
+  {
+    name: 'InviteAirdrop',
+    address: process.env.AIRDROP_CONTRACT_ADDRESS,
+    iface: new ethers.Interface([
+      'event InviteUsed(address indexed inviter, uint256 totalUses)',
+      'event RewardSent(address indexed inviter, uint256 amount)',
+      // InviteAirdropV2 emits this right after the RewardSent of each paid tier
+      'event TierRewarded(address indexed inviter, uint256 indexed threshold, uint256 amount)'
+    ])
+  }
+];
+
+// Events whose `amount` argument is an ENB (18 decimals) value
+const AMOUNT_EVENTS = ['DailyClaimCompleted', 'MembershipUpgraded', 'YieldDistributed', 'RewardSent'];
+
+const BLOCK_RANGE = Number(process.env.INDEXER_BLOCK_RANGE || 2000);
+// Stay this many blocks behind head to avoid indexing reorged logs
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 3);
+
+const getCheckpoint = async (name) => {
+  const { data, error } = await supabase
+    .from('indexer_checkpoints')
+    .select('last_block')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? Number(data.last_block) : null;
+};
+
+const saveCheckpoint = async (name, lastBlock) => {
+  const { error } = await supabase
+    .from('indexer_checkpoints')
+    .upsert({ name, last_block: lastBlock, updated_at: new Date().toISOString() });
+
+  if (error) throw error;
+};
+
+const serializeArgs = (fragment, args) => {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return result;
+};
+
+const toEventRow = (source, log, parsed, blockTimestamp) => {
+  const args = serializeArgs(parsed.fragment, parsed.args);
+
+  return {
+    contract_name: source.name,
+    event_name: parsed.name,
+    wallet_address: ethers.getAddress(args.user || args.inviter),
+    amount: AMOUNT_EVENTS.includes(parsed.name) ? ethers.formatEther(parsed.args.amount) : null,
+    args,
+    block_number: log.blockNumber,
+    block_timestamp: new Date(blockTimestamp * 1000).toISOString(),
+    tx_hash: log.transactionHash,
+    log_index: log.index
+  };
+};
+
+const indexRange = async (source, fromBlock, toBlock) => {
+  const topics = [source.iface.fragments
+    .filter(fragment => fragment.type === 'event')
+    .map(fragment => fragment.topicHash)];
+
+  const logs = await provider.getLogs({ address: source.address, topics, fromBlock, toBlock });
+  if (logs.length === 0) return 0;
+
+  const blockTimestamps = new Map();
+  const rows = [];
+
+  for (const log of logs) {
+    const parsed = source.iface.parseLog(log);
+    if (!parsed) continue;
+
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimestamps.set(log.blockNumber, block.timestamp);
+    }
+
+    rows.push(toEventRow(source, log, parsed, blockTimestamps.get(log.blockNumber)));
+  }
+
+  // Re-indexing a range after a crash is harmless: (tx_hash, log_index) is unique
+  const { error } = await supabase
+    .from('chain_events')
+    .upsert(rows, { onConflict: 'tx_hash,log_index', ignoreDuplicates: true });
+
+  if (error) throw error;
+  return rows.length;
+};
+
+const indexSource = async (source, headBlock) => {
+  let lastBlock = await getCheckpoint(source.name);
+
+  if (lastBlock === null) {
+    // First run: start from the configured deployment block, or from head if unset
+    lastBlock = process.env.INDEXER_START_BLOCK
+      ? Number(process.env.INDEXER_START_BLOCK) - 1
+      : headBlock;
+    await saveCheckpoint(source.name, lastBlock);
+    console.log(`📍 Indexer checkpoint for ${source.name} initialised at block ${lastBlock}`);
+  }
+
+  while (lastBlock < headBlock) {
+    const fromBlock = lastBlock + 1;
+    const toBlock = Math.min(headBlock, fromBlock + BLOCK_RANGE - 1);
+
+    const count = await indexRange(source, fromBlock, toBlock);
+    await saveCheckpoint(source.name, toBlock);
+
+    if (count > 0) {
+      console.log(`📚 Indexed ${count} ${source.name} events in blocks ${fromBlock}-${toBlock}`);
+    }
+    lastBlock = toBlock;
+  }
+};
+
+let indexing = false;
+
+// One catch-up pass over every contract
+const runChainIndexer = async () => {
+  if (indexing) return;
+  indexing = true;
+
+  try {
+    const headBlock = (await provider.getBlockNumber()) - CONFIRMATIONS;
+
+    for (const source of EVENT_SOURCES) {
+      await indexSource(source, headBlock);
+    }
+  } catch (err) {
+    console.error('❌ Chain indexer pass failed:', err);
+  } finally {
+    indexing = false;
+  }
+};
+
+const startChainIndexer = (intervalMs = Number(process.env.INDEXER_INTERVAL_MS || 15000)) => {
+  console.log(`📚 Chain indexer started (every ${intervalMs}ms)`);
+  runChainIndexer();
+  return setInterval(runChainIndexer, intervalMs);
+};
+
+// Indexed events for one wallet, newest first
+const getChainEvents = async (walletAddress, eventName, { limit = 50, offset = 0, ascending = false } = {}) => {
+  const { data, error, count } = await supabase
+    .from('chain_events')
+    .select('*', { count: 'exact' })
+    .eq('wallet_address', ethers.getAddress(walletAddress))
+    .eq('event_name', eventName)
+    .order('block_number', { ascending })
+    .order('log_index', { ascending })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { events: data || [], count: count || 0 };
+};
+
+// PostgREST caps every response at 1000 rows, whatever limit is asked for
+const EVENT_PAGE_SIZE = 1000;
+
+// Every indexed event for one wallet, oldest first. Read a page at a time; new events land at the
+// end of this order, so earlier pages don't shift while later ones are read.
+const getAllChainEvents = async (walletAddress, eventName) => {
+  const events = [];
+
+  for (let offset = 0; ; offset += EVENT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('chain_events')
+      .select('*')
+      .eq('wallet_address', ethers.getAddress(walletAddress))
+      .eq('event_name', eventName)
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true })
+      .range(offset, offset + EVENT_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < EVENT_PAGE_SIZE) return events;
+  }
+};
+
+// Aggregated on-chain state for one wallet (see chain_account_stats view)
+const getChainAccountStats = async (walletAddress) => {
+  const { data, error } = await supabase
+    .from('chain_account_stats')
+    .select('*')
+    .eq('wallet_address', ethers.getAddress(walletAddress))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+export {
+  EVENT_SOURCES,
+  runChainIndexer,
+  startChainIndexer,
+  getChainEvents,
+  getAllChainEvents,
+  getChainAccountStats
+};
@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+import { enbMiniAppAbi, inviteAirdropAbi } from '../config/blockchain.js';
+
+// Decodes contract reverts with the loaded ABIs and maps them to stable API
+// error codes. Routes and the relay worker return these codes; the miniapp
+// switches on them (see miniapp/app/constants/apiErrors.ts).
+
+// Custom errors from EnbMiniAppUpgradeable (and its OpenZeppelin bases)
+const CUSTOM_ERRORS = {
+  AccountAlreadyExists: { code: 'AccountAlreadyExists', status: 409, message: 'An account already exists for this wallet.' },
+  AccountDoesNotExist: { code: 'AccountDoesNotExist', status: 404, message: 'Account does not exist. Please create an account first.' },
+  DailyClaimOnCooldown: { code: 'DailyClaimOnCooldown', status: 400, message: 'You can only claim daily rewards once every 24 hours. Please wait until your next claim is available.' },
+  InvalidMembershipLevel: { code: 'InvalidMembershipLevel', status: 400, message: 'Invalid membership level specified.' },
+  CannotSkipLevels: { code: 'CannotSkipLevels', status: 400, message: 'Cannot skip membership levels. Must upgrade sequentially.' },
+  AlreadyAtMaxLevel: { code: 'AlreadyAtMaxLevel', status: 400, message: 'You are already at the maximum membership level.' },
+  InsufficientTokensForUpgrade: { code: 'InsufficientTokensForUpgrade', status: 400, message: 'You do not have enough ENB tokens in your wallet to upgrade. You need 5,000 ENB for Super Based or 15,000 ENB for Legendary.' },
+  InsufficientAllowance: { code: 'InsufficientAllowance', status: 400, message: 'Please approve enough ENB for the upgrade and try again.' },
+  InvalidAmount: { code: 'InvalidAmount', status: 400, message: 'Invalid amount.' },
+  InvalidRecipient: { code: 'InvalidRecipient', status: 400, message: 'Invalid recipient address.' },
+  InsufficientContractBalance: { code: 'InsufficientContractBalance', status: 503, message: 'The reward pool is temporarily empty. Please try again later.' },
+  InsufficientReserveFunds: { code: 'InsufficientReserveFunds', status: 503, message: 'The reward pool is temporarily empty. Please try again later.' },
+  EmergencyModeActive: { code: 'EmergencyModeActive', status: 503, message: 'Contract is in emergency mode. Please try again later.' },
+  NotInEmergencyMode: { code: 'NotInEmergencyMode', status: 400, message: 'Contract is not in emergency mode.' },
+  EnforcedPause: { code: 'ContractPaused', status: 503, message: 'Contract is currently paused. Please try again later.' },
+  ExpectedPause: { code: 'ContractNotPaused', status: 400, message: 'Contract is not paused.' },
+  OnlyRelayerAllowed: { code: 'RelayerNotAuthorized', status: 500, message: 'The relayer is not authorized on the contract. Please contact support.' },
+  OwnableUnauthorizedAccount: { code: 'RelayerNotAuthorized', status: 500, message: 'The relayer is not authorized on the contract. Please contact support.' },
+  ReentrancyGuardReentrantCall: { code: 'ContractError', status: 400, message: 'Transaction failed. Please try again.' },
+  SafeERC20FailedOperation: { code: 'TokenTransferFailed', status: 400, message: 'ENB token transfer failed.' }
+};
+
+// require() reason strings from InviteAirdropV2, which has no custom errors
+const REVERT_REASONS = {
+  'Not owner': CUSTOM_ERRORS.OwnableUnauthorizedAccount,
+  'Not relayer': CUSTOM_ERRORS.OnlyRelayerAllowed,
+  'Invalid inviter': CUSTOM_ERRORS.InvalidRecipient,
+  'Token transfer failed': CUSTOM_ERRORS.SafeERC20FailedOperation
+};
+
+// ethers error codes that are not contract reverts
+const PROVIDER_ERRORS = {
+  INSUFFICIENT_FUNDS: { code: 'InsufficientFunds', status: 503, message: 'Relayer wallet has insufficient funds to process this transaction.' },
+  NONCE_EXPIRED: { code: 'NonceExpired', status: 409, message: 'Transaction nonce is too low. Please try again.' },
+  REPLACEMENT_UNDERPRICED: { code: 'NonceExpired', status: 409, message: 'Transaction nonce is too low. Please try again.' },
+  TIMEOUT: { code: 'NetworkTimeout', status: 504, message: 'The network did not respond in time. Please try again.' },
+  NETWORK_ERROR: { code: 'NetworkError', status: 503, message: 'Could not reach the network. Please try again.' }
+};
+
+const UNKNOWN_REVERT = { code: 'ContractError', status: 400, message: 'Transaction failed. This could be due to insufficient funds, account not existing, or other contract restrictions.' };
+const UNKNOWN_ERROR = { code: 'RelayError', status: 500, message: 'Failed to process transaction.' };
+
+const interfaces = [new ethers.Interface(enbMiniAppAbi), new ethers.Interface(inviteAirdropAbi)];
+
+// Revert data can sit at different depths depending on which provider call failed
+const extractRevertData = (err) => {
+  const candidates = [err?.data, err?.info?.error?.data, err?.error?.data, err?.info?.error?.data?.data];
+
+  return candidates.find(data => typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) || null;
+};
+
+const parseRevert = (data) => {
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return parsed;
+    } catch (decodeError) {
+      // Selector matched but arguments did not decode; try the next ABI
+    }
+  }
+  return null;
+};
+
+// Returns { code, status, message, errorName, selector, args } for any error thrown by ethers
+const decodeContractError = (err) => {
+  const data = extractRevertData(err);
+
+  if (data) {
+    const parsed = parseRevert(data);
+    const selector = data.slice(0, 10);
+
+    if (parsed) {
+      const args = parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+      const mapped = parsed.name === 'Error'
+        ? REVERT_REASONS[args[0]]
+        : CUSTOM_ERRORS[parsed.name];
+
+      return { ...(mapped || UNKNOWN_REVERT), errorName: parsed.name, selector, args };
+    }
+
+    return { ...UNKNOWN_REVERT, errorName: null, selector, args: [] };
+  }
+
+  if (err?.code === 'CALL_EXCEPTION') {
+    return { ...UNKNOWN_REVERT, errorName: null, selector: null, args: [] };
+  }
+
+  const providerError = PROVIDER_ERRORS[err?.code];
+  return { ...(providerError || UNKNOWN_ERROR), errorName: null, selector: null, args: [] };
+};
+
+// Sends the decoded error as { error, message, errorName, errorCode }
+const sendContractError = (res, err) => {
+  const decoded = decodeContractError(err);
+
+  return res.status(decoded.status).json({
+    error: decoded.code,
+    message: decoded.message,
+    errorName: decoded.errorName,
+    errorCode: decoded.selector
+  });
+};
+
+export { decodeContractError, sendContractError };
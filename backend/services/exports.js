@@ -0,0 +1,171 @@
+import { supabase } from '../config/supabase.js';
+import { DAY_MS, parseDates } from './reporting.js';
+
+// Exports of the ENB records finance reconciles against: daily claims, balance transactions,
+// membership upgrades and invite airdrops, as CSV or NDJSON. Rows are read a page at a time in
+// time order and yielded as lines, so a full table is never held in memory. Used by
+// /api/admin/exports/:table and export-records.js.
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const EXPORT_TABLES = {
+  claims: {
+    timeColumn: 'claimed_at',
+    columns: ['id', 'wallet_address', 'claimed_at', 'reward', 'consecutive_days', 'tx_hash']
+  },
+  transactions: {
+    timeColumn: 'timestamp',
+    columns: ['id', 'wallet_address', 'timestamp', 'type', 'amount', 'balance_before', 'balance_after', 'description']
+  },
+  upgrades: {
+    timeColumn: 'upgraded_at',
+    columns: ['id', 'wallet_address', 'upgraded_at', 'level', 'tx_hash']
+  },
+  airdrops: {
+    timeColumn: 'triggered_at',
+    columns: ['id', 'wallet_address', 'triggered_at', 'amount', 'tier_threshold', 'invitation_uses_at_trigger', 'tx_hash']
+  }
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+const PAGE_SIZE = 1000;
+
+const exportError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isExportError: true });
+};
+
+// Inclusive UTC date range as timestamp bounds; either end may be open
+const getTimeBounds = ({ from, to }) => {
+  const { start, end } = parseDates({ from, to }, (message) => exportError('InvalidDateRange', message));
+  return { start, end: end ? new Date(end.getTime() + DAY_MS) : null };
+};
+
+// Quotes fields containing separators, quotes or line breaks (RFC 4180)
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+// Pages by keyset: each page starts after the last row of the previous one, so deep pages cost
+// the same as the first and rows inserted during an export can't shift rows between pages.
+// `after(row)` is the PostgREST filter for the rows that follow `row`.
+async function * readPages (buildQuery, after) {
+  for (let last = null; ;) {
+    let query = buildQuery().limit(PAGE_SIZE);
+    if (last) query = query.or(after(last));
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    yield * data;
+    if (data.length < PAGE_SIZE) break;
+    last = data[data.length - 1];
+  }
+}
+
+// Rows in (time, id) order. The time columns default to NOW(), but a row without a time would
+// never match the keyset, so unbounded exports read those afterwards in id order.
+async function * readRows (table, { start, end, walletAddress }) {
+  const { timeColumn, columns } = EXPORT_TABLES[table];
+
+  const select = () => {
+    const query = supabase.from(table).select(columns.join(', '));
+    return walletAddress ? query.eq('wallet_address', walletAddress) : query;
+  };
+
+  yield * readPages(() => {
+    let query = select()
+      .not(timeColumn, 'is', null)
+      .order(timeColumn, { ascending: true })
+      .order('id', { ascending: true });
+
+    if (start) query = query.gte(timeColumn, start.toISOString());
+    if (end) query = query.lt(timeColumn, end.toISOString());
+    return query;
+  }, (last) => {
+    const time = `"${last[timeColumn]}"`;
+    return `${timeColumn}.gt.${time},and(${timeColumn}.eq.${time},id.gt.${last.id})`;
+  });
+
+  if (start || end) return;
+
+  yield * readPages(
+    () => select().is(timeColumn, null).order('id', { ascending: true }),
+    (last) => `id.gt.${last.id}`
+  );
+}
+
+async function * formatLines (table, format, rows) {
+  const { columns } = EXPORT_TABLES[table];
+
+  // The CSV header waits for the first page, so a failing query is reported before anything is sent
+  let headerWritten = format !== 'csv';
+
+  for await (const row of rows) {
+    if (!headerWritten) {
+      headerWritten = true;
+      yield toCsvLine(columns);
+    }
+    yield format === 'csv'
+      ? toCsvLine(columns.map(column => row[column]))
+      : `${JSON.stringify(row)}\n`;
+  }
+
+  if (!headerWritten) yield toCsvLine(columns);
+}
+
+// Checks the filters up front, so bad requests fail before anything is written, and returns the
+// export's lines with its content type and a file name
+const createExport = ({ table, format = 'csv', from, to, walletAddress }) => {
+  if (!EXPORT_TABLES[table]) {
+    throw exportError('UnknownExportTable', `Unknown export table: ${table}`);
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw exportError('UnknownExportFormat', `Unknown export format: ${format}`);
+  }
+
+  const { start, end } = getTimeBounds({ from, to });
+  const fileName = [table, from || 'start', to || 'now', walletAddress].filter(Boolean).join('_');
+
+  return {
+    contentType: CONTENT_TYPES[format],
+    fileName: `${fileName}.${format}`,
+    lines: formatLines(table, format, readRows(table, { start, end, walletAddress }))
+  };
+};
+
+// Resolves once the stream can take more, or has closed
+const writeLine = (stream, line) => new Promise(resolve => {
+  if (stream.write(line)) return resolve();
+
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Writes the lines to a writable stream (an HTTP response or a file) with backpressure and stops
+// reading pages when the stream closes early
+const pipeExport = async (lines, stream) => {
+  for await (const line of lines) {
+    if (stream.destroyed) break;
+    await writeLine(stream, line);
+  }
+};
+
+export {
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  createExport,
+  pipeExport
+};
@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import { supabase } from '../config/supabase.js';
+import { containsProfanity } from './profanity.js';
+import { getInvitationTotal, getPersonalInvitationTotal } from './invitation-ledger.js';
+
+// Invitation code lifecycle.
+// Every code lives in invitation_codes. accounts.invitation_code points at the owner's current
+// personal code (generated or vanity) and is NULL after the owner revokes it. Replacing a
+// personal code (regenerate or vanity) revokes the previous one, so a leaked code stops working.
+// Personal codes count against the owner's max_invitation_uses; campaign codes, minted by
+// admins, carry their own max_uses. Every activation still counts for the owner in the
+// invitation ledger (invitation-ledger.js), which mirrors inviteUses on the airdrop contract.
+// Codes are stored uppercase and matched case-insensitively.
+
+const VANITY_CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+// Vanity codes may not pose as the project or its staff
+const RESERVED_CODE_WORDS = ['ADMIN', 'OFFICIAL', 'SUPPORT', 'MODERATOR', 'ENBTEAM'];
+const CODE_KINDS = ['generated', 'vanity', 'campaign'];
+const CODE_STATUSES = ['active', 'expired', 'revoked'];
+
+// Errors the routes return as { error: code, message } with the given status
+const invitationCodeError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isInvitationCodeError: true });
+};
+
+const normalizeInvitationCode = (code) => String(code || '').trim().toUpperCase();
+
+const generateInvitationCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const getInvitationCode = async (code) => {
+  const { data, error } = await supabase
+    .from('invitation_codes')
+    .select('*')
+    .eq('code', normalizeInvitationCode(code))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const generateUniqueInvitationCode = async () => {
+  const maxAttempts = 10;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const code = generateInvitationCode();
+    if (!(await getInvitationCode(code))) return code;
+  }
+
+  throw new Error(`Failed to generate unique invitation code after ${maxAttempts} attempts`);
+};
+
+const getInvitationCodeStatus = (row, now = new Date()) => {
+  if (row.revoked_at) return 'revoked';
+  if (row.expires_at && new Date(row.expires_at) <= now) return 'expired';
+  return 'active';
+};
+
+const formatInvitationCode = (row, now = new Date()) => ({
+  code: row.code,
+  ownerWallet: row.owner_wallet,
+  kind: row.kind,
+  campaign: row.campaign || null,
+  uses: row.uses || 0,
+  maxUses: row.max_uses ?? null,
+  status: getInvitationCodeStatus(row, now),
+  expiresAt: toIsoString(row.expires_at),
+  revokedAt: toIsoString(row.revoked_at),
+  revokedBy: row.revoked_by || null,
+  createdBy: row.created_by || null,
+  createdAt: toIsoString(row.created_at)
+});
+
+const getCodeOwner = async (walletAddress) => {
+  const { data, error } = await supabase
+    .from('accounts')
+    .select('wallet_address, invitation_code, is_activated, max_invitation_uses')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw invitationCodeError('AccountNotFound', 'Account not found', 404);
+  return data;
+};
+
+const requirePersonalCode = (account) => {
+  if (!account.invitation_code) {
+    throw invitationCodeError('NoInvitationCode', 'You have no active invitation code. Generate a new one first.', 404);
+  }
+  return account.invitation_code;
+};
+
+// Format, profanity and uniqueness checks for a chosen code; staff may use reserved words
+const validateChosenCode = async (code, { allowReserved = false } = {}) => {
+  if (!VANITY_CODE_PATTERN.test(code)) {
+    throw invitationCodeError('InvalidVanityCode', 'Codes must be 4 to 16 letters or digits.');
+  }
+
+  if (containsProfanity(code) || (!allowReserved && RESERVED_CODE_WORDS.some(word => code.includes(word)))) {
+    throw invitationCodeError('VanityCodeNotAllowed', 'This code is not allowed. Please choose another one.');
+  }
+
+  if (await getInvitationCode(code)) {
+    throw invitationCodeError('InvitationCodeTaken', 'This code is already taken. Please choose another one.', 409);
+  }
+};
+
+const rethrowIfTaken = (error) => {
+  if (error?.code === '23505') {
+    throw invitationCodeError('InvitationCodeTaken', 'This code is already taken. Please choose another one.', 409);
+  }
+  if (error) throw error;
+};
+
+// Personal code of a new account (create-account, create-default-user)
+const issueInvitationCode = async (walletAddress, code, kind = 'generated', createdBy = walletAddress) => {
+  const { error } = await supabase
+    .from('invitation_codes')
+    .insert({ code, owner_wallet: walletAddress, kind, created_by: createdBy });
+
+  rethrowIfTaken(error);
+};
+
+// Makes `code` the wallet's personal code and revokes the previous one in one transaction
+const replacePersonalCode = async (walletAddress, code, kind) => {
+  const { error } = await supabase.rpc('replace_invitation_code', {
+    p_wallet_address: walletAddress,
+    p_code: code,
+    p_kind: kind
+  });
+
+  rethrowIfTaken(error);
+  return formatInvitationCode(await getInvitationCode(code));
+};
+
+// The wallet's current personal code and campaign codes it owns
+const getWalletInvitationCodes = async (walletAddress) => {
+  const account = await getCodeOwner(walletAddress);
+
+  const { data: campaignCodes, error } = await supabase
+    .from('invitation_codes')
+    .select('*')
+    .eq('owner_wallet', account.wallet_address)
+    .eq('kind', 'campaign')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const personalCode = account.invitation_code ? await getInvitationCode(account.invitation_code) : null;
+  const maxUses = account.max_invitation_uses || 5;
+  const totalUses = await getInvitationTotal(account.wallet_address);
+  const personalUses = await getPersonalInvitationTotal(account.wallet_address);
+
+  return {
+    walletAddress: account.wallet_address,
+    invitationCode: personalCode ? formatInvitationCode(personalCode) : null,
+    totalUses,
+    personalUses,
+    maxUses,
+    remainingUses: Math.max(0, maxUses - personalUses),
+    campaignCodes: (campaignCodes || []).map(row => formatInvitationCode(row))
+  };
+};
+
+const regenerateInvitationCode = async (walletAddress) => {
+  const account = await getCodeOwner(walletAddress);
+  const code = await generateUniqueInvitationCode();
+
+  return replacePersonalCode(account.wallet_address, code, 'generated');
+};
+
+const claimVanityCode = async (walletAddress, requestedCode) => {
+  const account = await getCodeOwner(walletAddress);
+  const code = normalizeInvitationCode(requestedCode);
+
+  await validateChosenCode(code);
+  return replacePersonalCode(account.wallet_address, code, 'vanity');
+};
+
+// expiresAt is a Date, or null to remove the expiry
+const setInvitationCodeExpiry = async (walletAddress, expiresAt) => {
+  const account = await getCodeOwner(walletAddress);
+  const code = requirePersonalCode(account);
+
+  if (expiresAt && expiresAt <= new Date()) {
+    throw invitationCodeError('InvalidExpiry', 'The expiry date must be in the future.');
+  }
+
+  const { data, error } = await supabase
+    .from('invitation_codes')
+    .update({ expires_at: expiresAt ? expiresAt.toISOString() : null })
+    .eq('code', code)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return formatInvitationCode(data);
+};
+
+const revokeInvitationCode = async (requestedCode, revokedBy) => {
+  const row = await getInvitationCode(requestedCode);
+
+  if (!row) throw invitationCodeError('InvitationCodeNotFound', 'Invitation code not found', 404);
+  if (row.revoked_at) throw invitationCodeError('InvitationCodeRevoked', 'This invitation code is already revoked.', 409);
+
+  const { error } = await supabase.rpc('revoke_invitation_code', {
+    p_code: row.code,
+    p_revoked_by: revokedBy
+  });
+
+  if (error) throw error;
+  return formatInvitationCode(await getInvitationCode(row.code));
+};
+
+const revokePersonalCode = async (walletAddress) => {
+  const account = await getCodeOwner(walletAddress);
+  return revokeInvitationCode(requirePersonalCode(account), account.wallet_address);
+};
+
+// Admin-minted code with its own use limit, credited to ownerWallet like a personal code
+const createCampaignCode = async ({ ownerWallet, code, maxUses, expiresAt, campaign, createdBy }) => {
+  const owner = await getCodeOwner(ownerWallet);
+
+  if (!owner.is_activated) {
+    throw invitationCodeError('OwnerNotActivated', 'Campaign codes must belong to an activated account.');
+  }
+
+  if (expiresAt && expiresAt <= new Date()) {
+    throw invitationCodeError('InvalidExpiry', 'The expiry date must be in the future.');
+  }
+
+  let finalCode;
+  if (code) {
+    finalCode = normalizeInvitationCode(code);
+    await validateChosenCode(finalCode, { allowReserved: true });
+  } else {
+    finalCode = await generateUniqueInvitationCode();
+  }
+
+  const { data, error } = await supabase
+    .from('invitation_codes')
+    .insert({
+      code: finalCode,
+      owner_wallet: owner.wallet_address,
+      kind: 'campaign',
+      campaign: campaign || null,
+      max_uses: maxUses,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      created_by: createdBy
+    })
+    .select('*')
+    .single();
+
+  rethrowIfTaken(error);
+  return formatInvitationCode(data);
+};
+
+const listInvitationCodes = async ({ kind, ownerWallet, status, limit, offset }) => {
+  const now = new Date().toISOString();
+
+  let query = supabase
+    .from('invitation_codes')
+    .select('*', { count: 'exact' });
+
+  if (kind) query = query.eq('kind', kind);
+  if (ownerWallet) query = query.eq('owner_wallet', ownerWallet);
+
+  if (status === 'revoked') {
+    query = query.not('revoked_at', 'is', null);
+  } else if (status === 'expired') {
+    query = query.is('revoked_at', null).lte('expires_at', now);
+  } else if (status === 'active') {
+    query = query.is('revoked_at', null).or(`expires_at.is.null,expires_at.gt.${now}`);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { codes: (data || []).map(row => formatInvitationCode(row)), count: count || 0 };
+};
+
+// The code row used for an activation (null if there is no such code),
+// or an invitationCodeError saying why the code can no longer be used
+const resolveInvitationCode = async (code, now = new Date()) => {
+  const row = await getInvitationCode(code);
+  if (!row) return null;
+
+  const status = getInvitationCodeStatus(row, now);
+  if (status === 'revoked') {
+    throw invitationCodeError('InvitationCodeRevoked', 'This invitation code has been revoked. Please ask your inviter for a new one.');
+  }
+  if (status === 'expired') {
+    throw invitationCodeError('InvitationCodeExpired', 'This invitation code has expired. Please ask your inviter for a new one.');
+  }
+
+  return row;
+};
+
+export {
+  CODE_KINDS,
+  CODE_STATUSES,
+  normalizeInvitationCode,
+  generateUniqueInvitationCode,
+  getInvitationCode,
+  formatInvitationCode,
+  issueInvitationCode,
+  getWalletInvitationCodes,
+  regenerateInvitationCode,
+  claimVanityCode,
+  setInvitationCodeExpiry,
+  revokeInvitationCode,
+  revokePersonalCode,
+  createCampaignCode,
+  listInvitationCodes,
+  resolveInvitationCode
+};
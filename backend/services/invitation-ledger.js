@@ -0,0 +1,167 @@
+import { supabase } from '../config/supabase.js';
+import { getInviteTiers } from './invite-rewards.js';
+
+// Append-only invitation ledger.
+// Activation appends an `invite` entry (+1), rejecting a held invite reward a `reversal` (-1),
+// and the rebuild or a reconciliation fix an `adjustment` for invites only the airdrop contract
+// knows about. An inviter's invite count is the sum of their entries (the invitation_totals
+// view); entries are never edited, so the count always matches its own history.
+
+const DEFAULT_MAX_INVITATION_USES = 5;
+// Tiers only change when the contract owner calls setTiers
+const TIERS_CACHE_MS = 5 * 60 * 1000;
+
+const formatLedgerEntry = (row) => ({
+  id: Number(row.id),
+  inviterWallet: row.inviter_wallet,
+  inviteeWallet: row.invitee_wallet || null,
+  invitationCode: row.invitation_code || null,
+  type: row.entry_type,
+  delta: row.delta,
+  reason: row.reason || null,
+  createdBy: row.created_by || null,
+  createdAt: row.created_at
+});
+
+const getInvitationTotal = async (inviterWallet) => {
+  const { data, error } = await supabase
+    .from('invitation_totals')
+    .select('total_uses')
+    .eq('inviter_wallet', inviterWallet)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.total_uses || 0;
+};
+
+// Invites through the wallet's personal codes, which count against max_invitation_uses.
+// Campaign codes have limits of their own.
+const getPersonalInvitationTotal = async (inviterWallet) => {
+  const { data, error } = await supabase
+    .from('invitation_totals')
+    .select('personal_uses')
+    .eq('inviter_wallet', inviterWallet)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.personal_uses || 0;
+};
+
+// wallet -> invite count, for a page of accounts
+const getInvitationTotals = async (inviterWallets) => {
+  if (inviterWallets.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('invitation_totals')
+    .select('inviter_wallet, total_uses')
+    .in('inviter_wallet', inviterWallets);
+
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.inviter_wallet, row.total_uses || 0]));
+};
+
+let cachedTiers = null;
+let tiersFetchedAt = 0;
+
+const getCachedInviteTiers = async () => {
+  if (!cachedTiers || Date.now() - tiersFetchedAt > TIERS_CACHE_MS) {
+    cachedTiers = await getInviteTiers();
+    tiersFetchedAt = Date.now();
+  }
+  return cachedTiers;
+};
+
+// The reward cycle an invite count is in: from the last tier reached up to the next tier
+const getRewardCycle = (totalUses, tiers) => {
+  const sortedTiers = [...tiers].sort((a, b) => a.threshold - b.threshold);
+  const reached = sortedTiers.filter(tier => totalUses >= tier.threshold);
+  const nextTier = sortedTiers.find(tier => totalUses < tier.threshold) || null;
+  const startsAt = reached.length > 0 ? reached[reached.length - 1].threshold : 0;
+
+  return {
+    cycle: reached.length + 1,
+    startsAt,
+    endsAt: nextTier ? nextTier.threshold : null,
+    uses: totalUses - startsAt,
+    usesUntilReward: nextTier ? nextTier.threshold - totalUses : 0,
+    reward: nextTier ? nextTier.amount : null,
+    completed: !nextTier
+  };
+};
+
+// Invite count, remaining quota and reward cycle of an account. rewardCycle is null
+// when the tiers cannot be read from the contract.
+const getInvitationSummary = async (account) => {
+  const totalUses = await getInvitationTotal(account.wallet_address);
+  const personalUses = await getPersonalInvitationTotal(account.wallet_address);
+  const maxUses = account.max_invitation_uses || DEFAULT_MAX_INVITATION_USES;
+
+  let rewardCycle = null;
+  try {
+    rewardCycle = getRewardCycle(totalUses, await getCachedInviteTiers());
+  } catch (err) {
+    console.error('Warning: Failed to read invite tiers:', err.shortMessage || err.message);
+  }
+
+  return {
+    totalUses,
+    personalUses,
+    maxUses,
+    remainingUses: Math.max(0, maxUses - personalUses),
+    rewardCycle
+  };
+};
+
+const listLedgerEntries = async (inviterWallet, { limit, offset }) => {
+  const { data, error, count } = await supabase
+    .from('invitation_ledger')
+    .select('*', { count: 'exact' })
+    .eq('inviter_wallet', inviterWallet)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { entries: (data || []).map(formatLedgerEntry), count: count || 0 };
+};
+
+const appendLedgerAdjustment = async (inviterWallet, delta, reason, createdBy) => {
+  const { data, error } = await supabase
+    .from('invitation_ledger')
+    .insert({ inviter_wallet: inviterWallet, entry_type: 'adjustment', delta, reason, created_by: createdBy })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  console.log(`📒 Invitation ledger adjusted for ${inviterWallet} by ${delta} (${reason})`);
+  return formatLedgerEntry(data);
+};
+
+// Adds entries missing from the ledger (see rebuild_invitation_ledger in schema.sql)
+const rebuildInvitationLedger = async () => {
+  const { data, error } = await supabase.rpc('rebuild_invitation_ledger');
+  if (error) throw error;
+
+  const row = data?.[0] || {};
+  const summary = {
+    invitesAdded: row.invites_added || 0,
+    reversalsAdded: row.reversals_added || 0,
+    adjustmentsAdded: row.adjustments_added || 0
+  };
+
+  console.log('📒 Invitation ledger rebuilt:', summary);
+  return summary;
+};
+
+export {
+  formatLedgerEntry,
+  getInvitationTotal,
+  getPersonalInvitationTotal,
+  getInvitationTotals,
+  getRewardCycle,
+  getInvitationSummary,
+  listLedgerEntries,
+  appendLedgerAdjustment,
+  rebuildInvitationLedger
+};
@@ -0,0 +1,80 @@
+import { supabase } from '../config/supabase.js';
+import { rate } from './reporting.js';
+
+// Invite conversion funnel: of the wallets activated with an inviter's codes, how many made a
+// first daily claim and still claimed 7 and 30 days after activating. Codes are only recorded
+// at activation, so there are no earlier stages. Retention rates are taken over invitees who
+// activated long enough ago.
+
+const FUNNEL_SORT_COLUMNS = {
+  activated: 'activated',
+  firstClaim: 'first_claim',
+  retainedDay7: 'retained_day_7',
+  retainedDay30: 'retained_day_30'
+};
+
+const formatFunnel = (row = {}) => {
+  const funnel = {
+    activated: Number(row.activated) || 0,
+    firstClaim: Number(row.first_claim) || 0,
+    retainedDay7: Number(row.retained_day_7) || 0,
+    retainedDay30: Number(row.retained_day_30) || 0,
+    eligibleDay7: Number(row.eligible_day_7) || 0,
+    eligibleDay30: Number(row.eligible_day_30) || 0
+  };
+
+  return {
+    ...funnel,
+    conversion: {
+      firstClaim: rate(funnel.firstClaim, funnel.activated),
+      retainedDay7: rate(funnel.retainedDay7, funnel.eligibleDay7),
+      retainedDay30: rate(funnel.retainedDay30, funnel.eligibleDay30)
+    }
+  };
+};
+
+const sinceDays = (days) => (days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null);
+
+// Funnel of one inviter; `days` limits it to invitees activated in the last N days
+const getInviterFunnel = async (walletAddress, days) => {
+  const { data, error } = await supabase.rpc('get_invite_funnel', {
+    p_inviter_wallet: walletAddress,
+    p_since: sinceDays(days),
+    p_per_inviter: true
+  });
+
+  if (error) throw error;
+  return { walletAddress, days: days || null, ...formatFunnel(data?.[0]) };
+};
+
+// Per-inviter funnels ordered by the `sort` stage (highest first), plus totals over all inviters
+const listInviteFunnels = async ({ days, sort = 'activated', limit, offset }) => {
+  const since = sinceDays(days);
+
+  const { data, error, count } = await supabase
+    .rpc('get_invite_funnel', { p_since: since, p_per_inviter: true }, { count: 'exact' })
+    .order(FUNNEL_SORT_COLUMNS[sort], { ascending: false })
+    .order('inviter_wallet', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const { data: totals, error: totalsError } = await supabase.rpc('get_invite_funnel', {
+    p_since: since,
+    p_per_inviter: false
+  });
+
+  if (totalsError) throw totalsError;
+
+  return {
+    funnels: (data || []).map(row => ({ walletAddress: row.inviter_wallet, ...formatFunnel(row) })),
+    totals: formatFunnel(totals?.[0]),
+    count: count || 0
+  };
+};
+
+export {
+  FUNNEL_SORT_COLUMNS,
+  getInviterFunnel,
+  listInviteFunnels
+};
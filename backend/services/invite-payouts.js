@@ -0,0 +1,499 @@
+import { supabase } from '../config/supabase.js';
+import { provider } from '../config/blockchain.js';
+import { enqueueRelayJob, getRelayJob } from './relay-queue.js';
+import { getInviteRewardStatus, syncTierRewards } from './invite-rewards.js';
+
+// Outbox of invite reward transactions on InviteAirdropV2.
+// Activation writes a record_invite payout in the same database transaction. It is not sent
+// until it has been screened for invite farming (see invite-reviews.js), which either marks it
+// screened or holds it for review. Admins queue
+// settle_tiers payouts; a record_invite is marked paid in the same database transaction that
+// queues the campaign_bonus of its referral campaign, if any (an ENB transfer from the relayer,
+// see referral-campaigns.js). The payout worker sends
+// each one as a relay job and, when the job
+// fails, retries with exponential backoff until it runs out of attempts.
+// Nothing is paid twice: before every send the worker checks the transactions of earlier
+// attempts for one that was mined or may still be, and settlements skip tiers the contract
+// already marks as rewarded.
+// Payout lifecycle: pending -> sending -> paid | pending (retry) | failed
+//                   pending (not screened) -> held -> pending (review approved) | cancelled (review rejected)
+
+const PAYOUT_KINDS = ['record_invite', 'settle_tiers', 'campaign_bonus'];
+const PAYOUT_STATUSES = ['pending', 'held', 'sending', 'paid', 'failed', 'cancelled'];
+
+// Relay job type that sends each kind of payout (see relay-jobs.js)
+const RELAY_JOB_TYPES = {
+  record_invite: 'record_invite_use',
+  settle_tiers: 'settle_invite_tiers',
+  campaign_bonus: 'send_campaign_bonus'
+};
+
+const MAX_ATTEMPTS = Number(process.env.INVITE_PAYOUT_MAX_ATTEMPTS || 8);
+// Retry n waits RETRY_BASE_MS * 2^(n-1), at most RETRY_MAX_MS
+const RETRY_BASE_MS = Number(process.env.INVITE_PAYOUT_RETRY_BASE_MS || 30 * 1000);
+const RETRY_MAX_MS = Number(process.env.INVITE_PAYOUT_RETRY_MAX_MS || 60 * 60 * 1000);
+const BATCH_SIZE = 10;
+const SCREENING_RETRY_MS = Number(process.env.INVITE_SCREENING_RETRY_MS || 5 * 60 * 1000);
+
+const invitePayoutError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isInvitePayoutError: true });
+};
+
+const formatInvitePayout = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  inviterWallet: row.inviter_wallet,
+  inviteeWallet: row.invitee_wallet || null,
+  campaignId: row.campaign_id || null,
+  amount: row.amount !== null && row.amount !== undefined ? Number(row.amount) : null,
+  status: row.status,
+  attempts: row.attempts || 0,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  screenedAt: row.screened_at || null,
+  relayJobId: row.relay_job_id || null,
+  txHash: row.tx_hash || null,
+  txHashes: row.tx_hashes || [],
+  result: row.result || null,
+  error: row.last_error || null,
+  errorCode: row.error_code || null,
+  requestedBy: row.requested_by || null,
+  createdAt: row.created_at,
+  paidAt: row.paid_at || null,
+  updatedAt: row.updated_at
+});
+
+const retryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+const getInvitePayout = async (id) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const updateInvitePayout = async (id, fields) => {
+  const { error } = await supabase
+    .from('invite_payouts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// Updates the activation payout of an invitee if its status is one of `from`; null otherwise
+const transitionRecordPayout = async (inviteeWallet, from, fields) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('kind', 'record_invite')
+    .eq('invitee_wallet', inviteeWallet)
+    .in('status', from)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const getRecordInvitePayout = async (inviteeWallet) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .select('*')
+    .eq('kind', 'record_invite')
+    .eq('invitee_wallet', inviteeWallet)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? formatInvitePayout(data) : null;
+};
+
+// Activation payouts still waiting to be screened; ones whose screening failed come last
+const listUnscreenedInvitePayouts = async (limit = BATCH_SIZE) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .select('*')
+    .eq('kind', 'record_invite')
+    .eq('status', 'pending')
+    .is('screened_at', null)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// The inviter is not flagged: send the payout on the next worker pass
+const markInvitePayoutScreened = async (inviteeWallet) => {
+  const screened = await transitionRecordPayout(inviteeWallet, ['pending'], {
+    screened_at: new Date().toISOString(),
+    next_attempt_at: new Date().toISOString(),
+    last_error: null
+  });
+  return screened ? formatInvitePayout(screened) : null;
+};
+
+// Screening failed: try again after the others
+const deferInvitePayoutScreening = async (inviteeWallet, message) => {
+  await transitionRecordPayout(inviteeWallet, ['pending'], {
+    next_attempt_at: new Date(Date.now() + SCREENING_RETRY_MS).toISOString(),
+    last_error: message
+  });
+};
+
+// Undoes a hold whose review could not be created; the payout goes back to screening
+const unholdInvitePayout = async (inviteeWallet) => {
+  const unheld = await transitionRecordPayout(inviteeWallet, ['held'], { status: 'pending', screened_at: null });
+  return unheld ? formatInvitePayout(unheld) : null;
+};
+
+// Parks the activation payout for review. Null if the worker already picked it up.
+const holdInvitePayout = async (inviteeWallet) => {
+  const held = await transitionRecordPayout(inviteeWallet, ['pending'], { status: 'held' });
+  return held ? formatInvitePayout(held) : null;
+};
+
+const approveHeldInvitePayout = async (payoutId, approvedBy) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .update({
+      status: 'pending',
+      // The review stands in for the screening
+      screened_at: new Date().toISOString(),
+      next_attempt_at: new Date().toISOString(),
+      requested_by: approvedBy,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payoutId)
+    .eq('status', 'held')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw invitePayoutError('InvitePayoutNotHeld', 'The payout of this review is not held', 409);
+  return formatInvitePayout(data);
+};
+
+// Admin settlement of reached but unpaid tiers. An open settlement of the same inviter is reused.
+const queueSettlePayout = async (inviterWallet, requestedBy) => {
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .insert({ kind: 'settle_tiers', inviter_wallet: inviterWallet, requested_by: requestedBy })
+    .select('*')
+    .single();
+
+  if (error?.code === '23505') {
+    const { data: open, error: openError } = await supabase
+      .from('invite_payouts')
+      .select('*')
+      .eq('kind', 'settle_tiers')
+      .eq('inviter_wallet', inviterWallet)
+      .in('status', ['pending', 'sending'])
+      .maybeSingle();
+
+    if (openError) throw openError;
+    if (open) return formatInvitePayout(open);
+  }
+  if (error) throw error;
+
+  console.log('📥 Invite settlement queued:', { id: data.id, inviterWallet, requestedBy });
+  return formatInvitePayout(data);
+};
+
+// Outcome of earlier broadcasts: the successful receipt, { pending: true } while one of them
+// can still be mined, or null when none of them will ever land
+const findEarlierTransaction = async (txHashes) => {
+  let pending = false;
+
+  for (const hash of txHashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt?.status === 1) return { receipt };
+    if (!receipt && (await provider.getTransaction(hash))) pending = true;
+  }
+
+  return pending ? { pending: true } : null;
+};
+
+// Bookkeeping for a transaction of the payout that was mined outside its relay job
+const syncPayoutReceipt = (payout, receipt) => {
+  if (payout.kind === 'campaign_bonus') {
+    return { amount: Number(payout.amount).toFixed(8), txHash: receipt.hash };
+  }
+  return syncTierRewards(payout.inviter_wallet, receipt);
+};
+
+// The invite is recorded on-chain once a record_invite is paid, so the same call queues the
+// bonus of its referral campaign (see complete_invite_payout in schema.sql)
+const completePayout = async (payout, txHash, txHashes, result) => {
+  const { data: bonusId, error } = await supabase.rpc('complete_invite_payout', {
+    p_id: payout.id,
+    p_tx_hash: txHash,
+    p_tx_hashes: txHashes || [],
+    p_result: result
+  });
+
+  if (error) throw error;
+
+  console.log(`✅ Invite payout ${payout.id} paid (${payout.kind} for ${payout.inviter_wallet})`);
+  if (bonusId) {
+    console.log(`📥 Campaign bonus ${bonusId} queued for ${payout.inviter_wallet} (invitee ${payout.invitee_wallet})`);
+  }
+};
+
+const retryOrFailPayout = async (payout, { message, errorCode = null, txHashes = payout.tx_hashes, attempts = payout.attempts || 0 }) => {
+  if (attempts >= MAX_ATTEMPTS) {
+    console.error(`❌ Invite payout ${payout.id} failed after ${attempts} attempts:`, message);
+    return updateInvitePayout(payout.id, {
+      status: 'failed',
+      attempts,
+      tx_hashes: txHashes,
+      last_error: message,
+      error_code: errorCode
+    });
+  }
+
+  const delay = retryDelayMs(attempts);
+  console.warn(`⚠️ Invite payout ${payout.id} will retry in ${Math.round(delay / 1000)}s:`, message);
+  await updateInvitePayout(payout.id, {
+    status: 'pending',
+    attempts,
+    relay_job_id: null,
+    tx_hashes: txHashes,
+    next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    last_error: message,
+    error_code: errorCode
+  });
+};
+
+// Latest relay job of a payout; found through its payload if the worker stopped before linking it
+const findPayoutRelayJob = async (payout) => {
+  if (payout.relay_job_id) return getRelayJob(payout.relay_job_id);
+
+  const { data, error } = await supabase
+    .from('relay_jobs')
+    .select('*')
+    .eq('payload->>payoutId', payout.id)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Follows the relay job of a payout that is being sent
+const checkSendingPayout = async (payout) => {
+  const job = await findPayoutRelayJob(payout);
+  const txHashes = [...new Set([...(payout.tx_hashes || []), ...(job?.tx_hashes || [])])];
+
+  if (job?.status === 'mined') {
+    return completePayout(payout, job.tx_hash, txHashes, job.result);
+  }
+
+  if (job && job.status !== 'failed') {
+    if (txHashes.length !== (payout.tx_hashes || []).length) {
+      await updateInvitePayout(payout.id, { tx_hashes: txHashes });
+    }
+    return;
+  }
+
+  // The job gave up, but a transaction it broadcast may still land after it did
+  const earlier = await findEarlierTransaction(txHashes);
+  if (earlier?.receipt) {
+    const result = await syncPayoutReceipt(payout, earlier.receipt);
+    return completePayout(payout, earlier.receipt.hash, txHashes, result);
+  }
+  if (earlier?.pending) {
+    return updateInvitePayout(payout.id, { tx_hashes: txHashes });
+  }
+
+  await retryOrFailPayout(payout, {
+    message: job?.last_error || 'Relay job not found',
+    errorCode: job?.error_code || null,
+    txHashes
+  });
+};
+
+// Queues the relay job of a due payout, unless an earlier attempt already paid it
+const sendPayout = async (payout) => {
+  // Claim the payout so a second worker cannot send it as well
+  const { data: claimed, error } = await supabase
+    .from('invite_payouts')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', payout.id)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claimed) return;
+
+  let job;
+  try {
+    const earlier = await findEarlierTransaction(claimed.tx_hashes || []);
+    if (earlier?.receipt) {
+      const result = await syncPayoutReceipt(claimed, earlier.receipt);
+      return completePayout(claimed, earlier.receipt.hash, claimed.tx_hashes, result);
+    }
+    // Still in flight: stay in sending and let the next pass follow it
+    if (earlier?.pending) return;
+
+    if (claimed.kind === 'settle_tiers') {
+      const status = await getInviteRewardStatus(claimed.inviter_wallet);
+      if (!status.hasUnpaidTiers) {
+        // Nothing left to send; a paid payout without a tx hash
+        console.log(`ℹ️ Invite payout ${claimed.id}: every reached tier is already rewarded`);
+        return completePayout(claimed, null, claimed.tx_hashes, null);
+      }
+    }
+
+    const payload = claimed.kind === 'campaign_bonus'
+      ? { payoutId: claimed.id, amount: Number(claimed.amount).toFixed(8) }
+      : { payoutId: claimed.id };
+    job = await enqueueRelayJob(RELAY_JOB_TYPES[claimed.kind], claimed.inviter_wallet, payload);
+  } catch (err) {
+    return retryOrFailPayout(claimed, { message: err.message, attempts: (claimed.attempts || 0) + 1 });
+  }
+
+  // If this fails the payout stays in sending and the next pass finds the job by its payload
+  await updateInvitePayout(claimed.id, { relay_job_id: job.id, attempts: (claimed.attempts || 0) + 1 });
+};
+
+const fetchPayouts = async (status, dueOnly = false) => {
+  let query = supabase
+    .from('invite_payouts')
+    .select('*')
+    .eq('status', status);
+
+  if (dueOnly) {
+    // Activation payouts wait for their screening
+    query = query
+      .lte('next_attempt_at', new Date().toISOString())
+      .or('kind.neq.record_invite,screened_at.not.is.null');
+  }
+
+  const { data, error } = await query
+    .order('next_attempt_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+  return data || [];
+};
+
+let processing = false;
+
+// One pass: follow payouts being sent, then queue the ones that are due
+const processInvitePayouts = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (const payout of await fetchPayouts('sending')) {
+      await checkSendingPayout(payout);
+    }
+
+    for (const payout of await fetchPayouts('pending', true)) {
+      await sendPayout(payout);
+    }
+  } catch (err) {
+    console.error('❌ Invite payout pass failed:', err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Payouts are sent through relay_jobs, so run this next to the relay worker
+const startInvitePayoutWorker = (intervalMs = Number(process.env.INVITE_PAYOUT_WORKER_INTERVAL_MS || 5000)) => {
+  console.log(`🎁 Invite payout worker started (every ${intervalMs}ms)`);
+  processInvitePayouts();
+  return setInterval(processInvitePayouts, intervalMs);
+};
+
+// Sends a failed payout again with a fresh set of attempts, or a backed-off one right away
+const retryInvitePayout = async (id, retriedBy) => {
+  const payout = await getInvitePayout(id);
+
+  if (!payout) throw invitePayoutError('InvitePayoutNotFound', 'Invite payout not found', 404);
+  if (!['failed', 'pending'].includes(payout.status)) {
+    throw invitePayoutError('InvitePayoutNotRetryable', `Invite payout is ${payout.status}`, 409);
+  }
+
+  const { data, error } = await supabase
+    .from('invite_payouts')
+    .update({
+      status: 'pending',
+      attempts: payout.status === 'failed' ? 0 : payout.attempts,
+      relay_job_id: null,
+      next_attempt_at: new Date().toISOString(),
+      requested_by: retriedBy,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', payout.status)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw invitePayoutError('InvitePayoutNotRetryable', 'Invite payout changed while retrying', 409);
+
+  console.log(`🔁 Invite payout ${id} retried by ${retriedBy}`);
+  return formatInvitePayout(data);
+};
+
+// `stuck` = failed, or waiting to retry after a failed attempt
+const listInvitePayouts = async ({ status, kind, inviterWallet, limit, offset }) => {
+  let query = supabase
+    .from('invite_payouts')
+    .select('*', { count: 'exact' });
+
+  if (status === 'stuck') {
+    query = query.or('status.eq.failed,and(status.eq.pending,attempts.gt.0)');
+  } else if (status && status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (kind) query = query.eq('kind', kind);
+  if (inviterWallet) query = query.eq('inviter_wallet', inviterWallet);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { payouts: (data || []).map(formatInvitePayout), count: count || 0 };
+};
+
+// Invites counted in the invitation ledger that are not recorded on-chain yet (see reconciliation)
+const countUnrecordedInvites = async (inviterWallet) => {
+  const { count, error } = await supabase
+    .from('invite_payouts')
+    .select('id', { count: 'exact', head: true })
+    .eq('kind', 'record_invite')
+    .eq('inviter_wallet', inviterWallet)
+    .in('status', ['pending', 'held', 'sending', 'failed']);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+export {
+  PAYOUT_KINDS,
+  PAYOUT_STATUSES,
+  formatInvitePayout,
+  getInvitePayout,
+  getRecordInvitePayout,
+  listUnscreenedInvitePayouts,
+  markInvitePayoutScreened,
+  deferInvitePayoutScreening,
+  unholdInvitePayout,
+  holdInvitePayout,
+  approveHeldInvitePayout,
+  queueSettlePayout,
+  processInvitePayouts,
+  startInvitePayoutWorker,
+  retryInvitePayout,
+  listInvitePayouts,
+  countUnrecordedInvites
+};
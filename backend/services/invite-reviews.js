@@ -0,0 +1,225 @@
+import { supabase } from '../config/supabase.js';
+import {
+  holdInvitePayout,
+  unholdInvitePayout,
+  approveHeldInvitePayout,
+  getInvitePayout,
+  formatInvitePayout,
+  listUnscreenedInvitePayouts,
+  markInvitePayoutScreened,
+  deferInvitePayoutScreening
+} from './invite-payouts.js';
+import { scoreInviter } from './sybil-scoring.js';
+
+// Review queue for invite rewards of flagged inviters.
+// Activation always goes through and counts in the invitation ledger, but when the inviter's
+// sybil score is flagged its payout (see invite-payouts.js) is held and the invite is not
+// recorded on InviteAirdropV2 yet. Approving releases the payout to the payout worker;
+// rejecting cancels it and reverses the invite in the ledger.
+// Activation scores from the funders already stored. Every activation payout then waits for the
+// screening pass, which rescores the inviter once the new invitee's funder is known; a payout
+// whose screening fails stays unsent and is screened again a few minutes later.
+// Review lifecycle: pending -> approved | rejected
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const inviteReviewError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isInviteReviewError: true });
+};
+
+const formatInviteReview = (row) => ({
+  id: row.id,
+  inviterWallet: row.inviter_wallet,
+  inviteeWallet: row.invitee_wallet,
+  invitationCode: row.invitation_code,
+  score: row.score,
+  signals: row.signals || [],
+  status: row.status,
+  payoutId: row.payout_id || null,
+  createdAt: row.created_at,
+  reviewedAt: row.reviewed_at || null,
+  reviewedBy: row.reviewed_by || null
+});
+
+const SCREENING_BATCH_SIZE = 10;
+
+// Holds the activation payout and opens its review. Null if the payout is no longer pending.
+const holdForReview = async (score, { inviterWallet, inviteeWallet, invitationCode }) => {
+  const payout = await holdInvitePayout(inviteeWallet);
+  if (!payout) {
+    console.warn(`⚠️ Invite payout for ${inviteeWallet} is no longer pending; not holding it for review`);
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('invite_reward_reviews')
+    .insert({
+      inviter_wallet: inviterWallet,
+      invitee_wallet: inviteeWallet,
+      invitation_code: invitationCode,
+      score: score.score,
+      signals: score.signals,
+      payout_id: payout.id
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    // A held payout without a review would never be decided; screen it again instead
+    await unholdInvitePayout(inviteeWallet);
+    throw error;
+  }
+
+  console.log(`⏸️ Invite reward for ${inviterWallet} held for review (invitee ${inviteeWallet})`);
+  return formatInviteReview(data);
+};
+
+// Scores the inviter during activation, from the funders already stored, and holds the invite
+// payout if they are flagged. Returns the pending review, or null when the payout goes on to
+// screening.
+const holdRewardIfFlagged = async ({ inviterWallet, inviteeWallet, invitationCode }) => {
+  const score = await scoreInviter(inviterWallet, new Date(), { fundingLookups: 0 });
+  if (!score.flagged) return null;
+
+  return holdForReview(score, { inviterWallet, inviteeWallet, invitationCode });
+};
+
+const getInvitationCodeUsed = async (inviteeWallet) => {
+  const { data, error } = await supabase
+    .from('invitation_usage')
+    .select('invitation_code')
+    .eq('used_by', inviteeWallet)
+    .order('used_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error(`No invitation usage found for ${inviteeWallet}`);
+  return data.invitation_code;
+};
+
+// Rescores the inviter with the invitee's funder looked up, then holds the payout for review or
+// lets the payout worker send it. Throws, leaving the payout unscreened, when scoring fails.
+const screenInvitePayout = async (payout) => {
+  const inviterWallet = payout.inviter_wallet;
+  const inviteeWallet = payout.invitee_wallet;
+
+  const score = await scoreInviter(inviterWallet, new Date(), { fundingLookups: 0, requireFunding: [inviteeWallet] });
+  if (score.flagged) {
+    const invitationCode = await getInvitationCodeUsed(inviteeWallet);
+    return holdForReview(score, { inviterWallet, inviteeWallet, invitationCode });
+  }
+
+  await markInvitePayoutScreened(inviteeWallet);
+  return null;
+};
+
+let screening = false;
+
+// One screening pass over the unscreened activation payouts
+const screenInvitePayouts = async () => {
+  if (screening) return;
+  screening = true;
+
+  try {
+    for (const payout of await listUnscreenedInvitePayouts(SCREENING_BATCH_SIZE)) {
+      try {
+        await screenInvitePayout(payout);
+      } catch (err) {
+        console.error(`❌ Screening failed for invite payout ${payout.id}, will retry:`, err.message);
+        await deferInvitePayoutScreening(payout.invitee_wallet, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Invite payout screening pass failed:', err);
+  } finally {
+    screening = false;
+  }
+};
+
+// Runs next to the payout worker, which only sends activation payouts once screened
+const startInviteScreening = (intervalMs = Number(process.env.INVITE_SCREENING_INTERVAL_MS || 5000)) => {
+  console.log(`🚩 Invite payout screening started (every ${intervalMs}ms)`);
+  screenInvitePayouts();
+  return setInterval(screenInvitePayouts, intervalMs);
+};
+
+const getPendingReview = async (id) => {
+  const { data, error } = await supabase
+    .from('invite_reward_reviews')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw inviteReviewError('InviteReviewNotFound', 'Invite review not found', 404);
+  if (data.status !== 'pending') {
+    throw inviteReviewError('InviteReviewNotPending', `Invite review is already ${data.status}`, 409);
+  }
+  return data;
+};
+
+// Releases the held payout. The review is claimed first so two decisions cannot both apply.
+const approveInviteReview = async (id, reviewedBy) => {
+  await getPendingReview(id);
+
+  const { data: claimed, error } = await supabase
+    .from('invite_reward_reviews')
+    .update({ status: 'approved', reviewed_at: new Date().toISOString(), reviewed_by: reviewedBy })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claimed) throw inviteReviewError('InviteReviewNotPending', 'Invite review was decided by someone else', 409);
+
+  let payout;
+  try {
+    payout = await approveHeldInvitePayout(claimed.payout_id, reviewedBy);
+  } catch (err) {
+    await supabase
+      .from('invite_reward_reviews')
+      .update({ status: 'pending', reviewed_at: null, reviewed_by: null })
+      .eq('id', id);
+    throw err;
+  }
+
+  console.log(`✅ Invite reward for ${claimed.inviter_wallet} approved by ${reviewedBy}`);
+  return { review: formatInviteReview(claimed), payout };
+};
+
+const rejectInviteReview = async (id, reviewedBy) => {
+  const review = await getPendingReview(id);
+
+  const { data: rejected, error } = await supabase.rpc('reject_invite_reward_review', {
+    p_id: id,
+    p_reviewed_by: reviewedBy
+  });
+
+  if (error) throw error;
+  if (!rejected) throw inviteReviewError('InviteReviewNotPending', 'Invite review was decided by someone else', 409);
+
+  const { data: updated, error: fetchError } = await supabase
+    .from('invite_reward_reviews')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  const payout = updated.payout_id ? await getInvitePayout(updated.payout_id) : null;
+
+  console.log(`🚫 Invite reward for ${review.inviter_wallet} rejected by ${reviewedBy}`);
+  return { review: formatInviteReview(updated), payout: payout ? formatInvitePayout(payout) : null };
+};
+
+export {
+  REVIEW_STATUSES,
+  formatInviteReview,
+  holdRewardIfFlagged,
+  screenInvitePayouts,
+  startInviteScreening,
+  approveInviteReview,
+  rejectInviteReview
+};
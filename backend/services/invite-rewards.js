@@ -0,0 +1,135 @@
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+import { airdropContract } from '../config/blockchain.js';
+
+// Tiered invite rewards paid by InviteAirdropV2.
+// The contract counts every successful invite and pays each configured tier (e.g. 5, 15 and
+// 50 invites) once per inviter, keyed by threshold, so recording exactly one invite use per
+// activation is all the backend does to pay a tier exactly once. The transactions themselves are
+// sent from the invite payout outbox (invite-payouts.js). Tiers are configured by the contract
+// owner with setTiers; this module only reads them.
+
+const getInviteTiers = async () => {
+  const [thresholds, amounts] = await airdropContract.getTiers();
+
+  return thresholds.map((threshold, i) => ({
+    threshold: Number(threshold),
+    amount: ethers.formatEther(amounts[i])
+  }));
+};
+
+// Tier progress of one inviter as the contract sees it
+const getInviteRewardStatus = async (walletAddress) => {
+  const [uses, tiers] = await Promise.all([
+    airdropContract.inviteUses(walletAddress),
+    getInviteTiers()
+  ]);
+
+  const rewardedFlags = await Promise.all(
+    tiers.map(tier => airdropContract.tierRewarded(walletAddress, tier.threshold))
+  );
+
+  const inviteUses = Number(uses);
+  const tierStatus = tiers.map((tier, i) => ({
+    ...tier,
+    reached: inviteUses >= tier.threshold,
+    rewarded: rewardedFlags[i]
+  }));
+  const nextTier = tierStatus.find(tier => !tier.reached) || null;
+
+  return {
+    inviteUses,
+    tiers: tierStatus,
+    nextTier,
+    usesUntilNextTier: nextTier ? nextTier.threshold - inviteUses : 0,
+    // Reached but unpaid, e.g. a tier added below the inviter's count or migrated v1 uses
+    hasUnpaidTiers: tierStatus.some(tier => tier.reached && !tier.rewarded)
+  };
+};
+
+// InviteUsed and TierRewarded events emitted by the airdrop contract in a receipt
+const parseRewardLogs = (receipt) => {
+  const contractAddress = airdropContract.target.toLowerCase();
+  const events = receipt.logs
+    .filter(log => log.address.toLowerCase() === contractAddress)
+    .map(log => airdropContract.interface.parseLog(log))
+    .filter(Boolean);
+
+  const inviteUsed = events.find(event => event.name === 'InviteUsed');
+
+  return {
+    totalUses: inviteUsed ? Number(inviteUsed.args.totalUses) : null,
+    rewards: events
+      .filter(event => event.name === 'TierRewarded')
+      .map(event => ({
+        threshold: Number(event.args.threshold),
+        amount: ethers.formatEther(event.args.amount)
+      }))
+  };
+};
+
+// One airdrops row per paid tier; (tx_hash, tier_threshold) is unique so logging twice is a no-op
+const logTierRewards = async (walletAddress, txHash, rewards, totalUses) => {
+  if (rewards.length === 0) return;
+
+  const { error } = await supabase
+    .from('airdrops')
+    .upsert(rewards.map(reward => ({
+      wallet_address: walletAddress,
+      amount: reward.amount,
+      tier_threshold: reward.threshold,
+      invitation_uses_at_trigger: totalUses,
+      tx_hash: txHash,
+      triggered_at: new Date().toISOString()
+    })), { onConflict: 'tx_hash,tier_threshold', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('Warning: Failed to log invite tier rewards:', error);
+  }
+};
+
+// Lets the inviter keep inviting up to their next tier; max_invitation_uses only ever grows
+const raiseInvitationLimit = async (walletAddress, nextTier) => {
+  if (!nextTier) return;
+
+  const { error } = await supabase
+    .from('accounts')
+    .update({ max_invitation_uses: nextTier.threshold })
+    .eq('wallet_address', walletAddress)
+    .lt('max_invitation_uses', nextTier.threshold);
+
+  if (error) {
+    console.error('Warning: Failed to raise invitation limit:', error);
+  }
+};
+
+// Bookkeeping for a mined recordInviteUse or payReachedTiers transaction (see the relay jobs in
+// relay-jobs.js): logs the tiers it paid and raises the inviter's limit. Safe to repeat.
+const syncTierRewards = async (walletAddress, receipt) => {
+  const { totalUses, rewards } = parseRewardLogs(receipt);
+  const status = await getInviteRewardStatus(walletAddress);
+  const uses = totalUses ?? status.inviteUses;
+
+  if (rewards.length > 0) {
+    console.log('🎉 Invite tier rewards sent:', { walletAddress, rewards });
+    await logTierRewards(walletAddress, receipt.hash, rewards, uses);
+    await raiseInvitationLimit(walletAddress, status.nextTier);
+  }
+
+  return {
+    success: true,
+    airdropTriggered: rewards.length > 0,
+    rewards,
+    rewardAmount: rewards.reduce((sum, reward) => sum + Number(reward.amount), 0).toString(),
+    txHash: receipt.hash,
+    currentUses: uses.toString(),
+    nextTier: status.nextTier,
+    usesUntilNextTier: status.usesUntilNextTier
+  };
+};
+
+export {
+  getInviteTiers,
+  getInviteRewardStatus,
+  syncTierRewards
+};
@@ -0,0 +1,287 @@
+import cron from 'node-cron';
+import { supabase } from '../config/supabase.js';
+import { getEffectiveStreak } from './streak-engine.js';
+import { LEADERBOARD_WINDOWS, getWindowBounds, formatWindow } from './leaderboard-windows.js';
+
+// Leaderboards are served from leaderboard_ranks, a precomputed position per board, window and
+// wallet, so a page, the ranks around a wallet or a wallet's own rank are index lookups however
+// many accounts there are. refresh_leaderboard_ranks() re-ranks one board window in a single
+// transaction. A read re-ranks its board first when the ranking is older than
+// LEADERBOARD_MAX_AGE_SECONDS or from before the window reset, so boards stay current on
+// deployments without the schedule (Vercel); the schedule keeps reads from waiting on it.
+//
+//   balance          ENB balance; in a window, ENB credited by daily claims (claims.reward)
+//   earnings         ENB yield claimed on-chain (indexed YieldDistributed events)
+//   streaks          live streak; in a window, the longest run of consecutive UTC days with a claim
+//   invites          activated invitees whose invite was not reversed in sybil review
+//   invites-claimed  the same, counting only invitees who made a daily claim after activating
+//
+// Equal scores share a rank. Positions break ties by wallet address. Cursors point at the score and
+// wallet of the last entry rather than its position, since positions are renumbered on every refresh.
+
+const LEADERBOARD_BOARDS = ['balance', 'earnings', 'streaks', 'invites', 'invites-claimed'];
+
+// Boards shown by /api/user-rankings, and the name each ranking has there
+const USER_RANKING_BOARDS = { balance: 'balance', earnings: 'earnings', streaks: 'streak' };
+
+// Matches the default schedule; older rankings are refreshed by the next read
+const MAX_AGE_MS = Number(process.env.LEADERBOARD_MAX_AGE_SECONDS || 300) * 1000;
+
+const leaderboardError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isLeaderboardError: true });
+};
+
+const FORMATS = {
+  balance: (entry) => ({
+    enbBalance: Number(entry.enb_balance) || 0,
+    ...(entry.enb_mined !== null && { enbMined: Number(entry.enb_mined) || 0 }),
+    membershipLevel: entry.membership_level || 'Based',
+    consecutiveDays: getEffectiveStreak(entry)
+  }),
+  earnings: (entry) => ({
+    totalEarned: Number(entry.total_yield_claimed) || 0,
+    totalDailyClaims: Number(entry.total_daily_claims) || 0,
+    membershipLevel: entry.membership_level || 'Based',
+    consecutiveDays: getEffectiveStreak(entry)
+  }),
+  streaks: (entry) => ({
+    consecutiveDays: entry.consecutive_days || 0,
+    ...(entry.claim_days !== null && { claimDays: entry.claim_days || 0 }),
+    longestStreak: entry.longest_streak || 0,
+    membershipLevel: entry.membership_level || 'Based',
+    enbBalance: Number(entry.enb_balance) || 0
+  }),
+  invites: (entry) => ({
+    qualifiedInvitees: Number(entry.qualified_invitees) || 0,
+    lastInviteAt: entry.last_invite_at
+  })
+};
+FORMATS['invites-claimed'] = FORMATS.invites;
+
+const formatRank = (board, row) => ({
+  rank: row.rank,
+  walletAddress: row.wallet_address,
+  ...FORMATS[board](row.entry || {})
+});
+
+const RANK_COLUMNS = 'position, rank, wallet_address, entry, cursor_score:score::text';
+
+// Cursors hold the score (as text, so decimals survive) and wallet of the last entry of the
+// previous page, tied to the board and window they came from
+const encodeCursor = (board, window, row) =>
+  Buffer.from(`${board}:${window}:${row.cursor_score}:${row.wallet_address}`).toString('base64url');
+
+const decodeCursor = (board, window, cursor) => {
+  const [cursorBoard, cursorWindow, score, walletAddress] = Buffer.from(cursor, 'base64url').toString().split(':');
+
+  if (cursorBoard !== board || cursorWindow !== window ||
+      !/^-?\d+(\.\d+)?$/.test(score || '') || !/^0x[0-9a-fA-F]{40}$/.test(walletAddress || '')) {
+    throw leaderboardError('InvalidCursor', 'Cursor does not belong to this leaderboard and window');
+  }
+  return { score, walletAddress };
+};
+
+// freshAfter: keep a ranking of the current window computed after this time instead of redoing it
+const refreshLeaderboard = async (board, window, now = new Date(), freshAfter = null) => {
+  const { startsAt } = getWindowBounds(window, now);
+
+  const { data: entries, error } = await supabase.rpc('refresh_leaderboard_ranks', {
+    p_board: board,
+    p_window: window,
+    p_since: startsAt ? startsAt.toISOString() : null,
+    p_fresh_after: freshAfter ? freshAfter.toISOString() : null
+  });
+
+  if (error) throw error;
+  return entries;
+};
+
+const getRefreshes = async (boards, window) => {
+  const { data, error } = await supabase
+    .from('leaderboard_refreshes')
+    .select('board, window_starts_at, entries, computed_at')
+    .eq('time_window', window)
+    .in('board', boards);
+
+  if (error) throw error;
+  return data || [];
+};
+
+const isCurrent = (refresh, window, now, freshAfter) => {
+  if (!refresh || new Date(refresh.computed_at) <= freshAfter) return false;
+  const { startsAt } = getWindowBounds(window, now);
+  const rankedFrom = refresh.window_starts_at ? new Date(refresh.window_starts_at).getTime() : null;
+  return rankedFrom === (startsAt ? startsAt.getTime() : null);
+};
+
+// Refresh state of each board, re-ranking the boards that are too old or from a past window.
+// Concurrent reads of a stale board wait on the same lock; once one has re-ranked it the others
+// find it fresh and keep its ranking.
+const getCurrentRefreshes = async (boards, window) => {
+  const now = new Date();
+  const freshAfter = new Date(now.getTime() - MAX_AGE_MS);
+  const refreshes = await getRefreshes(boards, window);
+  const stale = boards.filter(board => !isCurrent(refreshes.find(refresh => refresh.board === board), window, now, freshAfter));
+
+  if (stale.length === 0) return refreshes;
+
+  for (const board of stale) {
+    await refreshLeaderboard(board, window, now, freshAfter);
+  }
+  return getRefreshes(boards, window);
+};
+
+// `hasMore` tells whether entries follow the last of `rows`
+const formatPage = (board, window, refresh, rows, limit, hasMore) => {
+  const last = rows[rows.length - 1];
+
+  return {
+    window: formatWindow(window),
+    computedAt: refresh.computed_at,
+    leaderboard: rows.map(row => formatRank(board, row)),
+    pagination: {
+      total: refresh.entries,
+      limit,
+      nextCursor: hasMore ? encodeCursor(board, window, last) : null,
+      hasMore
+    }
+  };
+};
+
+// One page of a leaderboard, below the entry in `cursor` (from the top when omitted)
+const getLeaderboardPage = async (board, window, { limit, cursor }) => {
+  const after = cursor ? decodeCursor(board, window, cursor) : null;
+  const [refresh] = await getCurrentRefreshes([board], window);
+
+  // Same order as positions: score, then wallet address for ties
+  let query = supabase
+    .from('leaderboard_ranks')
+    .select(RANK_COLUMNS)
+    .eq('board', board)
+    .eq('time_window', window)
+    .order('score', { ascending: false })
+    .order('wallet_address', { ascending: true })
+    .limit(limit + 1);
+
+  if (after) {
+    query = query.or(`score.lt.${after.score},and(score.eq.${after.score},wallet_address.gt.${after.walletAddress})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const rows = data || [];
+  return formatPage(board, window, refresh, rows.slice(0, limit), limit, rows.length > limit);
+};
+
+// A wallet's entry with up to `span` entries above and below it; the cursor continues below
+const getLeaderboardAround = async (board, window, walletAddress, span) => {
+  const [refresh] = await getCurrentRefreshes([board], window);
+
+  const { data: own, error: ownError } = await supabase
+    .from('leaderboard_ranks')
+    .select('position')
+    .eq('board', board)
+    .eq('time_window', window)
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (ownError) throw ownError;
+  if (!own) throw leaderboardError('NotRanked', `${walletAddress} is not on the ${board} leaderboard for this window`, 404);
+
+  const { data, error } = await supabase
+    .from('leaderboard_ranks')
+    .select(RANK_COLUMNS)
+    .eq('board', board)
+    .eq('time_window', window)
+    .gte('position', own.position - span)
+    .lte('position', own.position + span)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  const last = rows[rows.length - 1];
+  return formatPage(board, window, refresh, rows, span * 2 + 1, Boolean(last) && last.position < refresh.entries);
+};
+
+// A page after `cursor`, or with `around` the entries around that wallet
+const getLeaderboard = (board, window, { limit, cursor, around, span }) => {
+  if (around) return getLeaderboardAround(board, window, around, span);
+  return getLeaderboardPage(board, window, { limit, cursor });
+};
+
+// Rank and score of a wallet on the balance, earnings and streak boards; rank is null when the
+// wallet is not on a board (no activity in the window, or no live streak)
+const getWalletRankings = async (walletAddress, window) => {
+  const boards = Object.keys(USER_RANKING_BOARDS);
+  await getCurrentRefreshes(boards, window);
+
+  const { data, error } = await supabase
+    .from('leaderboard_ranks')
+    .select('board, rank, score')
+    .eq('time_window', window)
+    .eq('wallet_address', walletAddress)
+    .in('board', boards);
+
+  if (error) throw error;
+
+  return boards.reduce((rankings, board) => {
+    const row = (data || []).find(item => item.board === board);
+    rankings[USER_RANKING_BOARDS[board]] = {
+      rank: row ? row.rank : null,
+      value: row ? Number(row.score) || 0 : 0
+    };
+    return rankings;
+  }, {});
+};
+
+let refreshing = false;
+let lastRun = null;
+
+const runLeaderboardRefresh = async () => {
+  if (refreshing) return lastRun;
+  refreshing = true;
+
+  const now = new Date();
+  const summary = { startedAt: now.toISOString(), finishedAt: null, boardsRefreshed: 0, entries: 0, errors: 0 };
+
+  try {
+    for (const board of LEADERBOARD_BOARDS) {
+      for (const window of LEADERBOARD_WINDOWS) {
+        try {
+          summary.entries += await refreshLeaderboard(board, window, now);
+          summary.boardsRefreshed++;
+        } catch (err) {
+          summary.errors++;
+          console.error(`❌ Leaderboard refresh failed for ${board} (${window}):`, err.message);
+        }
+      }
+    }
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    refreshing = false;
+  }
+
+  console.log('🏆 Leaderboard refresh finished:', summary);
+  return summary;
+};
+
+// Runs on LEADERBOARD_REFRESH_CRON (default: every 5 minutes)
+const startLeaderboardRefreshSchedule = (expression = process.env.LEADERBOARD_REFRESH_CRON || '*/5 * * * *') => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid LEADERBOARD_REFRESH_CRON expression: ${expression}`);
+  }
+
+  console.log(`🏆 Leaderboard refresh scheduled (${expression})`);
+  return cron.schedule(expression, runLeaderboardRefresh);
+};
+
+export {
+  LEADERBOARD_BOARDS,
+  getLeaderboard,
+  getWalletRankings,
+  runLeaderboardRefresh,
+  startLeaderboardRefreshSchedule
+};
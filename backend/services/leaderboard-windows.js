@@ -0,0 +1,45 @@
+// Calendar windows for leaderboards, in UTC. Weeks start on Monday; each window resets
+// when the next one starts.
+
+const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'all-time'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const getWindowBounds = (window, now = new Date()) => {
+  if (window === 'daily') {
+    const startsAt = startOfUtcDay(now);
+    return { startsAt, resetsAt: new Date(startsAt.getTime() + DAY_MS) };
+  }
+
+  if (window === 'weekly') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    const startsAt = new Date(startOfUtcDay(now).getTime() - daysSinceMonday * DAY_MS);
+    return { startsAt, resetsAt: new Date(startsAt.getTime() + 7 * DAY_MS) };
+  }
+
+  if (window === 'monthly') {
+    return {
+      startsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  return { startsAt: null, resetsAt: null };
+};
+
+const formatWindow = (window, now = new Date()) => {
+  const { startsAt, resetsAt } = getWindowBounds(window, now);
+  return {
+    name: window,
+    startsAt: startsAt ? startsAt.toISOString() : null,
+    resetsAt: resetsAt ? resetsAt.toISOString() : null
+  };
+};
+
+export {
+  LEADERBOARD_WINDOWS,
+  getWindowBounds,
+  formatWindow
+};
@@ -0,0 +1,190 @@
+import { API_ROUTES } from '../schemas/api-routes.js';
+import { schemas, ref } from '../schemas/components.js';
+import { RATE_LIMIT_POLICIES, getRateLimitGroup } from '../middleware/rate-limit.js';
+
+// Builds the OpenAPI 3.0 document served at /openapi.json from schemas/api-routes.js,
+// so the spec and request validation come from the same definitions.
+
+const API_VERSION = process.env.npm_package_version || '1.0.0';
+
+const WALLET_AUTH_DESCRIPTION = 'The request body carries `auth: { nonce, expiry, signature }`, an EIP-712 signature ' +
+  'by the target wallet over the named message type (domain "ENB Mini App", version 1, Base). ' +
+  'Each nonce is accepted once.';
+
+// Express "/relay/jobs/:id" -> OpenAPI "/relay/jobs/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Drops the validator-only `required` flag and lists required properties on the parent instead
+const toJsonSchema = (field) => {
+  const { required, ...schema } = field;
+
+  if (schema.type === 'object' && schema.properties) {
+    const properties = {};
+    const requiredProperties = [];
+
+    for (const [name, property] of Object.entries(schema.properties)) {
+      properties[name] = toJsonSchema(property);
+      if (property.required) requiredProperties.push(name);
+    }
+
+    schema.properties = properties;
+    if (requiredProperties.length > 0) schema.required = requiredProperties;
+  }
+
+  return schema;
+};
+
+const toParameters = (fields, location) => {
+  return Object.entries(fields || {}).map(([name, field]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || Boolean(field.required),
+    description: field.description,
+    schema: toJsonSchema(field)
+  }));
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const toResponse = (status, definition) => {
+  if (typeof definition === 'string') {
+    return { description: definition, content: jsonContent(ref('Error')) };
+  }
+
+  const schema = { ...definition };
+  const contentType = schema['x-content-type'] || 'application/json';
+  delete schema['x-content-type'];
+
+  return {
+    description: status.startsWith('2') ? 'Success' : 'Error',
+    content: { [contentType]: { schema } }
+  };
+};
+
+const hasInput = (route) => ['params', 'query', 'body'].some(location => Object.keys(route[location] || {}).length > 0);
+
+const toOperation = (operationId, route) => {
+  const operation = {
+    operationId,
+    summary: route.summary,
+    tags: route.tags,
+    parameters: [...toParameters(route.params, 'params'), ...toParameters(route.query, 'query')],
+    responses: {}
+  };
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: jsonContent(toJsonSchema({ type: 'object', properties: route.body }))
+    };
+  }
+
+  if (route.auth?.admin) {
+    operation.security = [{ adminToken: [] }];
+    operation.description = `Admin roles: ${route.auth.admin.join(', ')} (superadmin is always allowed).`;
+  }
+
+  if (route.auth?.wallet) {
+    operation['x-wallet-signature'] = route.auth.wallet;
+    operation.description = `Requires a \`${route.auth.wallet}\` wallet signature. ${WALLET_AUTH_DESCRIPTION}`;
+  }
+
+  for (const [status, definition] of Object.entries(route.responses)) {
+    operation.responses[status] = toResponse(status, definition);
+  }
+
+  // Field-level validation errors share 400 with the route's own rejections
+  if (hasInput(route)) {
+    const businessErrors = route.responses[400];
+    operation.responses[400] = {
+      description: businessErrors ? `Invalid request, or ${businessErrors.charAt(0).toLowerCase()}${businessErrors.slice(1)}` : 'Invalid request',
+      content: jsonContent(businessErrors ? { oneOf: [ref('ValidationError'), ref('Error')] } : ref('ValidationError'))
+    };
+  }
+
+  if (route.auth?.admin) {
+    operation.responses[401] = toResponse('401', 'Missing, invalid or expired admin token');
+    operation.responses[403] = toResponse('403', 'Admin role not allowed on this route');
+  }
+
+  if (route.auth?.wallet) {
+    operation.responses[401] = toResponse('401', 'Missing, expired, reused or invalid wallet signature');
+  }
+
+  const rateLimitGroup = getRateLimitGroup(route);
+  if (rateLimitGroup) {
+    const { windowMs, perIp, perWallet } = RATE_LIMIT_POLICIES[rateLimitGroup];
+    const perKey = route.auth?.admin ? 'operator' : 'wallet';
+    operation.responses[429] = toResponse(
+      '429',
+      `Rate limited (${rateLimitGroup}: ${perIp} requests per IP and ${perWallet} per ${perKey} every ${windowMs / 1000}s). ` +
+        'Retry after the number of seconds in the Retry-After header.'
+    );
+  }
+
+  if (route.path !== '/' && route.path !== '/docs') {
+    operation.responses[500] = toResponse('500', 'Unexpected server error');
+  }
+
+  return operation;
+};
+
+const buildOpenApiDocument = (serverUrl) => {
+  const paths = {};
+
+  for (const [operationId, route] of Object.entries(API_ROUTES)) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: toOperation(operationId, route) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'ENB API',
+      version: API_VERSION,
+      description: 'Accounts, daily claims, streaks, invitations and relayed transactions for the ENB mini app.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    tags: [...new Set(Object.values(API_ROUTES).flatMap(route => route.tags))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        adminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Operator token issued with `npm run admin-token`'
+        }
+      }
+    }
+  };
+};
+
+// Registered Express routes without an entry in API_ROUTES, as ['GET /path', ...]
+const findUndocumentedRoutes = (app) => {
+  const documented = new Set(Object.values(API_ROUTES).map(route => `${route.method.toUpperCase()} ${route.path}`));
+
+  return (app._router?.stack || [])
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`))
+    .filter(route => !documented.has(route));
+};
+
+// Reference page rendered client-side by Redoc from /openapi.json
+const renderDocsPage = () => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>ENB API Reference</title>
+    <style>body { margin: 0; }</style>
+  </head>
+  <body>
+    <redoc spec-url="/openapi.json"></redoc>
+    <script src="https://cdn.redoc.ly/redoc/v2.1.5/bundles/redoc.standalone.js"></script>
+  </body>
+</html>
+`;
+
+export { buildOpenApiDocument, findUndocumentedRoutes, renderDocsPage };
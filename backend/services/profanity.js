@@ -0,0 +1,32 @@
+// Small profanity filter for user-chosen public strings such as vanity invitation codes.
+// Text is lowercased and common look-alike characters are folded (0 -> o, 1 -> i, $ -> s, ...)
+// before matching, so "SH1T" and "5HIT" are caught as well.
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g', '@': 'a', $: 's', '!': 'i' };
+
+// Matched anywhere in the text
+const BLOCKED_SUBSTRINGS = [
+  'fuck', 'fuk', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'whore', 'slut',
+  'bastard', 'wank', 'twat', 'nigg', 'fagg', 'retard', 'porn', 'nazi',
+  'hitler', 'penis', 'vagina', 'dildo', 'jizz', 'boob', 'scam', 'pedo', 'kkk'
+];
+
+// Short words that are only blocked as the whole text, so "CLASSIC" or "TITAN" still pass
+const BLOCKED_WORDS = ['ass', 'arse', 'anal', 'cum', 'fag', 'hoe', 'sex', 'tit', 'tits', 'xxx', 'kys', 'rape', 'rug', 'die'];
+
+const normalize = (text) => String(text)
+  .toLowerCase()
+  .split('')
+  .map(char => LOOKALIKES[char] || char)
+  .join('')
+  .replace(/[^a-z]/g, '');
+
+const containsProfanity = (text) => {
+  const normalized = normalize(text);
+  if (!normalized) return false;
+
+  return BLOCKED_WORDS.includes(normalized) ||
+    BLOCKED_SUBSTRINGS.some(word => normalized.includes(word));
+};
+
+export { containsProfanity };
@@ -0,0 +1,59 @@
+import { supabase } from '../config/supabase.js';
+
+// express-rate-limit store backed by the rate_limit_counters table, so every
+// serverless instance counts against the same fixed windows. Each limiter needs
+// its own store; `prefix` keeps their keys apart in the shared table.
+const createSupabaseRateLimitStore = (prefix) => {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { data, error } = await supabase.rpc('hit_rate_limit', {
+        p_key: `${prefix}${key}`,
+        p_window_ms: windowMs
+      });
+
+      if (error) throw error;
+
+      const counter = Array.isArray(data) ? data[0] : data;
+      return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+    },
+
+    // Called by express-rate-limit for skipped (e.g. failed) requests
+    async decrement(key) {
+      const { data, error } = await supabase
+        .from('rate_limit_counters')
+        .select('hits')
+        .eq('key', `${prefix}${key}`)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || data.hits <= 0) return;
+
+      const { error: updateError } = await supabase
+        .from('rate_limit_counters')
+        .update({ hits: data.hits - 1 })
+        .eq('key', `${prefix}${key}`);
+
+      if (updateError) throw updateError;
+    },
+
+    async resetKey(key) {
+      const { error } = await supabase
+        .from('rate_limit_counters')
+        .delete()
+        .eq('key', `${prefix}${key}`);
+
+      if (error) throw error;
+    }
+  };
+};
+
+export { createSupabaseRateLimitStore };
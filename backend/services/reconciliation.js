@@ -0,0 +1,327 @@
+import cron from 'node-cron';
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+import { contract, airdropContract } from '../config/blockchain.js';
+import { MEMBERSHIP_LEVELS } from './relay-jobs.js';
+import { countUnrecordedInvites } from './invite-payouts.js';
+import { getInvitationTotal, appendLedgerAdjustment } from './invitation-ledger.js';
+import { getAllChainEvents } from './chain-indexer.js';
+
+// Compares every account in Supabase with the contracts and records any
+// disagreement in drift_reports. Nothing is rewritten automatically; operators
+// review the reports and apply fixes through the admin endpoints.
+// Report lifecycle: open -> fixed | dismissed | cleared (no longer detected)
+
+const DRIFT_FIELDS = ['account_exists', 'last_daily_claim_time', 'membership_level', 'claim_count', 'invitation_uses'];
+const DRIFT_STATUSES = ['open', 'fixed', 'dismissed', 'cleared'];
+
+// Fields whose database value can be overwritten with the on-chain value
+const FIXABLE_FIELDS = ['last_daily_claim_time', 'membership_level', 'claim_count', 'invitation_uses'];
+
+// The database records claim time when the relay job is processed, slightly after the block
+const TIME_TOLERANCE_SECONDS = Number(process.env.RECONCILIATION_TIME_TOLERANCE_SECONDS || 300);
+const PAGE_SIZE = 500;
+
+const toUnixSeconds = (value) => value ? Math.floor(new Date(value).getTime() / 1000) : 0;
+
+const countClaims = async (walletAddress) => {
+  const { count, error } = await supabase
+    .from('claims')
+    .select('id', { count: 'exact', head: true })
+    .eq('wallet_address', walletAddress);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+// Returns the drifts for one account as [{ field, dbValue, chainValue }]
+const inspectAccount = async (account) => {
+  const walletAddress = account.wallet_address;
+  const userAccount = await contract.userAccounts(walletAddress);
+
+  if (!userAccount.exists) {
+    return [{ field: 'account_exists', dbValue: 'true', chainValue: 'false' }];
+  }
+
+  const drifts = [];
+
+  const dbClaimTime = toUnixSeconds(account.last_daily_claim_time);
+  const chainClaimTime = Number(userAccount.lastDailyClaimTime);
+  if (Math.abs(dbClaimTime - chainClaimTime) > TIME_TOLERANCE_SECONDS) {
+    drifts.push({
+      field: 'last_daily_claim_time',
+      dbValue: account.last_daily_claim_time || null,
+      chainValue: chainClaimTime > 0 ? new Date(chainClaimTime * 1000).toISOString() : null
+    });
+  }
+
+  const chainLevel = MEMBERSHIP_LEVELS[Number(userAccount.membershipLevel)];
+  if ((account.membership_level || 'Based') !== chainLevel) {
+    drifts.push({ field: 'membership_level', dbValue: account.membership_level || null, chainValue: chainLevel });
+  }
+
+  const dbClaims = await countClaims(walletAddress);
+  const chainClaims = Number(userAccount.totalDailyClaims);
+  if (dbClaims !== chainClaims) {
+    drifts.push({ field: 'claim_count', dbValue: String(dbClaims), chainValue: String(chainClaims) });
+  }
+
+  // Invites whose payout is queued, held for sybil review or failed are counted in the
+  // database but not recorded on-chain yet
+  const chainUses = Number(await airdropContract.inviteUses(walletAddress));
+  const dbUses = (await getInvitationTotal(walletAddress)) - (await countUnrecordedInvites(walletAddress));
+  if (dbUses !== chainUses) {
+    drifts.push({ field: 'invitation_uses', dbValue: String(dbUses), chainValue: String(chainUses) });
+  }
+
+  return drifts;
+};
+
+// Keeps one open report per wallet and field, refreshed on every run
+const recordDrifts = async (walletAddress, drifts, now) => {
+  const { data: openReports, error } = await supabase
+    .from('drift_reports')
+    .select('id, field')
+    .eq('wallet_address', walletAddress)
+    .eq('status', 'open');
+
+  if (error) throw error;
+
+  const openByField = new Map((openReports || []).map(report => [report.field, report.id]));
+
+  for (const drift of drifts) {
+    const fields = {
+      db_value: drift.dbValue,
+      chain_value: drift.chainValue,
+      last_seen_at: now
+    };
+
+    const existingId = openByField.get(drift.field);
+    const { error: writeError } = existingId
+      ? await supabase.from('drift_reports').update(fields).eq('id', existingId)
+      : await supabase.from('drift_reports').insert({
+        wallet_address: walletAddress,
+        field: drift.field,
+        status: 'open',
+        detected_at: now,
+        ...fields
+      });
+
+    if (writeError) throw writeError;
+    openByField.delete(drift.field);
+  }
+
+  // Whatever is still open was not detected this time
+  if (openByField.size > 0) {
+    const { error: clearError } = await supabase
+      .from('drift_reports')
+      .update({ status: 'cleared', resolved_at: now, resolved_by: 'reconciliation' })
+      .in('id', [...openByField.values()]);
+
+    if (clearError) throw clearError;
+  }
+};
+
+let reconciling = false;
+let lastRun = null;
+
+// One full pass over the accounts table
+const runReconciliation = async () => {
+  if (reconciling) return lastRun;
+  reconciling = true;
+
+  const startedAt = new Date().toISOString();
+  const summary = { startedAt, finishedAt: null, accountsChecked: 0, accountsWithDrift: 0, drifts: 0, errors: 0 };
+  console.log('🔎 Reconciliation run started');
+
+  try {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data: accounts, error } = await supabase
+        .from('accounts')
+        .select('wallet_address, membership_level, last_daily_claim_time')
+        .order('created_at', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      for (const account of accounts || []) {
+        if (!ethers.isAddress(account.wallet_address)) continue;
+
+        try {
+          const drifts = await inspectAccount(account);
+          await recordDrifts(account.wallet_address, drifts, startedAt);
+
+          summary.accountsChecked++;
+          if (drifts.length > 0) {
+            summary.accountsWithDrift++;
+            summary.drifts += drifts.length;
+          }
+        } catch (err) {
+          summary.errors++;
+          console.error(`❌ Reconciliation failed for ${account.wallet_address}:`, err.shortMessage || err.message);
+        }
+      }
+
+      if (!accounts || accounts.length < PAGE_SIZE) break;
+    }
+  } catch (err) {
+    summary.errors++;
+    console.error('❌ Reconciliation run failed:', err);
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    reconciling = false;
+  }
+
+  console.log('🔎 Reconciliation run finished:', summary);
+  return summary;
+};
+
+const getLastReconciliationRun = () => ({ running: reconciling, lastRun });
+
+// Tx hashes of every claim recorded for one wallet, read a page at a time
+const getClaimHashes = async (walletAddress) => {
+  const hashes = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('claims')
+      .select('tx_hash')
+      .eq('wallet_address', walletAddress)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    hashes.push(...data.map(claim => claim.tx_hash));
+    if (data.length < PAGE_SIZE) return hashes;
+  }
+};
+
+// Inserts claims for indexed DailyClaimCompleted events the claims table is missing
+const backfillClaims = async (walletAddress) => {
+  const events = await getAllChainEvents(walletAddress, 'DailyClaimCompleted');
+  const claimHashes = await getClaimHashes(walletAddress);
+
+  const known = new Set(claimHashes.map(hash => hash?.toLowerCase()));
+  const missing = events.filter(event => !known.has(event.tx_hash.toLowerCase()));
+
+  if (missing.length === 0) return 0;
+
+  const { error: insertError } = await supabase
+    .from('claims')
+    .insert(missing.map(event => ({
+      wallet_address: walletAddress,
+      claimed_at: event.block_timestamp,
+      reward: 0,
+      consecutive_days: 0, // Unknown for backfilled claims
+      tx_hash: event.tx_hash
+    })));
+
+  if (insertError) throw insertError;
+  return missing.length;
+};
+
+const applyFix = async (walletAddress, field, chainValue, resolvedBy) => {
+  switch (field) {
+    case 'last_daily_claim_time':
+      return supabase.from('accounts').update({ last_daily_claim_time: chainValue }).eq('wallet_address', walletAddress);
+    case 'membership_level':
+      return supabase.from('accounts').update({ membership_level: chainValue }).eq('wallet_address', walletAddress);
+    // The ledger is append-only: the difference is booked as an adjustment entry
+    case 'invitation_uses': {
+      const expectedUses = Number(chainValue) + (await countUnrecordedInvites(walletAddress));
+      const delta = expectedUses - (await getInvitationTotal(walletAddress));
+      if (delta !== 0) {
+        await appendLedgerAdjustment(walletAddress, delta, 'Matched to inviteUses on the airdrop contract', resolvedBy);
+      }
+      return { error: null };
+    }
+    case 'claim_count': {
+      const inserted = await backfillClaims(walletAddress);
+      const remaining = Number(chainValue) - (await countClaims(walletAddress));
+      if (remaining !== 0) {
+        return { error: new Error(`Backfilled ${inserted} claims but ${remaining} still differ; is the indexer caught up?`) };
+      }
+      return { error: null };
+    }
+    default:
+      return { error: new Error(`Field ${field} cannot be fixed automatically`) };
+  }
+};
+
+// Overwrites the database with the current on-chain value for one open report.
+// The account is re-inspected first so the fix never uses a stale chain value.
+const fixDriftReport = async (report, resolvedBy) => {
+  if (!FIXABLE_FIELDS.includes(report.field)) {
+    const err = new Error(`Field ${report.field} cannot be fixed automatically`);
+    err.code = 'NotFixable';
+    throw err;
+  }
+
+  const { data: account, error } = await supabase
+    .from('accounts')
+    .select('wallet_address, membership_level, last_daily_claim_time')
+    .eq('wallet_address', report.wallet_address)
+    .single();
+
+  if (error) throw error;
+
+  const now = new Date().toISOString();
+  const drift = (await inspectAccount(account)).find(item => item.field === report.field);
+
+  if (drift) {
+    const { error: fixError } = await applyFix(report.wallet_address, report.field, drift.chainValue, resolvedBy);
+    if (fixError) throw fixError;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('drift_reports')
+    .update({
+      status: drift ? 'fixed' : 'cleared',
+      chain_value: drift ? drift.chainValue : report.chain_value,
+      resolved_at: now,
+      resolved_by: resolvedBy
+    })
+    .eq('id', report.id)
+    .select('*')
+    .single();
+
+  if (updateError) throw updateError;
+
+  console.log(`🩹 Drift report ${report.id} (${report.field}) for ${report.wallet_address} ${updated.status} by ${resolvedBy}`);
+  return updated;
+};
+
+const formatDriftReport = (report) => ({
+  id: report.id,
+  walletAddress: report.wallet_address,
+  field: report.field,
+  dbValue: report.db_value,
+  chainValue: report.chain_value,
+  status: report.status,
+  fixable: FIXABLE_FIELDS.includes(report.field),
+  detectedAt: report.detected_at,
+  lastSeenAt: report.last_seen_at,
+  resolvedAt: report.resolved_at || null,
+  resolvedBy: report.resolved_by || null
+});
+
+// Runs on RECONCILIATION_CRON (default: hourly)
+const startReconciliationSchedule = (expression = process.env.RECONCILIATION_CRON || '0 * * * *') => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid RECONCILIATION_CRON expression: ${expression}`);
+  }
+
+  console.log(`🔎 Reconciliation scheduled (${expression})`);
+  return cron.schedule(expression, runReconciliation);
+};
+
+export {
+  DRIFT_FIELDS,
+  DRIFT_STATUSES,
+  runReconciliation,
+  getLastReconciliationRun,
+  fixDriftReport,
+  formatDriftReport,
+  startReconciliationSchedule
+};
@@ -0,0 +1,266 @@
+import { supabase } from '../config/supabase.js';
+
+// Time-boxed referral campaigns with bonus rules (not to be confused with campaign codes in
+// invitation-codes.js, which are just codes with their own use limit).
+// An activation during a campaign is attributed to it when the inviter's membership level is
+// eligible; each activation counts for at most one campaign, the one that started last. The
+// activation RPC (activate_account_with_usage) records the attribution in its transaction. Once the
+// invite is recorded on InviteAirdropV2 (its record_invite payout is paid, so invites rejected in
+// sybil review never qualify) the inviter earns the bonus: a fixed ENB amount per invite, or for
+// multiplier campaigns (multiplier - 1) times the tier rewards that invite paid. Bonuses are
+// campaign_bonus payouts in the invite payout outbox, queued by complete_invite_payout when the
+// record_invite is marked paid and sent by the relayer as ENB transfers.
+// Campaign status: scheduled -> active -> ended, or cancelled at any point. Invites attributed
+// before a cancellation keep their bonus.
+
+const BONUS_TYPES = ['per_invite', 'airdrop_multiplier'];
+const CAMPAIGN_STATUSES = ['scheduled', 'active', 'ended', 'cancelled'];
+
+const referralCampaignError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isReferralCampaignError: true });
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const getCampaignStatus = (row, now = new Date()) => {
+  if (row.cancelled_at) return 'cancelled';
+  if (new Date(row.starts_at) > now) return 'scheduled';
+  if (new Date(row.ends_at) <= now) return 'ended';
+  return 'active';
+};
+
+const formatReferralCampaign = (row, now = new Date()) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || null,
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  eligibleLevels: row.eligible_levels || [],
+  bonusType: row.bonus_type,
+  bonusAmount: toNumber(row.bonus_amount),
+  airdropMultiplier: toNumber(row.airdrop_multiplier),
+  status: getCampaignStatus(row, now),
+  cancelledAt: row.cancelled_at || null,
+  cancelledBy: row.cancelled_by || null,
+  createdBy: row.created_by || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const getCampaignRow = async (id) => {
+  const { data, error } = await supabase
+    .from('referral_campaigns')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw referralCampaignError('ReferralCampaignNotFound', 'Referral campaign not found', 404);
+  return data;
+};
+
+// Checks the merged campaign fields and returns the bonus columns for its bonus type
+const validateCampaign = ({ startsAt, endsAt, bonusType, bonusAmount, airdropMultiplier }) => {
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    throw referralCampaignError('InvalidCampaignWindow', 'startsAt and endsAt must be ISO 8601 dates.');
+  }
+  if (endsAt <= startsAt) {
+    throw referralCampaignError('InvalidCampaignWindow', 'endsAt must be after startsAt.');
+  }
+
+  if (bonusType === 'per_invite') {
+    if (!(bonusAmount > 0)) {
+      throw referralCampaignError('InvalidCampaignBonus', 'per_invite campaigns need a bonusAmount above 0.');
+    }
+    return { bonus_amount: bonusAmount, airdrop_multiplier: null };
+  }
+
+  if (!(airdropMultiplier > 1)) {
+    throw referralCampaignError('InvalidCampaignBonus', 'airdrop_multiplier campaigns need an airdropMultiplier above 1.');
+  }
+  return { bonus_amount: null, airdrop_multiplier: airdropMultiplier };
+};
+
+const createReferralCampaign = async ({ name, description, startsAt, endsAt, eligibleLevels, bonusType, bonusAmount, airdropMultiplier }, createdBy) => {
+  const window = { startsAt: new Date(startsAt), endsAt: new Date(endsAt) };
+  const bonus = validateCampaign({ ...window, bonusType, bonusAmount, airdropMultiplier });
+
+  if (window.endsAt <= new Date()) {
+    throw referralCampaignError('InvalidCampaignWindow', 'endsAt must be in the future.');
+  }
+
+  const { data, error } = await supabase
+    .from('referral_campaigns')
+    .insert({
+      name,
+      description: description || null,
+      starts_at: window.startsAt.toISOString(),
+      ends_at: window.endsAt.toISOString(),
+      eligible_levels: eligibleLevels || [],
+      bonus_type: bonusType,
+      ...bonus,
+      created_by: createdBy
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  console.log(`📣 Referral campaign "${data.name}" created by ${createdBy}`);
+  return formatReferralCampaign(data);
+};
+
+// Name, description, end time and eligible levels can change until the campaign ends.
+// The start time and bonus rules are fixed once it has started.
+const updateReferralCampaign = async (id, changes, updatedBy) => {
+  const row = await getCampaignRow(id);
+  const status = getCampaignStatus(row);
+
+  if (status === 'ended' || status === 'cancelled') {
+    throw referralCampaignError('ReferralCampaignClosed', `Referral campaign is ${status}`, 409);
+  }
+
+  const changesRules = ['startsAt', 'bonusType', 'bonusAmount', 'airdropMultiplier'].some(field => changes[field] !== undefined);
+  if (status === 'active' && changesRules) {
+    throw referralCampaignError('ReferralCampaignStarted', 'The start time and bonus of a running campaign cannot change', 409);
+  }
+
+  const merged = {
+    startsAt: new Date(changes.startsAt ?? row.starts_at),
+    endsAt: new Date(changes.endsAt ?? row.ends_at),
+    bonusType: changes.bonusType ?? row.bonus_type,
+    bonusAmount: changes.bonusAmount ?? toNumber(row.bonus_amount),
+    airdropMultiplier: changes.airdropMultiplier ?? toNumber(row.airdrop_multiplier)
+  };
+  const bonus = validateCampaign(merged);
+
+  if (changes.endsAt !== undefined && merged.endsAt <= new Date()) {
+    throw referralCampaignError('InvalidCampaignWindow', 'endsAt must be in the future; cancel the campaign to stop it now.');
+  }
+
+  const update = {
+    starts_at: merged.startsAt.toISOString(),
+    ends_at: merged.endsAt.toISOString(),
+    bonus_type: merged.bonusType,
+    ...bonus,
+    updated_at: new Date().toISOString()
+  };
+  if (changes.name !== undefined) update.name = changes.name;
+  if (changes.description !== undefined) update.description = changes.description || null;
+  if (changes.eligibleLevels !== undefined) update.eligible_levels = changes.eligibleLevels;
+
+  const { data, error } = await supabase
+    .from('referral_campaigns')
+    .update(update)
+    .eq('id', id)
+    .is('cancelled_at', null)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw referralCampaignError('ReferralCampaignClosed', 'Referral campaign was cancelled', 409);
+
+  console.log(`📣 Referral campaign "${data.name}" updated by ${updatedBy}`);
+  return formatReferralCampaign(data);
+};
+
+const cancelReferralCampaign = async (id, cancelledBy) => {
+  const row = await getCampaignRow(id);
+  const status = getCampaignStatus(row);
+
+  if (status === 'ended' || status === 'cancelled') {
+    throw referralCampaignError('ReferralCampaignClosed', `Referral campaign is already ${status}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('referral_campaigns')
+    .update({ cancelled_at: now, cancelled_by: cancelledBy, updated_at: now })
+    .eq('id', id)
+    .is('cancelled_at', null)
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw referralCampaignError('ReferralCampaignClosed', 'Referral campaign is already cancelled', 409);
+
+  console.log(`🛑 Referral campaign "${data.name}" cancelled by ${cancelledBy}`);
+  return formatReferralCampaign(data);
+};
+
+const listReferralCampaigns = async ({ status, limit, offset }) => {
+  const now = new Date().toISOString();
+
+  let query = supabase
+    .from('referral_campaigns')
+    .select('*', { count: 'exact' });
+
+  if (status === 'cancelled') {
+    query = query.not('cancelled_at', 'is', null);
+  } else if (status === 'scheduled') {
+    query = query.is('cancelled_at', null).gt('starts_at', now);
+  } else if (status === 'active') {
+    query = query.is('cancelled_at', null).lte('starts_at', now).gt('ends_at', now);
+  } else if (status === 'ended') {
+    query = query.is('cancelled_at', null).lte('ends_at', now);
+  }
+
+  const { data, error, count } = await query
+    .order('starts_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { campaigns: (data || []).map(row => formatReferralCampaign(row)), count: count || 0 };
+};
+
+// A campaign by id, formatted. Activations are attributed to campaigns by the
+// activate_account_with_usage RPC, which returns the campaign's id.
+const getReferralCampaign = async (id) => formatReferralCampaign(await getCampaignRow(id));
+
+const formatCampaignTotals = (row = {}) => ({
+  attributedInvites: Number(row.attributed) || 0,
+  qualifiedInvites: Number(row.qualified) || 0,
+  rejectedInvites: Number(row.rejected) || 0,
+  bonusPaid: Number(row.bonus_paid) || 0,
+  bonusPending: Number(row.bonus_pending) || 0,
+  bonusFailed: Number(row.bonus_failed) || 0
+});
+
+// Campaign totals plus a page of inviters, most attributed invites first
+const getReferralCampaignReport = async (id, { limit, offset }) => {
+  const campaign = formatReferralCampaign(await getCampaignRow(id));
+
+  const { data, error, count } = await supabase
+    .rpc('get_referral_campaign_report', { p_campaign_id: id, p_per_inviter: true }, { count: 'exact' })
+    .order('attributed', { ascending: false })
+    .order('inviter_wallet', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const { data: totals, error: totalsError } = await supabase.rpc('get_referral_campaign_report', {
+    p_campaign_id: id,
+    p_per_inviter: false
+  });
+
+  if (totalsError) throw totalsError;
+
+  return {
+    campaign,
+    totals: { inviters: count || 0, ...formatCampaignTotals(totals?.[0]) },
+    inviters: (data || []).map(row => ({ walletAddress: row.inviter_wallet, ...formatCampaignTotals(row) })),
+    count: count || 0
+  };
+};
+
+export {
+  BONUS_TYPES,
+  CAMPAIGN_STATUSES,
+  formatReferralCampaign,
+  createReferralCampaign,
+  updateReferralCampaign,
+  cancelReferralCampaign,
+  listReferralCampaigns,
+  getReferralCampaign,
+  getReferralCampaignReport
+};
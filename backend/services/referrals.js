@@ -0,0 +1,95 @@
+import { supabase } from '../config/supabase.js';
+import { getStreakSummary } from './streak-engine.js';
+import { MEMBERSHIP_LEVELS } from './relay-jobs.js';
+
+// Referral tree built from accounts.inviter_wallet, which activation sets to the owner of
+// the invitation code. Level 1 are a wallet's direct invitees, level 2 their invitees, and
+// so on down to the requested depth.
+
+const REFERRAL_MAX_DEPTH = Number(process.env.REFERRAL_MAX_DEPTH || 5);
+const REFERRAL_DEFAULT_DEPTH = Math.min(3, REFERRAL_MAX_DEPTH);
+// Invitees who claimed within this many days count as active miners
+const ACTIVE_MINER_DAYS = Number(process.env.REFERRAL_ACTIVE_MINER_DAYS || 7);
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatReferral = (row, now) => {
+  const streak = getStreakSummary(row, now);
+  const lastClaim = row.last_daily_claim_time ? new Date(row.last_daily_claim_time) : null;
+
+  return {
+    walletAddress: row.wallet_address,
+    inviterWallet: row.inviter_wallet,
+    level: row.depth,
+    membershipLevel: row.membership_level || 'Based',
+    activatedAt: toIsoString(row.activated_at),
+    consecutiveDays: streak.currentStreak,
+    longestStreak: streak.longestStreak,
+    totalClaims: Number(row.total_claims) || 0,
+    lastDailyClaimTime: toIsoString(lastClaim),
+    isActiveMiner: Boolean(lastClaim) && now - lastClaim <= ACTIVE_MINER_DAYS * 24 * 60 * 60 * 1000
+  };
+};
+
+const summarizeReferrals = (referrals) => {
+  const totalStreak = referrals.reduce((sum, referral) => sum + referral.consecutiveDays, 0);
+
+  return {
+    invitees: referrals.length,
+    activeMiners: referrals.filter(referral => referral.isActiveMiner).length,
+    withFirstClaim: referrals.filter(referral => referral.totalClaims > 0).length,
+    totalClaims: referrals.reduce((sum, referral) => sum + referral.totalClaims, 0),
+    averageStreak: referrals.length > 0 ? Math.round((totalStreak / referrals.length) * 100) / 100 : 0,
+    membershipLevels: Object.fromEntries(MEMBERSHIP_LEVELS.map(level => [
+      level,
+      referrals.filter(referral => referral.membershipLevel === level).length
+    ]))
+  };
+};
+
+// PostgREST caps every response at 1000 rows, RPC results included
+const DOWNLINE_PAGE_SIZE = 1000;
+
+// Every downline row, a page at a time (the function orders them by depth, activation and wallet)
+const getDownline = async (walletAddress, depth) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += DOWNLINE_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('get_referral_downline', {
+        p_wallet_address: walletAddress,
+        p_max_depth: depth
+      })
+      .range(offset, offset + DOWNLINE_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < DOWNLINE_PAGE_SIZE) return rows;
+  }
+};
+
+// Direct invitees, the deeper downline and per-level aggregates for one wallet
+const getReferralTree = async (walletAddress, depth = REFERRAL_DEFAULT_DEPTH, now = new Date()) => {
+  const rows = await getDownline(walletAddress, depth);
+  const referrals = rows.map(row => formatReferral(row, now));
+  const levels = [];
+  for (let level = 1; level <= depth; level++) {
+    levels.push({ level, ...summarizeReferrals(referrals.filter(referral => referral.level === level)) });
+  }
+
+  return {
+    walletAddress,
+    depth,
+    activeMinerDays: ACTIVE_MINER_DAYS,
+    invitees: referrals.filter(referral => referral.level === 1),
+    downline: referrals.filter(referral => referral.level > 1),
+    levels,
+    totals: summarizeReferrals(referrals)
+  };
+};
+
+export {
+  REFERRAL_MAX_DEPTH,
+  REFERRAL_DEFAULT_DEPTH,
+  getReferralTree
+};
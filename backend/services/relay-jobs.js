@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+import { contract, airdropContract, getEnbTokenContract } from '../config/blockchain.js';
+import { registerRelayJobType } from './relay-queue.js';
+import { ACCOUNT_STREAK_COLUMNS, applyClaimWithStreakItems } from './streak-items.js';
+import { syncTierRewards } from './invite-rewards.js';
+
+// Relay job types executed by the queue worker, and the database
+// bookkeeping each one performs once its transaction is mined.
+
+const MEMBERSHIP_LEVELS = ['Based', 'Super Based', 'Legendary'];
+
+const membershipMultiplier = {
+  'Based': 1,
+  'Super Based': 1.5,
+  'Legendary': 2
+};
+
+// Off-chain ENB reward: 10 per streak day (capped at 5) times the membership multiplier
+const calculateDailyReward = (consecutiveDays, membershipLevel) => {
+  const enbReward = consecutiveDays > 1 ? 10 * Math.min(consecutiveDays, 5) : 10;
+  return Math.floor(enbReward * (membershipMultiplier[membershipLevel] || 1));
+};
+
+// Daily claim. payload.creditReward also credits the off-chain ENB balance.
+registerRelayJobType('daily_claim', {
+  buildTransaction: (job) => contract.dailyClaim.populateTransaction(job.wallet_address),
+
+  onMined: async (job) => {
+    const user = job.wallet_address;
+    const now = new Date();
+
+    const { data: accountData, error: accountError } = await supabase
+      .from('accounts')
+      .select(`${ACCOUNT_STREAK_COLUMNS}, total_earned, membership_level`)
+      .eq('wallet_address', user)
+      .single();
+
+    // Nothing is written yet, so the worker can run this again on its next pass
+    if (accountError) {
+      console.error('❌ Failed to fetch account data:', accountError);
+      throw Object.assign(new Error(accountError.message), { retryable: true });
+    }
+
+    // Streak freezes cover missed days; see streak-items.js
+    const streak = await applyClaimWithStreakItems(accountData, now);
+    const consecutiveDays = streak.currentStreak;
+    const reward = job.payload?.creditReward
+      ? calculateDailyReward(consecutiveDays, accountData.membership_level)
+      : 0;
+
+    console.log(`🎯 Daily claim mined for ${user}: consecutive days ${consecutiveDays}, reward ${reward}`);
+
+    const { error: claimError } = await supabase
+      .from('claims')
+      .insert({
+        wallet_address: user,
+        claimed_at: now.toISOString(),
+        reward,
+        consecutive_days: consecutiveDays,
+        tx_hash: job.tx_hash
+      });
+
+    if (claimError) console.error('❌ Failed to log claim:', claimError);
+
+    const { error: updateError } = await supabase
+      .from('accounts')
+      .update({
+        last_daily_claim_time: now.toISOString(),
+        ...streak.accountUpdates,
+        last_transaction_hash: job.tx_hash
+      })
+      .eq('wallet_address', user);
+
+    if (updateError) throw updateError;
+
+    // Incremented in SQL rather than written back, so a freeze or repair bought meanwhile isn't undone
+    let newBalance;
+    if (reward > 0) {
+      const { data: creditedBalance, error: creditError } = await supabase.rpc('credit_enb_reward', {
+        p_wallet_address: user,
+        p_amount: reward,
+        p_description: `Daily claim reward (day ${consecutiveDays})`
+      });
+
+      if (creditError) throw creditError;
+      newBalance = Number(creditedBalance);
+    }
+
+    return {
+      consecutiveDays,
+      longestStreak: streak.longestStreak,
+      freezesUsed: streak.freezesUsed,
+      freezesEarned: streak.freezesEarned,
+      reward,
+      newBalance
+    };
+  }
+});
+
+// Membership upgrade. payload.syncAccount also updates the accounts table.
+registerRelayJobType('upgrade_membership', {
+  buildTransaction: (job) => contract.upgradeMembership.populateTransaction(job.wallet_address, job.payload.targetLevel),
+
+  onMined: async (job) => {
+    const { targetLevel, syncAccount } = job.payload;
+    const now = new Date().toISOString();
+
+    if (syncAccount) {
+      const { error: updateError } = await supabase
+        .from('accounts')
+        .update({
+          membership_level: MEMBERSHIP_LEVELS[targetLevel],
+          last_upgrade_at: now,
+          upgrade_transaction_hash: job.tx_hash
+        })
+        .eq('wallet_address', job.wallet_address);
+
+      if (updateError) throw updateError;
+    }
+
+    const { error: upgradeError } = await supabase
+      .from('upgrades')
+      .insert({
+        wallet_address: job.wallet_address,
+        upgraded_at: now,
+        level: targetLevel,
+        tx_hash: job.tx_hash
+      });
+
+    if (upgradeError) console.error('Warning: Failed to log upgrade:', upgradeError);
+
+    return { newLevel: MEMBERSHIP_LEVELS[targetLevel] };
+  }
+});
+
+// Owner-forced daily claim (admin/emergency use)
+registerRelayJobType('force_daily_claim', {
+  buildTransaction: (job) => contract.forceDailyClaim.populateTransaction(job.wallet_address),
+
+  onMined: async (job) => {
+    const { error: claimError } = await supabase
+      .from('claims')
+      .insert({
+        wallet_address: job.wallet_address,
+        claimed_at: new Date().toISOString(),
+        reward: 0,
+        consecutive_days: 1, // Force claims start a new streak
+        tx_hash: job.tx_hash,
+        is_forced: true
+      });
+
+    if (claimError) console.error('Warning: Failed to log forced claim:', claimError);
+
+    return { consecutiveDays: 1 };
+  }
+});
+
+// Invite reward payouts, queued by the payout worker (see invite-payouts.js).
+// payload.payoutId is the invite_payouts row the transaction belongs to.
+registerRelayJobType('record_invite_use', {
+  buildTransaction: (job) => airdropContract.recordInviteUse.populateTransaction(job.wallet_address),
+  onMined: (job, receipt) => syncTierRewards(job.wallet_address, receipt)
+});
+
+registerRelayJobType('settle_invite_tiers', {
+  buildTransaction: (job) => airdropContract.payReachedTiers.populateTransaction(job.wallet_address),
+  onMined: (job, receipt) => syncTierRewards(job.wallet_address, receipt)
+});
+
+// Referral campaign bonus: an ENB transfer from the relayer (see referral-campaigns.js).
+// payload.amount is in ENB.
+registerRelayJobType('send_campaign_bonus', {
+  buildTransaction: async (job) => {
+    const enbToken = await getEnbTokenContract();
+    return enbToken.transfer.populateTransaction(job.wallet_address, ethers.parseEther(String(job.payload.amount)));
+  },
+  onMined: (job, receipt) => ({ amount: String(job.payload.amount), txHash: receipt.hash })
+});
+
+export { MEMBERSHIP_LEVELS, calculateDailyReward };
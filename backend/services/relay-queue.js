@@ -0,0 +1,338 @@
+import { supabase } from '../config/supabase.js';
+import { provider, relayerWallet } from '../config/blockchain.js';
+import { decodeContractError } from './contract-errors.js';
+
+// Durable queue for relayer transactions.
+// Routes enqueue jobs; a single worker assigns nonces sequentially, broadcasts,
+// tracks receipts and re-broadcasts stuck transactions with bumped fees.
+// Job lifecycle: queued -> sent -> mined | failed
+
+const RELAY_JOB_STATUSES = ['queued', 'sent', 'mined', 'failed'];
+
+// Re-broadcast a sent transaction if it has not been mined after this long (ms)
+const STUCK_AFTER_MS = Number(process.env.RELAY_STUCK_AFTER_MS || 60 * 1000);
+// Each replacement raises fees by this percentage (nodes require at least 10%)
+const FEE_BUMP_PERCENT = BigInt(process.env.RELAY_FEE_BUMP_PERCENT || 20);
+const MAX_ATTEMPTS = Number(process.env.RELAY_MAX_ATTEMPTS || 5);
+const BATCH_SIZE = 10;
+
+// Job type -> { buildTransaction(job), onMined(job, receipt) }
+const jobTypes = new Map();
+
+const registerRelayJobType = (type, definition) => {
+  if (typeof definition.buildTransaction !== 'function') {
+    throw new Error(`Relay job type ${type} needs a buildTransaction function`);
+  }
+  jobTypes.set(type, definition);
+};
+
+const formatRelayJob = (job) => ({
+  id: job.id,
+  type: job.job_type,
+  walletAddress: job.wallet_address,
+  status: job.status,
+  txHash: job.tx_hash || null,
+  nonce: job.nonce,
+  attempts: job.attempts || 0,
+  error: job.last_error || null,
+  errorCode: job.error_code || null,
+  result: job.result || null,
+  createdAt: job.created_at,
+  sentAt: job.sent_at || null,
+  minedAt: job.mined_at || null,
+  updatedAt: job.updated_at
+});
+
+const enqueueRelayJob = async (type, walletAddress, payload = {}) => {
+  if (!jobTypes.has(type)) {
+    throw new Error(`Unknown relay job type: ${type}`);
+  }
+
+  const { data, error } = await supabase
+    .from('relay_jobs')
+    .insert({
+      job_type: type,
+      wallet_address: walletAddress,
+      payload,
+      status: 'queued'
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+
+  console.log('📥 Relay job queued:', { id: data.id, type, walletAddress });
+  return data;
+};
+
+const getRelayJob = async (id) => {
+  const { data, error } = await supabase
+    .from('relay_jobs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const updateRelayJob = async (id, fields) => {
+  const { error } = await supabase
+    .from('relay_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+// error_code holds the stable API code (see contract-errors.js), last_error the raw message
+const failRelayJob = async (job, err, extra = {}) => {
+  const decoded = decodeContractError(err);
+  console.error(`❌ Relay job ${job.id} failed (${decoded.code}):`, err.shortMessage || err.message);
+  await updateRelayJob(job.id, {
+    status: 'failed',
+    last_error: err.shortMessage || err.message,
+    error_code: decoded.code,
+    ...extra
+  });
+};
+
+const bumpFee = (previous, current) => {
+  const bumped = (BigInt(previous) * (100n + FEE_BUMP_PERCENT)) / 100n;
+  return bumped > current ? bumped : current;
+};
+
+const isNonceError = (err) => {
+  return err.code === 'NONCE_EXPIRED' ||
+    err.code === 'REPLACEMENT_UNDERPRICED' ||
+    /nonce too low|already known/i.test(err.message || '');
+};
+
+// Next nonce never goes below the chain's pending count, so transactions sent
+// outside the queue (e.g. airdrops) are accounted for on the next assignment
+let nextNonce = null;
+
+const reserveNonce = async () => {
+  const pendingCount = await provider.getTransactionCount(relayerWallet.address, 'pending');
+  nextNonce = nextNonce === null ? pendingCount : Math.max(nextNonce, pendingCount);
+  return nextNonce++;
+};
+
+const broadcast = async (job, nonce, fees) => {
+  const definition = jobTypes.get(job.job_type);
+  const request = await definition.buildTransaction(job);
+
+  // Surface contract reverts before spending a nonce
+  const gasLimit = await relayerWallet.estimateGas(request);
+
+  return relayerWallet.sendTransaction({
+    ...request,
+    nonce,
+    gasLimit,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+  });
+};
+
+// Broadcast jobs whose 'sent' row could not be written yet: job id -> the fields to write.
+// Until the write lands the row still reads queued, and must not be broadcast a second time.
+const unsavedSends = new Map();
+const SAVE_ATTEMPTS = 3;
+const SAVE_RETRY_DELAY_MS = 1000;
+
+const saveSentJob = async (id, fields) => {
+  for (let attempt = 1; attempt <= SAVE_ATTEMPTS; attempt++) {
+    try {
+      await updateRelayJob(id, fields);
+      unsavedSends.delete(id);
+      return;
+    } catch (err) {
+      if (attempt === SAVE_ATTEMPTS) {
+        // Never fail a broadcast job: its transaction may still be mined. Keep the hash and retry next pass.
+        unsavedSends.set(id, fields);
+        console.error(`❌ Relay job ${id} was broadcast but could not be saved as sent, will retry:`,
+          { nonce: fields.nonce, txHash: fields.tx_hash }, err.message);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, SAVE_RETRY_DELAY_MS * attempt));
+    }
+  }
+};
+
+const sendQueuedJob = async (job) => {
+  if (unsavedSends.has(job.id)) {
+    return saveSentJob(job.id, unsavedSends.get(job.id));
+  }
+
+  if (!jobTypes.has(job.job_type)) {
+    return failRelayJob(job, new Error(`Unknown relay job type: ${job.job_type}`));
+  }
+
+  const feeData = await provider.getFeeData();
+  const nonce = await reserveNonce();
+
+  let tx;
+  try {
+    tx = await broadcast(job, nonce, feeData);
+  } catch (err) {
+    // The nonce was not consumed on-chain; resync before the next assignment
+    nextNonce = null;
+
+    if (isNonceError(err) && (job.attempts || 0) + 1 < MAX_ATTEMPTS) {
+      console.warn(`⚠️ Nonce conflict for relay job ${job.id}, will retry:`, err.shortMessage || err.message);
+      await updateRelayJob(job.id, { attempts: (job.attempts || 0) + 1, last_error: err.shortMessage || err.message });
+      return;
+    }
+
+    return failRelayJob(job, err, { attempts: (job.attempts || 0) + 1 });
+  }
+
+  console.log(`📤 Relay job ${job.id} sent:`, { nonce, txHash: tx.hash });
+
+  await saveSentJob(job.id, {
+    status: 'sent',
+    nonce,
+    tx_hash: tx.hash,
+    tx_hashes: [tx.hash],
+    max_fee_per_gas: feeData.maxFeePerGas?.toString() || null,
+    max_priority_fee_per_gas: feeData.maxPriorityFeePerGas?.toString() || null,
+    attempts: (job.attempts || 0) + 1,
+    sent_at: new Date().toISOString()
+  });
+};
+
+const completeMinedJob = async (job, receipt) => {
+  if (receipt.status !== 1) {
+    const revertError = Object.assign(new Error('Transaction reverted on-chain'), { code: 'CALL_EXCEPTION' });
+    return failRelayJob(job, revertError, {
+      tx_hash: receipt.hash,
+      mined_at: new Date().toISOString()
+    });
+  }
+
+  let result = null;
+  const definition = jobTypes.get(job.job_type);
+
+  try {
+    if (definition?.onMined) {
+      result = await definition.onMined({ ...job, tx_hash: receipt.hash }, receipt);
+    }
+  } catch (err) {
+    // onMined marks errors it hit before writing anything as retryable; the job stays sent
+    // and the next pass finds the receipt again, up to MAX_ATTEMPTS tries
+    const syncAttempts = (job.result?.syncAttempts || 0) + 1;
+    if (err.retryable && syncAttempts < MAX_ATTEMPTS) {
+      console.warn(`⚠️ Post-processing failed for relay job ${job.id}, will retry:`, err.message);
+      return updateRelayJob(job.id, { result: { syncError: err.message, syncAttempts }, last_error: err.message });
+    }
+
+    // The transaction is final either way; keep the job mined and record the sync error
+    console.error(`❌ Post-processing failed for relay job ${job.id}:`, err);
+    result = { syncError: err.message };
+  }
+
+  await updateRelayJob(job.id, {
+    status: 'mined',
+    tx_hash: receipt.hash,
+    block_number: receipt.blockNumber,
+    gas_used: receipt.gasUsed.toString(),
+    result,
+    mined_at: new Date().toISOString()
+  });
+
+  console.log(`✅ Relay job ${job.id} mined in block ${receipt.blockNumber}`);
+};
+
+const checkSentJob = async (job) => {
+  // Any of the broadcast attempts (original or fee-bumped replacement) may be the one mined
+  const hashes = job.tx_hashes && job.tx_hashes.length > 0 ? job.tx_hashes : [job.tx_hash];
+
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return completeMinedJob(job, receipt);
+  }
+
+  const sentAt = new Date(job.sent_at).getTime();
+  if (Date.now() - sentAt < STUCK_AFTER_MS) return;
+
+  if ((job.attempts || 0) >= MAX_ATTEMPTS) {
+    return failRelayJob(job, new Error(`Transaction not mined after ${job.attempts} attempts`));
+  }
+
+  // Replace the stuck transaction: same nonce, higher fees
+  const feeData = await provider.getFeeData();
+  const fees = {
+    maxFeePerGas: bumpFee(job.max_fee_per_gas || 0, feeData.maxFeePerGas),
+    maxPriorityFeePerGas: bumpFee(job.max_priority_fee_per_gas || 0, feeData.maxPriorityFeePerGas)
+  };
+
+  try {
+    const tx = await broadcast(job, job.nonce, fees);
+    console.log(`⛽ Relay job ${job.id} re-broadcast with bumped fees:`, { nonce: job.nonce, txHash: tx.hash });
+
+    await updateRelayJob(job.id, {
+      tx_hash: tx.hash,
+      tx_hashes: [...hashes, tx.hash],
+      max_fee_per_gas: fees.maxFeePerGas.toString(),
+      max_priority_fee_per_gas: fees.maxPriorityFeePerGas.toString(),
+      attempts: (job.attempts || 0) + 1,
+      sent_at: new Date().toISOString()
+    });
+  } catch (err) {
+    // "nonce too low" means one of the earlier hashes was mined; the next pass picks it up
+    if (isNonceError(err)) return;
+    console.error(`❌ Failed to re-broadcast relay job ${job.id}:`, err.shortMessage || err.message);
+    await updateRelayJob(job.id, { last_error: err.shortMessage || err.message });
+  }
+};
+
+const fetchJobsByStatus = async (status) => {
+  const { data, error } = await supabase
+    .from('relay_jobs')
+    .select('*')
+    .eq('status', status)
+    .order('created_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+  return data || [];
+};
+
+let processing = false;
+
+// One pass over the queue. Jobs are handled strictly one at a time so nonces stay sequential.
+const processRelayQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (const job of await fetchJobsByStatus('sent')) {
+      await checkSentJob(job);
+    }
+
+    for (const job of await fetchJobsByStatus('queued')) {
+      await sendQueuedJob(job);
+    }
+  } catch (err) {
+    console.error('❌ Relay queue pass failed:', err);
+  } finally {
+    processing = false;
+  }
+};
+
+// Only one worker may run per relayer wallet, otherwise nonces collide
+const startRelayWorker = (intervalMs = Number(process.env.RELAY_WORKER_INTERVAL_MS || 3000)) => {
+  console.log(`🛠️ Relay worker started for ${relayerWallet.address} (every ${intervalMs}ms)`);
+  processRelayQueue();
+  return setInterval(processRelayQueue, intervalMs);
+};
+
+export {
+  RELAY_JOB_STATUSES,
+  registerRelayJobType,
+  enqueueRelayJob,
+  getRelayJob,
+  formatRelayJob,
+  processRelayQueue,
+  startRelayWorker
+};
@@ -0,0 +1,38 @@
+// Helpers shared by the report services (analytics.js, invite-funnel.js) and exports.js.
+// Dates are inclusive UTC days written as YYYY-MM-DD.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// `invalidRange(message)` builds the caller's own error, so each service reports bad dates the
+// way its routes expect
+const parseDate = (value, field, invalidRange) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  // Dates like 2026-02-30 parse as the following month instead of failing
+  if (Number.isNaN(date.getTime()) || toDateString(date) !== value) {
+    throw invalidRange(`${field} is not a valid date`);
+  }
+  return date;
+};
+
+// Start and end day of the from/to values; either may be omitted and comes back null
+const parseDates = ({ from, to }, invalidRange) => {
+  const start = from ? parseDate(from, 'from', invalidRange) : null;
+  const end = to ? parseDate(to, 'to', invalidRange) : null;
+
+  if (start && end && start > end) {
+    throw invalidRange('from must not be after to');
+  }
+  return { start, end };
+};
+
+// Share of `count` in `total`, to four decimals; 0 when the total is 0
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+export {
+  DAY_MS,
+  toDateString,
+  parseDates,
+  rate
+};
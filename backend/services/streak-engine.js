@@ -0,0 +1,177 @@
+// The one place streaks are calculated. Claim routes, the relay worker,
+// mining activity, profiles and leaderboards all go through this module.
+//
+// STREAK_DAY_BOUNDARY
+//   midnight (default) - a claim on the next calendar day in STREAK_TIMEZONE continues the streak
+//   rolling            - a claim within 48h of the previous one continues the streak
+//                        (the contract enforces a 24h cooldown, so that is a 24h window to claim)
+// STREAK_GRACE_HOURS extends the deadline in both modes, e.g. 2 lets a claim at 01:30 on the
+// day after "tomorrow" still count in midnight mode.
+// Each streak freeze held covers one missed day (see streak-items.js). The resulting deadline
+// is persisted in accounts.streak_expires_at so leaderboards can filter on it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const STREAK_DAY_BOUNDARIES = ['midnight', 'rolling'];
+
+const DAY_BOUNDARY = STREAK_DAY_BOUNDARIES.includes(process.env.STREAK_DAY_BOUNDARY)
+  ? process.env.STREAK_DAY_BOUNDARY
+  : 'midnight';
+const TIMEZONE = process.env.STREAK_TIMEZONE || 'UTC';
+const GRACE_MS = Number(process.env.STREAK_GRACE_HOURS || 0) * HOUR_MS;
+
+// Throws at startup on an unknown IANA timezone rather than on the first claim
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+const localParts = (date) => {
+  const parts = {};
+  for (const { type, value } of dateFormatter.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// Calendar day number in the configured timezone
+const localDayIndex = (date) => {
+  const { year, month, day } = localParts(date);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+const msSinceLocalMidnight = (date) => {
+  const { hour, minute, second } = localParts(date);
+  return ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds();
+};
+
+// How a claim at `claimTime` relates to the previous claim: 'same' day, 'continued' or 'broken'
+const compareClaims = (previousClaimTime, claimTime) => {
+  const previous = new Date(previousClaimTime);
+  const current = new Date(claimTime);
+
+  if (DAY_BOUNDARY === 'rolling') {
+    const gap = current.getTime() - previous.getTime();
+    if (gap < DAY_MS) return 'same';
+    return gap <= 2 * DAY_MS + GRACE_MS ? 'continued' : 'broken';
+  }
+
+  const dayDiff = localDayIndex(current) - localDayIndex(previous);
+  if (dayDiff <= 0) return 'same';
+  if (dayDiff === 1) return 'continued';
+  if (dayDiff === 2 && msSinceLocalMidnight(current) < GRACE_MS) return 'continued';
+  return 'broken';
+};
+
+// Streak days skipped between two claims (0 when the streak simply continues)
+const countMissedDays = (previousClaimTime, claimTime) => {
+  const previous = new Date(previousClaimTime);
+  const current = new Date(claimTime);
+
+  if (DAY_BOUNDARY === 'rolling') {
+    const overdue = current.getTime() - previous.getTime() - 2 * DAY_MS - GRACE_MS;
+    return overdue > 0 ? Math.ceil(overdue / DAY_MS) : 0;
+  }
+
+  const dayDiff = localDayIndex(current) - localDayIndex(previous);
+  const withinGrace = msSinceLocalMidnight(current) < GRACE_MS ? 1 : 0;
+  return Math.max(0, dayDiff - 1 - withinGrace);
+};
+
+// Instant after which a streak is broken, given the last claim and the freezes held.
+// Midnight mode ignores DST shifts between the two dates.
+const getStreakDeadline = (lastClaimTime, freezes = 0) => {
+  const last = new Date(lastClaimTime);
+  const days = 2 + (freezes || 0);
+
+  if (DAY_BOUNDARY === 'rolling') {
+    return new Date(last.getTime() + days * DAY_MS + GRACE_MS);
+  }
+
+  const startOfLastDay = last.getTime() - msSinceLocalMidnight(last);
+  return new Date(startOfLastDay + days * DAY_MS + GRACE_MS);
+};
+
+// Streak after a claim at claimTime, given the persisted state before it.
+// Missed days are covered by freezes when enough are held; otherwise the streak
+// restarts and the lost value is returned as brokenStreak (repairable, see streak-items.js).
+const applyClaim = ({ lastClaimTime, currentStreak, longestStreak, freezes = 0 }, claimTime) => {
+  let nextStreak = 1;
+  let freezesUsed = 0;
+  let brokenStreak = 0;
+  let brokenAt = null;
+
+  if (lastClaimTime) {
+    const relation = compareClaims(lastClaimTime, claimTime);
+    const missedDays = countMissedDays(lastClaimTime, claimTime);
+
+    if (relation === 'same') {
+      nextStreak = Math.max(currentStreak || 0, 1);
+    } else if (missedDays <= freezes) {
+      nextStreak = (currentStreak || 0) + 1;
+      freezesUsed = missedDays;
+    } else {
+      brokenStreak = currentStreak || 0;
+      brokenAt = getStreakDeadline(lastClaimTime, freezes);
+    }
+  }
+
+  return {
+    currentStreak: nextStreak,
+    longestStreak: Math.max(longestStreak || 0, nextStreak),
+    freezesUsed,
+    brokenStreak,
+    brokenAt
+  };
+};
+
+// Persisted deadline, or the freeze-less one for accounts that have not claimed since it was added
+const getAccountStreakDeadline = (account) => {
+  if (account?.streak_expires_at) return new Date(account.streak_expires_at);
+  return account?.last_daily_claim_time ? getStreakDeadline(account.last_daily_claim_time) : null;
+};
+
+// A streak whose deadline has passed reads as 0 until the next claim persists a new one
+const getEffectiveStreak = (account, now = new Date()) => {
+  const deadline = getAccountStreakDeadline(account);
+  if (!deadline || !account.consecutive_days) return 0;
+  return now.getTime() < deadline.getTime() ? account.consecutive_days : 0;
+};
+
+// Streak fields shared by every response that shows a streak
+const getStreakSummary = (account, now = new Date()) => {
+  const currentStreak = getEffectiveStreak(account, now);
+  const deadline = getAccountStreakDeadline(account);
+
+  return {
+    currentStreak,
+    longestStreak: Math.max(account?.longest_streak || 0, currentStreak),
+    streakActive: currentStreak > 0,
+    streakExpiresAt: currentStreak > 0 && deadline ? deadline.toISOString() : null
+  };
+};
+
+const getStreakConfig = () => ({
+  dayBoundary: DAY_BOUNDARY,
+  timezone: TIMEZONE,
+  graceHours: GRACE_MS / HOUR_MS
+});
+
+export {
+  STREAK_DAY_BOUNDARIES,
+  compareClaims,
+  countMissedDays,
+  getStreakDeadline,
+  getAccountStreakDeadline,
+  applyClaim,
+  getEffectiveStreak,
+  getStreakSummary,
+  getStreakConfig
+};
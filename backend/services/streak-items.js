@@ -0,0 +1,257 @@
+import { supabase } from '../config/supabase.js';
+import {
+  applyClaim,
+  countMissedDays,
+  getStreakDeadline,
+  getAccountStreakDeadline,
+  getStreakSummary
+} from './streak-engine.js';
+
+// Streak freezes and streak repair.
+// - A freeze covers one missed day. Freezes are earned every STREAK_FREEZE_EARN_EVERY_DAYS
+//   streak days or bought with off-chain ENB, up to STREAK_FREEZE_MAX held at once.
+// - A repair restores a streak within STREAK_REPAIR_WINDOW_HOURS of it breaking, for ENB.
+// Purchases go through the spend_enb_on_streak_item SQL function so the debit and the
+// streak change are applied together.
+
+const FREEZE_PRICE = Number(process.env.STREAK_FREEZE_PRICE_ENB || 50);
+const REPAIR_PRICE = Number(process.env.STREAK_REPAIR_PRICE_ENB || 150);
+const MAX_FREEZES = Number(process.env.STREAK_FREEZE_MAX || 2);
+const EARN_EVERY_DAYS = Number(process.env.STREAK_FREEZE_EARN_EVERY_DAYS || 7);
+const REPAIR_WINDOW_MS = Number(process.env.STREAK_REPAIR_WINDOW_HOURS || 48) * 60 * 60 * 1000;
+
+const ACCOUNT_STREAK_COLUMNS = 'wallet_address, enb_balance, consecutive_days, longest_streak, last_daily_claim_time, streak_expires_at, broken_streak, streak_broken_at';
+
+// Errors the routes return as { error: code, message } with the given status
+const streakItemError = (code, message, status = 400) => {
+  return Object.assign(new Error(message), { code, status, isStreakItemError: true });
+};
+
+const getStreakInventory = async (walletAddress) => {
+  const { data, error } = await supabase
+    .from('streak_inventory')
+    .select('*')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || { wallet_address: walletAddress, freezes: 0, freezes_earned: 0, freezes_purchased: 0, freezes_used: 0, repairs_used: 0 };
+};
+
+const recordStreakItemEvent = async (walletAddress, itemType, action, quantity, streakValue) => {
+  const { error } = await supabase
+    .from('streak_item_events')
+    .insert({ wallet_address: walletAddress, item_type: itemType, action, quantity, streak_value: streakValue });
+
+  if (error) console.error('❌ Failed to record streak item event:', error);
+};
+
+// What a repair would do right now, or null if the streak cannot be repaired.
+// 'extend' - the streak lapsed and the user has not claimed since: cover the missed days
+// 'restore' - the user already claimed and restarted: add the lost streak back on top
+const getRepairOption = (account, inventory, now = new Date()) => {
+  const deadline = getAccountStreakDeadline(account);
+
+  if (account.consecutive_days > 0 && deadline && now >= deadline && now - deadline <= REPAIR_WINDOW_MS) {
+    const missedDays = countMissedDays(account.last_daily_claim_time, now);
+    return {
+      type: 'extend',
+      restoresTo: account.consecutive_days,
+      freezesNeeded: Math.max(0, missedDays - (inventory.freezes || 0)),
+      brokeAt: deadline,
+      availableUntil: new Date(deadline.getTime() + REPAIR_WINDOW_MS)
+    };
+  }
+
+  const brokeAt = account.streak_broken_at ? new Date(account.streak_broken_at) : null;
+  if (account.broken_streak > 0 && brokeAt && now - brokeAt <= REPAIR_WINDOW_MS) {
+    return {
+      type: 'restore',
+      restoresTo: account.broken_streak + (account.consecutive_days || 0),
+      freezesNeeded: 0,
+      brokeAt,
+      availableUntil: new Date(brokeAt.getTime() + REPAIR_WINDOW_MS)
+    };
+  }
+
+  return null;
+};
+
+const getAccount = async (walletAddress) => {
+  const { data, error } = await supabase
+    .from('accounts')
+    .select(ACCOUNT_STREAK_COLUMNS)
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw streakItemError('AccountNotFound', 'Account not found', 404);
+  return data;
+};
+
+// Streak, freezes and repair availability for the miniapp streak card
+const getStreakStatus = async (walletAddress, now = new Date()) => {
+  const account = await getAccount(walletAddress);
+  const inventory = await getStreakInventory(walletAddress);
+  const repair = getRepairOption(account, inventory, now);
+
+  return {
+    walletAddress,
+    ...getStreakSummary(account, now),
+    freezes: {
+      available: inventory.freezes,
+      max: MAX_FREEZES,
+      price: FREEZE_PRICE,
+      earnEveryDays: EARN_EVERY_DAYS,
+      earned: inventory.freezes_earned,
+      purchased: inventory.freezes_purchased,
+      used: inventory.freezes_used
+    },
+    repair: {
+      available: Boolean(repair),
+      price: REPAIR_PRICE,
+      restoresTo: repair?.restoresTo || 0,
+      brokeAt: repair ? repair.brokeAt.toISOString() : null,
+      availableUntil: repair ? repair.availableUntil.toISOString() : null,
+      windowHours: REPAIR_WINDOW_MS / (60 * 60 * 1000)
+    },
+    enbBalance: account.enb_balance || 0
+  };
+};
+
+const spendOnStreakItem = async (params) => {
+  const { data, error } = await supabase.rpc('spend_enb_on_streak_item', params);
+
+  if (error) {
+    if (/InsufficientBalance/.test(error.message)) {
+      throw streakItemError('InsufficientBalance', 'Not enough ENB balance for this purchase.');
+    }
+    if (/MaxFreezesReached/.test(error.message)) {
+      throw streakItemError('MaxFreezesReached', `You can hold at most ${MAX_FREEZES} streak freezes.`, 409);
+    }
+    throw error;
+  }
+
+  return Number(data);
+};
+
+const purchaseStreakFreezes = async (walletAddress, quantity) => {
+  const account = await getAccount(walletAddress);
+  const inventory = await getStreakInventory(walletAddress);
+
+  if (inventory.freezes + quantity > MAX_FREEZES) {
+    throw streakItemError('MaxFreezesReached', `You can hold at most ${MAX_FREEZES} streak freezes.`, 409);
+  }
+
+  // A live streak's deadline moves out by one day per freeze
+  const streakAlive = getStreakSummary(account).streakActive;
+  const newBalance = await spendOnStreakItem({
+    p_wallet_address: walletAddress,
+    p_item_type: 'freeze',
+    p_quantity: quantity,
+    p_cost: FREEZE_PRICE * quantity,
+    p_freezes_delta: quantity,
+    p_max_freezes: MAX_FREEZES,
+    p_consecutive_days: null,
+    p_longest_streak: null,
+    p_streak_expires_at: streakAlive
+      ? getStreakDeadline(account.last_daily_claim_time, inventory.freezes + quantity).toISOString()
+      : null,
+    p_clear_broken_streak: false
+  });
+
+  console.log(`🧊 ${walletAddress} bought ${quantity} streak freeze(s) for ${FREEZE_PRICE * quantity} ENB`);
+  return { freezes: inventory.freezes + quantity, newBalance };
+};
+
+const repairStreak = async (walletAddress) => {
+  const account = await getAccount(walletAddress);
+  const inventory = await getStreakInventory(walletAddress);
+  const repair = getRepairOption(account, inventory);
+
+  if (!repair) {
+    throw streakItemError('NothingToRepair', `There is no broken streak from the last ${REPAIR_WINDOW_MS / (60 * 60 * 1000)} hours to repair.`, 409);
+  }
+
+  // 'extend' grants the freezes that cover the missed days; the next claim consumes them
+  const freezes = inventory.freezes + repair.freezesNeeded;
+  const newBalance = await spendOnStreakItem({
+    p_wallet_address: walletAddress,
+    p_item_type: 'repair',
+    p_quantity: 1,
+    p_cost: REPAIR_PRICE,
+    p_freezes_delta: repair.freezesNeeded,
+    p_max_freezes: null,
+    p_consecutive_days: repair.restoresTo,
+    p_longest_streak: Math.max(account.longest_streak || 0, repair.restoresTo),
+    p_streak_expires_at: getStreakDeadline(account.last_daily_claim_time, freezes).toISOString(),
+    p_clear_broken_streak: true
+  });
+
+  console.log(`🔧 ${walletAddress} repaired streak to ${repair.restoresTo} days (${repair.type}) for ${REPAIR_PRICE} ENB`);
+  return { currentStreak: repair.restoresTo, newBalance };
+};
+
+// Called by the daily_claim relay job: consumes freezes for missed days, awards
+// earned freezes and returns the account columns to persist with the claim
+const applyClaimWithStreakItems = async (account, claimTime) => {
+  const walletAddress = account.wallet_address;
+  const inventory = await getStreakInventory(walletAddress);
+
+  const result = applyClaim({
+    lastClaimTime: account.last_daily_claim_time,
+    currentStreak: account.consecutive_days,
+    longestStreak: account.longest_streak,
+    freezes: inventory.freezes
+  }, claimTime);
+
+  let freezes = inventory.freezes - result.freezesUsed;
+  const earned = result.currentStreak > (account.consecutive_days || 0) &&
+    result.currentStreak % EARN_EVERY_DAYS === 0 &&
+    freezes < MAX_FREEZES ? 1 : 0;
+  freezes += earned;
+
+  if (result.freezesUsed > 0 || earned > 0) {
+    const { error } = await supabase
+      .from('streak_inventory')
+      .upsert({
+        wallet_address: walletAddress,
+        freezes,
+        freezes_earned: (inventory.freezes_earned || 0) + earned,
+        freezes_used: (inventory.freezes_used || 0) + result.freezesUsed,
+        updated_at: new Date().toISOString()
+      });
+
+    if (error) throw error;
+
+    if (result.freezesUsed > 0) {
+      console.log(`🧊 ${walletAddress} used ${result.freezesUsed} streak freeze(s)`);
+      await recordStreakItemEvent(walletAddress, 'freeze', 'used', result.freezesUsed, result.currentStreak);
+    }
+    if (earned > 0) {
+      console.log(`🧊 ${walletAddress} earned a streak freeze at ${result.currentStreak} days`);
+      await recordStreakItemEvent(walletAddress, 'freeze', 'earned', earned, result.currentStreak);
+    }
+  }
+
+  const accountUpdates = {
+    consecutive_days: result.currentStreak,
+    longest_streak: result.longestStreak,
+    streak_expires_at: getStreakDeadline(claimTime, freezes).toISOString()
+  };
+
+  if (result.brokenStreak > 0) {
+    accountUpdates.broken_streak = result.brokenStreak;
+    accountUpdates.streak_broken_at = result.brokenAt.toISOString();
+  }
+
+  return { ...result, freezes, freezesEarned: earned, accountUpdates };
+};
+
+export {
+  ACCOUNT_STREAK_COLUMNS,
+  getStreakStatus,
+  purchaseStreakFreezes,
+  repairStreak,
+  applyClaimWithStreakItems
+};
@@ -0,0 +1,347 @@
+import cron from 'node-cron';
+import { ethers } from 'ethers';
+import { supabase } from '../config/supabase.js';
+
+// Scores inviters for invite farming (one person activating fresh wallets with their own code
+// to collect invite rewards). Each signal adds its weight to a 0-100 score and inviters at or
+// above SYBIL_FLAG_SCORE are flagged; services/invite-reviews.js holds their rewards for review.
+// Scores are refreshed at every activation and for recently active inviters on a schedule,
+// since signals such as "never made a first claim" only show up after a while. Funding sources
+// take one explorer request per invitee, so the scheduled run and admin rescores look them up in
+// bulk, activations score from the funders already stored, and the payout of each activation
+// waits until the new invitee's funder has been looked up (see invite-reviews.js).
+//
+//   sameFunder       several invitees received their first ETH from the same address
+//   inviterFunded    the inviter funded invitees directly
+//   activationBurst  many activations on one code within a short window
+//   noFirstClaim     most invitees never made a daily claim after activating
+//   sharedFid        invitees report a Farcaster fid that other wallets also use. The fid is
+//                    self-reported, so it only counts alongside another signal.
+
+const SYBIL_SIGNALS = {
+  sameFunder: 40,
+  inviterFunded: 50,
+  activationBurst: 25,
+  noFirstClaim: 25,
+  sharedFid: 40
+};
+
+const SYBIL_FLAG_SCORE = Number(process.env.SYBIL_FLAG_SCORE || 50);
+const SAME_FUNDER_MIN_WALLETS = Number(process.env.SYBIL_SAME_FUNDER_MIN_WALLETS || 3);
+const BURST_WINDOW_MINUTES = Number(process.env.SYBIL_BURST_WINDOW_MINUTES || 60);
+const BURST_MIN_ACTIVATIONS = Number(process.env.SYBIL_BURST_MIN_ACTIVATIONS || 4);
+const FIRST_CLAIM_GRACE_HOURS = Number(process.env.SYBIL_FIRST_CLAIM_GRACE_HOURS || 48);
+const NO_FIRST_CLAIM_MIN_WALLETS = Number(process.env.SYBIL_NO_FIRST_CLAIM_MIN_WALLETS || 3);
+const NO_FIRST_CLAIM_MIN_RATIO = 0.6;
+const SHARED_FID_MIN_WALLETS = Number(process.env.SYBIL_SHARED_FID_MIN_WALLETS || 2);
+// The scheduled run rescores inviters with activations in this many past days
+const RESCAN_DAYS = Number(process.env.SYBIL_RESCAN_DAYS || 7);
+
+// Funding sources come from an Etherscan-compatible explorer; without a key the
+// sameFunder and inviterFunded signals are skipped
+const EXPLORER_API_URL = process.env.EXPLORER_API_URL || 'https://api.etherscan.io/v2/api';
+const EXPLORER_API_KEY = process.env.EXPLORER_API_KEY;
+const CHAIN_ID = Number(process.env.CHAIN_ID || 8453);
+const FUNDING_LOOKUPS_PER_INVITER = 25;
+const PAGE_SIZE = 1000;
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+// First address that sent ETH to the wallet in a plain transfer, or null if none was found.
+// Wallets funded only through contract calls (internal transactions) report null.
+const lookupFundingSource = async (walletAddress) => {
+  const url = new URL(EXPLORER_API_URL);
+  url.search = new URLSearchParams({
+    chainid: String(CHAIN_ID),
+    module: 'account',
+    action: 'txlist',
+    address: walletAddress,
+    page: '1',
+    offset: '20',
+    sort: 'asc',
+    apikey: EXPLORER_API_KEY
+  }).toString();
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Explorer request failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (body.status !== '1') {
+    if (Array.isArray(body.result)) return null; // No transactions found
+    throw new Error(`Explorer error: ${body.result || body.message}`);
+  }
+
+  const funding = body.result.find(tx =>
+    lower(tx.to) === lower(walletAddress) && tx.isError === '0' && BigInt(tx.value) > 0n
+  );
+  return funding ? ethers.getAddress(funding.from) : null;
+};
+
+// Looks up and stores the funder of up to `limit` invitees that were never checked
+const ensureFundingSources = async (invitees, limit) => {
+  if (!EXPLORER_API_KEY || limit <= 0) return;
+
+  const unchecked = invitees.filter(invitee => !invitee.funding_checked_at).slice(0, limit);
+
+  for (const invitee of unchecked) {
+    try {
+      const fundedBy = await lookupFundingSource(invitee.wallet_address);
+      const checkedAt = new Date().toISOString();
+
+      const { error } = await supabase
+        .from('accounts')
+        .update({ funded_by: fundedBy, funding_checked_at: checkedAt })
+        .eq('wallet_address', invitee.wallet_address);
+
+      if (error) throw error;
+      Object.assign(invitee, { funded_by: fundedBy, funding_checked_at: checkedAt });
+    } catch (err) {
+      console.error(`Warning: Funding lookup failed for ${invitee.wallet_address}:`, err.message);
+    }
+  }
+};
+
+const detectFunding = (inviterWallet, invitees) => {
+  const signals = [];
+  const byFunder = new Map();
+
+  for (const invitee of invitees) {
+    const funder = lower(invitee.funded_by);
+    if (funder) byFunder.set(funder, (byFunder.get(funder) || 0) + 1);
+  }
+
+  const inviterFunded = byFunder.get(lower(inviterWallet)) || 0;
+  if (inviterFunded > 0) {
+    signals.push({ signal: 'inviterFunded', weight: SYBIL_SIGNALS.inviterFunded, wallets: inviterFunded });
+  }
+
+  const [funder, wallets] = [...byFunder.entries()]
+    .filter(([address]) => address !== lower(inviterWallet))
+    .sort((a, b) => b[1] - a[1])[0] || [];
+
+  if (wallets >= SAME_FUNDER_MIN_WALLETS) {
+    signals.push({ signal: 'sameFunder', weight: SYBIL_SIGNALS.sameFunder, wallets, funder });
+  }
+
+  return signals;
+};
+
+// Largest number of activations on one code within any BURST_WINDOW_MINUTES window
+const detectBurst = (usages) => {
+  const windowMs = BURST_WINDOW_MINUTES * 60 * 1000;
+  const byCode = new Map();
+
+  for (const usage of usages) {
+    const times = byCode.get(usage.invitation_code) || [];
+    times.push(new Date(usage.used_at).getTime());
+    byCode.set(usage.invitation_code, times);
+  }
+
+  let burst = { code: null, activations: 0 };
+  for (const [code, times] of byCode) {
+    times.sort((a, b) => a - b);
+    for (let start = 0, end = 0; end < times.length; end++) {
+      while (times[end] - times[start] > windowMs) start++;
+      if (end - start + 1 > burst.activations) burst = { code, activations: end - start + 1 };
+    }
+  }
+
+  if (burst.activations < BURST_MIN_ACTIVATIONS) return [];
+  return [{ signal: 'activationBurst', weight: SYBIL_SIGNALS.activationBurst, ...burst, windowMinutes: BURST_WINDOW_MINUTES }];
+};
+
+const detectNoFirstClaim = (invitees, now) => {
+  const graceMs = FIRST_CLAIM_GRACE_HOURS * 60 * 60 * 1000;
+  const eligible = invitees.filter(invitee => invitee.activated_at && now - new Date(invitee.activated_at) > graceMs);
+  const wallets = eligible.filter(invitee => !invitee.last_daily_claim_time).length;
+
+  if (wallets < NO_FIRST_CLAIM_MIN_WALLETS || wallets / eligible.length < NO_FIRST_CLAIM_MIN_RATIO) return [];
+  return [{ signal: 'noFirstClaim', weight: SYBIL_SIGNALS.noFirstClaim, wallets, eligible: eligible.length }];
+};
+
+// Invitees whose fid is also reported by another account, the inviter's included
+const detectSharedFid = async (invitees) => {
+  const fids = [...new Set(invitees.map(invitee => invitee.fid).filter(Boolean))];
+  if (fids.length === 0) return [];
+
+  const { data: holders, error } = await supabase
+    .from('accounts')
+    .select('wallet_address, fid')
+    .in('fid', fids);
+
+  if (error) throw error;
+
+  const walletsPerFid = new Map();
+  for (const holder of holders || []) {
+    const key = String(holder.fid);
+    walletsPerFid.set(key, (walletsPerFid.get(key) || 0) + 1);
+  }
+
+  const shared = invitees.filter(invitee => invitee.fid && walletsPerFid.get(String(invitee.fid)) > 1);
+  if (shared.length < SHARED_FID_MIN_WALLETS) return [];
+
+  return [{
+    signal: 'sharedFid',
+    weight: SYBIL_SIGNALS.sharedFid,
+    wallets: shared.length,
+    fids: new Set(shared.map(invitee => String(invitee.fid))).size
+  }];
+};
+
+const formatSybilScore = (row) => ({
+  walletAddress: row.wallet_address,
+  score: row.score,
+  flagged: row.flagged,
+  signals: row.signals || [],
+  invitees: row.invitees,
+  scoredAt: row.scored_at
+});
+
+// Recomputes and stores the score of one inviter. fundingLookups caps the explorer requests for
+// invitees whose funder is not stored yet; 0 scores from stored funders only. The funders of the
+// `requireFunding` invitees are looked up on top of that, and the score fails if one of them
+// can't be.
+const scoreInviter = async (inviterWallet, now = new Date(), {
+  fundingLookups = FUNDING_LOOKUPS_PER_INVITER,
+  requireFunding = []
+} = {}) => {
+  const { data: invitees, error: inviteesError } = await supabase
+    .from('accounts')
+    .select('wallet_address, fid, funded_by, funding_checked_at, activated_at, last_daily_claim_time')
+    .eq('inviter_wallet', inviterWallet);
+
+  if (inviteesError) throw inviteesError;
+
+  const { data: usages, error: usagesError } = await supabase
+    .from('invitation_usage')
+    .select('invitation_code, used_at')
+    .eq('inviter_wallet', inviterWallet);
+
+  if (usagesError) throw usagesError;
+
+  const required = new Set(requireFunding.map(lower));
+  const requiredInvitees = (invitees || []).filter(invitee => required.has(lower(invitee.wallet_address)));
+
+  await ensureFundingSources(requiredInvitees, requiredInvitees.length);
+  await ensureFundingSources(invitees || [], fundingLookups);
+
+  // Without an explorer key the funding signals are off, so there is nothing to wait for
+  const unchecked = requiredInvitees.filter(invitee => !invitee.funding_checked_at);
+  if (EXPLORER_API_KEY && unchecked.length > 0) {
+    throw new Error(`Funding lookup failed for ${unchecked.map(invitee => invitee.wallet_address).join(', ')}`);
+  }
+
+  const signals = [
+    ...detectFunding(inviterWallet, invitees || []),
+    ...detectBurst(usages || []),
+    ...detectNoFirstClaim(invitees || [], now)
+  ];
+
+  if (signals.length > 0) {
+    signals.push(...(await detectSharedFid(invitees || [])));
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+  const row = {
+    wallet_address: inviterWallet,
+    score,
+    flagged: score >= SYBIL_FLAG_SCORE,
+    signals,
+    invitees: (invitees || []).length,
+    scored_at: now.toISOString()
+  };
+
+  const { error } = await supabase
+    .from('sybil_scores')
+    .upsert(row, { onConflict: 'wallet_address' });
+
+  if (error) throw error;
+
+  if (row.flagged) {
+    console.log(`🚩 Inviter ${inviterWallet} flagged with score ${score}:`, signals.map(signal => signal.signal));
+  }
+
+  return formatSybilScore(row);
+};
+
+// Inviters with at least one activation since `since`
+const getRecentInviters = async (since) => {
+  const inviters = new Set();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('invitation_usage')
+      .select('inviter_wallet')
+      .gte('used_at', since.toISOString())
+      .order('used_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    data.forEach(usage => inviters.add(usage.inviter_wallet));
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return [...inviters];
+};
+
+let scoring = false;
+let lastRun = null;
+
+const runSybilScoring = async () => {
+  if (scoring) return lastRun;
+  scoring = true;
+
+  const now = new Date();
+  const summary = { startedAt: now.toISOString(), finishedAt: null, invitersScored: 0, flagged: 0, errors: 0 };
+  console.log('🚩 Sybil scoring run started');
+
+  try {
+    const inviters = await getRecentInviters(new Date(now.getTime() - RESCAN_DAYS * 24 * 60 * 60 * 1000));
+
+    for (const inviterWallet of inviters) {
+      try {
+        const result = await scoreInviter(inviterWallet, now);
+        summary.invitersScored++;
+        if (result.flagged) summary.flagged++;
+      } catch (err) {
+        summary.errors++;
+        console.error(`❌ Sybil scoring failed for ${inviterWallet}:`, err.message);
+      }
+    }
+  } catch (err) {
+    summary.errors++;
+    console.error('❌ Sybil scoring run failed:', err);
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    scoring = false;
+  }
+
+  console.log('🚩 Sybil scoring run finished:', summary);
+  return summary;
+};
+
+const getLastSybilScoringRun = () => ({ running: scoring, lastRun });
+
+// Runs on SYBIL_SCORING_CRON (default: every 30 minutes)
+const startSybilScoringSchedule = (expression = process.env.SYBIL_SCORING_CRON || '*/30 * * * *') => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid SYBIL_SCORING_CRON expression: ${expression}`);
+  }
+
+  console.log(`🚩 Sybil scoring scheduled (${expression})`);
+  return cron.schedule(expression, runSybilScoring);
+};
+
+export {
+  SYBIL_SIGNALS,
+  SYBIL_FLAG_SCORE,
+  scoreInviter,
+  formatSybilScore,
+  runSybilScoring,
+  getLastSybilScoringRun,
+  startSybilScoringSchedule
+};
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { fetchFarcasterUsersByAddress, MAX_ADDRESSES_PER_LOOKUP } from '@/lib/farcaster';
+
+// Force dynamic rendering to prevent static generation issues on Vercel
+export const dynamic = 'force-dynamic';
+
+// Usernames change rarely; leaderboard pages ask for the same wallets again and again
+const REVALIDATE_SECONDS = 300;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Farcaster profiles of wallets (?addresses=0x..,0x..), keyed by lowercase address
+export async function GET(request: Request) {
+  const { searchParams } = new URL(request.url);
+  const addresses = Array.from(new Set(
+    (searchParams.get('addresses') || '')
+      .split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(Boolean)
+  ));
+
+  if (addresses.length === 0 || addresses.some(address => !ADDRESS_PATTERN.test(address))) {
+    return NextResponse.json({ error: 'addresses must be a comma-separated list of wallet addresses' }, { status: 400 });
+  }
+
+  if (addresses.length > MAX_ADDRESSES_PER_LOOKUP) {
+    return NextResponse.json({ error: `At most ${MAX_ADDRESSES_PER_LOOKUP} addresses per request` }, { status: 400 });
+  }
+
+  try {
+    const users = await fetchFarcasterUsersByAddress(addresses, REVALIDATE_SECONDS);
+    return NextResponse.json({ users });
+  } catch (error) {
+    console.error('Error fetching Farcaster users:', error);
+    return NextResponse.json({ error: 'Failed to fetch Farcaster users' }, { status: 500 });
+  }
+}
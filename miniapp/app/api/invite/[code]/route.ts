@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { getInvitePreview } from '@/lib/invite';
+
+// Force dynamic rendering to prevent static generation issues on Vercel
+export const dynamic = 'force-dynamic';
+
+// Validity and inviter of an invitation code, for the activation form
+export async function GET(
+  request: Request,
+  { params }: { params: { code: string } }
+) {
+  try {
+    const preview = await getInvitePreview(params.code);
+
+    if (!preview) {
+      return NextResponse.json({ error: 'Invitation code not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(preview);
+  } catch (error) {
+    console.error('Error fetching invite preview:', error);
+    return NextResponse.json({ error: 'Failed to fetch invite' }, { status: 500 });
+  }
+}
@@ -0,0 +1,71 @@
+import { ImageResponse } from 'next/og';
+import { APP_URL } from '@/app/config';
+import { getInvitePreview, getInviterName } from '@/lib/invite';
+
+export const dynamic = 'force-dynamic';
+
+// Farcaster embeds are drawn at a 3:2 aspect ratio
+const WIDTH = 1200;
+const HEIGHT = 800;
+
+// Embed image of an invite link: who invited you and the code to activate with
+export async function GET(
+  request: Request,
+  { params }: { params: { code: string } }
+) {
+  let preview = null;
+  try {
+    preview = await getInvitePreview(params.code);
+  } catch (error) {
+    console.error('Error fetching invite preview for OG image:', error);
+  }
+
+  const title = preview ? `${getInviterName(preview)} invited you` : 'You are invited';
+  const subtitle = preview && !preview.valid
+    ? 'This invitation is no longer available'
+    : 'Mine $ENB daily on Farcaster';
+
+  return new ImageResponse(
+    (
+      <div
+        style={{
+          width: '100%',
+          height: '100%',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          backgroundColor: '#A93445',
+          color: '#ffffff',
+          fontFamily: 'sans-serif',
+        }}
+      >
+        <img
+          src={preview?.inviter.pfpUrl || `${APP_URL}/icon.png`}
+          width={180}
+          height={180}
+          style={{ borderRadius: 90, border: '6px solid #ffffff' }}
+          alt=""
+        />
+        <div style={{ display: 'flex', fontSize: 72, fontWeight: 700, marginTop: 40 }}>{title}</div>
+        <div style={{ display: 'flex', fontSize: 40, marginTop: 16, opacity: 0.85 }}>{subtitle}</div>
+        <div
+          style={{
+            display: 'flex',
+            fontSize: 48,
+            fontWeight: 700,
+            letterSpacing: 6,
+            marginTop: 48,
+            padding: '16px 40px',
+            borderRadius: 16,
+            backgroundColor: '#ffffff',
+            color: '#A93445',
+          }}
+        >
+          {params.code.toUpperCase()}
+        </div>
+      </div>
+    ),
+    { width: WIDTH, height: HEIGHT }
+  );
+}
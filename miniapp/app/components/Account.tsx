@@ -8,6 +8,7 @@ import { InvitationStatsCard } from "./InvitationStatsCard";
 import { DailyClaimCard } from "./DailyClaimCard";
 import { BoosterCard } from "./BoosterCard";
 import { UpgradeCard } from "./UpgradeCard";
+import { StreakCard } from "./StreakCard";
 import { TipsModal } from "./TipsModal";
 import { SuccessModal } from "./SuccessModal";
 import { InformationModal } from "./InformationModal";
@@ -155,14 +156,23 @@ export const Account: React.FC<AccountProps> = ({ setActiveTabAction }) => {
     <div className="space-y-6 animate-fade-in">
       <div className="flex items-center justify-between mb-2">
         <h1 className="text-xl font-semibold text-gray-800">Account Profile</h1>
-        <button
-          onClick={handleRefreshAll}
-          disabled={profileRefreshLoading}
-          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-60 transition-colors"
-          title="Refresh all data"
-        >
-          🔄 Refresh
-        </button>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setActiveTabAction('leaderboard')}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            title="See the leaderboards"
+          >
+            🏆 Leaderboard
+          </button>
+          <button
+            onClick={handleRefreshAll}
+            disabled={profileRefreshLoading}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-60 transition-colors"
+            title="Refresh all data"
+          >
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
       <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
@@ -185,6 +195,12 @@ export const Account: React.FC<AccountProps> = ({ setActiveTabAction }) => {
           onRefreshMining={refreshMiningActivity}
         />
 
+        {/* Streak, freezes and repair */}
+        <StreakCard
+          walletAddress={profile.walletAddress}
+          onStreakChange={refreshProfile}
+        />
+
         {/* Token Info */}
         <TokenBalanceCard
           enbBalance={enbBalance}
@@ -4,6 +4,7 @@ import { useState, useEffect, FormEvent } from 'react';
 import { useAccount, useWriteContract } from 'wagmi';
 import { ENB_MINI_APP_ABI, ENB_MINI_APP_ADDRESS } from '../constants/enbMiniAppAbi';
 import { API_BASE_URL } from '../config';
+import { toApiError } from '../constants/apiErrors';
 import {
   createPublicClient,
   encodeFunctionData,
@@ -15,6 +16,8 @@ import { base } from 'viem/chains';
 import { Button } from "./Button";
 import { Icon } from "./Icon";
 import { sdk } from '@farcaster/frame-sdk';
+import { useFrame } from '../farcaster-provider';
+import { type InvitePreview, getInviterName } from '../../lib/invite';
 
 interface User {
   walletAddress: string;
@@ -23,15 +26,27 @@ interface User {
 
 interface CreateProps {
   setActiveTabAction: (tab: string) => void;
+  // Pre-fills the activation form when opened from an invite link
+  inviteCode?: string;
 }
 
-export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
+const INVITE_PROBLEM_MESSAGES: Record<NonNullable<InvitePreview['problem']>, string> = {
+  expired: 'This invitation code has expired',
+  revoked: 'This invitation code has been revoked',
+  exhausted: 'This invitation code has no uses left',
+  inviter_inactive: 'The owner of this invitation code has not activated their account yet',
+};
+
+export const Create: React.FC<CreateProps> = ({ setActiveTabAction, inviteCode }) => {
   const { address, isConnected } = useAccount();
   const { writeContractAsync } = useWriteContract();
+  const { context } = useFrame();
 
   const [accountCreated, setAccountCreated] = useState(false);
   const [hasUnactivatedAccount, setHasUnactivatedAccount] = useState(false);
-  const [activationCode, setActivationCode] = useState('');
+  const [activationCode, setActivationCode] = useState(inviteCode ?? '');
+  const [invitePreview, setInvitePreview] = useState<InvitePreview | null>(null);
+  const [inviteNotFound, setInviteNotFound] = useState(false);
   const [isCheckingAccount, setIsCheckingAccount] = useState(true);
   const [isCreatingAccount, setIsCreatingAccount] = useState(false);
   const [isActivating, setIsActivating] = useState(false);
@@ -51,21 +66,16 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
       }
 
       try {
-        console.log('📤 Fetching users from API...');
-        const response = await fetch(`${API_BASE_URL}/api/users?limit=1000`);
-        console.log('📥 Users response status:', response.status);
+        console.log('📤 Fetching profile from API...');
+        const response = await fetch(`${API_BASE_URL}/api/profile/${address}`);
+        console.log('📥 Profile response status:', response.status);
         
-        if (!response.ok) {
-          console.error('❌ Failed to fetch users:', response.status);
-          throw new Error('Failed to fetch users');
+        if (!response.ok && response.status !== 404) {
+          console.error('❌ Failed to fetch profile:', response.status);
+          throw new Error('Failed to fetch profile');
         }
 
-        const data = await response.json();
-        console.log('📋 Users data received, total users:', data.users?.length || 0);
-        
-        const user = data.users.find((u: User) =>
-          u.walletAddress.toLowerCase() === address.toLowerCase()
-        );
+        const user: User | null = response.ok ? await response.json() : null;
         
         console.log('🔍 User search result:', user ? 'Found' : 'Not found');
         console.log('📋 User details:', user);
@@ -93,6 +103,40 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
     checkExistingAccount();
   }, [address, isConnected]);
 
+  // Check the code as it is typed (or as pre-filled by an invite link) and look up who it belongs to
+  useEffect(() => {
+    const code = activationCode.trim();
+    setInvitePreview(null);
+    setInviteNotFound(false);
+    if (!code) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/invite/${encodeURIComponent(code)}`);
+        if (cancelled) return;
+
+        if (response.status === 404) {
+          setInviteNotFound(true);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Failed to fetch invite: ${response.status}`);
+        }
+
+        const preview: InvitePreview = await response.json();
+        if (!cancelled) setInvitePreview(preview);
+      } catch (error) {
+        console.error('❌ Error checking invitation code:', error);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activationCode]);
+
   const handleCreateAccount = async () => {
     console.log('🚀 Starting account creation process...');
     console.log('📋 Current state:', { address, isConnected });
@@ -176,7 +220,8 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
       console.log('🔄 Syncing with backend...');
       const backendPayload = { 
         walletAddress: address, 
-        transactionHash: txHash 
+        transactionHash: txHash,
+        fid: context?.user?.fid
       };
       console.log('📤 Backend payload:', backendPayload);
       
@@ -253,7 +298,8 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
     try {
       const activationPayload = {
         walletAddress: address,
-        invitationCode: activationCode.trim()
+        invitationCode: activationCode.trim(),
+        fid: context?.user?.fid
       };
       console.log('📤 Sending activation request:', activationPayload);
       
@@ -270,7 +316,7 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
       
       if (!response.ok) {
         console.error('❌ Activation failed:', data);
-        throw new Error(data.error || 'Activation failed');
+        throw toApiError(data, 'Activation failed');
       }
 
       console.log('✅ Activation successful');
@@ -330,6 +376,28 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
         </div>
       )}
 
+      {invitePreview && !(accountCreated && !hasUnactivatedAccount) && (
+        <div className="p-4 bg-purple-50 border border-purple-200 rounded-lg flex items-center space-x-3">
+          {invitePreview.inviter.pfpUrl && (
+            <img
+              src={invitePreview.inviter.pfpUrl}
+              alt=""
+              className="w-10 h-10 rounded-full"
+            />
+          )}
+          <div>
+            <p className="font-medium text-purple-900">
+              Invited by {invitePreview.inviter.displayName || getInviterName(invitePreview)}
+            </p>
+            <p className="text-sm text-purple-800">
+              {invitePreview.valid
+                ? `Code ${invitePreview.invitationCode} is ready to activate your account`
+                : INVITE_PROBLEM_MESSAGES[invitePreview.problem!]}
+            </p>
+          </div>
+        </div>
+      )}
+
       {!accountCreated && !hasUnactivatedAccount && (
         <div className="space-y-4">
           <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
@@ -372,9 +440,12 @@ export const Create: React.FC<CreateProps> = ({ setActiveTabAction }) => {
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               disabled={isActivating}
             />
+            {inviteNotFound && (
+              <p className="text-sm text-red-700">Invitation code not found</p>
+            )}
             <button
               type="submit"
-              disabled={isActivating || !activationCode.trim()}
+              disabled={isActivating || !activationCode.trim() || inviteNotFound || invitePreview?.valid === false}
               className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {isActivating ? 'Activating...' : 'Activate Account'}
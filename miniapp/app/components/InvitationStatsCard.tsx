@@ -1,27 +1,12 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-
-// CSS for animations
-const fadeInStyle = `
-  @keyframes fadeIn {
-    from { opacity: 0; transform: translateY(-10px); }
-    to { opacity: 1; transform: translateY(0); }
-  }
-  .animate-fade-in {
-    animation: fadeIn 0.3s ease-out;
-  }
-`;
+import { useState, useEffect, useCallback } from 'react';
+import { API_BASE_URL } from '../config';
 
 interface StatsCardProps {
   walletAddress: string;
 }
 
-interface DailyInviteUsage {
-  count: number;
-  date: string;
-}
-
 interface BackendInviteUsage {
   totalUses: number;
   maxUses: number;
@@ -30,48 +15,52 @@ interface BackendInviteUsage {
   isInviterActivated: boolean;
 }
 
+// Response of /api/invites/funnel/:walletAddress
+interface InviteFunnel {
+  activated: number;
+  firstClaim: number;
+  retainedDay7: number;
+  retainedDay30: number;
+  eligibleDay7: number;
+  eligibleDay30: number;
+}
+
+interface FunnelStep {
+  label: string;
+  count: number;
+  // Invitees the step is measured against; the first step has none
+  outOf?: number;
+  hint?: string;
+}
+
+const toFunnelSteps = (funnel: InviteFunnel): FunnelStep[] => [
+  { label: 'Activated', count: funnel.activated },
+  { label: 'First claim', count: funnel.firstClaim, outOf: funnel.activated },
+  {
+    label: 'Still mining after 7 days',
+    count: funnel.retainedDay7,
+    outOf: funnel.eligibleDay7,
+    hint: `of ${funnel.eligibleDay7} activated 7+ days ago`
+  },
+  {
+    label: 'Still mining after 30 days',
+    count: funnel.retainedDay30,
+    outOf: funnel.eligibleDay30,
+    hint: `of ${funnel.eligibleDay30} activated 30+ days ago`
+  },
+];
+
 export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress }) => {
   const [loading, setLoading] = useState(true);
-  const [dailyUsage, setDailyUsage] = useState<DailyInviteUsage>({ count: 0, date: '' });
   const [backendUsage, setBackendUsage] = useState<BackendInviteUsage | null>(null);
-  const [maxDailyUses] = useState(5);
-
-  // Get today's date in YYYY-MM-DD format for UTC comparison
-  const getTodayUTC = () => {
-    const now = new Date();
-    return now.toISOString().split('T')[0];
-  };
-
-  // Check if we need to reset the daily count
-  const checkAndResetDailyCount = () => {
-    const today = getTodayUTC();
-    const stored = localStorage.getItem(`dailyInviteUsage_${walletAddress}`);
-    
-    if (stored) {
-      const parsed: DailyInviteUsage = JSON.parse(stored);
-      
-      // If it's a new day, reset the count
-      if (parsed.date !== today) {
-        const newUsage = { count: 0, date: today };
-        localStorage.setItem(`dailyInviteUsage_${walletAddress}`, JSON.stringify(newUsage));
-        return newUsage;
-      }
-      
-      return parsed;
-    } else {
-      // First time, initialize with today's date
-      const newUsage = { count: 0, date: today };
-      localStorage.setItem(`dailyInviteUsage_${walletAddress}`, JSON.stringify(newUsage));
-      return newUsage;
-    }
-  };
+  const [funnel, setFunnel] = useState<InviteFunnel | null>(null);
 
   // Fetch invite usage data from backend
-  const fetchBackendUsage = async () => {
+  const fetchBackendUsage = useCallback(async () => {
     try {
       // First, get the user's profile to find their invitation code
-      const profileResponse = await fetch(`/api/profile/${walletAddress}`);
-      
+      const profileResponse = await fetch(`${API_BASE_URL}/api/profile/${walletAddress}`);
+
       if (!profileResponse.ok) {
         if (profileResponse.status === 404) {
           throw new Error('Profile not found. Please create an account first.');
@@ -80,14 +69,14 @@ export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress })
       }
 
       const profileData = await profileResponse.json();
-      
+
       if (!profileData.invitationCode) {
         throw new Error('No invitation code found for this wallet. Please contact support.');
       }
 
       // Then fetch the invitation usage data using the invitation code
-      const usageResponse = await fetch(`/api/invitation-usage/${profileData.invitationCode}`);
-      
+      const usageResponse = await fetch(`${API_BASE_URL}/api/invitation-usage/${profileData.invitationCode}`);
+
       if (!usageResponse.ok) {
         if (usageResponse.status === 404) {
           throw new Error('Invitation code not found. Please contact support.');
@@ -96,7 +85,7 @@ export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress })
       }
 
       const usageData = await usageResponse.json();
-      
+
       setBackendUsage({
         totalUses: usageData.totalUses,
         maxUses: usageData.maxUses,
@@ -109,31 +98,32 @@ export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress })
       console.error('Error fetching backend usage:', err);
       // Don't set error state, just log it
     }
-  };
+  }, [walletAddress]);
 
-  useEffect(() => {
-    if (walletAddress) {
-      const usage = checkAndResetDailyCount();
-      setDailyUsage(usage);
-      fetchBackendUsage();
-      setLoading(false);
+  const fetchFunnel = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/invites/funnel/${walletAddress}`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch invite funnel: ${response.status}`);
+      }
+
+      setFunnel(await response.json());
+    } catch (err) {
+      console.error('Error fetching invite funnel:', err);
     }
   }, [walletAddress]);
 
-  // Check for date change every minute to handle UTC reset
   useEffect(() => {
-    const interval = setInterval(() => {
-      const usage = checkAndResetDailyCount();
-      setDailyUsage(usage);
-    }, 60000); // Check every minute
-
-    return () => clearInterval(interval);
-  }, [walletAddress]);
+    if (walletAddress) {
+      Promise.all([fetchBackendUsage(), fetchFunnel()]).finally(() => setLoading(false));
+    }
+  }, [walletAddress, fetchBackendUsage, fetchFunnel]);
 
   if (loading) {
     return (
       <div className="bg-white p-6 rounded-lg shadow-md border">
-        <h2 className="text-xl font-semibold mb-4 text-gray-800">Daily Invite Usage</h2>
+        <h2 className="text-xl font-semibold mb-4 text-gray-800">Invitation Stats</h2>
         <div className="flex items-center justify-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
         </div>
@@ -141,42 +131,50 @@ export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress })
     );
   }
 
-  const isMaxReached = dailyUsage.count >= maxDailyUses;
-  const progressPercentage = (dailyUsage.count / maxDailyUses) * 100;
-
   return (
     <div className="bg-white p-6 rounded-lg shadow-md border">
-      <style>{fadeInStyle}</style>
       <div className="mb-4">
-        <h2 className="text-xl font-semibold text-gray-800">Daily Invite Usage</h2>
-        <p className="text-sm text-gray-600 mt-1">Wallet: {walletAddress}</p>
+        <h2 className="text-xl font-semibold text-gray-800">Invitation Stats</h2>
+        <p className="text-sm text-gray-600 mt-1">How your invites turn into miners</p>
       </div>
-      
+
       <div className="space-y-4">
-        <div className="text-center">
-          <div className="text-3xl font-bold text-blue-600 mb-2">
-            {dailyUsage.count}/{maxDailyUses}
+        {funnel && funnel.activated > 0 ? (
+          <div className="bg-blue-50 p-4 rounded-lg space-y-3">
+            {toFunnelSteps(funnel).map((step) => {
+              const percentage = step.outOf === undefined
+                ? 100
+                : step.outOf > 0 ? Math.round((step.count / step.outOf) * 100) : 0;
+
+              return (
+                <div key={step.label}>
+                  <div className="flex justify-between text-xs mb-1">
+                    <span className="text-gray-600">{step.label}</span>
+                    <span className="font-medium">
+                      {step.count}
+                      {step.outOf !== undefined && step.outOf > 0 && (
+                        <span className="text-gray-500"> ({percentage}%)</span>
+                      )}
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${percentage}%` }}
+                    ></div>
+                  </div>
+                  {step.hint && (
+                    <div className="text-xs text-gray-400 mt-1">{step.hint}</div>
+                  )}
+                </div>
+              );
+            })}
           </div>
-          <div className="text-sm text-gray-600">Invite Uses Today</div>
-        </div>
-        
-        <div className="bg-blue-50 p-4 rounded-lg">
-          <div className="text-sm text-gray-600 mb-2">Daily Progress</div>
-          <div className="w-full bg-gray-200 rounded-full h-3 mb-2">
-            <div 
-              className="bg-blue-600 h-3 rounded-full transition-all duration-300"
-              style={{ width: `${progressPercentage}%` }}
-            ></div>
+        ) : (
+          <div className="bg-blue-50 p-4 rounded-lg text-sm text-gray-600 text-center">
+            Nobody has used your invitation code yet. Share it to start growing your team.
           </div>
-          <div className="text-xs text-gray-500">
-            {dailyUsage.count} of {maxDailyUses} daily invites used
-          </div>
-          {isMaxReached && (
-            <div className="text-xs text-orange-600 font-medium mt-2">
-              Daily limit reached. Resets at 00:00 UTC.
-            </div>
-          )}
-        </div>
+        )}
 
         {/* Backend Data Display */}
         {backendUsage && (
@@ -200,10 +198,6 @@ export const InvitationStatsCard: React.FC<StatsCardProps> = ({ walletAddress })
             </div>
           </div>
         )}
-
-        <div className="text-center text-xs text-gray-400">
-          Resets daily at 00:00 UTC
-        </div>
       </div>
     </div>
   );
@@ -0,0 +1,214 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useAccount } from 'wagmi';
+import { useLeaderboard } from '../hooks/useLeaderboard';
+import type { FarcasterProfile } from '@/lib/farcaster';
+import type { LeaderboardBoard, LeaderboardEntry, LeaderboardWindowName } from '../types/leaderboard';
+
+interface LeaderboardProps {
+  setActiveTabAction: (tab: string) => void;
+}
+
+const BOARDS: { board: LeaderboardBoard; label: string }[] = [
+  { board: 'balance', label: 'Balance' },
+  { board: 'earnings', label: 'Earnings' },
+  { board: 'streaks', label: 'Streak' },
+];
+
+const WINDOWS: { timeWindow: LeaderboardWindowName; label: string }[] = [
+  { timeWindow: 'daily', label: 'Today' },
+  { timeWindow: 'weekly', label: 'This week' },
+  { timeWindow: 'monthly', label: 'This month' },
+  { timeWindow: 'all-time', label: 'All time' },
+];
+
+// Within a window the balance board ranks ENB mined in it, and the streak board the best run in it
+const getValueLabel = (board: LeaderboardBoard, timeWindow: LeaderboardWindowName) => {
+  if (board === 'balance') return timeWindow === 'all-time' ? 'Balance' : 'Mined';
+  if (board === 'earnings') return 'Earned';
+  return timeWindow === 'all-time' ? 'Streak' : 'Best run';
+};
+
+const getEntryValue = (board: LeaderboardBoard, timeWindow: LeaderboardWindowName, entry: LeaderboardEntry) => {
+  if (board === 'balance') return (timeWindow === 'all-time' ? entry.enbBalance : entry.enbMined) ?? 0;
+  if (board === 'earnings') return entry.totalEarned ?? 0;
+  return entry.consecutiveDays;
+};
+
+const formatValue = (board: LeaderboardBoard, value: number) => {
+  if (board === 'streaks') return `${value} ${value === 1 ? 'day' : 'days'}`;
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ENB`;
+};
+
+const truncateAddress = (addr: string) =>
+  `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+const PlayerName: React.FC<{ address: string; profile?: FarcasterProfile }> = ({ address, profile }) => (
+  <div className="flex items-center space-x-2 min-w-0">
+    {profile?.pfpUrl ? (
+      <img src={profile.pfpUrl} alt="" className="w-8 h-8 rounded-full flex-shrink-0" />
+    ) : (
+      <div className="w-8 h-8 rounded-full bg-gray-200 flex-shrink-0" />
+    )}
+    <span className="font-medium text-gray-800 truncate">
+      {profile ? `@${profile.username}` : truncateAddress(address)}
+    </span>
+  </div>
+);
+
+export const Leaderboard: React.FC<LeaderboardProps> = ({ setActiveTabAction }) => {
+  const { address } = useAccount();
+  const [board, setBoard] = useState<LeaderboardBoard>('balance');
+  const [timeWindow, setTimeWindow] = useState<LeaderboardWindowName>('all-time');
+
+  const {
+    entries,
+    profiles,
+    userRanking,
+    loading,
+    loadingMore,
+    hasMore,
+    error,
+    loadMore,
+    retry
+  } = useLeaderboard(board, timeWindow, address);
+
+  // Loads the next page once the end of the list scrolls into view; after a failed page the
+  // user retries by hand, so a failing API isn't polled in a loop
+  const sentinelRef = useRef<HTMLDivElement>(null);
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || error) return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, error, loadMore]);
+
+  const valueLabel = getValueLabel(board, timeWindow);
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      <div className="flex items-center justify-between mb-2">
+        <h1 className="text-xl font-semibold text-gray-800">Leaderboard</h1>
+        <button
+          onClick={() => setActiveTabAction('account')}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          ← Back
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-1 p-1 bg-gray-100 rounded-lg">
+        {BOARDS.map(option => (
+          <button
+            key={option.board}
+            onClick={() => setBoard(option.board)}
+            className={`py-2 text-sm font-medium rounded-md transition-colors ${
+              board === option.board ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-600 hover:text-gray-800'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {WINDOWS.map(option => (
+          <button
+            key={option.timeWindow}
+            onClick={() => setTimeWindow(option.timeWindow)}
+            className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+              timeWindow === option.timeWindow
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {address && (
+        <div className="sticky top-16 z-10 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+          <div className="flex items-center space-x-3 min-w-0">
+            <span className="w-10 text-sm font-semibold text-blue-700">
+              {userRanking?.rank ? `#${userRanking.rank}` : '—'}
+            </span>
+            <PlayerName address={address} profile={profiles[address.toLowerCase()]} />
+            <span className="text-xs text-blue-700 flex-shrink-0">You</span>
+          </div>
+          <span className="text-sm font-semibold text-blue-900 flex-shrink-0 ml-2">
+            {userRanking ? formatValue(board, userRanking.value) : '—'}
+          </span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md border">
+        <div className="px-4 py-2 border-b flex justify-between text-xs font-medium text-gray-500 uppercase">
+          <span>Miner</span>
+          <span>{valueLabel}</span>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error && entries.length === 0 ? (
+          <div className="p-4 text-center">
+            <p className="text-red-600 text-sm mb-2">{error}</p>
+            <button onClick={retry} className="text-sm text-blue-600 hover:underline">
+              Try again
+            </button>
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="p-4 text-center text-sm text-gray-500">No one is on this board yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {entries.map(entry => {
+              const isUser = entry.walletAddress.toLowerCase() === address?.toLowerCase();
+              return (
+                <li
+                  key={entry.walletAddress}
+                  className={`px-4 py-3 flex items-center justify-between ${isUser ? 'bg-blue-50' : ''}`}
+                >
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <span className="w-10 text-sm font-semibold text-gray-500">#{entry.rank}</span>
+                    <div className="min-w-0">
+                      <PlayerName
+                        address={entry.walletAddress}
+                        profile={profiles[entry.walletAddress.toLowerCase()]}
+                      />
+                      <p className="text-xs text-gray-500 ml-10">{entry.membershipLevel}</p>
+                    </div>
+                  </div>
+                  <span className="text-sm font-semibold text-gray-800 flex-shrink-0 ml-2">
+                    {formatValue(board, getEntryValue(board, timeWindow, entry))}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {hasMore && <div ref={sentinelRef} className="h-1" />}
+        {loadingMore && (
+          <div className="flex items-center justify-center py-4">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+        {error && entries.length > 0 && (
+          <div className="p-3 text-center">
+            <button onClick={loadMore} className="text-sm text-blue-600 hover:underline">
+              Couldn&apos;t load more — try again
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,125 @@
+'use client';
+
+import { useStreakItems } from '../hooks/useStreakItems';
+
+interface StreakCardProps {
+  walletAddress: string;
+  onStreakChange?: () => void;
+}
+
+export const StreakCard: React.FC<StreakCardProps> = ({ walletAddress, onStreakChange }) => {
+  const {
+    streakStatus,
+    loading,
+    actionLoading,
+    error,
+    clearError,
+    purchaseFreezes,
+    repairStreak
+  } = useStreakItems(walletAddress, onStreakChange);
+
+  if (loading || !streakStatus) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md border">
+        <h2 className="text-xl font-semibold mb-4 text-gray-800">Streak</h2>
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  const { currentStreak, longestStreak, streakExpiresAt, freezes, repair, enbBalance } = streakStatus;
+  const freezesFull = freezes.available >= freezes.max;
+  const canBuyFreeze = !freezesFull && enbBalance >= freezes.price;
+  const canRepair = repair.available && enbBalance >= repair.price;
+
+  return (
+    <div id="streak-section" className="bg-white p-6 rounded-lg shadow-md border">
+      <h2 className="text-xl font-semibold mb-4 text-gray-800">Streak</h2>
+      <div className="space-y-4">
+
+        <div className="grid grid-cols-2 gap-4 text-center">
+          <div className="p-3 bg-orange-50 rounded-lg">
+            <div className="text-2xl font-bold text-orange-600">🔥 {currentStreak}</div>
+            <div className="text-xs text-gray-600">Current streak</div>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-2xl font-bold text-gray-800">{longestStreak}</div>
+            <div className="text-xs text-gray-600">Longest streak</div>
+          </div>
+        </div>
+
+        {streakExpiresAt && (
+          <div className="text-xs text-gray-600 text-center">
+            Claim before {new Date(streakExpiresAt).toLocaleString()} to keep your streak
+          </div>
+        )}
+
+        {/* Repair banner */}
+        {repair.available && (
+          <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+            <div className="text-sm text-red-700 font-medium mb-1">
+              Your streak broke. Restore it to {repair.restoresTo} days for {repair.price} ENB.
+            </div>
+            {repair.availableUntil && (
+              <div className="text-xs text-red-600 mb-3">
+                Available until {new Date(repair.availableUntil).toLocaleString()}
+              </div>
+            )}
+            <button
+              disabled={!canRepair || actionLoading !== null}
+              onClick={repairStreak}
+              className={`w-full px-4 py-2 rounded-lg font-medium transition-colors ${
+                canRepair
+                  ? 'bg-red-600 text-white hover:bg-red-700'
+                  : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              } disabled:opacity-60`}
+            >
+              {actionLoading === 'repair'
+                ? 'Repairing...'
+                : canRepair
+                ? `Repair Streak (${repair.price} ENB)`
+                : 'Not Enough ENB'
+              }
+            </button>
+          </div>
+        )}
+
+        {/* Freezes */}
+        <div className="p-4 bg-blue-50 rounded-lg">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-blue-800">🧊 Streak freezes</span>
+            <span className="text-sm font-bold text-blue-800">{freezes.available} / {freezes.max}</span>
+          </div>
+          <div className="text-xs text-blue-700 mb-3">
+            Each freeze covers one missed day. You earn one every {freezes.earnEveryDays} streak days.
+          </div>
+          <button
+            disabled={!canBuyFreeze || actionLoading !== null}
+            onClick={() => purchaseFreezes(1)}
+            className={`w-full px-4 py-2 rounded-lg font-medium transition-colors ${
+              canBuyFreeze
+                ? 'bg-blue-600 text-white hover:bg-blue-700'
+                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            } disabled:opacity-60`}
+          >
+            {actionLoading === 'freeze'
+              ? 'Buying...'
+              : freezesFull
+              ? 'Freezes Full'
+              : enbBalance < freezes.price
+              ? 'Not Enough ENB'
+              : `Buy Freeze (${freezes.price} ENB)`
+            }
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 rounded-lg text-sm text-red-700 flex items-start justify-between">
+            <span>{error}</span>
+            <button onClick={clearError} className="ml-2 text-red-500 hover:text-red-700">✕</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
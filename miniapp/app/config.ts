@@ -1,3 +1,9 @@
 // API Configuration
 export const API_BASE_URL = 'https://enb-api.vercel.app';
 
+// Public URL of the mini app (the domain in .well-known/farcaster.json)
+export const APP_URL = 'https://enb-crushers.vercel.app';
+
+// Deep link that opens the activation flow with the code pre-filled
+export const getInviteUrl = (invitationCode: string) =>
+  `${APP_URL}/invite/${encodeURIComponent(invitationCode)}`;
@@ -0,0 +1,103 @@
+// constants/apiErrors.ts
+// Stable error codes returned in `error` by the relay routes and relay jobs.
+// Must match backend/services/contract-errors.js, backend/middleware/wallet-signature.js,
+// backend/services/invitation-codes.js and backend/middleware/validate.js
+
+export type ApiErrorCode =
+  // Contract reverts
+  | 'AccountAlreadyExists'
+  | 'AccountDoesNotExist'
+  | 'DailyClaimOnCooldown'
+  | 'InvalidMembershipLevel'
+  | 'CannotSkipLevels'
+  | 'AlreadyAtMaxLevel'
+  | 'InsufficientTokensForUpgrade'
+  | 'InsufficientAllowance'
+  | 'InvalidAmount'
+  | 'InvalidRecipient'
+  | 'InsufficientContractBalance'
+  | 'InsufficientReserveFunds'
+  | 'EmergencyModeActive'
+  | 'NotInEmergencyMode'
+  | 'ContractPaused'
+  | 'ContractNotPaused'
+  | 'RelayerNotAuthorized'
+  | 'TokenTransferFailed'
+  | 'ContractError'
+  // Relayer / network
+  | 'InsufficientFunds'
+  | 'NonceExpired'
+  | 'NetworkTimeout'
+  | 'NetworkError'
+  | 'RelayError'
+  // Wallet signature
+  | 'MissingSignature'
+  | 'InvalidNonce'
+  | 'SignatureExpired'
+  | 'ExpiryTooFar'
+  | 'InvalidSignature'
+  | 'NonceAlreadyUsed'
+  // Streak freezes and repair
+  | 'InsufficientBalance'
+  | 'MaxFreezesReached'
+  | 'NothingToRepair'
+  // Invitation codes
+  | 'InvitationCodeRevoked'
+  | 'InvitationCodeExpired'
+  | 'NoInvitationCode'
+  | 'InvalidVanityCode'
+  | 'VanityCodeNotAllowed'
+  | 'InvitationCodeTaken'
+  | 'InvalidExpiry'
+  // Request validation (field-level details in `errors`)
+  | 'ValidationError'
+  // Per-IP and per-wallet rate limits (seconds to wait in `retryAfter`)
+  | 'RateLimited';
+
+// Fallback messages for responses that carry a code but no message (e.g. failed relay jobs)
+export const API_ERROR_MESSAGES: Partial<Record<ApiErrorCode, string>> = {
+  AccountDoesNotExist: 'Account does not exist. Please create an account first.',
+  DailyClaimOnCooldown: 'Daily claim is still on cooldown. Please wait until your next claim is available.',
+  InvalidMembershipLevel: 'Invalid membership level specified. Please try again.',
+  CannotSkipLevels: 'Cannot skip membership levels. Must upgrade sequentially.',
+  AlreadyAtMaxLevel: 'You are already at the maximum membership level.',
+  InsufficientTokensForUpgrade: 'You do not have enough ENB tokens in your wallet to upgrade. You need 5,000 ENB for Super Based or 15,000 ENB for Legendary.',
+  InsufficientAllowance: 'Please approve enough ENB for the upgrade and try again.',
+  InsufficientContractBalance: 'The reward pool is temporarily empty. Please try again later.',
+  InsufficientReserveFunds: 'The reward pool is temporarily empty. Please try again later.',
+  EmergencyModeActive: 'Contract is in emergency mode. Please try again later.',
+  ContractPaused: 'Contract is currently paused. Please try again later.',
+  ContractError: 'Transaction failed. Please check if your account exists and try again.',
+  InsufficientFunds: 'The relayer is temporarily out of gas funds. Please try again later.',
+  NonceExpired: 'Please try again.',
+  SignatureExpired: 'Your signature expired. Please try again.',
+  NonceAlreadyUsed: 'This request was already submitted. Please try again.',
+  InsufficientBalance: 'Not enough ENB balance for this purchase.',
+  MaxFreezesReached: 'You already hold the maximum number of streak freezes.',
+  NothingToRepair: 'There is no recently broken streak to repair.',
+  InvitationCodeRevoked: 'This invitation code has been revoked. Please ask your inviter for a new one.',
+  InvitationCodeExpired: 'This invitation code has expired. Please ask your inviter for a new one.',
+  NoInvitationCode: 'You have no active invitation code. Generate a new one first.',
+  InvalidVanityCode: 'Codes must be 4 to 16 letters or digits.',
+  VanityCodeNotAllowed: 'This code is not allowed. Please choose another one.',
+  InvitationCodeTaken: 'This code is already taken. Please choose another one.',
+  RateLimited: 'Too many requests. Please wait a moment and try again.',
+};
+
+export class ApiError extends Error {
+  code: ApiErrorCode | string;
+
+  constructor(code: ApiErrorCode | string, message?: string | null) {
+    super(message || API_ERROR_MESSAGES[code as ApiErrorCode] || code);
+    this.name = 'ApiError';
+    this.code = code;
+    // Keeps `instanceof ApiError` working when compiled for the es5 target
+    Object.setPrototypeOf(this, ApiError.prototype);
+  }
+}
+
+// Builds an ApiError from a JSON error response ({ error, message })
+export const toApiError = (
+  data: { error?: string; message?: string } | null,
+  fallbackMessage: string
+): ApiError => new ApiError(data?.error || 'RelayError', data?.message || (data?.error ? null : fallbackMessage));
@@ -0,0 +1,66 @@
+// constants/relayAuth.ts
+import { toHex } from 'viem';
+import { base } from 'viem/chains';
+
+// EIP-712 domain and types must match backend/middleware/wallet-signature.js
+export const RELAY_AUTH_DOMAIN = {
+  name: 'ENB Mini App',
+  version: '1',
+  chainId: base.id,
+} as const;
+
+export const RELAY_AUTH_TYPES = {
+  DailyClaim: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  UpgradeMembership: [
+    { name: 'user', type: 'address' },
+    { name: 'targetLevel', type: 'uint8' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  PurchaseStreakFreeze: [
+    { name: 'user', type: 'address' },
+    { name: 'quantity', type: 'uint8' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  RepairStreak: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  RegenerateInvitationCode: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  ClaimVanityCode: [
+    { name: 'user', type: 'address' },
+    { name: 'code', type: 'string' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  SetInvitationCodeExpiry: [
+    { name: 'user', type: 'address' },
+    { name: 'expiresAt', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+  RevokeInvitationCode: [
+    { name: 'user', type: 'address' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+} as const;
+
+// Signed requests are valid for 5 minutes (backend accepts up to 10)
+export const RELAY_AUTH_TTL_SECONDS = 5 * 60;
+
+export const createRelayNonce = (): `0x${string}` =>
+  toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+export const createRelayExpiry = (): bigint =>
+  BigInt(Math.floor(Date.now() / 1000) + RELAY_AUTH_TTL_SECONDS);
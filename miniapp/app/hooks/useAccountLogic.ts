@@ -1,16 +1,24 @@
 'use client';
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { useAccount } from 'wagmi';
+import { useAccount, useSignTypedData } from 'wagmi';
 import { ENB_TOKEN_ABI, ENB_TOKEN_ADDRESS } from '../constants/enbMiniAppAbi';
-import { API_BASE_URL } from '../config';
+import {
+  RELAY_AUTH_DOMAIN,
+  RELAY_AUTH_TYPES,
+  createRelayNonce,
+  createRelayExpiry,
+} from '../constants/relayAuth';
+import { ApiError, toApiError } from '../constants/apiErrors';
+import { API_BASE_URL, getInviteUrl } from '../config';
 import { createPublicClient, http } from 'viem';
 import { base } from 'viem/chains';
 import { sdk } from '@farcaster/miniapp-sdk';
-import { UserProfile, ClaimStatus, TipStep } from '../types/account';
+import { UserProfile, ClaimStatus, TipStep, RelayJob } from '../types/account';
 
 export const useAccountLogic = () => {
   const { address } = useAccount();
+  const { signTypedDataAsync } = useSignTypedData();
   
   // State
   const [showDailyClaimModal, setShowDailyClaimModal] = useState(false);
@@ -103,6 +111,27 @@ export const useAccountLogic = () => {
     }
   }, [address]);
 
+  // Poll a queued relayer job until its transaction is mined or fails
+  const waitForRelayJob = useCallback(async (jobId: string): Promise<RelayJob> => {
+    const pollInterval = 2000;
+    const timeout = 3 * 60 * 1000;
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < timeout) {
+      const res = await fetch(`${API_BASE_URL}/relay/jobs/${jobId}`);
+      if (res.ok) {
+        const job: RelayJob = await res.json();
+        if (job.status === 'mined') return job;
+        if (job.status === 'failed') {
+          throw new ApiError(job.errorCode || 'RelayError', job.errorCode ? null : job.error || 'Relayer transaction failed');
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error('Transaction is taking longer than expected. Please check back shortly.');
+  }, []);
+
   // Refresh mining activity data
   const refreshMiningActivity = useCallback(async () => {
     if (!address) return;
@@ -198,24 +227,33 @@ export const useAccountLogic = () => {
 
     setDailyClaimLoading(true);
     try {
+      // Prove wallet ownership so the relayer only acts for the signer
+      const nonce = createRelayNonce();
+      const expiry = createRelayExpiry();
+      const signature = await signTypedDataAsync({
+        domain: RELAY_AUTH_DOMAIN,
+        types: RELAY_AUTH_TYPES,
+        primaryType: 'DailyClaim',
+        message: { user: address, nonce, expiry },
+      });
+
       const res = await fetch(`${API_BASE_URL}/relay/daily-claim`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ user: address }),
+        body: JSON.stringify({
+          user: address,
+          auth: { nonce, expiry: Number(expiry), signature },
+        }),
       });
 
       const data = await res.json();
 
       if (!res.ok) {
-        if (data.error === 'DailyClaimOnCooldown') {
-          throw new Error('Daily claim is still on cooldown. Please wait until your next claim is available.');
-        } else if (data.error === 'ContractError') {
-          throw new Error('Transaction failed. Please check if your account exists and try again.');
-        } else {
-          throw new Error(data.message || data.error || 'Daily claim failed');
-        }
+        throw toApiError(data, 'Daily claim failed');
       }
 
+      await waitForRelayJob(data.jobId);
+
       setShowDailyClaimModal(true);
       
       // Immediate refresh for better UX
@@ -293,10 +331,10 @@ const handleUpgradeWarpcastShare = async () => {
   const appUrl = "https://enb-crushers.vercel.app";
 
   try {
-    // Open the cast composer (don’t care about return value)
+    // Share the invite link: its embed opens activation with the code already filled in
     await sdk.actions.composeCast({
-      text: `Join me on ENB Mining! Use my invitation code: ${profile.invitationCode}\n\nMine daily rewards and upgrade your membership level. Start your journey today! 🚀\n\n#ENBMining #Web3 #Mining`,
-      embeds: [appUrl],
+      text: `Join me on ENB Mining! Tap to activate your account with my invitation code: ${profile.invitationCode}\n\nMine daily rewards and upgrade your membership level. Start your journey today! 🚀\n\n#ENBMining #Web3 #Mining`,
+      embeds: [getInviteUrl(profile.invitationCode)],
     });
 
     // Always open the mini app
@@ -344,41 +382,51 @@ const handleUpgradeWarpcastShare = async () => {
         default: alert('You are already at the highest level!'); return;
       }
 
+      const nonce = createRelayNonce();
+      const expiry = createRelayExpiry();
+      const signature = await signTypedDataAsync({
+        domain: RELAY_AUTH_DOMAIN,
+        types: RELAY_AUTH_TYPES,
+        primaryType: 'UpgradeMembership',
+        message: { user: address, targetLevel, nonce, expiry },
+      });
+
       const res = await fetch(`${API_BASE_URL}/relay/upgrade-membership`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ user: address, targetLevel }),
+        body: JSON.stringify({
+          user: address,
+          targetLevel,
+          auth: { nonce, expiry: Number(expiry), signature },
+        }),
       });
 
       const data = await res.json();
 
       if (!res.ok) {
-        throw new Error(data.error || 'Upgrade failed');
+        throw toApiError(data, 'Upgrade failed');
       }
 
+      await waitForRelayJob(data.jobId);
+
       setShowUpgradeModal(true);
       await refreshProfile();
       
       // Also trigger mining activity refresh
       await refreshMiningActivity();
     } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred';
       console.error('Upgrade error:', err);
-      
-      if (errorMessage.includes('insufficient funds') || errorMessage.includes('gas')) {
-        setUpgradeError('Insufficient ETH balance to cover gas fees. Please add some ETH to your wallet and try again.');
-      } else if (errorMessage.includes('user rejected') || errorMessage.includes('User rejected')) {
+
+      if (err instanceof ApiError) {
+        // The backend message is already user-facing for every known code
+        setUpgradeError(err.message);
+        return;
+      }
+
+      // Errors raised in the wallet (signature prompt) rather than by the API
+      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred';
+      if (errorMessage.includes('user rejected') || errorMessage.includes('User rejected')) {
         setUpgradeError('Transaction was cancelled by user.');
-      } else if (errorMessage.includes('execution reverted')) {
-        setUpgradeError('Transaction failed. You may not have enough ENB tokens or the upgrade requirements are not met.');
-      } else if (errorMessage.includes('InsufficientTokensForUpgrade')) {
-        setUpgradeError('You do not have enough ENB tokens in your wallet to upgrade. You need 5,000 ENB for Super Based or 15,000 ENB for Legendary.');
-      } else if (errorMessage.includes('InvalidMembershipLevel')) {
-        setUpgradeError('Invalid membership level specified. Please try again.');
-      } else if (errorMessage.includes('AlreadyAtMaxLevel')) {
-        setUpgradeError('You are already at the maximum membership level.');
-      } else if (errorMessage.includes('CannotSkipLevels')) {
-        setUpgradeError('Cannot skip membership levels. Must upgrade sequentially.');
       } else {
         setUpgradeError(errorMessage);
       }
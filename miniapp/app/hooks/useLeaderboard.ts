@@ -0,0 +1,171 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { API_BASE_URL } from '../config';
+import type { FarcasterProfile } from '@/lib/farcaster';
+import type {
+  LeaderboardBoard,
+  LeaderboardEntry,
+  LeaderboardPage,
+  LeaderboardWindowName,
+  UserRanking,
+  UserRankings
+} from '../types/leaderboard';
+
+const PAGE_SIZE = 25;
+
+// Name of each board in /api/user-rankings
+const RANKING_KEYS: Record<LeaderboardBoard, keyof UserRankings['rankings']> = {
+  balance: 'balance',
+  earnings: 'earnings',
+  streaks: 'streak'
+};
+
+export const useLeaderboard = (
+  board: LeaderboardBoard,
+  timeWindow: LeaderboardWindowName,
+  walletAddress: string | undefined
+) => {
+  const [entries, setEntries] = useState<LeaderboardEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [userRanking, setUserRanking] = useState<UserRanking | null>(null);
+  const [profiles, setProfiles] = useState<Record<string, FarcasterProfile>>({});
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Pages that arrive after the user switched board or window are dropped
+  const requestIdRef = useRef(0);
+  // Wallets whose Farcaster profile was already asked for, found or not
+  const lookedUpRef = useRef(new Set<string>());
+
+  const fetchPage = useCallback(async (cursor: string | null): Promise<LeaderboardPage> => {
+    const params = new URLSearchParams({ window: timeWindow, limit: String(PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await fetch(`${API_BASE_URL}/api/leaderboard/${board}?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch leaderboard: ${response.status}`);
+    }
+    return response.json();
+  }, [board, timeWindow]);
+
+  const lookUpProfiles = useCallback(async (addresses: string[]) => {
+    const missing = addresses
+      .map(address => address.toLowerCase())
+      .filter(address => !lookedUpRef.current.has(address));
+
+    if (missing.length === 0) return;
+    missing.forEach(address => lookedUpRef.current.add(address));
+
+    try {
+      const response = await fetch(`/api/farcaster-users?addresses=${missing.join(',')}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setProfiles(current => ({ ...current, ...data.users }));
+    } catch (err) {
+      console.error('Error fetching Farcaster usernames:', err);
+    }
+  }, []);
+
+  // First page whenever the board or window changes
+  useEffect(() => {
+    const requestId = ++requestIdRef.current;
+    setEntries([]);
+    setNextCursor(null);
+    setHasMore(false);
+    setLoading(true);
+    setError(null);
+
+    fetchPage(null)
+      .then(page => {
+        if (requestId !== requestIdRef.current) return;
+        setEntries(page.leaderboard);
+        setNextCursor(page.pagination.nextCursor);
+        setHasMore(page.pagination.hasMore);
+        lookUpProfiles(page.leaderboard.map(entry => entry.walletAddress));
+      })
+      .catch(err => {
+        if (requestId !== requestIdRef.current) return;
+        console.error('Error fetching leaderboard:', err);
+        setError(err instanceof Error ? err.message : 'Failed to fetch leaderboard');
+      })
+      .finally(() => {
+        if (requestId === requestIdRef.current) setLoading(false);
+      });
+  }, [fetchPage, lookUpProfiles, reloadKey]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore || !nextCursor) return;
+
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const page = await fetchPage(nextCursor);
+      if (requestId !== requestIdRef.current) return;
+
+      // Ranks are recomputed every few minutes; a wallet whose score dropped in between comes back
+      setEntries(current => {
+        const seen = new Set(current.map(entry => entry.walletAddress));
+        return [...current, ...page.leaderboard.filter(entry => !seen.has(entry.walletAddress))];
+      });
+      setNextCursor(page.pagination.nextCursor);
+      setHasMore(page.pagination.hasMore);
+      lookUpProfiles(page.leaderboard.map(entry => entry.walletAddress));
+    } catch (err) {
+      console.error('Error fetching more leaderboard entries:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch leaderboard');
+    } finally {
+      if (requestId === requestIdRef.current) setLoadingMore(false);
+    }
+  }, [loading, loadingMore, hasMore, nextCursor, fetchPage, lookUpProfiles]);
+
+  // The connected wallet's own rank, pinned above the list
+  useEffect(() => {
+    if (!walletAddress) {
+      setUserRanking(null);
+      return;
+    }
+
+    let cancelled = false;
+    lookUpProfiles([walletAddress]);
+
+    fetch(`${API_BASE_URL}/api/user-rankings/${walletAddress}?window=${timeWindow}`)
+      // 404 and 400: no account yet, or not activated
+      .then(response => (response.ok ? response.json() : null))
+      .then((data: UserRankings | null) => {
+        if (!cancelled) setUserRanking(data ? data.rankings[RANKING_KEYS[board]] : null);
+      })
+      .catch(err => {
+        console.error('Error fetching user rankings:', err);
+        if (!cancelled) setUserRanking(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [walletAddress, board, timeWindow, lookUpProfiles, reloadKey]);
+
+  const retry = useCallback(() => {
+    setReloadKey(key => key + 1);
+  }, []);
+
+  return {
+    entries,
+    profiles,
+    userRanking,
+    loading,
+    loadingMore,
+    hasMore,
+    error,
+    loadMore,
+    retry
+  };
+};
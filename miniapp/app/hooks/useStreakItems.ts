@@ -0,0 +1,148 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSignTypedData } from 'wagmi';
+import {
+  RELAY_AUTH_DOMAIN,
+  RELAY_AUTH_TYPES,
+  createRelayNonce,
+  createRelayExpiry,
+} from '../constants/relayAuth';
+import { toApiError } from '../constants/apiErrors';
+import { API_BASE_URL } from '../config';
+import { StreakStatus } from '../types/account';
+
+// Streak status plus the signed freeze purchase and repair actions
+export const useStreakItems = (walletAddress: string | undefined, onChange?: () => void) => {
+  const { signTypedDataAsync } = useSignTypedData();
+  const [streakStatus, setStreakStatus] = useState<StreakStatus | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState<'freeze' | 'repair' | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchStreakStatus = useCallback(async () => {
+    if (!walletAddress) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/streak/${walletAddress}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw toApiError(data, 'Failed to fetch streak status');
+      }
+
+      setStreakStatus(data);
+    } catch (err) {
+      console.error('Error fetching streak status:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [walletAddress]);
+
+  useEffect(() => {
+    fetchStreakStatus();
+  }, [fetchStreakStatus]);
+
+  // Claims change the streak, so follow the mining activity refreshes
+  useEffect(() => {
+    window.addEventListener('refreshMiningActivity', fetchStreakStatus);
+    return () => window.removeEventListener('refreshMiningActivity', fetchStreakStatus);
+  }, [fetchStreakStatus]);
+
+  const afterAction = async () => {
+    await fetchStreakStatus();
+    window.dispatchEvent(new CustomEvent('refreshMiningActivity'));
+    onChange?.();
+  };
+
+  const purchaseFreezes = async (quantity = 1) => {
+    if (!walletAddress) return;
+
+    setActionLoading('freeze');
+    setError(null);
+    try {
+      const nonce = createRelayNonce();
+      const expiry = createRelayExpiry();
+      const signature = await signTypedDataAsync({
+        domain: RELAY_AUTH_DOMAIN,
+        types: RELAY_AUTH_TYPES,
+        primaryType: 'PurchaseStreakFreeze',
+        message: { user: walletAddress as `0x${string}`, quantity, nonce, expiry },
+      });
+
+      const res = await fetch(`${API_BASE_URL}/api/streak/freezes/purchase`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          walletAddress,
+          quantity,
+          auth: { nonce, expiry: Number(expiry), signature },
+        }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw toApiError(data, 'Streak freeze purchase failed');
+      }
+
+      await afterAction();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Streak freeze purchase failed. Please try again.');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const repairStreak = async () => {
+    if (!walletAddress) return;
+
+    setActionLoading('repair');
+    setError(null);
+    try {
+      const nonce = createRelayNonce();
+      const expiry = createRelayExpiry();
+      const signature = await signTypedDataAsync({
+        domain: RELAY_AUTH_DOMAIN,
+        types: RELAY_AUTH_TYPES,
+        primaryType: 'RepairStreak',
+        message: { user: walletAddress as `0x${string}`, nonce, expiry },
+      });
+
+      const res = await fetch(`${API_BASE_URL}/api/streak/repair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          walletAddress,
+          auth: { nonce, expiry: Number(expiry), signature },
+        }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw toApiError(data, 'Streak repair failed');
+      }
+
+      await afterAction();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Streak repair failed. Please try again.');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  return {
+    streakStatus,
+    loading,
+    actionLoading,
+    error,
+    clearError: () => setError(null),
+    refresh: fetchStreakStatus,
+    purchaseFreezes,
+    repairStreak,
+  };
+};
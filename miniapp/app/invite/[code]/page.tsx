@@ -0,0 +1,46 @@
+import type { Metadata } from 'next';
+import { MiniApp } from '../../components/MiniApp';
+import { getInviteUrl } from '../../config';
+
+interface InvitePageProps {
+  params: { code: string };
+}
+
+// Invite links are shared as cast embeds: the card shows the invite's own image and
+// the button launches the mini app on this page, which opens activation with the code
+export async function generateMetadata({ params }: InvitePageProps): Promise<Metadata> {
+  const URL = process.env.NEXT_PUBLIC_URL;
+  const inviteUrl = getInviteUrl(params.code);
+  const imageUrl = `${URL}/api/og/invite/${encodeURIComponent(params.code)}`;
+  const title = `Join ${process.env.NEXT_PUBLIC_ONCHAINKIT_PROJECT_NAME}`;
+
+  return {
+    title,
+    description: 'You have been invited to mine $ENB daily on Farcaster',
+    openGraph: {
+      title,
+      url: inviteUrl,
+      images: [imageUrl],
+    },
+    other: {
+      "fc:frame": JSON.stringify({
+        version: process.env.NEXT_PUBLIC_VERSION,
+        imageUrl,
+        button: {
+          title: 'Accept Invite',
+          action: {
+            type: "launch_frame",
+            name: process.env.NEXT_PUBLIC_ONCHAINKIT_PROJECT_NAME,
+            url: inviteUrl,
+            splashImageUrl: process.env.NEXT_PUBLIC_SPLASH_IMAGE_URL,
+            splashBackgroundColor: `#${process.env.NEXT_PUBLIC_SPLASH_BACKGROUND_COLOR}`,
+          },
+        },
+      }),
+    },
+  };
+}
+
+export default function InvitePage({ params }: InvitePageProps) {
+  return <MiniApp inviteCode={params.code} />;
+}
@@ -1,3 +1,5 @@
+import type { ApiErrorCode } from '../constants/apiErrors';
+
 export interface UserProfile {
   walletAddress: string;
   membershipLevel: 'Based' | 'Super Based' | 'Legendary' | string;
@@ -10,6 +12,7 @@ export interface UserProfile {
   enbBalance: number;
   lastDailyClaimTime?: string | null;
   consecutiveDays: number;
+  longestStreak?: number;
   totalEarned: number;
   joinDate?: string;
   isActivated: boolean;
@@ -54,3 +57,46 @@ export interface TipStep {
   icon: string;
   targetElementId: string;
 }
+
+export interface RelayJob {
+  id: string;
+  type: string;
+  walletAddress: string;
+  status: 'queued' | 'sent' | 'mined' | 'failed';
+  txHash: string | null;
+  nonce: number | null;
+  attempts: number;
+  error: string | null;
+  errorCode: ApiErrorCode | null;
+  result: Record<string, unknown> | null;
+  createdAt: string;
+  sentAt: string | null;
+  minedAt: string | null;
+  updatedAt: string;
+}
+
+export interface StreakStatus {
+  walletAddress: string;
+  currentStreak: number;
+  longestStreak: number;
+  streakActive: boolean;
+  streakExpiresAt: string | null;
+  freezes: {
+    available: number;
+    max: number;
+    price: number;
+    earnEveryDays: number;
+    earned: number;
+    purchased: number;
+    used: number;
+  };
+  repair: {
+    available: boolean;
+    price: number;
+    restoresTo: number;
+    brokeAt: string | null;
+    availableUntil: string | null;
+    windowHours: number;
+  };
+  enbBalance: number;
+}
@@ -0,0 +1,52 @@
+// Leaderboards served by the API (/api/leaderboard/:board); ranks are refreshed every few minutes
+export type LeaderboardBoard = 'balance' | 'earnings' | 'streaks';
+
+export type LeaderboardWindowName = 'daily' | 'weekly' | 'monthly' | 'all-time';
+
+export interface LeaderboardWindow {
+  name: LeaderboardWindowName;
+  startsAt: string | null;
+  resetsAt: string | null;
+}
+
+// Fields depend on the board; enbMined and claimDays are only set for daily, weekly and monthly windows
+export interface LeaderboardEntry {
+  rank: number;
+  walletAddress: string;
+  membershipLevel: string;
+  consecutiveDays: number;
+  enbBalance?: number;
+  enbMined?: number;
+  totalEarned?: number;
+  totalDailyClaims?: number;
+  claimDays?: number;
+  longestStreak?: number;
+}
+
+export interface LeaderboardPage {
+  window: LeaderboardWindow;
+  computedAt: string;
+  leaderboard: LeaderboardEntry[];
+  pagination: {
+    total: number;
+    limit: number;
+    nextCursor: string | null;
+    hasMore: boolean;
+  };
+}
+
+// Rank is null when the wallet is not on the board for the window
+export interface UserRanking {
+  rank: number | null;
+  value: number;
+}
+
+export interface UserRankings {
+  walletAddress: string;
+  window: LeaderboardWindow;
+  rankings: {
+    balance: UserRanking;
+    earnings: UserRanking;
+    streak: UserRanking;
+  };
+}
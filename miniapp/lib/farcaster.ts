@@ -0,0 +1,87 @@
+// Farcaster profiles from Neynar, for showing usernames instead of wallet addresses.
+// Server-side only: NEYNAR_API_KEY must not reach the browser.
+
+export interface FarcasterProfile {
+  fid: number;
+  username: string;
+  displayName: string | null;
+  pfpUrl: string | null;
+}
+
+interface NeynarUser {
+  fid: number;
+  username: string;
+  display_name?: string;
+  pfp_url?: string;
+}
+
+const NEYNAR_API_URL = "https://api.neynar.com/v2/farcaster";
+
+// Neynar accepts up to 350 addresses per bulk lookup
+export const MAX_ADDRESSES_PER_LOOKUP = 350;
+
+const toProfile = (user: NeynarUser): FarcasterProfile => ({
+  fid: user.fid,
+  username: user.username,
+  displayName: user.display_name ?? null,
+  pfpUrl: user.pfp_url ?? null,
+});
+
+const fetchNeynar = async (path: string, revalidateSeconds: number) => {
+  if (!process.env.NEYNAR_API_KEY) {
+    console.warn("⚠️ NEYNAR_API_KEY not defined, showing wallets instead of Farcaster usernames");
+    return null;
+  }
+
+  const response = await fetch(`${NEYNAR_API_URL}${path}`, {
+    headers: { "x-api-key": process.env.NEYNAR_API_KEY },
+    next: { revalidate: revalidateSeconds },
+  });
+
+  // Lookups where no account matches answer 404
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+export async function fetchFarcasterUserByFid(
+  fid: number,
+  revalidateSeconds: number
+): Promise<FarcasterProfile | null> {
+  try {
+    const data = await fetchNeynar(`/user/bulk?fids=${fid}`, revalidateSeconds);
+    const user = data?.users?.[0];
+    return user ? toProfile(user) : null;
+  } catch (error) {
+    console.error("Error fetching Farcaster user:", error);
+    return null;
+  }
+}
+
+// Profiles keyed by lowercase wallet address; wallets without a Farcaster account are left out.
+// A wallet verified by several accounts gets the first one Neynar returns.
+export async function fetchFarcasterUsersByAddress(
+  addresses: string[],
+  revalidateSeconds: number
+): Promise<Record<string, FarcasterProfile>> {
+  if (addresses.length === 0) return {};
+
+  try {
+    const data: Record<string, NeynarUser[]> | null = await fetchNeynar(
+      `/user/bulk-by-address?addresses=${addresses.map(address => address.toLowerCase()).join(",")}`,
+      revalidateSeconds
+    );
+
+    const profiles: Record<string, FarcasterProfile> = {};
+    Object.entries(data ?? {}).forEach(([address, users]) => {
+      if (users?.[0]) profiles[address.toLowerCase()] = toProfile(users[0]);
+    });
+    return profiles;
+  } catch (error) {
+    console.error("Error fetching Farcaster users by address:", error);
+    return {};
+  }
+}
@@ -0,0 +1,70 @@
+import { API_BASE_URL } from "@/app/config";
+import { fetchFarcasterUserByFid } from "@/lib/farcaster";
+
+// Why an invitation code cannot activate an account right now
+export type InviteProblem = "expired" | "revoked" | "exhausted" | "inviter_inactive";
+
+export interface InvitePreview {
+  invitationCode: string;
+  valid: boolean;
+  problem: InviteProblem | null;
+  remainingUses: number;
+  inviter: {
+    walletAddress: string;
+    fid: number | null;
+    username: string | null;
+    displayName: string | null;
+    pfpUrl: string | null;
+  };
+}
+
+// Cached by Next for a minute; the OG image, the page metadata and the
+// activation form all ask for the same code
+const REVALIDATE_SECONDS = 60;
+
+const getInviteProblem = (usage: {
+  status: string;
+  remainingUses: number;
+  isInviterActivated: boolean;
+}): InviteProblem | null => {
+  if (usage.status === "expired" || usage.status === "revoked") return usage.status;
+  if (usage.remainingUses <= 0) return "exhausted";
+  if (!usage.isInviterActivated) return "inviter_inactive";
+  return null;
+};
+
+// Returns null when the code does not exist
+export async function getInvitePreview(invitationCode: string): Promise<InvitePreview | null> {
+  const response = await fetch(
+    `${API_BASE_URL}/api/invitation-usage/${encodeURIComponent(invitationCode)}`,
+    { next: { revalidate: REVALIDATE_SECONDS } }
+  );
+
+  if (response.status === 404 || response.status === 400) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch invitation usage: ${response.status}`);
+  }
+
+  const usage = await response.json();
+  const farcasterUser = usage.inviterFid ? await fetchFarcasterUserByFid(usage.inviterFid, REVALIDATE_SECONDS) : null;
+  const problem = getInviteProblem(usage);
+
+  return {
+    invitationCode: usage.invitationCode,
+    valid: problem === null,
+    problem,
+    remainingUses: usage.remainingUses,
+    inviter: {
+      walletAddress: usage.inviterWallet,
+      fid: usage.inviterFid ?? null,
+      username: farcasterUser?.username ?? null,
+      displayName: farcasterUser?.displayName ?? null,
+      pfpUrl: farcasterUser?.pfpUrl ?? null,
+    },
+  };
+}
+
+export const getInviterName = (preview: InvitePreview) =>
+  preview.inviter.username
+    ? `@${preview.inviter.username}`
+    : `${preview.inviter.walletAddress.slice(0, 6)}...${preview.inviter.walletAddress.slice(-4)}`;